@@ -1,181 +0,0 @@
-/**
- * Geo-location and Regional Access Control
- * Validates user region and handles restrictions
- */
-class GeoRedirector {
-    constructor() {
-        this.supportedCountries = ['US', 'CA', 'AU'];
-        this.countryRestrictions = {
-            'US': ['Hawaii', 'Louisiana', 'New York'],
-            'CA': [],
-            'AU': []
-        };
-        this.userLocation = null;
-    }
-    
-    /**
-     * Detect user's location using multiple methods
-     */
-    async detectUserLocation() {
-        try {
-            // Method 1: Try IP-based detection
-            const ipLocation = await this.getLocationByIP();
-            if (ipLocation) {
-                this.userLocation = ipLocation;
-                return ipLocation;
-            }
-            
-            // Method 2: Browser geolocation API (requires user permission)
-            const geoLocation = await this.getLocationByBrowser();
-            if (geoLocation) {
-                this.userLocation = geoLocation;
-                return geoLocation;
-            }
-            
-            // Method 3: Fallback to timezone detection
-            const timezoneLocation = this.getLocationByTimezone();
-            this.userLocation = timezoneLocation;
-            return timezoneLocation;
-            
-        } catch (error) {
-            console.error('Location detection failed:', error);
-            // Default to US if detection fails
-            this.userLocation = { country: 'US', region: 'Unknown' };
-            return this.userLocation;
-        }
-    }
-    
-    /**
-     * Get location by IP address
-     */
-    async getLocationByIP() {
-        try {
-            // Using a free IP geolocation service
-            const response = await fetch('https://ipapi.co/json/');
-            const data = await response.json();
-            
-            return {
-                country: data.country_code,
-                region: data.region,
-                city: data.city,
-                method: 'ip'
-            };
-        } catch (error) {
-            console.error('IP geolocation failed:', error);
-            return null;
-        }
-    }
-    
-    /**
-     * Get location using browser geolocation API
-     */
-    async getLocationByBrowser() {
-        return new Promise((resolve) => {
-            if (!navigator.geolocation) {
-                resolve(null);
-                return;
-            }
-            
-            navigator.geolocation.getCurrentPosition(
-                async (position) => {
-                    try {
-                        // Convert coordinates to country (would need reverse geocoding service)
-                        // For skeleton implementation, return approximate location
-                        resolve({
-                            country: 'US', // Default for skeleton
-                            region: 'Unknown',
-                            method: 'browser'
-                        });
-                    } catch (error) {
-                        resolve(null);
-                    }
-                },
-                () => resolve(null),
-                { timeout: 5000 }
-            );
-        });
-    }
-    
-    /**
-     * Get location by timezone
-     */
-    getLocationByTimezone() {
-        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-        
-        // Simple timezone to country mapping
-        const timezoneMap = {
-            'America/New_York': 'US',
-            'America/Los_Angeles': 'US',
-            'America/Chicago': 'US',
-            'America/Denver': 'US',
-            'America/Toronto': 'CA',
-            'America/Vancouver': 'CA',
-            'Australia/Sydney': 'AU',
-            'Australia/Melbourne': 'AU'
-        };
-        
-        const country = timezoneMap[timezone] || 'US';
-        
-        return {
-            country,
-            region: 'Unknown',
-            timezone,
-            method: 'timezone'
-        };
-    }
-    
-    /**
-     * Validate if user's location is supported
-     */
-    async validateRegionalAccess() {
-        const location = await this.detectUserLocation();
-        
-        const validation = {
-            isSupported: this.supportedCountries.includes(location.country),
-            country: location.country,
-            region: location.region,
-            restrictions: this.countryRestrictions[location.country] || [],
-            method: location.method
-        };
-        
-        console.log('Regional validation result:', validation);
-        return validation;
-    }
-    
-    /**
-     * Check if Mercuryo is available for user's region
-     */
-    isMercuryoAvailable(country) {
-        const availability = {
-            'US': true, // except Hawaii, Louisiana, New York
-            'CA': true,
-            'AU': true
-        };
-        
-        return availability[country] || false;
-    }
-    
-    /**
-     * Handle regional restrictions
-     */
-    handleRegionalRestriction(validation) {
-        if (!validation.isSupported) {
-            return {
-                allowed: false,
-                message: `Service not available in ${validation.country}. Supported regions: Australia, Canada, USA.`
-            };
-        }
-        
-        if (validation.restrictions.length > 0) {
-            return {
-                allowed: false,
-                message: `Service restricted in ${validation.region}. Restricted areas: ${validation.restrictions.join(', ')}.`
-            };
-        }
-        
-        return {
-            allowed: true,
-            message: 'Service available in your region.'
-        };
-    }
-}
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Geo Validator Edge Function
+ * Enforces the regional access policy at the edge using Netlify geo data.
+ * Blocked visitors get a 451 page (or JSON for purchase APIs); all other
+ * requests are annotated with x-geo-* headers and passed through.
+ */
+import { evaluateRegion, getCountryName } from '../../server/lib/regionPolicy.js';
+
+// Every step of a purchase is blocked outright: creating or syncing an order, allocating a receive
+// address, exchanges and Mercuryo signatures. Reading an order (GET, order token) and the address
+// pool status (GET, monitoring token) stay open; other API routes are only annotated.
+const PROTECTED_API_ROUTES = [
+    { prefix: '/api/simpleswap' },
+    { prefix: '/api/mercuryo/signature' },
+    { prefix: '/api/orders', methods: ['POST'] },
+    { prefix: '/api/addresses', methods: ['POST'] }
+];
+
+const ANNOTATION_HEADERS = ['x-geo-country', 'x-geo-subdivision', 'x-geo-access'];
+
+function readEnv(name) {
+    return globalThis.Netlify?.env?.get(name) ?? globalThis.process?.env?.[name];
+}
+
+/**
+ * Resolve country and subdivision from Netlify geo data, or from debug
+ * headers when GEO_ALLOW_HEADER_OVERRIDE is enabled (local testing only)
+ */
+export function resolveGeo(request, context) {
+    if (readEnv('GEO_ALLOW_HEADER_OVERRIDE') === 'true') {
+        const country = request.headers.get('x-debug-geo-country');
+        if (country) {
+            return {
+                country: country.toUpperCase(),
+                subdivision: request.headers.get('x-debug-geo-subdivision')?.toUpperCase() || null,
+                source: 'debug_header'
+            };
+        }
+    }
+
+    return {
+        country: context.geo?.country?.code?.toUpperCase() || null,
+        subdivision: context.geo?.subdivision?.code?.toUpperCase() || null,
+        source: 'netlify_geo'
+    };
+}
+
+function isPageRequest(request) {
+    return request.method === 'GET' &&
+        (request.headers.get('accept') || '').includes('text/html');
+}
+
+export function isProtectedAPI(pathname, method = 'GET') {
+    return PROTECTED_API_ROUTES.some(route =>
+        pathname.startsWith(route.prefix) && (!route.methods || route.methods.includes(method)));
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function renderBlockedPage(geo, validation) {
+    const location = [geo.subdivision, getCountryName(geo.country)].filter(Boolean).join(', ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Not Available in Your Region</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+               font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f9fafb; color: #111827; }
+        .blocked-container { max-width: 420px; padding: 32px; background: #fff; border-radius: 16px;
+                             box-shadow: 0 10px 25px rgba(0, 0, 0, 0.08); text-align: center; }
+        h1 { font-size: 22px; margin: 0 0 12px; }
+        p { color: #4b5563; line-height: 1.5; }
+        .region { font-weight: 600; color: #dc2626; }
+    </style>
+</head>
+<body>
+    <div class="blocked-container">
+        <h1>❌ Service Not Available</h1>
+        <p>${escapeHTML(validation.reason)}.</p>
+        <p class="region">Detected location: ${escapeHTML(location || 'Unknown')}</p>
+        <p>This service is currently only available in Australia, Canada, and the United States
+           (excluding Hawaii, Louisiana, and New York).</p>
+    </div>
+</body>
+</html>`;
+}
+
+export default async (request, context) => {
+    const { pathname } = new URL(request.url);
+    const geo = resolveGeo(request, context);
+
+    // Unknown location: annotate only, the client-side GeoRedirector decides
+    const validation = geo.country ? evaluateRegion(geo.country, geo.subdivision) : null;
+    const access = !validation ? 'unknown' : validation.isValid ? 'allowed' : 'blocked';
+
+    if (access === 'blocked' && isProtectedAPI(pathname, request.method)) {
+        return new Response(JSON.stringify({
+            error: validation.reason,
+            country: geo.country,
+            subdivision: geo.subdivision
+        }), {
+            status: 451,
+            headers: { 'Content-Type': 'application/json; charset=utf-8', 'x-geo-access': access }
+        });
+    }
+
+    if (access === 'blocked' && isPageRequest(request)) {
+        return new Response(renderBlockedPage(geo, validation), {
+            status: 451,
+            headers: {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Cache-Control': 'no-store',
+                'x-geo-access': access
+            }
+        });
+    }
+
+    // Overwrite any client-supplied annotation headers before forwarding
+    const headers = new Headers(request.headers);
+    ANNOTATION_HEADERS.forEach(header => headers.delete(header));
+    headers.set('x-geo-country', geo.country || 'unknown');
+    headers.set('x-geo-subdivision', geo.subdivision || 'unknown');
+    headers.set('x-geo-access', access);
+
+    const response = await context.next(new Request(request, { headers }));
+    response.headers.set('x-geo-access', access);
+    return response;
+};
@@ -0,0 +1,78 @@
+/**
+ * Receive Address API
+ * Issues each checkout its own BTC receive address derived from the merchant's extended public key.
+ * Only the holder of an order's token can allocate, one address per order, and each client's
+ * fresh allocations are rate limited so the gap limit cannot be used up by a handful of calls.
+ */
+import { getClientIP } from '../../server/lib/geoIpDatabase.js';
+import { OrderStore } from '../../server/lib/orderStore.js';
+import { OrderTokens } from '../../server/lib/orderToken.js';
+import { ReceiveAddressPool } from '../../server/lib/receiveAddressPool.js';
+import {
+    HttpError,
+    assertBearerToken,
+    assertMethod,
+    jsonResponse,
+    readJsonBody,
+    withErrorHandling
+} from '../../server/lib/http.js';
+
+const orders = new OrderStore();
+const pool = new ReceiveAddressPool();
+const tokens = new OrderTokens();
+
+async function handleAllocate(request, context) {
+    const body = await readJsonBody(request, 4 * 1024);
+    orders.validateTransactionId(body.transactionId);
+    tokens.assertValid(request, body.transactionId);
+
+    // Only the Bitcoin chain is derived; other assets still need a buyer-supplied wallet
+    if ((body.asset && body.asset !== 'BTC') || (body.network && body.network !== 'bitcoin')) {
+        throw new HttpError(400, 'Receive addresses are only issued for BTC on bitcoin');
+    }
+
+    const order = await orders.getOrder(body.transactionId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+    if ((order.cryptoCurrency && order.cryptoCurrency !== 'btc') || (order.network && order.network !== 'bitcoin')) {
+        throw new HttpError(400, 'Receive addresses are only issued for BTC on bitcoin');
+    }
+
+    const held = await pool.findAllocation(body.transactionId);
+    if (!held) {
+        if (order.walletAddress) {
+            throw new HttpError(409, 'Order already has a wallet address');
+        }
+        if (order.status !== 'pending') {
+            throw new HttpError(409, 'Order is no longer pending');
+        }
+    }
+
+    const { allocation, duplicate } = await pool.allocate(
+        body.transactionId,
+        await orders.listFundedAddresses(),
+        { client: tokens.clientKey(getClientIP(request, context)) }
+    );
+
+    // The order holds the address from now on, so a payment to it is seen as funding
+    await orders.assignWalletAddress(body.transactionId, allocation.address);
+
+    const { transactionId, address, index, path, scriptType } = allocation;
+    return jsonResponse({ transactionId, address, index, path, scriptType, duplicate }, duplicate ? 200 : 201);
+}
+
+async function handleDescribe(request) {
+    assertBearerToken(request, process.env.MONITORING_API_TOKEN);
+
+    return jsonResponse(await pool.describe(await orders.listFundedAddresses()));
+}
+
+export default withErrorHandling(async (request, context) => {
+    assertMethod(request, 'GET', 'POST');
+    return request.method === 'POST' ? handleAllocate(request, context) : handleDescribe(request);
+});
+
+export const config = {
+    path: '/api/addresses'
+};
@@ -0,0 +1,79 @@
+/**
+ * Alert API
+ * Receives ErrorMonitor alerts and lets operators list and acknowledge them
+ */
+import { AlertStore } from '../../server/lib/alertStore.js';
+import {
+    HttpError,
+    assertBearerToken,
+    assertMethod,
+    getSubPath,
+    jsonResponse,
+    readJsonBody,
+    withErrorHandling
+} from '../../server/lib/http.js';
+
+const MOUNT_PATH = '/api/alerts';
+const ALERT_STATUSES = ['all', 'open', 'acknowledged'];
+
+const store = new AlertStore();
+
+async function handleReport(request) {
+    assertMethod(request, 'POST');
+    const payload = await readJsonBody(request, 64 * 1024);
+
+    const { alert, duplicate } = await store.reportAlert(payload);
+    return jsonResponse({ alert, duplicate }, duplicate ? 200 : 201);
+}
+
+async function handleList(request) {
+    assertMethod(request, 'GET');
+    assertBearerToken(request, process.env.MONITORING_API_TOKEN);
+
+    const query = new URL(request.url).searchParams;
+    const status = query.get('status') || 'all';
+
+    if (!ALERT_STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of: ${ALERT_STATUSES.join(', ')}`);
+    }
+
+    const alerts = await store.listAlerts({
+        status,
+        type: query.get('type'),
+        limit: Math.min(Math.max(Number(query.get('limit')) || 100, 1), 1000)
+    });
+
+    return jsonResponse({ alerts });
+}
+
+async function handleAcknowledge(request, alertId) {
+    assertMethod(request, 'POST');
+    assertBearerToken(request, process.env.MONITORING_API_TOKEN);
+
+    const body = await readJsonBody(request, 4 * 1024, { required: false });
+    const alert = await store.acknowledge(alertId, { by: body.by, note: body.note });
+
+    return jsonResponse({ alert });
+}
+
+export default withErrorHandling(async (request) => {
+    const [first, action, ...rest] = getSubPath(request, MOUNT_PATH);
+
+    if (!first) {
+        return handleList(request);
+    }
+
+    if (first === 'report' && !action) {
+        return handleReport(request);
+    }
+
+    if (action === 'acknowledge' && rest.length === 0) {
+        return handleAcknowledge(request, first);
+    }
+
+    throw new HttpError(404, 'Unknown alerts route');
+});
+
+export const config = {
+    path: [MOUNT_PATH, `${MOUNT_PATH}/*`]
+};
@@ -0,0 +1,66 @@
+/**
+ * Analytics Ingest API
+ * Receives AnalyticsManager batches and serves event count queries
+ */
+import { ANALYTICS_CHANNELS, AnalyticsStore } from '../../server/lib/analyticsStore.js';
+import {
+    HttpError,
+    assertBearerToken,
+    assertMethod,
+    getSubPath,
+    jsonResponse,
+    parseTimeParam,
+    readJsonBody,
+    withErrorHandling
+} from '../../server/lib/http.js';
+
+const MOUNT_PATH = '/api/analytics';
+const MAX_BATCH_BYTES = 1024 * 1024;
+
+const store = new AnalyticsStore();
+
+async function handleIngest(request, channel) {
+    assertMethod(request, 'POST');
+    const payload = await readJsonBody(request, MAX_BATCH_BYTES);
+
+    const result = await store.ingest(payload, channel);
+    return jsonResponse(result, 202);
+}
+
+async function handleCounts(request) {
+    assertMethod(request, 'GET');
+    assertBearerToken(request, process.env.ANALYTICS_QUERY_TOKEN);
+
+    const query = new URL(request.url).searchParams;
+    const names = (query.get('name') || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    const result = await store.countByName({
+        from: parseTimeParam(query.get('from'), 'from'),
+        to: parseTimeParam(query.get('to'), 'to'),
+        channel: query.get('channel'),
+        names
+    });
+
+    return jsonResponse(result);
+}
+
+export default withErrorHandling(async (request) => {
+    const [channel, action] = getSubPath(request, MOUNT_PATH);
+
+    if (channel === 'events' && action === 'counts') {
+        return handleCounts(request);
+    }
+
+    if (ANALYTICS_CHANNELS.includes(channel) && !action) {
+        return handleIngest(request, channel);
+    }
+
+    throw new HttpError(404, 'Unknown analytics route');
+});
+
+export const config = {
+    path: `${MOUNT_PATH}/*`
+};
@@ -0,0 +1,72 @@
+/**
+ * Error Report API
+ * Receives ErrorMonitor reports and exposes grouped errors for triage
+ */
+import { ErrorStore } from '../../server/lib/errorStore.js';
+import {
+    HttpError,
+    assertBearerToken,
+    assertMethod,
+    getSubPath,
+    jsonResponse,
+    parseTimeParam,
+    readJsonBody,
+    withErrorHandling
+} from '../../server/lib/http.js';
+
+const MOUNT_PATH = '/api/errors';
+
+const store = new ErrorStore();
+
+async function handleReport(request) {
+    assertMethod(request, 'POST');
+    const payload = await readJsonBody(request, 256 * 1024);
+
+    const result = await store.ingestReport(payload);
+    return jsonResponse(result, 202);
+}
+
+async function handleListGroups(request) {
+    assertMethod(request, 'GET');
+    assertBearerToken(request, process.env.MONITORING_API_TOKEN);
+
+    const query = new URL(request.url).searchParams;
+    const limit = Math.min(Math.max(Number(query.get('limit')) || 50, 1), 500);
+
+    const groups = await store.listGroups({
+        since: parseTimeParam(query.get('since'), 'since'),
+        severity: query.get('severity'),
+        limit
+    });
+
+    return jsonResponse({ groups });
+}
+
+async function handleGetGroup(request, fingerprint) {
+    assertMethod(request, 'GET');
+    assertBearerToken(request, process.env.MONITORING_API_TOKEN);
+
+    return jsonResponse(await store.getGroup(fingerprint));
+}
+
+export default withErrorHandling(async (request) => {
+    const [resource, fingerprint, ...rest] = getSubPath(request, MOUNT_PATH);
+
+    if (resource === 'report' && !fingerprint) {
+        return handleReport(request);
+    }
+
+    if (resource === 'groups' && !fingerprint) {
+        return handleListGroups(request);
+    }
+
+    if (resource === 'groups' && rest.length === 0) {
+        return handleGetGroup(request, fingerprint);
+    }
+
+    throw new HttpError(404, 'Unknown errors route');
+});
+
+export const config = {
+    path: `${MOUNT_PATH}/*`
+};
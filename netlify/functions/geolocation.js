@@ -0,0 +1,69 @@
+/**
+ * Geolocation API
+ * Country and subdivision of the caller's IP from the local GeoIP database (server/lib/geoIpDatabase.js),
+ * in ipapi.co's response shape so it replaces the browser's third-party lookup.
+ * `/api/geolocation/edge` answers from Netlify's own geo data instead, as annotated by the
+ * geo-validator edge function, so the browser has a second, independent IP provider.
+ */
+import { GeoIpDatabase, getClientIP } from '../../server/lib/geoIpDatabase.js';
+import { getCountryName } from '../../server/lib/regionPolicy.js';
+import { HttpError, assertMethod, getSubPath, jsonResponse, withErrorHandling } from '../../server/lib/http.js';
+
+const MOUNT_PATH = '/api/geolocation';
+const CACHE_HEADERS = { 'Cache-Control': 'private, max-age=300' };
+
+const geoip = new GeoIpDatabase();
+
+async function handleGeoIP(request, context) {
+    const ip = getClientIP(request, context);
+    const location = ip ? await geoip.lookup(ip) : null;
+    if (!location) {
+        throw new HttpError(404, 'No location found for this connection');
+    }
+
+    // Private to the visitor; the IP itself is neither logged nor returned
+    return jsonResponse({ ...location, source: 'geoip' }, 200, CACHE_HEADERS);
+}
+
+/**
+ * The edge function overwrites any client-supplied x-geo-* headers, so these are Netlify's
+ */
+async function handleEdge(request) {
+    const header = name => {
+        const value = request.headers.get(name);
+        return value && value !== 'unknown' ? value : null;
+    };
+
+    const country = header('x-geo-country');
+    if (!country) {
+        throw new HttpError(404, 'No edge location for this connection');
+    }
+
+    return jsonResponse({
+        country_code: country,
+        country_name: getCountryName(country),
+        region_code: header('x-geo-subdivision'),
+        source: 'edge'
+    }, 200, CACHE_HEADERS);
+}
+
+const routes = {
+    '': handleGeoIP,
+    edge: handleEdge
+};
+
+export default withErrorHandling(async (request, context) => {
+    assertMethod(request, 'GET');
+
+    const [route = '', ...rest] = getSubPath(request, MOUNT_PATH);
+    const handler = rest.length === 0 && routes[route];
+    if (!handler) {
+        throw new HttpError(404, `Unknown geolocation route: ${route}`);
+    }
+
+    return handler(request, context);
+});
+
+export const config = {
+    path: [MOUNT_PATH, `${MOUNT_PATH}/edge`]
+};
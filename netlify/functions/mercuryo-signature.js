@@ -0,0 +1,48 @@
+/**
+ * Mercuryo Widget Signing Endpoint
+ * Returns the signature for a destination address and merchant transaction ID
+ */
+import { MercuryoSigner } from '../../server/lib/mercuryoSigner.js';
+import { assertPayoutAddress } from '../../server/lib/networkPolicy.js';
+import { ScreeningPolicy } from '../../server/lib/screeningPolicy.js';
+import {
+    HttpError,
+    assertMethod,
+    jsonResponse,
+    readJsonBody,
+    withErrorHandling
+} from '../../server/lib/http.js';
+
+const signer = new MercuryoSigner();
+const screening = new ScreeningPolicy();
+
+export default withErrorHandling(async (request) => {
+    assertMethod(request, 'POST');
+    const body = await readJsonBody(request, 4 * 1024);
+
+    for (const field of ['address', 'currency', 'network']) {
+        if (!body[field] || typeof body[field] !== 'string') {
+            throw new HttpError(400, `${field} is required`);
+        }
+    }
+
+    // Never sign a widget link for an unknown asset or one that would pay out on the other network mode
+    assertPayoutAddress({ asset: body.currency, network: body.network, address: body.address, allowUnknown: false });
+    await screening.assertAllowed(body.address, {
+        route: 'mercuryo/signature',
+        asset: body.currency,
+        transactionId: body.merchantTransactionId
+    });
+
+    const result = signer.createWidgetSignature({
+        address: body.address,
+        merchantTransactionId: body.merchantTransactionId
+    });
+
+    console.log('Mercuryo signature issued for transaction:', result.merchantTransactionId);
+    return jsonResponse(result);
+});
+
+export const config = {
+    path: '/api/mercuryo/signature'
+};
@@ -0,0 +1,85 @@
+/**
+ * Mercuryo Webhook Receiver
+ * Verifies callback signatures and moves orders through their status lifecycle
+ */
+import { MercuryoSigner } from '../../server/lib/mercuryoSigner.js';
+import { parseMercuryoCallback } from '../../server/lib/mercuryoWebhook.js';
+import { OrderStore } from '../../server/lib/orderStore.js';
+import {
+    HttpError,
+    assertMethod,
+    jsonResponse,
+    readTextBody,
+    withErrorHandling
+} from '../../server/lib/http.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const signer = new MercuryoSigner();
+const orders = new OrderStore();
+
+export default withErrorHandling(async (request) => {
+    assertMethod(request, 'POST');
+
+    // Verify against the raw body: re-serialized JSON would not match the signature
+    const rawBody = await readTextBody(request, MAX_BODY_BYTES);
+
+    if (!signer.verifyCallback(rawBody, request.headers.get('x-signature'))) {
+        console.warn('Rejected Mercuryo callback with invalid signature');
+        throw new HttpError(401, 'Invalid signature');
+    }
+
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be valid JSON');
+    }
+
+    const callback = parseMercuryoCallback(body);
+
+    if (!callback.status) {
+        // Acknowledge unknown statuses so Mercuryo does not retry forever
+        console.warn('Unmapped Mercuryo status:', callback.providerStatus);
+        return jsonResponse({ received: true, applied: false, reason: 'unmapped_status' });
+    }
+
+    const providerFields = {
+        mercuryo: {
+            transactionId: callback.providerTransactionId,
+            status: callback.providerStatus,
+            type: callback.type,
+            cryptoAmount: callback.cryptoAmount,
+            cryptoCurrency: callback.cryptoCurrency,
+            fiatAmount: callback.fiatAmount,
+            fiatCurrency: callback.fiatCurrency
+        }
+    };
+
+    // Orders normally exist already; create one if the callback arrives first
+    await orders.createOrder(callback.merchantTransactionId, {
+        walletAddress: callback.walletAddress,
+        ...providerFields
+    }, 'mercuryo_webhook');
+
+    const { order, applied } = callback.status === 'pending'
+        ? { order: await orders.getOrder(callback.merchantTransactionId), applied: false }
+        : await orders.transition(callback.merchantTransactionId, callback.status, {
+            source: 'mercuryo_webhook',
+            details: { providerStatus: callback.providerStatus, type: callback.type },
+            fields: providerFields
+        });
+
+    console.log(`Mercuryo callback ${callback.providerStatus} for ${order.transactionId}: ${applied ? 'applied' : 'ignored'}`);
+
+    return jsonResponse({
+        received: true,
+        applied,
+        transactionId: order.transactionId,
+        status: order.status
+    });
+});
+
+export const config = {
+    path: '/api/mercuryo/webhook'
+};
@@ -0,0 +1,191 @@
+/**
+ * Order API
+ * Creates orders at checkout, serves them back to the buyer and syncs SimpleSwap exchange status.
+ * Creating an order returns its token; reading, syncing and binding an exchange require it.
+ */
+import { OrderStore, ORDER_STATUSES, sanitizeOrderFields } from '../../server/lib/orderStore.js';
+import { OrderTokens } from '../../server/lib/orderToken.js';
+import { assertCatalogPrice } from '../../server/lib/productPolicy.js';
+import { assertPayoutAddress } from '../../server/lib/networkPolicy.js';
+import { ScreeningPolicy } from '../../server/lib/screeningPolicy.js';
+import { SimpleSwapClient } from '../../server/lib/simpleSwapClient.js';
+import {
+    HttpError,
+    assertBearerToken,
+    assertMethod,
+    getSubPath,
+    jsonResponse,
+    parseTimeParam,
+    readJsonBody,
+    withErrorHandling
+} from '../../server/lib/http.js';
+
+const MOUNT_PATH = '/api/orders';
+
+const store = new OrderStore();
+const client = new SimpleSwapClient();
+const screening = new ScreeningPolicy();
+const tokens = new OrderTokens();
+
+/**
+ * Prefer the region resolved by the geo-validator edge function over the client's claim
+ */
+function resolveRegion(request, claimedRegion) {
+    const country = request.headers.get('x-geo-country');
+    if (!country || country === 'unknown') {
+        return claimedRegion;
+    }
+
+    const subdivision = request.headers.get('x-geo-subdivision');
+    return { country, subdivision: subdivision === 'unknown' ? null : subdivision };
+}
+
+async function handleCreate(request) {
+    const body = await readJsonBody(request, 8 * 1024);
+    store.validateTransactionId(body.transactionId);
+
+    // Only the order's first sync may bind an exchange, after checking where it pays out
+    if (body.exchangeId) {
+        throw new HttpError(400, 'exchangeId is bound with POST /api/orders/:transactionId/sync');
+    }
+
+    // A retried create returns the order only to whoever holds its token
+    const existing = await store.getOrder(body.transactionId);
+    if (existing) {
+        if (!request.headers.get('authorization')) {
+            throw new HttpError(409, 'Order already exists');
+        }
+        tokens.assertValid(request, body.transactionId);
+        return jsonResponse({ order: existing, orderToken: tokens.issue(body.transactionId), duplicate: true });
+    }
+
+    const fields = sanitizeOrderFields({ ...body, region: resolveRegion(request, body.region) });
+    assertCatalogPrice({
+        sku: fields.sku,
+        currency: fields.fiatCurrency,
+        asset: fields.cryptoCurrency,
+        amount: fields.amount
+    });
+
+    assertPayoutAddress({
+        asset: fields.cryptoCurrency,
+        network: fields.network,
+        address: fields.walletAddress,
+        extraId: fields.extraId
+    });
+    await screening.assertAllowed(fields.walletAddress, {
+        route: 'orders',
+        asset: fields.cryptoCurrency,
+        transactionId: body.transactionId
+    });
+
+    const orderToken = tokens.issue(body.transactionId);
+    const order = await store.createOrder(body.transactionId, fields, 'checkout');
+
+    // A BTC order may be created without a wallet and get one from POST /api/addresses with this token
+    return jsonResponse({ order, orderToken, duplicate: false }, 201);
+}
+
+async function handleList(request) {
+    assertBearerToken(request, process.env.MONITORING_API_TOKEN);
+
+    const query = new URL(request.url).searchParams;
+    const status = query.get('status');
+
+    if (status && !ORDER_STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of: ${ORDER_STATUSES.join(', ')}`);
+    }
+
+    if (query.get('exchangeId')) {
+        const order = await store.findByExchangeId(query.get('exchangeId'));
+        return jsonResponse({ orders: order ? [order] : [] });
+    }
+
+    const orders = await store.listOrders({
+        status,
+        since: parseTimeParam(query.get('since'), 'since'),
+        limit: Math.min(Math.max(Number(query.get('limit')) || 100, 1), 1000)
+    });
+
+    return jsonResponse({ orders });
+}
+
+async function handleGet(request, transactionId) {
+    assertMethod(request, 'GET');
+    store.validateTransactionId(transactionId);
+    tokens.assertValid(request, transactionId);
+
+    const order = await store.getOrder(transactionId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+
+    return jsonResponse({ order });
+}
+
+/**
+ * An exchange is bound to an order only when it pays out to the order's wallet
+ * and no other order holds it
+ */
+async function assertExchangeBindable(order, exchange) {
+    if (!order.walletAddress || exchange?.address_to !== order.walletAddress) {
+        throw new HttpError(409, 'Exchange does not pay out to this order\'s wallet');
+    }
+
+    const holder = await store.findByExchangeId(exchange.id);
+    if (holder && holder.transactionId !== order.transactionId) {
+        throw new HttpError(409, 'Exchange belongs to another order');
+    }
+}
+
+/**
+ * Fetch the order's exchange from SimpleSwap and record any status progress.
+ * The first sync names the exchange created for the order, which binds it.
+ */
+async function handleSync(request, transactionId) {
+    assertMethod(request, 'POST');
+    store.validateTransactionId(transactionId);
+    tokens.assertValid(request, transactionId);
+    const body = await readJsonBody(request, 1024, { required: false });
+
+    const order = await store.getOrder(transactionId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+
+    const exchangeId = order.exchangeId || body.exchangeId;
+    if (!exchangeId) {
+        throw new HttpError(409, 'Order has no SimpleSwap exchange');
+    }
+
+    const exchange = await client.getExchange(exchangeId);
+    if (!order.exchangeId) {
+        await assertExchangeBindable(order, exchange);
+    }
+    const result = await store.recordExchange(transactionId, exchange);
+
+    return jsonResponse({ ...result, exchange });
+}
+
+export default withErrorHandling(async (request) => {
+    const [transactionId, action, ...rest] = getSubPath(request, MOUNT_PATH);
+
+    if (!transactionId) {
+        assertMethod(request, 'GET', 'POST');
+        return request.method === 'POST' ? handleCreate(request) : handleList(request);
+    }
+
+    if (!action) {
+        return handleGet(request, transactionId);
+    }
+
+    if (action === 'sync' && rest.length === 0) {
+        return handleSync(request, transactionId);
+    }
+
+    throw new HttpError(404, 'Unknown orders route');
+});
+
+export const config = {
+    path: [MOUNT_PATH, `${MOUNT_PATH}/*`]
+};
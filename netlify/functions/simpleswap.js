@@ -0,0 +1,117 @@
+/**
+ * SimpleSwap API Proxy
+ * Exposes estimate, exchange, exchange status and currency routes without revealing the API key
+ */
+import { SimpleSwapClient } from '../../server/lib/simpleSwapClient.js';
+import { assertCatalogPrice } from '../../server/lib/productPolicy.js';
+import { assertPayoutAddress } from '../../server/lib/networkPolicy.js';
+import { ScreeningPolicy } from '../../server/lib/screeningPolicy.js';
+import { normalizeExchangeStatus } from '../../src/js/exchangeStatusTracker.js';
+import {
+    HttpError,
+    assertBearerToken,
+    assertMethod,
+    getSubPath,
+    jsonResponse,
+    readJsonBody,
+    withErrorHandling
+} from '../../server/lib/http.js';
+
+const MOUNT_PATH = '/api/simpleswap';
+const CURRENCIES_TTL = 60 * 60 * 1000; // 1 hour
+
+const client = new SimpleSwapClient();
+const screening = new ScreeningPolicy();
+let currenciesCache = null;
+
+async function handleEstimate(request) {
+    assertMethod(request, 'GET');
+    const query = new URL(request.url).searchParams;
+
+    const estimate = await client.getEstimated({
+        currencyFrom: query.get('currency_from'),
+        currencyTo: query.get('currency_to'),
+        amount: query.get('amount'),
+        fixed: query.get('fixed')
+    });
+
+    return jsonResponse(estimate);
+}
+
+async function handleExchange(request, exchangeId) {
+    if (exchangeId) {
+        return handleExchangeStatus(request, exchangeId);
+    }
+
+    assertMethod(request, 'POST');
+    const body = await readJsonBody(request);
+    client.validateExchange(body);
+
+    // Every exchange names a catalog SKU, so the amount is always checked against its price
+    assertCatalogPrice({
+        sku: body.sku,
+        currency: body.currency_from,
+        asset: body.currency_to,
+        amount: body.amount
+    });
+
+    assertPayoutAddress({ asset: body.currency_to, address: body.address_to, extraId: body.extra_id_to });
+    await screening.assertAllowed([body.address_to, body.user_refund_address], {
+        route: 'simpleswap/exchange',
+        asset: body.currency_to
+    });
+
+    const exchange = await client.createExchange(body);
+    return jsonResponse(exchange, 201);
+}
+
+/**
+ * An exchange carries its deposit and payout addresses, so only support reads it here. Buyers
+ * follow theirs through /api/orders/:transactionId/sync with the order token.
+ */
+async function handleExchangeStatus(request, exchangeId) {
+    assertMethod(request, 'GET');
+    assertBearerToken(request, process.env.MONITORING_API_TOKEN);
+
+    const exchange = await client.getExchange(exchangeId);
+    return jsonResponse({
+        ...exchange,
+        normalized_status: normalizeExchangeStatus(exchange?.status)
+    });
+}
+
+async function handleCurrencies(request) {
+    assertMethod(request, 'GET');
+
+    if (!currenciesCache || Date.now() - currenciesCache.timestamp > CURRENCIES_TTL) {
+        currenciesCache = {
+            data: await client.getAllCurrencies(),
+            timestamp: Date.now()
+        };
+    }
+
+    return jsonResponse(currenciesCache.data, 200, {
+        'Cache-Control': 'public, max-age=3600'
+    });
+}
+
+const routes = {
+    estimate: handleEstimate,
+    exchange: handleExchange,
+    currencies: handleCurrencies
+};
+
+export default withErrorHandling(async (request) => {
+    const [route, ...rest] = getSubPath(request, MOUNT_PATH);
+    const handler = routes[route];
+
+    if (!handler) {
+        throw new HttpError(404, `Unknown SimpleSwap route: ${route || '/'}`);
+    }
+
+    return handler(request, ...rest);
+});
+
+export const config = {
+    path: `${MOUNT_PATH}/*`
+};
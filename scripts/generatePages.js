@@ -0,0 +1,293 @@
+/**
+ * Checkout Page Generator
+ * Renders pages/checkout.html once per variant in pages/variants/*.json into static pages.
+ * The generated pages are committed; run this after changing the template or a variant.
+ *
+ * Usage:
+ *   node scripts/generatePages.js                      # write every variant into src/
+ *   node scripts/generatePages.js --variant bitcoin    # only the listed variant(s)
+ *   node scripts/generatePages.js --out /tmp/pages     # write somewhere else
+ *   node scripts/generatePages.js --check              # fail if a committed page is out of date
+ */
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createConfig } from '../src/config/appConfig.js';
+import { MAX_LABEL_LENGTH } from '../src/js/addressBook.js';
+import { AddressScreener } from '../src/js/addressScreening.js';
+import { checkAddress, checkExtraId, getAsset } from '../src/js/assetRegistry.js';
+import { CHECKOUT_FLOWS, OPEN_MODES, WALLET_MODES, copyTokens, interpolateCopy } from '../src/js/checkoutPage.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PAGES_DIR = path.join(ROOT_DIR, 'pages');
+const VARIANTS_DIR = path.join(PAGES_DIR, 'variants');
+const SCREENING_LIST = path.join(ROOT_DIR, 'src', 'data', 'screening-list.json');
+
+// Copy every variant gets unless it overrides it
+const DEFAULT_COPY = {
+    providerBadge: 'Recommended',
+    buttonText: 'Buy Crypto',
+    loaderText: 'Processing...',
+    serviceName: 'This service',
+    poweredBy: ['SimpleSwap', 'Mercuryo'],
+    securityInfo: ['🔐 Bank-grade security', '⚡ Instant processing'],
+    walletLabel: '{assetName} Wallet Address:',
+    walletInputLabel: 'Your {assetName} Address:',
+    walletPlaceholder: 'Enter your {assetCode} wallet address',
+    redirectMessage: 'Redirecting to secure payment processor...'
+};
+
+const { values: options } = parseArgs({
+    options: {
+        'variant': { type: 'string', multiple: true },
+        'out': { type: 'string', default: 'src' },
+        'check': { type: 'boolean', default: false }
+    }
+});
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Collect every problem with a variant definition, so one run reports them all
+ */
+function validateVariant(variant, file, screener) {
+    const problems = [];
+    const require = (condition, message) => condition || problems.push(`${file}: ${message}`);
+
+    require(/^[a-z0-9-]+$/.test(variant.id || ''), 'id must be lowercase letters, digits and dashes');
+    require(file === `${variant.id}.json`, 'file name must be <id>.json');
+    require(/^[a-z0-9-]+\.html$/.test(variant.output || ''), 'output must be a plain .html file name');
+    require(CHECKOUT_FLOWS.includes(variant.flow), `flow must be one of ${CHECKOUT_FLOWS.join(', ')}`);
+    require(OPEN_MODES.includes(variant.open), `open must be one of ${OPEN_MODES.join(', ')}`);
+    require(WALLET_MODES.includes(variant.wallet?.mode), `wallet.mode must be one of ${WALLET_MODES.join(', ')}`);
+
+    try {
+        const { TRANSACTION, NETWORK_MODE } = createConfig({ overrides: variant.config || {} });
+
+        // The asset comes from config.TRANSACTION, so a fixed wallet must be on that asset's network and mode
+        if (variant.wallet?.mode === 'fixed') {
+            const result = checkAddress(TRANSACTION.CRYPTO_CURRENCY, variant.wallet.address || '', TRANSACTION.NETWORK, NETWORK_MODE);
+            require(result.isValid, result.reason === 'network'
+                ? `wallet.address is a ${result.network} address but NETWORK_MODE is ${NETWORK_MODE}`
+                : `wallet.address is not a valid ${TRANSACTION.CRYPTO_CURRENCY} address on ${TRANSACTION.NETWORK}`);
+
+            const extraId = checkExtraId(TRANSACTION.CRYPTO_CURRENCY, variant.wallet.extraId, TRANSACTION.NETWORK);
+            require(extraId.isValid, extraId.reason === 'unsupported'
+                ? `wallet.extraId is set but ${TRANSACTION.CRYPTO_CURRENCY} on ${TRANSACTION.NETWORK} has no extra ID`
+                : `wallet.extraId is ${extraId.reason === 'required' ? 'required' : 'not valid'} for ${TRANSACTION.CRYPTO_CURRENCY} on ${TRANSACTION.NETWORK}`);
+
+            const screening = screener.screen(variant.wallet.address || '', { variant: variant.id });
+            require(screening.allowed, `wallet.address is blocked (${screening.reasons.join('; ')})`);
+        }
+
+        // /api/addresses only derives Bitcoin addresses
+        if (variant.wallet?.mode === 'derived') {
+            const { code, network } = getAsset(TRANSACTION.CRYPTO_CURRENCY, TRANSACTION.NETWORK);
+            require(code === 'BTC' && network === 'bitcoin', 'wallet.mode derived needs BTC on bitcoin');
+        }
+    } catch (error) {
+        problems.push(`${file}: ${error.message}`);
+    }
+
+    return problems;
+}
+
+async function loadVariants() {
+    const files = (await readdir(VARIANTS_DIR)).filter(file => file.endsWith('.json')).sort();
+    const variants = [];
+    const problems = [];
+    const screener = new AddressScreener(JSON.parse(await readFile(SCREENING_LIST, 'utf8')), { onMatch: () => {} });
+
+    for (const file of files) {
+        const variant = JSON.parse(await readFile(path.join(VARIANTS_DIR, file), 'utf8'));
+        problems.push(...validateVariant(variant, file, screener));
+        variants.push(variant);
+    }
+
+    const outputs = variants.map(variant => variant.output);
+    outputs.forEach((output, index) => {
+        if (outputs.indexOf(output) !== index) {
+            problems.push(`Two variants write ${output}`);
+        }
+    });
+
+    if (problems.length) {
+        throw new Error(`Invalid page variants:\n  ${problems.join('\n  ')}`);
+    }
+
+    return variants;
+}
+
+function renderWalletSection(variant, copy) {
+    const { wallet } = variant;
+
+    if (wallet.mode === 'fixed') {
+        const lines = [
+            '            <!-- Wallet Address Display -->',
+            '            <div class="wallet-section">',
+            `                <label for="walletDisplay" id="walletLabel">${escapeHTML(copy.walletLabel)}</label>`,
+            `                <div class="wallet-display" id="walletDisplay">${escapeHTML(wallet.address)}</div>`
+        ];
+
+        if (wallet.extraId) {
+            const { TRANSACTION } = createConfig({ overrides: variant.config || {} });
+            const { name } = getAsset(TRANSACTION.CRYPTO_CURRENCY, TRANSACTION.NETWORK).extraId;
+            lines.push(`                <div class="wallet-extra-id" id="extraIdDisplay">${escapeHTML(name)}: ${escapeHTML(wallet.extraId)}</div>`);
+        }
+
+        lines.push(
+            `                <div class="wallet-info">${escapeHTML(wallet.info || '')}</div>`,
+            '                <div class="wallet-qr" id="walletQr" hidden></div>',
+            '            </div>'
+        );
+        return lines.join('\n');
+    }
+
+    if (wallet.mode === 'derived') {
+        return [
+            '            <!-- Receive Address, issued per order by /api/addresses -->',
+            '            <div class="wallet-section">',
+            `                <label for="walletDisplay" id="walletLabel">${escapeHTML(copy.walletLabel)}</label>`,
+            '                <div class="wallet-display" id="walletDisplay">Issued when you buy</div>',
+            `                <div class="wallet-info">${escapeHTML(wallet.info || '')}</div>`,
+            '                <div class="wallet-qr" id="walletQr" hidden></div>',
+            '            </div>'
+        ].join('\n');
+    }
+
+    const lines = [
+        '            <!-- Wallet Address Input -->',
+        '            <div class="wallet-section">',
+        `                <label for="walletInput" id="walletLabel">${escapeHTML(copy.walletInputLabel)}</label>`,
+        `                <input type="text" id="walletInput" placeholder="${escapeHTML(copy.walletPlaceholder)}" class="wallet-input">`,
+        '                <div class="wallet-validation" id="walletValidation"></div>',
+        '                <!-- Memo / destination tag, shown for assets whose registry entry has an extraId rule -->',
+        '                <div class="extra-id-field" id="extraIdField" hidden>',
+        '                    <label for="extraIdInput" id="extraIdLabel"></label>',
+        '                    <input type="text" id="extraIdInput" class="wallet-input" autocomplete="off" spellcheck="false">',
+        '                    <div class="wallet-validation" id="extraIdValidation"></div>',
+        '                </div>',
+        '                <div class="wallet-qr" id="walletQr" hidden></div>',
+        '                <!-- Saved addresses (src/js/addressBook.js), shown where the browser supports them -->',
+        '                <div class="address-book" id="addressBook" hidden>',
+        '                    <select id="savedAddressSelect" class="address-book-select" aria-label="Saved addresses"></select>',
+        '                    <button type="button" id="deleteSavedAddress" class="address-book-button" disabled>Delete</button>',
+        '                    <button type="button" id="exportSavedAddresses" class="address-book-button">Export</button>',
+        '                </div>',
+        '                <div class="address-book-save" id="addressBookSave" hidden>',
+        `                    <input type="text" id="savedAddressLabel" class="address-book-label" placeholder="Label, e.g. My hardware wallet" maxlength="${MAX_LABEL_LENGTH}" aria-label="Label for this address">`,
+        '                    <label class="address-book-verified"><input type="checkbox" id="savedAddressVerified"> I checked this address in my wallet</label>',
+        '                    <button type="button" id="saveAddress" class="address-book-button">Save address</button>',
+        '                </div>'
+    ];
+
+    if (wallet.help?.length) {
+        const links = wallet.help
+            .map(({ name, url }) => `<a href="${escapeHTML(url)}" target="_blank" rel="noopener">${escapeHTML(name)}</a>`)
+            .join(' or ');
+        lines.push(
+            '                <div class="wallet-help">',
+            `                    <small>💡 Don't have a wallet? Try ${links}</small>`,
+            '                </div>'
+        );
+    }
+
+    lines.push('            </div>');
+    return lines.join('\n');
+}
+
+/**
+ * Render one variant. Copy strings may use the tokens of copyTokens (src/js/checkoutPage.js);
+ * the page fills them in for the configured transaction, and the embedded copy keeps them
+ * so the page can fill them in again when the buyer changes asset, product or currency.
+ */
+function renderPage(template, variant) {
+    const config = createConfig({ overrides: variant.config || {} });
+    const tokens = copyTokens(config.TRANSACTION, config.NETWORK_MODE);
+    const interpolate = value => Array.isArray(value)
+        ? value.map(interpolate)
+        : interpolateCopy(value, tokens);
+
+    const rawCopy = { ...DEFAULT_COPY, ...variant.copy };
+    const copy = Object.fromEntries(Object.entries(rawCopy).map(([key, value]) => [key, interpolate(value)]));
+    const pageVariant = { ...variant, copy: rawCopy };
+
+    const values = {
+        generatedNotice: `Generated by scripts/generatePages.js from pages/variants/${variant.id}.json - edit those, not this file`,
+        amount: tokens.amount,
+        walletSection: renderWalletSection(variant, copy),
+        poweredBy: copy.poweredBy.map(name => `<strong>${escapeHTML(name)}</strong>`).join(' & '),
+        securityInfo: copy.securityInfo.map(item => `                    <span>${escapeHTML(item)}</span>`).join('\n'),
+        // Keep "</script>" in copy from closing the JSON block
+        variantJson: JSON.stringify(pageVariant, null, 4).replace(/</g, '\\u003c')
+    };
+    const lookup = key => key.split('.').reduce((value, part) => value?.[part], { ...values, copy });
+
+    return template
+        .replace(/\{\{\{([\w.]+)\}\}\}/g, (match, key) => lookup(key) ?? '')
+        .replace(/\{\{([\w.]+)\}\}/g, (match, key) => escapeHTML(lookup(key) ?? ''));
+}
+
+async function readExisting(file) {
+    try {
+        return await readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+const template = await readFile(path.join(PAGES_DIR, 'checkout.html'), 'utf8');
+const outDir = path.resolve(ROOT_DIR, options.out);
+
+let variants;
+try {
+    variants = await loadVariants();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+if (options.variant) {
+    const unknown = options.variant.filter(id => !variants.some(variant => variant.id === id));
+    if (unknown.length) {
+        console.error(`Unknown variant(s): ${unknown.join(', ')}`);
+        process.exit(1);
+    }
+    variants = variants.filter(variant => options.variant.includes(variant.id));
+}
+
+let stale = 0;
+await mkdir(outDir, { recursive: true });
+
+for (const variant of variants) {
+    const html = renderPage(template, variant);
+    const file = path.join(outDir, variant.output);
+    const relative = path.relative(ROOT_DIR, file);
+
+    if (options.check) {
+        if (await readExisting(file) !== html) {
+            console.error(`Out of date: ${relative} (variant ${variant.id})`);
+            stale++;
+        }
+        continue;
+    }
+
+    await writeFile(file, html, 'utf8');
+    console.log(`Wrote ${relative} (variant ${variant.id}, ${variant.flow})`);
+}
+
+if (options.check) {
+    if (stale) {
+        console.error('Run "npm run pages:build" and commit the result.');
+        process.exit(1);
+    }
+    console.log(`All ${variants.length} generated page(s) are up to date.`);
+}
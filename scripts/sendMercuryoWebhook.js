@@ -0,0 +1,71 @@
+/**
+ * Fake Mercuryo Webhook Sender
+ * Posts signed Mercuryo-style callbacks to a local webhook receiver for testing.
+ *
+ * Usage:
+ *   MERCURYO_SIGN_KEY=dev_key node scripts/sendMercuryoWebhook.js --transaction-id tx_1700000000000_abc123def --status paid
+ *   MERCURYO_SIGN_KEY=dev_key node scripts/sendMercuryoWebhook.js --sequence pending,paid,completed
+ *   MERCURYO_SIGN_KEY=dev_key node scripts/sendMercuryoWebhook.js --status paid --bad-signature
+ */
+import { randomBytes } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { MercuryoSigner } from '../server/lib/mercuryoSigner.js';
+import { buildMercuryoCallback } from '../server/lib/mercuryoWebhook.js';
+
+const { values: options } = parseArgs({
+    options: {
+        'url': { type: 'string', default: 'http://localhost:8888/api/mercuryo/webhook' },
+        'transaction-id': { type: 'string' },
+        'status': { type: 'string', default: 'paid' },
+        'sequence': { type: 'string' },
+        'type': { type: 'string', default: 'buy' },
+        'address': { type: 'string', default: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' },
+        'currency': { type: 'string', default: 'BTC' },
+        'amount': { type: 'string', default: '0.00031' },
+        'fiat-currency': { type: 'string', default: 'EUR' },
+        'fiat-amount': { type: 'string', default: '19.50' },
+        'bad-signature': { type: 'boolean', default: false }
+    }
+});
+
+const transactionId = options['transaction-id'] ||
+    `tx_${Date.now()}_${randomBytes(6).toString('hex').slice(0, 9)}`;
+const providerId = randomBytes(8).toString('hex');
+const signer = new MercuryoSigner();
+
+function buildCallback(status) {
+    return buildMercuryoCallback({
+        providerId,
+        status,
+        merchantTransactionId: transactionId,
+        type: options.type,
+        address: options.address,
+        currency: options.currency,
+        amount: options.amount,
+        fiatCurrency: options['fiat-currency'],
+        fiatAmount: options['fiat-amount']
+    });
+}
+
+async function send(status) {
+    const body = JSON.stringify(buildCallback(status));
+    const signature = options['bad-signature'] ? '0'.repeat(64) : signer.signCallback(body);
+
+    const response = await fetch(options.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Signature': signature
+        },
+        body
+    });
+
+    console.log(`${status} -> HTTP ${response.status}`, await response.text());
+}
+
+const statuses = options.sequence ? options.sequence.split(',') : [options.status];
+console.log(`Sending Mercuryo callbacks for ${transactionId} to ${options.url}`);
+
+for (const status of statuses) {
+    await send(status.trim());
+}
@@ -0,0 +1,77 @@
+/**
+ * SimpleSwap Exchange Lookup
+ * Prints the current normalized status of an exchange, or follows it until it settles.
+ * Goes through the deployed API proxy, so no SimpleSwap API key is needed; the proxy only answers
+ * with the support token (MONITORING_API_TOKEN, or --token).
+ *
+ * Usage:
+ *   node scripts/trackExchange.js --id abc123def456
+ *   node scripts/trackExchange.js --id abc123def456 --follow
+ *   node scripts/trackExchange.js --id abc123def456 --url https://checkout.example.com/api/simpleswap
+ */
+import { parseArgs } from 'node:util';
+import { ExchangeStatusTracker, normalizeExchangeStatus } from '../src/js/exchangeStatusTracker.js';
+
+const { values: options } = parseArgs({
+    options: {
+        'url': { type: 'string', default: 'http://localhost:8888/api/simpleswap' },
+        'id': { type: 'string' },
+        'follow': { type: 'boolean', default: false },
+        'interval': { type: 'string', default: '10000' },
+        'token': { type: 'string', default: process.env.MONITORING_API_TOKEN }
+    }
+});
+
+if (!options.id) {
+    console.error('Missing --id <exchangeId>');
+    process.exit(1);
+}
+
+async function fetchExchange(exchangeId) {
+    const response = await fetch(`${options.url.replace(/\/$/, '')}/exchange/${encodeURIComponent(exchangeId)}`, {
+        headers: options.token ? { 'Authorization': `Bearer ${options.token}` } : {}
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${data?.error || 'request failed'}`);
+    }
+
+    return data;
+}
+
+function describe(exchange) {
+    return [
+        `status=${normalizeExchangeStatus(exchange.status) || 'unknown'} (raw: ${exchange.status})`,
+        `${exchange.amount_from} ${exchange.currency_from} -> ${exchange.amount_to || exchange.expected_amount} ${exchange.currency_to}`,
+        `to=${exchange.address_to}`,
+        `tx_from=${exchange.tx_from || '-'}`,
+        `tx_to=${exchange.tx_to || '-'}`,
+        `updated=${exchange.updated_at || '-'}`
+    ].join('\n  ');
+}
+
+if (!options.follow) {
+    const exchange = await fetchExchange(options.id);
+    console.log(`Exchange ${options.id}\n  ${describe(exchange)}`);
+} else {
+    const tracker = new ExchangeStatusTracker(fetchExchange, {
+        initialInterval: Number(options.interval)
+    });
+
+    tracker.on('status', ({ previous, exchange }) => {
+        console.log(`[${new Date().toISOString()}] ${previous || 'start'} -> ${describe(exchange)}`);
+    });
+
+    tracker.on('error', ({ error, attempts }) => {
+        console.warn(`Poll failed (${attempts}): ${error.message}`);
+    });
+
+    tracker.on('stopped', ({ reason, status }) => {
+        console.log(`Stopped: ${reason} (last status: ${status || 'unknown'})`);
+        process.exitCode = ['finished', 'refunded'].includes(reason) ? 0 : 1;
+    });
+
+    console.log(`Following exchange ${options.id} via ${options.url}`);
+    tracker.track(options.id);
+}
@@ -0,0 +1,139 @@
+/**
+ * GeoIP Database Update
+ * Installs the MaxMind DB file behind /api/geolocation (server/lib/geoIpDatabase.js), from a local
+ * .mmdb / .tar.gz or downloaded from MaxMind. The file is checked with the reader before it
+ * replaces the current one.
+ *
+ * Usage:
+ *   node scripts/updateGeoIpDatabase.js --file GeoLite2-Country.mmdb
+ *   node scripts/updateGeoIpDatabase.js --file GeoLite2-Country_20261014.tar.gz
+ *   MAXMIND_ACCOUNT_ID=... MAXMIND_LICENSE_KEY=... node scripts/updateGeoIpDatabase.js --download
+ *   node scripts/updateGeoIpDatabase.js --download --optional                    # build: skip without credentials
+ *   node scripts/updateGeoIpDatabase.js --lookup 203.0.113.10                    # test the installed file
+ */
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { gunzipSync } from 'node:zlib';
+import { DEFAULT_GEOIP_DB_PATH, toLocation } from '../server/lib/geoIpDatabase.js';
+import { MMDBReader } from '../server/lib/mmdbReader.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DOWNLOAD_URL = 'https://download.maxmind.com/geoip/databases/{edition}/download?suffix=tar.gz';
+
+const { values: options } = parseArgs({
+    options: {
+        'db': { type: 'string', default: process.env.GEOIP_DB_PATH || path.join(ROOT_DIR, DEFAULT_GEOIP_DB_PATH) },
+        'file': { type: 'string' },
+        'download': { type: 'boolean', default: false },
+        'edition': { type: 'string', default: 'GeoLite2-Country' },
+        'optional': { type: 'boolean', default: false },
+        'lookup': { type: 'string' }
+    }
+});
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+/**
+ * With --optional, a download that cannot happen leaves /api/geolocation answering 503 instead of
+ * failing the deploy; the page then relies on the edge provider, GPS and the timezone
+ */
+function failDownload(message) {
+    if (!options.optional) {
+        fail(message);
+    }
+    console.warn(`Warning: ${message}`);
+    console.warn('Skipping the GeoIP database: /api/geolocation will answer 503 and the page falls back to the edge geo provider');
+    process.exit(0);
+}
+
+/**
+ * The first .mmdb file in a tar archive (MaxMind ships <edition>_<date>/<edition>.mmdb)
+ */
+function extractMmdb(tar) {
+    for (let offset = 0; offset + 512 <= tar.length;) {
+        const header = tar.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const name = [field(345, 155), field(0, 100)].filter(Boolean).join('/');
+        const size = parseInt(field(124, 12).trim(), 8) || 0;
+        const type = field(156, 1);
+
+        offset += 512;
+        if ((type === '0' || type === '') && name.endsWith('.mmdb')) {
+            return tar.subarray(offset, offset + size);
+        }
+        offset += Math.ceil(size / 512) * 512;
+    }
+    throw new Error('No .mmdb file in the archive');
+}
+
+async function download(edition) {
+    const { MAXMIND_ACCOUNT_ID: accountId, MAXMIND_LICENSE_KEY: licenseKey } = process.env;
+    if (!accountId || !licenseKey) {
+        failDownload('--download needs MAXMIND_ACCOUNT_ID and MAXMIND_LICENSE_KEY');
+    }
+
+    const response = await fetch(DOWNLOAD_URL.replace('{edition}', encodeURIComponent(edition)), {
+        headers: { Authorization: `Basic ${Buffer.from(`${accountId}:${licenseKey}`).toString('base64')}` },
+        signal: AbortSignal.timeout(120000)
+    });
+    if (!response.ok) {
+        throw new Error(`MaxMind download failed: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+function describe(reader) {
+    const { database_type: type, build_epoch: buildEpoch, ip_version: ipVersion, node_count: nodeCount } = reader.metadata;
+    return `${type}, IPv${ipVersion}, ${nodeCount} nodes, built ${new Date(buildEpoch * 1000).toISOString().slice(0, 10)}`;
+}
+
+if (options.lookup) {
+    try {
+        const reader = new MMDBReader(await readFile(options.db));
+        const record = reader.get(options.lookup);
+        console.log(`${path.relative(process.cwd(), options.db)}: ${describe(reader)}`);
+        console.log(record ? toLocation(record) : `${options.lookup}: not in the database`);
+        process.exit(record ? 0 : 2);
+    } catch (error) {
+        fail(`Lookup failed: ${error.message}`);
+    }
+}
+
+if (!options.file && !options.download) {
+    fail('Missing --file <path> or --download (or --lookup <ip>)');
+}
+
+let database;
+try {
+    const input = options.download ? await download(options.edition) : await readFile(options.file);
+    const archive = options.download || /\.(tar\.gz|tgz)$/i.test(options.file);
+    database = archive ? extractMmdb(gunzipSync(input)) : input;
+} catch (error) {
+    (options.download ? failDownload : fail)(`Cannot read the database: ${error.message}`);
+}
+
+let reader;
+try {
+    reader = new MMDBReader(database);
+} catch (error) {
+    fail(`Not a usable MaxMind DB: ${error.message}`);
+}
+
+// City editions are ~70 MB, which the function has to bundle and read on every cold start
+if (!/country/i.test(reader.metadata.database_type)) {
+    console.warn(`Warning: ${reader.metadata.database_type} is much larger than a Country edition; check the function bundle size`);
+}
+
+// Write then rename, so the function never reads a half-written file
+await mkdir(path.dirname(options.db), { recursive: true });
+const tempPath = `${options.db}.tmp`;
+await writeFile(tempPath, database);
+await rename(tempPath, options.db);
+console.log(`Wrote ${path.relative(process.cwd(), options.db)}: ${describe(reader)}`);
@@ -0,0 +1,120 @@
+/**
+ * Screening List Update
+ * Replaces one source's entries in src/data/screening-list.json from a file and bumps the list version.
+ * Other sources are kept, so updating the OFAC entries leaves the internal blocklist alone.
+ *
+ * Usage:
+ *   node scripts/updateScreeningList.js --file SDN.CSV --format ofac-sdn         # OFAC's SDN.CSV export
+ *   node scripts/updateScreeningList.js --file blocklist.csv --source internal   # address,chain,source,reason,reference
+ *   node scripts/updateScreeningList.js --file entries.json --source internal    # [{ address, chain, reason, reference }]
+ *   node scripts/updateScreeningList.js --file SDN.CSV --format ofac-sdn --dry-run
+ *   node scripts/updateScreeningList.js --check 0x1234...                        # screen one address
+ *   node scripts/updateScreeningList.js --verify                                 # deploy gate: warn without OFAC entries
+ *   SCREENING_REQUIRE_OFAC=true node scripts/updateScreeningList.js --verify     # ... or fail the deploy
+ */
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+    AddressScreener,
+    SCREENING_SOURCES,
+    createScreeningList,
+    parseScreeningEntries,
+    replaceSourceEntries
+} from '../src/js/addressScreening.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const { values: options } = parseArgs({
+    options: {
+        'list': { type: 'string', default: path.join(ROOT_DIR, 'src', 'data', 'screening-list.json') },
+        'file': { type: 'string' },
+        'format': { type: 'string' },
+        'source': { type: 'string' },
+        'check': { type: 'string' },
+        'verify': { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        'force': { type: 'boolean', default: false }
+    }
+});
+
+async function readList(listPath) {
+    try {
+        return JSON.parse(await readFile(listPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return createScreeningList();
+        throw new Error(`Cannot read ${listPath}: ${error.message}`);
+    }
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+const list = await readList(options.list).catch(error => fail(error.message));
+
+if (options.check) {
+    const result = new AddressScreener(list, { onMatch: () => {} }).screen(options.check);
+    console.log(result.allowed
+        ? `${options.check}: not listed (list v${result.listVersion})`
+        : `${options.check}: BLOCKED (list v${result.listVersion})\n  ${result.reasons.join('\n  ')}`);
+    process.exit(result.allowed ? 0 : 2);
+}
+
+// Run by the Netlify build: a list without OFAC SDN addresses screens nothing. The list ships
+// empty, so this only fails the deploy once SCREENING_REQUIRE_OFAC=true is set for the site.
+if (options.verify) {
+    const ofacCount = list.entries.filter(entry => entry.source === SCREENING_SOURCES.OFAC_SDN).length;
+    if (ofacCount === 0) {
+        const message = `${path.relative(process.cwd(), options.list)} has no ${SCREENING_SOURCES.OFAC_SDN} addresses (list v${list.version ?? 0}).\n` +
+            'Import the current SDN list: npm run screening:update -- --file SDN.CSV --format ofac-sdn';
+        if (process.env.SCREENING_REQUIRE_OFAC === 'true') {
+            fail(message);
+        }
+        console.warn(`Warning: ${message}`);
+        process.exit(0);
+    }
+    console.log(`Screening list v${list.version}: ${list.entries.length} addresses, ${ofacCount} from ${SCREENING_SOURCES.OFAC_SDN}, updated ${list.updatedAt}`);
+    process.exit(0);
+}
+
+if (!options.file) {
+    fail('Missing --file <path> (or --check <address>, --verify)');
+}
+
+const format = options.format || (options.file.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+const source = options.source || (format === 'ofac-sdn' ? SCREENING_SOURCES.OFAC_SDN : SCREENING_SOURCES.INTERNAL);
+if (!/^[a-z0-9-]+$/.test(source)) {
+    fail(`Invalid --source ${source}: use lowercase letters, digits and dashes`);
+}
+
+let entries;
+try {
+    entries = parseScreeningEntries(await readFile(options.file, 'utf8'), format, { source });
+} catch (error) {
+    fail(`Cannot import ${options.file}: ${error.message}`);
+}
+
+const previous = list.entries.filter(entry => entry.source === source).length;
+
+// An empty import of a populated source is usually a truncated download, not a delisting
+if (entries.length === 0 && previous > 0 && !options.force) {
+    fail(`${options.file} has no addresses but ${source} has ${previous}; use --force to clear it`);
+}
+
+const updated = replaceSourceEntries(list, source, entries, { file: path.basename(options.file) });
+const count = updated.sources[source].count;
+console.log(`${source}: ${previous} -> ${count} addresses (${entries.length - count} duplicates dropped)`);
+console.log(`List version ${list.version ?? 0} -> ${updated.version}, ${updated.entries.length} addresses in total`);
+
+if (options['dry-run']) {
+    console.log('Dry run: nothing written');
+} else {
+    // Write then rename, so a reader never sees a half-written list
+    const tempPath = `${options.list}.tmp`;
+    await writeFile(tempPath, `${JSON.stringify(updated, null, 4)}\n`, 'utf8');
+    await rename(tempPath, options.list);
+    console.log(`Wrote ${path.relative(process.cwd(), options.list)}`);
+}
@@ -0,0 +1,242 @@
+/**
+ * Local Development Server
+ * Serves the static checkout and runs the Netlify edge functions and functions on one port
+ */
+import http from 'node:http';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FUNCTIONS_DIR = path.join(ROOT_DIR, 'netlify', 'functions');
+const EDGE_FUNCTIONS_DIR = path.join(ROOT_DIR, 'netlify', 'edge-functions');
+const STATIC_DIR = path.resolve(ROOT_DIR, process.env.STATIC_DIR || 'src');
+const PORT = Number(process.env.PORT) || 8888;
+
+// Let edge functions read x-debug-geo-* headers locally (never enable in production)
+process.env.GEO_ALLOW_HEADER_OVERRIDE ??= 'true';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Convert a Netlify path pattern (`/a/:id`, `/a/*`) to a matcher
+ */
+export function compilePathPattern(pattern) {
+    const keys = [];
+    const source = pattern
+        .split('/')
+        .map(segment => {
+            if (segment === '*') {
+                return '(?:/.*)?';
+            }
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '/([^/]+)';
+            }
+            return segment ? `/${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&')}` : '';
+        })
+        .join('');
+
+    const regex = new RegExp(`^${source || '/'}/?$`);
+
+    return (pathname) => {
+        const match = regex.exec(pathname);
+        if (!match) return null;
+
+        return Object.fromEntries(keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+    };
+}
+
+/**
+ * Import every function module and index it by its configured paths
+ */
+async function loadFunctionRoutes() {
+    const routes = [];
+    const files = (await readdir(FUNCTIONS_DIR)).filter(file => file.endsWith('.js'));
+
+    for (const file of files) {
+        const module = await import(pathToFileURL(path.join(FUNCTIONS_DIR, file)).href);
+        const paths = [].concat(module.config?.path || []);
+
+        if (typeof module.default !== 'function' || paths.length === 0) {
+            console.warn(`Skipping function without default export or config.path: ${file}`);
+            continue;
+        }
+
+        paths.forEach(pattern => {
+            routes.push({ name: file, pattern, match: compilePathPattern(pattern), handler: module.default });
+        });
+    }
+
+    return routes;
+}
+
+/**
+ * Import the edge functions declared with [[edge_functions]] in netlify.toml
+ */
+async function loadEdgeRoutes() {
+    const toml = await readFile(path.join(ROOT_DIR, 'netlify.toml'), 'utf8');
+    const declarations = toml.split(/^\[\[edge_functions\]\]/m).slice(1);
+    const routes = [];
+
+    for (const block of declarations) {
+        const name = /^\s*function\s*=\s*"([^"]+)"/m.exec(block)?.[1];
+        const pattern = /^\s*path\s*=\s*"([^"]+)"/m.exec(block)?.[1];
+        if (!name || !pattern) continue;
+
+        const module = await import(pathToFileURL(path.join(EDGE_FUNCTIONS_DIR, `${name}.js`)).href);
+        routes.push({ name, pattern, match: compilePathPattern(pattern), handler: module.default });
+    }
+
+    return routes;
+}
+
+/**
+ * Convert a Node request into a Fetch API Request
+ */
+async function toWebRequest(req) {
+    const url = new URL(req.url, `http://${req.headers.host || `localhost:${PORT}`}`);
+    const headers = new Headers();
+
+    Object.entries(req.headers).forEach(([key, value]) => {
+        [].concat(value).forEach(item => headers.append(key, item));
+    });
+
+    let body;
+    if (!['GET', 'HEAD'].includes(req.method)) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        body = Buffer.concat(chunks);
+    }
+
+    return new Request(url, { method: req.method, headers, body });
+}
+
+/**
+ * Write a Fetch API Response back to the Node response
+ */
+async function sendWebResponse(res, response) {
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Serve a file from the static directory
+ */
+async function serveStatic(pathname) {
+    const relativePath = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+    let filePath = path.resolve(STATIC_DIR, relativePath);
+
+    // A bare prefix check would also admit sibling directories such as src2/
+    if (filePath !== STATIC_DIR && !filePath.startsWith(STATIC_DIR + path.sep)) {
+        return new Response('Forbidden', { status: 403 });
+    }
+
+    try {
+        if ((await stat(filePath)).isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        const content = await readFile(filePath);
+        const contentType = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        return new Response(content, { headers: { 'Content-Type': contentType } });
+
+    } catch (error) {
+        return new Response('Not found', { status: 404 });
+    }
+}
+
+/**
+ * Build the request context handed to function handlers.
+ * Netlify geo data is not available locally; edge functions use debug headers instead.
+ */
+function createContext(request, params, next) {
+    return {
+        params,
+        geo: {},
+        ip: request.headers.get('x-forwarded-for')?.split(',')[0].trim() || '127.0.0.1',
+        requestId: `dev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        next
+    };
+}
+
+/**
+ * Route a request to the first matching function, falling back to static files
+ */
+async function dispatch(routes, request) {
+    const { pathname } = new URL(request.url);
+
+    for (const route of routes) {
+        const params = route.match(pathname);
+        if (params) {
+            return route.handler(request, createContext(request, params));
+        }
+    }
+
+    return serveStatic(pathname);
+}
+
+/**
+ * Run matching edge functions in declaration order before dispatching
+ */
+async function runEdgeChain(edgeRoutes, routes, request, index = 0) {
+    const { pathname } = new URL(request.url);
+
+    for (let i = index; i < edgeRoutes.length; i++) {
+        const params = edgeRoutes[i].match(pathname);
+        if (params) {
+            const next = (nextRequest = request) => runEdgeChain(edgeRoutes, routes, nextRequest, i + 1);
+            const response = await edgeRoutes[i].handler(request, createContext(request, params, next));
+            return response || next();
+        }
+    }
+
+    return dispatch(routes, request);
+}
+
+async function startServer() {
+    const routes = await loadFunctionRoutes();
+    const edgeRoutes = await loadEdgeRoutes();
+
+    const server = http.createServer(async (req, res) => {
+        try {
+            const request = await toWebRequest(req);
+            const { pathname } = new URL(request.url);
+
+            const response = await runEdgeChain(edgeRoutes, routes, request);
+
+            console.log(`${req.method} ${pathname} -> ${response.status}`);
+            await sendWebResponse(res, response);
+
+        } catch (error) {
+            console.error('Dev server request failed:', error);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal server error');
+        }
+    });
+
+    server.listen(PORT, () => {
+        console.log(`Dev server running at http://localhost:${PORT}`);
+        console.log(`Serving static files from ${path.relative(ROOT_DIR, STATIC_DIR)}/`);
+        edgeRoutes.forEach(route => console.log(`  ${route.pattern} -> netlify/edge-functions/${route.name}.js`));
+        routes.forEach(route => console.log(`  ${route.pattern} -> netlify/functions/${route.name}`));
+    });
+
+    return server;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    startServer();
+}
+
+export { startServer };
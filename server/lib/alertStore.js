@@ -0,0 +1,142 @@
+/**
+ * Alert Store
+ * Persists ErrorMonitor alerts and their acknowledgements as an append-only log
+ */
+import { HttpError } from './http.js';
+import { LogStore } from './logStore.js';
+
+const ALERT_TYPE_PATTERN = /^[a-z0-9_]{1,100}$/;
+
+export class AlertStore {
+    constructor(options = {}) {
+        this.store = new LogStore('alerts', options);
+        this.alerts = null;
+        this.loadedBytes = 0;
+        this.loading = Promise.resolve();
+    }
+
+    /**
+     * Replay the log: `alert` entries create alerts, `ack` entries acknowledge them.
+     * Like OrderStore, each load applies whatever other instances appended since the previous one.
+     */
+    loadAlerts() {
+        const result = this.loading.then(() => this.refresh());
+        this.loading = result.catch(() => {});
+        return result;
+    }
+
+    async refresh() {
+        const size = await this.store.size();
+
+        if (!this.alerts || size < this.loadedBytes) {
+            this.alerts = new Map();
+            this.loadedBytes = 0;
+        }
+
+        if (size > this.loadedBytes) {
+            for await (const entry of this.store.scan({ start: this.loadedBytes, end: size })) {
+                this.apply(entry);
+            }
+            this.loadedBytes = size;
+        }
+
+        return this.alerts;
+    }
+
+    apply(entry) {
+        if (entry.kind === 'alert') {
+            // Two instances may race to report the same alert; the first entry wins
+            if (this.alerts.has(entry.alert.id)) return;
+            this.alerts.set(entry.alert.id, { ...entry.alert, acknowledged: false, acknowledgement: null });
+        } else if (entry.kind === 'ack') {
+            const alert = this.alerts.get(entry.alertId);
+            if (alert) {
+                alert.acknowledged = true;
+                alert.acknowledgement = {
+                    by: entry.by,
+                    note: entry.note,
+                    at: entry.at
+                };
+            }
+        }
+    }
+
+    async append(entry) {
+        await this.store.append(entry);
+        await this.loadAlerts();
+    }
+
+    /**
+     * Record an alert from ErrorMonitor.triggerAlert
+     */
+    async reportAlert(payload) {
+        if (!payload || typeof payload !== 'object') {
+            throw new HttpError(400, 'Alert payload must be an object');
+        }
+
+        if (typeof payload.id !== 'string' || !payload.id || payload.id.length > 100) {
+            throw new HttpError(400, 'Alert id is required');
+        }
+
+        if (typeof payload.type !== 'string' || !ALERT_TYPE_PATTERN.test(payload.type)) {
+            throw new HttpError(400, 'Invalid alert type');
+        }
+
+        const alerts = await this.loadAlerts();
+        if (alerts.has(payload.id)) {
+            return { alert: alerts.get(payload.id), duplicate: true };
+        }
+
+        const timestamp = Number(payload.timestamp);
+        const alert = {
+            id: payload.id,
+            type: payload.type,
+            severity: payload.severity || 'high',
+            data: payload.data || {},
+            timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+            receivedAt: Date.now()
+        };
+
+        await this.append({ kind: 'alert', alert });
+        return { alert: (await this.loadAlerts()).get(alert.id), duplicate: false };
+    }
+
+    /**
+     * List alerts, newest first, optionally filtered by acknowledgement state
+     */
+    async listAlerts({ status = 'all', type = null, limit = 100 } = {}) {
+        const alerts = await this.loadAlerts();
+
+        return Array.from(alerts.values())
+            .filter(alert => status === 'all' ||
+                (status === 'open' && !alert.acknowledged) ||
+                (status === 'acknowledged' && alert.acknowledged))
+            .filter(alert => !type || alert.type === type)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+    }
+
+    /**
+     * Acknowledge an alert (idempotent)
+     */
+    async acknowledge(alertId, { by = 'unknown', note = '' } = {}) {
+        const alerts = await this.loadAlerts();
+        const alert = alerts.get(alertId);
+
+        if (!alert) {
+            throw new HttpError(404, 'Alert not found');
+        }
+
+        if (!alert.acknowledged) {
+            await this.append({
+                kind: 'ack',
+                alertId,
+                by: String(by).slice(0, 100),
+                note: String(note).slice(0, 1000),
+                at: Date.now()
+            });
+        }
+
+        return (await this.loadAlerts()).get(alertId);
+    }
+}
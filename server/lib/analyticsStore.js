@@ -0,0 +1,190 @@
+/**
+ * Analytics Event Store
+ * Validates AnalyticsManager batches, deduplicates on event id and answers count queries
+ */
+import { HttpError } from './http.js';
+import { LogStore } from './logStore.js';
+
+export const ANALYTICS_CHANNELS = ['events', 'performance', 'errors'];
+
+const MAX_EVENTS_PER_BATCH = 1000;
+const MAX_ID_LENGTH = 100;
+const EVENT_NAME_PATTERN = /^[a-zA-Z0-9_.:-]{1,100}$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidId(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+/**
+ * Each log entry holds one stored batch, so a batch is a single blob write rather than one per event
+ */
+async function* scanEvents(store, range) {
+    for await (const entry of store.scan(range)) {
+        yield* Array.isArray(entry.events) ? entry.events : [];
+    }
+}
+
+export class AnalyticsStore {
+    constructor(options = {}) {
+        this.store = new LogStore('analytics_events', options);
+        this.seenIds = null;
+        this.loadedBytes = 0;
+        this.loading = Promise.resolve();
+    }
+
+    /**
+     * Bring the known event ids up to date with the log, so duplicates (sendBeacon + fetch
+     * retries) are dropped even when another instance stored the first copy
+     */
+    loadSeenIds() {
+        const result = this.loading.then(() => this.refresh());
+        this.loading = result.catch(() => {});
+        return result;
+    }
+
+    async refresh() {
+        const size = await this.store.size();
+
+        if (!this.seenIds || size < this.loadedBytes) {
+            this.seenIds = new Set();
+            this.loadedBytes = 0;
+        }
+
+        if (size > this.loadedBytes) {
+            for await (const record of scanEvents(this.store, { start: this.loadedBytes, end: size })) {
+                this.seenIds.add(record.id);
+            }
+            this.loadedBytes = size;
+        }
+
+        return this.seenIds;
+    }
+
+    /**
+     * Validate the batch envelope sent by AnalyticsManager.flushEvents
+     */
+    validateBatch(payload) {
+        if (!isPlainObject(payload)) {
+            throw new HttpError(400, 'Payload must be a JSON object');
+        }
+
+        if (!isValidId(payload.sessionId)) {
+            throw new HttpError(400, 'sessionId is required');
+        }
+
+        if (!isValidId(payload.userId)) {
+            throw new HttpError(400, 'userId is required');
+        }
+
+        if (!Array.isArray(payload.events) || payload.events.length === 0) {
+            throw new HttpError(400, 'events must be a non-empty array');
+        }
+
+        if (payload.events.length > MAX_EVENTS_PER_BATCH) {
+            throw new HttpError(413, `Batch exceeds ${MAX_EVENTS_PER_BATCH} events`);
+        }
+
+        if (payload.metadata !== undefined && !isPlainObject(payload.metadata)) {
+            throw new HttpError(400, 'metadata must be an object');
+        }
+    }
+
+    /**
+     * Validate a single event, returning a reason string when it is rejected
+     */
+    validateEvent(event) {
+        if (!isPlainObject(event)) return 'event must be an object';
+        if (!isValidId(event.id)) return 'event id is required';
+        if (typeof event.name !== 'string' || !EVENT_NAME_PATTERN.test(event.name)) return 'invalid event name';
+        if (event.properties !== undefined && !isPlainObject(event.properties)) return 'properties must be an object';
+        if (event.metadata !== undefined && !isPlainObject(event.metadata)) return 'metadata must be an object';
+        return null;
+    }
+
+    /**
+     * Store a batch. Invalid events are skipped rather than failing the batch,
+     * because the client re-queues the whole batch on any non-2xx response.
+     */
+    async ingest(payload, channel = 'events') {
+        if (!ANALYTICS_CHANNELS.includes(channel)) {
+            throw new HttpError(404, `Unknown analytics channel: ${channel}`);
+        }
+
+        this.validateBatch(payload);
+
+        const seenIds = await this.loadSeenIds();
+        const receivedAt = Date.now();
+        const batchIds = new Set();
+        const records = [];
+        const rejected = [];
+        let duplicates = 0;
+
+        payload.events.forEach((event, index) => {
+            const reason = this.validateEvent(event);
+            if (reason) {
+                rejected.push({ index, reason });
+                return;
+            }
+
+            if (seenIds.has(event.id) || batchIds.has(event.id)) {
+                duplicates++;
+                return;
+            }
+
+            // Ids become known only once stored, so a failed append can be retried
+            const eventTime = Number(event.properties?.timestamp);
+            batchIds.add(event.id);
+            records.push({
+                id: event.id,
+                name: event.name,
+                channel,
+                sessionId: payload.sessionId,
+                userId: payload.userId,
+                timestamp: Number.isFinite(eventTime) ? eventTime : receivedAt,
+                receivedAt,
+                properties: event.properties || {},
+                metadata: event.metadata || {},
+                batchMetadata: payload.metadata || {}
+            });
+        });
+
+        if (records.length > 0) {
+            await this.store.append({ receivedAt, events: records });
+            await this.loadSeenIds();
+        }
+
+        return {
+            accepted: records.length,
+            duplicates,
+            rejected
+        };
+    }
+
+    /**
+     * Count events by name within an optional time range. Two instances may race to store the
+     * same event; only its first entry is counted.
+     */
+    async countByName({ from = null, to = null, names = [], channel = null } = {}) {
+        const counts = {};
+        const counted = new Set();
+        let total = 0;
+
+        for await (const record of scanEvents(this.store)) {
+            if (counted.has(record.id)) continue;
+            counted.add(record.id);
+            if (from !== null && record.timestamp < from) continue;
+            if (to !== null && record.timestamp > to) continue;
+            if (names.length > 0 && !names.includes(record.name)) continue;
+            if (channel && record.channel !== channel) continue;
+
+            counts[record.name] = (counts[record.name] || 0) + 1;
+            total++;
+        }
+
+        return { from, to, total, counts };
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Netlify Blobs Log Store
+ * The JsonlStore interface on site-wide blob storage, so every function and every deploy reads
+ * and appends the same log. Entry N is the blob `<collection>/<N>`, claimed with a create-only
+ * write: two instances appending at once get consecutive entries, never the same one.
+ */
+import { getStore } from '@netlify/blobs';
+
+const SEQUENCE_DIGITS = 12;
+const READ_BATCH = 20;
+
+export class BlobLogStore {
+    constructor(collection, options = {}) {
+        if (!/^[a-z0-9_-]+$/i.test(collection)) {
+            throw new Error(`Invalid collection name: ${collection}`);
+        }
+
+        this.collection = collection;
+        this.storeName = options.storeName ?? process.env.BLOB_STORE_NAME ?? 'checkout';
+        this.blobs = options.blobs ?? null;
+        this.count = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * The blob store is opened on first use, once the function's blobs context is available
+     */
+    getBlobs() {
+        if (!this.blobs) {
+            this.blobs = getStore({ name: this.storeName, consistency: 'strong' });
+        }
+        return this.blobs;
+    }
+
+    key(sequence) {
+        return `${this.collection}/${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+    }
+
+    /**
+     * Serialize this instance's writes; other instances are ordered by the create-only claim
+     */
+    enqueue(operation) {
+        const result = this.writeQueue.then(operation);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Append one or more records, each at the next unclaimed sequence number
+     */
+    async append(records) {
+        const list = [].concat(records);
+        if (list.length === 0) return 0;
+
+        return this.enqueue(async () => {
+            let sequence = await this.size();
+
+            for (const record of list) {
+                while (!(await this.getBlobs().setJSON(this.key(sequence), record, { onlyIfNew: true })).modified) {
+                    sequence++;
+                }
+                sequence++;
+                this.count = sequence;
+            }
+
+            return list.length;
+        });
+    }
+
+    /**
+     * Number of entries; the log only grows, so this doubles as a version like JsonlStore's size
+     */
+    async size() {
+        const blobs = this.getBlobs();
+
+        if (this.count === null) {
+            let count = 0;
+            for await (const page of blobs.list({ prefix: `${this.collection}/`, paginate: true })) {
+                count += page.blobs.length;
+            }
+            this.count = count;
+        }
+
+        // Pick up entries other instances appended since the last call
+        while (await blobs.getMetadata(this.key(this.count))) {
+            this.count++;
+        }
+
+        return this.count;
+    }
+
+    /**
+     * Iterate over records, skipping entries that fail to parse.
+     * `start`/`end` limit the scan to a range of sequence numbers.
+     */
+    async *scan({ start = 0, end = Infinity } = {}) {
+        const last = end === Infinity ? await this.size() : end;
+
+        for (let batch = start; batch < last; batch += READ_BATCH) {
+            const keys = [];
+            for (let sequence = batch; sequence < Math.min(batch + READ_BATCH, last); sequence++) {
+                keys.push(this.key(sequence));
+            }
+
+            const records = await Promise.all(keys.map(key => this.getBlobs().get(key, { type: 'json' })
+                .catch(() => null)));
+
+            for (let i = 0; i < records.length; i++) {
+                if (records[i] && typeof records[i] === 'object') {
+                    yield records[i];
+                } else {
+                    console.warn(`Skipping corrupt entry ${keys[i]}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Read all records into memory
+     */
+    async readAll() {
+        const records = [];
+        for await (const record of this.scan()) {
+            records.push(record);
+        }
+        return records;
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Error Report Store
+ * Persists ErrorMonitor reports and groups occurrences by fingerprint
+ */
+import { createHash } from 'node:crypto';
+import { HttpError } from './http.js';
+import { LogStore } from './logStore.js';
+
+const MAX_ERRORS_PER_REPORT = 100;
+const MAX_STACK_LENGTH = 4000;
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Replace volatile tokens (ids, numbers, URLs) so equivalent errors share a fingerprint
+ */
+function normalizeMessage(message) {
+    return String(message || '')
+        .replace(/https?:\/\/\S+/g, '<url>')
+        .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+        .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+        .replace(/\d+/g, '<n>')
+        .trim()
+        .slice(0, 300);
+}
+
+/**
+ * First stack frame without line/column numbers, which shift between deploys
+ */
+function topStackFrame(stack) {
+    const frame = String(stack || '')
+        .split('\n')
+        .map(line => line.trim())
+        .find(line => line.startsWith('at ') || line.includes('@'));
+
+    return frame ? frame.replace(/:\d+(:\d+)?\)?$/, '').replace(/\?.*$/, '') : '';
+}
+
+export function fingerprintError(error) {
+    const source = [
+        error.type || 'unknown',
+        normalizeMessage(error.message),
+        topStackFrame(error.stack)
+    ].join('|');
+
+    return createHash('sha256').update(source).digest('hex').slice(0, 16);
+}
+
+/**
+ * Each log entry holds the occurrences stored from one report
+ */
+async function* scanOccurrences(store, range) {
+    for await (const entry of store.scan(range)) {
+        yield* Array.isArray(entry.errors) ? entry.errors : [];
+    }
+}
+
+export class ErrorStore {
+    constructor(options = {}) {
+        this.store = new LogStore('error_events', options);
+        this.groups = null;
+        this.seenIds = null;
+        this.loadedBytes = 0;
+        this.loading = Promise.resolve();
+    }
+
+    /**
+     * Bring the fingerprint index up to date with the log. Like AlertStore, each load applies
+     * whatever other instances appended since the previous one, so every instance groups and
+     * counts the same occurrences.
+     */
+    loadIndex() {
+        const result = this.loading.then(() => this.refresh());
+        this.loading = result.catch(() => {});
+        return result;
+    }
+
+    async refresh() {
+        const size = await this.store.size();
+
+        if (!this.groups || size < this.loadedBytes) {
+            this.groups = new Map();
+            this.seenIds = new Set();
+            this.loadedBytes = 0;
+        }
+
+        if (size > this.loadedBytes) {
+            for await (const record of scanOccurrences(this.store, { start: this.loadedBytes, end: size })) {
+                // Two instances may race to store the same error; the first entry wins
+                if (this.seenIds.has(record.id)) continue;
+                this.seenIds.add(record.id);
+                this.updateGroup(record);
+            }
+            this.loadedBytes = size;
+        }
+
+        return this.groups;
+    }
+
+    updateGroup(record) {
+        const group = this.groups.get(record.fingerprint);
+
+        if (!group) {
+            this.groups.set(record.fingerprint, {
+                fingerprint: record.fingerprint,
+                type: record.type,
+                message: record.message,
+                severity: record.severity,
+                count: 1,
+                firstSeen: record.timestamp,
+                lastSeen: record.timestamp,
+                lastErrorId: record.id,
+                urls: [record.url].filter(Boolean)
+            });
+            return;
+        }
+
+        group.count++;
+        group.firstSeen = Math.min(group.firstSeen, record.timestamp);
+        if (record.timestamp >= group.lastSeen) {
+            group.lastSeen = record.timestamp;
+            group.lastErrorId = record.id;
+            group.severity = record.severity;
+        }
+        if (record.url && !group.urls.includes(record.url) && group.urls.length < 10) {
+            group.urls.push(record.url);
+        }
+    }
+
+    /**
+     * Convert an enhanced error from ErrorMonitor into a stored occurrence
+     */
+    toRecord(error, metadata, receivedAt) {
+        const timestamp = Number(error.timestamp);
+
+        return {
+            ...error,
+            id: String(error.id).slice(0, 100),
+            type: String(error.type || 'unknown').slice(0, 100),
+            message: String(error.message || '').slice(0, MAX_MESSAGE_LENGTH),
+            stack: error.stack ? String(error.stack).slice(0, MAX_STACK_LENGTH) : null,
+            severity: error.severity || 'error',
+            fingerprint: fingerprintError(error),
+            timestamp: Number.isFinite(timestamp) ? timestamp : receivedAt,
+            receivedAt,
+            reportMetadata: metadata || {}
+        };
+    }
+
+    /**
+     * Store the errors from a `{ errors: [...], metadata }` report
+     */
+    async ingestReport(payload) {
+        if (!payload || !Array.isArray(payload.errors) || payload.errors.length === 0) {
+            throw new HttpError(400, 'errors must be a non-empty array');
+        }
+
+        if (payload.errors.length > MAX_ERRORS_PER_REPORT) {
+            throw new HttpError(413, `Report exceeds ${MAX_ERRORS_PER_REPORT} errors`);
+        }
+
+        await this.loadIndex();
+
+        const receivedAt = Date.now();
+        const reportIds = new Set();
+        const records = [];
+        const rejected = [];
+        let duplicates = 0;
+
+        payload.errors.forEach((error, index) => {
+            if (!error || typeof error !== 'object') {
+                rejected.push({ index, reason: 'error must be an object' });
+                return;
+            }
+            if (!error.id) {
+                rejected.push({ index, reason: 'error id is required' });
+                return;
+            }
+            if (!error.message) {
+                rejected.push({ index, reason: 'error message is required' });
+                return;
+            }
+
+            const record = this.toRecord(error, payload.metadata, receivedAt);
+            if (this.seenIds.has(record.id) || reportIds.has(record.id)) {
+                duplicates++;
+                return;
+            }
+
+            // Groups are only updated from the log, so a failed append leaves nothing behind
+            reportIds.add(record.id);
+            records.push(record);
+        });
+
+        if (records.length > 0) {
+            await this.store.append({ receivedAt, errors: records });
+            await this.loadIndex();
+        }
+
+        return {
+            accepted: records.length,
+            duplicates,
+            rejected,
+            fingerprints: [...new Set(records.map(record => record.fingerprint))]
+        };
+    }
+
+    /**
+     * List error groups, most recently seen first
+     */
+    async listGroups({ since = null, severity = null, limit = 50 } = {}) {
+        const groups = await this.loadIndex();
+
+        return Array.from(groups.values())
+            .filter(group => since === null || group.lastSeen >= since)
+            .filter(group => !severity || group.severity === severity)
+            .sort((a, b) => b.lastSeen - a.lastSeen)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get one group with its most recent occurrences
+     */
+    async getGroup(fingerprint, occurrenceLimit = 20) {
+        const groups = await this.loadIndex();
+        const group = groups.get(fingerprint);
+
+        if (!group) {
+            throw new HttpError(404, 'Error group not found');
+        }
+
+        const occurrences = new Map();
+        for await (const record of scanOccurrences(this.store)) {
+            if (record.fingerprint === fingerprint && !occurrences.has(record.id)) {
+                occurrences.set(record.id, record);
+            }
+        }
+
+        return {
+            ...group,
+            occurrences: Array.from(occurrences.values())
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, occurrenceLimit)
+        };
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * GeoIP Database
+ * Offline IP geolocation from a local MaxMind DB file (GeoLite2-Country by default; City editions
+ * also work but are ~70 MB to bundle), so visitor IPs never leave our servers. The file is re-read when it changes; results use ipapi.co's
+ * field names, which the browser location providers already parse.
+ */
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError } from './http.js';
+import { MMDBReader, parseIP } from './mmdbReader.js';
+
+export const DEFAULT_GEOIP_DB_PATH = 'geoip/GeoLite2-Country.mmdb';
+
+const localizedName = names => names?.en || Object.values(names || {})[0] || null;
+
+/**
+ * Map a GeoIP2 City / Country record to the ipapi.co-style location
+ */
+export function toLocation(record) {
+    const country = record.country || record.registered_country || {};
+    const subdivision = record.subdivisions?.[0] || {};
+
+    return {
+        country_code: country.iso_code || null,
+        country_name: localizedName(country.names),
+        region: localizedName(subdivision.names),
+        region_code: subdivision.iso_code || null,
+        city: localizedName(record.city?.names),
+        postal: record.postal?.code || null,
+        latitude: record.location?.latitude ?? null,
+        longitude: record.location?.longitude ?? null,
+        timezone: record.location?.time_zone || null
+    };
+}
+
+/**
+ * The visitor's IP: Netlify's context.ip, else the connection IP headers
+ */
+export function getClientIP(request, context = {}) {
+    const candidates = [
+        context.ip,
+        request.headers.get('x-nf-client-connection-ip'),
+        request.headers.get('x-forwarded-for')?.split(',')[0]
+    ];
+    return candidates.map(ip => ip?.trim()).find(ip => ip && parseIP(ip)) || null;
+}
+
+export class GeoIpDatabase {
+    constructor(options = {}) {
+        this.dbPath = path.resolve(options.dbPath ?? process.env.GEOIP_DB_PATH ?? DEFAULT_GEOIP_DB_PATH);
+        this.reader = null;
+        this.loadedMtime = null;
+    }
+
+    /**
+     * The reader for the current database file; 503 when there is none
+     */
+    async getReader() {
+        try {
+            const { mtimeMs } = await stat(this.dbPath);
+            if (!this.reader || mtimeMs !== this.loadedMtime) {
+                this.reader = new MMDBReader(await readFile(this.dbPath));
+                this.loadedMtime = mtimeMs;
+
+                const { database_type: type, build_epoch: buildEpoch } = this.reader.metadata;
+                console.log(`GeoIP database loaded: ${type}, built ${new Date(buildEpoch * 1000).toISOString().slice(0, 10)}`);
+            }
+            return this.reader;
+        } catch (error) {
+            console.error('GeoIP database unavailable:', this.dbPath, error.message);
+            throw new HttpError(503, 'Geolocation is unavailable');
+        }
+    }
+
+    /**
+     * Location of an IP address, or null for private, reserved and unlisted addresses
+     */
+    async lookup(ip) {
+        const reader = await this.getReader();
+        const record = reader.get(ip);
+        const location = record ? toLocation(record) : null;
+        return location?.country_code ? location : null;
+    }
+}
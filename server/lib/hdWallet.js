@@ -0,0 +1,257 @@
+/**
+ * HD Wallet Public Derivation
+ * BIP32 public derivation of receive addresses from an account-level extended public key,
+ * encoded per BIP44 (P2PKH), BIP49 (P2SH-P2WPKH), BIP84 (P2WPKH) or BIP86 (P2TR).
+ * Only public keys are handled: nothing here can spend, and no private key is ever needed.
+ */
+import { createHash, createHmac } from 'node:crypto';
+import { decodeBase58Check, encodeBase58Check, encodeSegwitAddress } from '../../src/js/addressCodec.js';
+
+// SLIP-132 version bytes: the prefix implies the network and the script type
+const KEY_VERSIONS = {
+    0x0488b21e: { prefix: 'xpub', network: 'mainnet', scriptType: 'p2pkh' },
+    0x049d7cb2: { prefix: 'ypub', network: 'mainnet', scriptType: 'p2sh-p2wpkh' },
+    0x04b24746: { prefix: 'zpub', network: 'mainnet', scriptType: 'p2wpkh' },
+    0x043587cf: { prefix: 'tpub', network: 'testnet', scriptType: 'p2pkh' },
+    0x044a5262: { prefix: 'upub', network: 'testnet', scriptType: 'p2sh-p2wpkh' },
+    0x045f1cf6: { prefix: 'vpub', network: 'testnet', scriptType: 'p2wpkh' }
+};
+
+// Script type -> BIP43 purpose and the key prefixes it may be derived from
+export const SCRIPT_TYPES = {
+    'p2pkh': { purpose: 44, prefixes: ['xpub', 'tpub'] },
+    'p2sh-p2wpkh': { purpose: 49, prefixes: ['ypub', 'upub'] },
+    'p2wpkh': { purpose: 84, prefixes: ['zpub', 'vpub'] },
+    // BIP86 keys are exported with the plain xpub / tpub prefix
+    'p2tr': { purpose: 86, prefixes: ['xpub', 'tpub'] }
+};
+
+const ADDRESS_VERSIONS = {
+    mainnet: { p2pkh: 0x00, p2sh: 0x05, prefix: 'bc' },
+    testnet: { p2pkh: 0x6f, p2sh: 0xc4, prefix: 'tb' }
+};
+
+// Receive addresses are on the external chain (BIP44 change = 0)
+const EXTERNAL_CHAIN = 0;
+const HARDENED_OFFSET = 0x80000000;
+
+// secp256k1 domain parameters
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+    x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+/**
+ * Error for an extended key that cannot be used for receive addresses
+ */
+export class HdKeyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HdKeyError';
+    }
+}
+
+const mod = (value, modulus = P) => ((value % modulus) + modulus) % modulus;
+
+function modPow(base, exponent, modulus = P) {
+    let result = 1n;
+    base = mod(base, modulus);
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+function invert(value) {
+    let [a, b] = [mod(value), P];
+    let [x, lastX] = [0n, 1n];
+    while (b) {
+        const quotient = a / b;
+        [a, b] = [b, a % b];
+        [x, lastX] = [lastX - quotient * x, x];
+    }
+    return mod(lastX);
+}
+
+// Affine point addition; null is the point at infinity
+function pointAdd(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    if (a.x === b.x && mod(a.y + b.y) === 0n) return null;
+
+    const slope = a.x === b.x
+        ? mod(3n * a.x * a.x * invert(2n * a.y))
+        : mod((b.y - a.y) * invert(b.x - a.x));
+    const x = mod(slope * slope - a.x - b.x);
+    return { x, y: mod(slope * (a.x - x) - a.y) };
+}
+
+function pointMultiply(scalar, point = G) {
+    let result = null;
+    let addend = point;
+    while (scalar > 0n) {
+        if (scalar & 1n) result = pointAdd(result, addend);
+        addend = pointAdd(addend, addend);
+        scalar >>= 1n;
+    }
+    return result;
+}
+
+const toBigInt = bytes => BigInt(`0x${Buffer.from(bytes).toString('hex')}`);
+const toBytes32 = value => Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+
+function liftX(x) {
+    const y = modPow(mod(x * x * x + 7n), (P + 1n) / 4n);
+    if (mod(y * y) !== mod(x * x * x + 7n)) return null;
+    return { x, y: y & 1n ? P - y : y };
+}
+
+function decompress(bytes) {
+    if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) return null;
+
+    const point = liftX(toBigInt(bytes.subarray(1)));
+    if (!point) return null;
+    return (point.y & 1n) === BigInt(bytes[0] & 1) ? point : { x: point.x, y: P - point.y };
+}
+
+const compress = point => Buffer.concat([Buffer.from([point.y & 1n ? 0x03 : 0x02]), toBytes32(point.x)]);
+
+const sha256 = data => createHash('sha256').update(data).digest();
+const hash160 = data => createHash('ripemd160').update(sha256(data)).digest();
+
+function taggedHash(tag, data) {
+    const tagHash = sha256(Buffer.from(tag, 'utf8'));
+    return sha256(Buffer.concat([tagHash, tagHash, data]));
+}
+
+/**
+ * Parse a base58 extended public key (xpub, ypub, zpub or their testnet forms)
+ */
+export function parseExtendedKey(text) {
+    const decoded = decodeBase58Check(String(text || '').trim());
+    if (!decoded || decoded.payload.length !== 77) {
+        throw new HdKeyError('Not a valid extended public key');
+    }
+
+    const data = Buffer.from([decoded.version, ...decoded.payload]);
+    const version = KEY_VERSIONS[data.readUInt32BE(0)];
+    if (!version) {
+        throw new HdKeyError('Unsupported extended key version; expected an xpub, ypub or zpub (or tpub, upub, vpub)');
+    }
+
+    const publicKey = data.subarray(45, 78);
+    const point = decompress(publicKey);
+    if (!point) {
+        throw new HdKeyError('Extended key does not hold a valid public key');
+    }
+
+    return {
+        ...version,
+        depth: data[4],
+        childNumber: data.readUInt32BE(9),
+        chainCode: data.subarray(13, 45),
+        publicKey,
+        point
+    };
+}
+
+/**
+ * BIP32 public child derivation (CKDpub) for a non-hardened index
+ */
+export function deriveChild(node, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+        throw new HdKeyError(`Cannot derive hardened or invalid index ${index} from a public key`);
+    }
+
+    const data = Buffer.alloc(37);
+    node.publicKey.copy(data, 0);
+    data.writeUInt32BE(index, 33);
+
+    const digest = createHmac('sha512', node.chainCode).update(data).digest();
+    const tweak = toBigInt(digest.subarray(0, 32));
+    const point = tweak < N ? pointAdd(pointMultiply(tweak), node.point) : null;
+
+    // Probability below 2^-127; BIP32 says to move on to the next index
+    if (!point) {
+        throw new HdKeyError(`Index ${index} yields an invalid child key`);
+    }
+
+    return { chainCode: digest.subarray(32), publicKey: compress(point), point };
+}
+
+function encodeAddress(scriptType, network, node) {
+    const versions = ADDRESS_VERSIONS[network];
+
+    switch (scriptType) {
+        case 'p2pkh':
+            return encodeBase58Check(versions.p2pkh, hash160(node.publicKey));
+        case 'p2sh-p2wpkh': {
+            const redeemScript = Buffer.concat([Buffer.from([0x00, 0x14]), hash160(node.publicKey)]);
+            return encodeBase58Check(versions.p2sh, hash160(redeemScript));
+        }
+        case 'p2wpkh':
+            return encodeSegwitAddress(versions.prefix, 0, hash160(node.publicKey));
+        case 'p2tr': {
+            // BIP86: key-path-only output key, tweaked with the even-Y internal key
+            const internal = liftX(node.point.x);
+            const tweak = toBigInt(taggedHash('TapTweak', toBytes32(internal.x)));
+            if (tweak >= N) {
+                throw new HdKeyError('Taproot tweak out of range');
+            }
+            const output = pointAdd(internal, pointMultiply(tweak));
+            return encodeSegwitAddress(versions.prefix, 1, toBytes32(output.x));
+        }
+        default:
+            throw new HdKeyError(`Unknown script type: ${scriptType}`);
+    }
+}
+
+/**
+ * Receive addresses of one account-level extended public key (m/purpose'/coin'/account')
+ */
+export class HdAccount {
+    constructor(extendedKey, { scriptType = null } = {}) {
+        this.key = parseExtendedKey(extendedKey);
+        this.scriptType = scriptType || this.key.scriptType;
+
+        const rules = SCRIPT_TYPES[this.scriptType];
+        if (!rules) {
+            throw new HdKeyError(`Script type must be one of: ${Object.keys(SCRIPT_TYPES).join(', ')}`);
+        }
+        if (!rules.prefixes.includes(this.key.prefix)) {
+            throw new HdKeyError(`A ${this.key.prefix} key cannot derive ${this.scriptType} addresses`);
+        }
+        if (this.key.depth !== 3) {
+            console.warn(`Extended key depth is ${this.key.depth}; BIP${rules.purpose} account keys have depth 3`);
+        }
+
+        this.network = this.key.network;
+        this.purpose = rules.purpose;
+        this.externalChain = deriveChild(this.key, EXTERNAL_CHAIN);
+    }
+
+    /**
+     * Short identifier of the account key, so state derived from another key is never mixed in
+     */
+    get fingerprint() {
+        return hash160(this.key.publicKey).subarray(0, 4).toString('hex');
+    }
+
+    /**
+     * Receive address at an index of the external chain; path is relative to the account key
+     */
+    deriveAddress(index) {
+        const node = deriveChild(this.externalChain, index);
+
+        return {
+            index,
+            path: `${EXTERNAL_CHAIN}/${index}`,
+            address: encodeAddress(this.scriptType, this.network, node),
+            scriptType: this.scriptType
+        };
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Serverless HTTP Helpers
+ * Shared request parsing, JSON responses and error handling for API functions
+ */
+
+/**
+ * Error carrying an HTTP status code back to the client
+ */
+export class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Build a JSON response with no-store caching
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            ...headers
+        }
+    });
+}
+
+/**
+ * Read the raw request body, rejecting it when it is oversized.
+ * `maxBytes` is measured on the encoded body, not on decoded characters.
+ */
+export async function readTextBody(request, maxBytes = 64 * 1024) {
+    const bytes = await request.arrayBuffer();
+
+    if (bytes.byteLength > maxBytes) {
+        throw new HttpError(413, 'Request body too large');
+    }
+
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Parse a JSON object request body, rejecting malformed, non-object or oversized payloads
+ */
+export async function readJsonBody(request, maxBytes = 64 * 1024, { required = true } = {}) {
+    const text = await readTextBody(request, maxBytes);
+    if (!text) {
+        if (!required) return {};
+        throw new HttpError(400, 'Request body is required');
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be valid JSON');
+    }
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+}
+
+/**
+ * Reject requests whose method is not in the allowed list
+ */
+export function assertMethod(request, ...methods) {
+    if (!methods.includes(request.method)) {
+        throw new HttpError(405, `Method ${request.method} not allowed`, {
+            allowed: methods
+        });
+    }
+}
+
+/**
+ * Require an `Authorization: Bearer <token>` header matching the configured token
+ */
+export function assertBearerToken(request, expectedToken) {
+    if (!expectedToken) {
+        throw new HttpError(503, 'Endpoint access token is not configured');
+    }
+
+    const header = request.headers.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    // Constant-time comparison to avoid leaking the token through timing
+    let mismatch = token.length !== expectedToken.length ? 1 : 0;
+    for (let i = 0; i < expectedToken.length; i++) {
+        mismatch |= (token.charCodeAt(i) || 0) ^ expectedToken.charCodeAt(i);
+    }
+
+    if (mismatch) {
+        throw new HttpError(401, 'Unauthorized');
+    }
+}
+
+/**
+ * Parse a time query value given as epoch milliseconds or an ISO date string
+ */
+export function parseTimeParam(value, field) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw new HttpError(400, `Invalid ${field}: expected epoch milliseconds or ISO date`);
+    }
+
+    return time;
+}
+
+/**
+ * Return the path segments following a function's mount point
+ */
+export function getSubPath(request, mountPath) {
+    const { pathname } = new URL(request.url);
+    return pathname
+        .slice(mountPath.length)
+        .split('/')
+        .filter(Boolean);
+}
+
+/**
+ * Wrap a function handler so thrown errors become JSON responses
+ */
+export function withErrorHandling(handler) {
+    return async (request, context) => {
+        try {
+            return await handler(request, context);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return jsonResponse({ error: error.message, ...error.details }, error.status);
+            }
+
+            console.error('Unhandled function error:', error);
+            return jsonResponse({ error: 'Internal server error' }, 500);
+        }
+    };
+}
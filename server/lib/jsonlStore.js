@@ -0,0 +1,107 @@
+/**
+ * JSONL File Store
+ * Append-only embedded storage: one JSON record per line, one file per collection
+ */
+import { createReadStream } from 'node:fs';
+import { appendFile, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+
+export function resolveDataDir(dataDir) {
+    return path.resolve(dataDir || process.env.DATA_DIR || '.data');
+}
+
+export class JsonlStore {
+    constructor(collection, options = {}) {
+        if (!/^[a-z0-9_-]+$/i.test(collection)) {
+            throw new Error(`Invalid collection name: ${collection}`);
+        }
+
+        this.collection = collection;
+        this.dataDir = resolveDataDir(options.dataDir);
+        this.filePath = path.join(this.dataDir, `${collection}.jsonl`);
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Serialize writes so concurrent appends never interleave lines
+     */
+    enqueue(operation) {
+        const result = this.writeQueue.then(operation);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Append one or more records
+     */
+    async append(records) {
+        const list = [].concat(records);
+        if (list.length === 0) return 0;
+
+        const lines = list.map(record => JSON.stringify(record)).join('\n') + '\n';
+
+        return this.enqueue(async () => {
+            await mkdir(this.dataDir, { recursive: true });
+            await appendFile(this.filePath, lines, 'utf8');
+            return list.length;
+        });
+    }
+
+    /**
+     * Current file size in bytes; the file only grows, so this doubles as a version
+     */
+    async size() {
+        try {
+            return (await stat(this.filePath)).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+    }
+
+    /**
+     * Iterate over records, skipping lines that fail to parse.
+     * `start`/`end` limit the scan to a byte range, e.g. to read only newly appended lines.
+     */
+    async *scan({ start = 0, end = Infinity } = {}) {
+        let stream;
+        try {
+            stream = createReadStream(this.filePath, {
+                encoding: 'utf8',
+                start,
+                end: end === Infinity ? Infinity : end - 1
+            });
+            await new Promise((resolve, reject) => {
+                stream.once('open', resolve);
+                stream.once('error', reject);
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                console.warn(`Skipping corrupt line in ${this.collection}.jsonl`);
+            }
+        }
+    }
+
+    /**
+     * Read all records into memory
+     */
+    async readAll() {
+        const records = [];
+        for await (const record of this.scan()) {
+            records.push(record);
+        }
+        return records;
+    }
+}
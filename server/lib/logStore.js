@@ -0,0 +1,65 @@
+/**
+ * Shared Log Store
+ * Picks where an append-only log lives. Netlify function filesystems are per instance and lost on
+ * redeploy, so deployed functions keep shared state in Netlify Blobs; local servers and scripts
+ * use JSONL files under DATA_DIR.
+ */
+import { JsonlStore } from './jsonlStore.js';
+
+export const LOG_STORE_BACKENDS = ['file', 'blobs'];
+
+/**
+ * `LOG_STORE` forces a backend; otherwise blobs are used wherever Netlify provides a blobs context
+ */
+export function resolveLogBackend(backend) {
+    const resolved = backend
+        ?? process.env.LOG_STORE
+        ?? (globalThis.netlifyBlobsContext || process.env.NETLIFY_BLOBS_CONTEXT ? 'blobs' : 'file');
+
+    if (!LOG_STORE_BACKENDS.includes(resolved)) {
+        throw new Error(`Unknown LOG_STORE backend: ${resolved}`);
+    }
+    return resolved;
+}
+
+/**
+ * A log with the JsonlStore interface whose backend is resolved on first use,
+ * since the blobs context is only set once the function is invoked
+ */
+export class LogStore {
+    constructor(collection, options = {}) {
+        this.collection = collection;
+        this.options = options;
+        this.opening = null;
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = (async () => {
+                if (resolveLogBackend(this.options.backend) === 'blobs') {
+                    const { BlobLogStore } = await import('./blobLogStore.js');
+                    return new BlobLogStore(this.collection, this.options);
+                }
+                return new JsonlStore(this.collection, this.options);
+            })();
+            this.opening.catch(() => { this.opening = null; });
+        }
+        return this.opening;
+    }
+
+    async append(records) {
+        return (await this.open()).append(records);
+    }
+
+    async size() {
+        return (await this.open()).size();
+    }
+
+    async *scan(range) {
+        yield* (await this.open()).scan(range);
+    }
+
+    async readAll() {
+        return (await this.open()).readAll();
+    }
+}
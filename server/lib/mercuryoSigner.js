@@ -0,0 +1,74 @@
+/**
+ * Mercuryo Signatures
+ * Signs widget links and verifies callback signatures with the server-held sign key
+ */
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { TRANSACTION_ID_PATTERN } from '../../src/js/orderRepository.js';
+import { HttpError } from './http.js';
+
+const ADDRESS_PATTERN = /^[a-zA-Z0-9:]{20,120}$/;
+
+export class MercuryoSigner {
+    constructor(options = {}) {
+        this.signKey = options.signKey ?? process.env.MERCURYO_SIGN_KEY;
+        this.widgetId = options.widgetId ?? process.env.MERCURYO_WIDGET_ID;
+    }
+
+    /**
+     * Mercuryo signature: hex SHA-512 of the destination address followed by the sign key
+     */
+    signAddress(address) {
+        if (!this.signKey) {
+            throw new HttpError(503, 'Mercuryo sign key is not configured');
+        }
+
+        return createHash('sha512')
+            .update(`${address}${this.signKey}`)
+            .digest('hex');
+    }
+
+    /**
+     * Callback signature: hex HMAC-SHA256 of the raw request body keyed with the sign key
+     */
+    signCallback(rawBody) {
+        if (!this.signKey) {
+            throw new HttpError(503, 'Mercuryo sign key is not configured');
+        }
+
+        return createHmac('sha256', this.signKey).update(rawBody).digest('hex');
+    }
+
+    /**
+     * Verify an X-Signature header against the raw callback body
+     */
+    verifyCallback(rawBody, signature) {
+        if (typeof signature !== 'string' || !/^[a-f0-9]{64}$/i.test(signature)) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.signCallback(rawBody), 'hex');
+        return timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+    }
+
+    /**
+     * Validate inputs and produce the widget parameters the client needs
+     */
+    createWidgetSignature({ address, merchantTransactionId }) {
+        if (typeof address !== 'string' || !ADDRESS_PATTERN.test(address.trim())) {
+            throw new HttpError(400, 'Invalid address');
+        }
+
+        if (typeof merchantTransactionId !== 'string' || !TRANSACTION_ID_PATTERN.test(merchantTransactionId)) {
+            throw new HttpError(400, 'Invalid merchantTransactionId');
+        }
+
+        const normalizedAddress = address.trim();
+
+        return {
+            widgetId: this.widgetId || null,
+            address: normalizedAddress,
+            merchantTransactionId,
+            signature: this.signAddress(normalizedAddress)
+        };
+    }
+}
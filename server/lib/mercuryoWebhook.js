@@ -0,0 +1,96 @@
+/**
+ * Mercuryo Callback Parsing
+ * Normalizes Mercuryo transaction callbacks into order status updates,
+ * and builds Mercuryo-shaped callbacks for local testing
+ */
+import { HttpError } from './http.js';
+
+// Mercuryo transaction statuses mapped onto our order states
+export const MERCURYO_STATUS_MAP = {
+    new: 'pending',
+    pending: 'pending',
+    order_scheduled: 'pending',
+    order_verified_not_complete: 'pending',
+    paid: 'paid',
+    completed: 'completed',
+    succeeded: 'completed',
+    cancelled: 'failed',
+    failed: 'failed',
+    order_failed: 'failed',
+    failed_exchange: 'failed',
+    descriptor_failed: 'failed',
+    refunded: 'refunded'
+};
+
+/**
+ * Extract the fields we track from a callback body (`{ payload: { type, data } }`)
+ */
+export function parseMercuryoCallback(body) {
+    const payload = body?.payload || body;
+    const data = payload?.data;
+
+    if (!data || typeof data !== 'object') {
+        throw new HttpError(400, 'Callback payload.data is required');
+    }
+
+    const merchantTransactionId = data.merchant_transaction_id;
+    if (!merchantTransactionId) {
+        throw new HttpError(400, 'Callback is missing merchant_transaction_id');
+    }
+
+    const providerStatus = String(data.status || '').toLowerCase();
+    const type = String(payload.type || data.type || 'buy').toLowerCase();
+
+    // Completed refund transactions refund the original order
+    const status = type === 'refund' && providerStatus === 'completed'
+        ? 'refunded'
+        : MERCURYO_STATUS_MAP[providerStatus] || null;
+
+    return {
+        merchantTransactionId,
+        status,
+        providerStatus,
+        type,
+        providerTransactionId: data.id ? String(data.id) : null,
+        cryptoAmount: data.amount ?? null,
+        cryptoCurrency: data.currency ?? null,
+        fiatAmount: data.fiat_amount ?? null,
+        fiatCurrency: data.fiat_currency ?? null,
+        walletAddress: data.address ?? null
+    };
+}
+
+/**
+ * Build a callback body in Mercuryo's format (used by the fake sender and the mock widget)
+ */
+export function buildMercuryoCallback({
+    providerId,
+    status,
+    merchantTransactionId,
+    type = 'buy',
+    address,
+    currency = 'BTC',
+    amount,
+    fiatCurrency = 'EUR',
+    fiatAmount
+}) {
+    const now = new Date().toISOString();
+
+    return {
+        payload: {
+            type,
+            data: {
+                id: providerId,
+                status,
+                merchant_transaction_id: merchantTransactionId,
+                address,
+                currency,
+                amount,
+                fiat_currency: fiatCurrency,
+                fiat_amount: fiatAmount,
+                created_at: now,
+                updated_at: now
+            }
+        }
+    };
+}
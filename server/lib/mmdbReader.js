@@ -0,0 +1,258 @@
+/**
+ * MaxMind DB Reader
+ * Dependency-free reader for the MaxMind DB (.mmdb) format used by GeoLite2 / GeoIP2 and
+ * compatible databases: a binary search tree over the address bits pointing into a data section.
+ * See https://maxmind.github.io/MaxMind-DB/ for the format.
+ */
+import { isIP } from 'node:net';
+
+const METADATA_MARKER = Buffer.from([0xab, 0xcd, 0xef, ...Buffer.from('MaxMind.com')]);
+const METADATA_MAX_SIZE = 128 * 1024;
+const DATA_SECTION_SEPARATOR = 16;
+
+const TYPES = {
+    POINTER: 1,
+    STRING: 2,
+    DOUBLE: 3,
+    BYTES: 4,
+    UINT16: 5,
+    UINT32: 6,
+    MAP: 7,
+    INT32: 8,
+    UINT64: 9,
+    UINT128: 10,
+    ARRAY: 11,
+    BOOLEAN: 14,
+    FLOAT: 15
+};
+
+// Added to the pointer value for each pointer size (2, 3 and 4 byte pointers skip the smaller ranges)
+const POINTER_BASES = [0, 2048, 526336, 0];
+
+/**
+ * Decoder for the data section (and the metadata, which uses the same encoding).
+ * `pointerBase` is the offset pointers are relative to.
+ */
+class Decoder {
+    constructor(buffer, pointerBase) {
+        this.buffer = buffer;
+        this.pointerBase = pointerBase;
+    }
+
+    /**
+     * Decode the value at `offset`; returns [value, offset after it]
+     */
+    decode(offset) {
+        const control = this.buffer[offset++];
+        let type = control >> 5;
+
+        if (type === TYPES.POINTER) {
+            const [pointer, next] = this.readPointer(control, offset);
+            // A pointer is replaced by the value it points to; decoding continues after the pointer
+            return [this.decode(pointer)[0], next];
+        }
+
+        if (type === 0) {
+            type = 7 + this.buffer[offset++];
+        }
+
+        const [size, start] = this.readSize(control, offset);
+        return this.decodeValue(type, size, start);
+    }
+
+    readPointer(control, offset) {
+        const size = (control >> 3) & 0x03;
+        let value = size === 3 ? 0 : control & 0x07;
+
+        for (let i = 0; i <= size; i++) {
+            value = value * 256 + this.buffer[offset + i];
+        }
+        return [this.pointerBase + value + POINTER_BASES[size], offset + size + 1];
+    }
+
+    readSize(control, offset) {
+        const size = control & 0x1f;
+        if (size < 29) return [size, offset];
+        if (size === 29) return [29 + this.buffer[offset], offset + 1];
+        if (size === 30) return [285 + this.buffer.readUInt16BE(offset), offset + 2];
+        return [65821 + this.buffer.readUIntBE(offset, 3), offset + 3];
+    }
+
+    readUnsigned(offset, size) {
+        let value = 0n;
+        for (let i = 0; i < size; i++) {
+            value = (value << 8n) | BigInt(this.buffer[offset + i]);
+        }
+        return value;
+    }
+
+    decodeValue(type, size, offset) {
+        switch (type) {
+            case TYPES.STRING:
+                return [this.buffer.toString('utf8', offset, offset + size), offset + size];
+            case TYPES.DOUBLE:
+                return [this.buffer.readDoubleBE(offset), offset + 8];
+            case TYPES.FLOAT:
+                return [this.buffer.readFloatBE(offset), offset + 4];
+            case TYPES.BYTES:
+                return [this.buffer.subarray(offset, offset + size), offset + size];
+            case TYPES.UINT16:
+            case TYPES.UINT32:
+                return [Number(this.readUnsigned(offset, size)), offset + size];
+            case TYPES.INT32:
+                // Negative values always use all four bytes
+                return [size === 4 ? this.buffer.readInt32BE(offset) : Number(this.readUnsigned(offset, size)), offset + size];
+            case TYPES.UINT64:
+            case TYPES.UINT128: {
+                const value = this.readUnsigned(offset, size);
+                return [value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value, offset + size];
+            }
+            case TYPES.BOOLEAN:
+                return [size !== 0, offset];
+            case TYPES.MAP: {
+                const map = {};
+                for (let i = 0; i < size; i++) {
+                    const [key, afterKey] = this.decode(offset);
+                    const [value, afterValue] = this.decode(afterKey);
+                    map[key] = value;
+                    offset = afterValue;
+                }
+                return [map, offset];
+            }
+            case TYPES.ARRAY: {
+                const array = [];
+                for (let i = 0; i < size; i++) {
+                    const [value, next] = this.decode(offset);
+                    array.push(value);
+                    offset = next;
+                }
+                return [array, offset];
+            }
+            default:
+                throw new Error(`Unsupported MaxMind DB data type ${type} at offset ${offset}`);
+        }
+    }
+}
+
+/**
+ * Address bytes of an IPv4 or IPv6 address, or null when it is neither
+ */
+export function parseIP(ip) {
+    const text = String(ip ?? '').trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+    const version = isIP(text);
+
+    if (version === 4) {
+        return Uint8Array.from(text.split('.').map(Number));
+    }
+    if (version !== 6) {
+        return null;
+    }
+
+    // Rewrite an embedded dotted IPv4 tail as two groups, then expand "::" to eight 16-bit groups
+    const hex = text.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+        `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`);
+    const [head, tail = null] = hex.split('::');
+    const toGroups = part => part ? part.split(':').map(group => parseInt(group, 16)) : [];
+
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const groups = tail === null
+        ? headGroups
+        : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+
+    const bytes = new Uint8Array(16);
+    groups.forEach((group, i) => {
+        bytes[i * 2] = group >> 8;
+        bytes[i * 2 + 1] = group & 0xff;
+    });
+    return bytes;
+}
+
+export class MMDBReader {
+    /**
+     * `buffer` is the whole database file
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+
+        const searchFrom = Math.max(0, buffer.length - METADATA_MAX_SIZE);
+        const markerIndex = buffer.lastIndexOf(METADATA_MARKER);
+        if (markerIndex < searchFrom) {
+            throw new Error('Not a MaxMind DB file: metadata marker not found');
+        }
+
+        const metadataStart = markerIndex + METADATA_MARKER.length;
+        this.metadata = new Decoder(buffer, metadataStart).decode(metadataStart)[0];
+
+        const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+        if (![24, 28, 32].includes(recordSize)) {
+            throw new Error(`Unsupported MaxMind DB record size: ${recordSize}`);
+        }
+
+        this.nodeCount = nodeCount;
+        this.recordSize = recordSize;
+        this.ipVersion = ipVersion;
+        this.nodeBytes = recordSize / 4;
+        this.treeSize = this.nodeBytes * nodeCount;
+        this.decoder = new Decoder(buffer, this.treeSize + DATA_SECTION_SEPARATOR);
+        this.ipv4Start = ipVersion === 6 ? this.findIPv4Start() : 0;
+    }
+
+    /**
+     * IPv4 addresses live under ::/96 in an IPv6 tree; find that node once
+     */
+    findIPv4Start() {
+        let node = 0;
+        for (let i = 0; i < 96 && node < this.nodeCount; i++) {
+            node = this.readRecord(node, 0);
+        }
+        return node;
+    }
+
+    readRecord(node, bit) {
+        const offset = node * this.nodeBytes;
+        const buffer = this.buffer;
+
+        if (this.recordSize === 24) {
+            return buffer.readUIntBE(offset + bit * 3, 3);
+        }
+        if (this.recordSize === 28) {
+            const middle = buffer[offset + 3];
+            return bit === 0
+                ? ((middle & 0xf0) << 20) + buffer.readUIntBE(offset, 3)
+                : ((middle & 0x0f) << 24) + buffer.readUIntBE(offset + 4, 3);
+        }
+        return buffer.readUInt32BE(offset + bit * 4);
+    }
+
+    /**
+     * The record for an IP address, or null when the database has none.
+     * IPv6 addresses in an IPv4-only database are not found.
+     */
+    get(ip) {
+        let bytes = parseIP(ip);
+        if (!bytes) {
+            throw new Error(`Invalid IP address: ${ip}`);
+        }
+        if (bytes.length === 16 && bytes.subarray(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+            bytes = bytes.subarray(12); // IPv4-mapped (::ffff:a.b.c.d)
+        }
+        if (bytes.length === 16 && this.ipVersion === 4) {
+            return null;
+        }
+
+        let node = bytes.length === 4 ? this.ipv4Start : 0;
+        for (let i = 0; i < bytes.length * 8 && node < this.nodeCount; i++) {
+            node = this.readRecord(node, (bytes[i >> 3] >> (7 - (i & 7))) & 1);
+        }
+
+        if (node === this.nodeCount) {
+            return null;
+        }
+        if (node < this.nodeCount) {
+            throw new Error('Invalid MaxMind DB: search tree does not end in a record');
+        }
+
+        return this.decoder.decode(node - this.nodeCount - DATA_SECTION_SEPARATOR + this.decoder.pointerBase)[0];
+    }
+}
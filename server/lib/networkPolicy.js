@@ -0,0 +1,57 @@
+/**
+ * Network Mode Policy
+ * Server-side counterpart of NETWORK_MODE in src/config/appConfig.js. The deployment runs on
+ * mainnet or testnet as a whole, and payout addresses from the other mode are refused.
+ */
+import { createConfig } from '../../src/config/appConfig.js';
+import { AssetError, assetForTicker, checkAddress, checkExtraId, getAsset } from '../../src/js/assetRegistry.js';
+import { HttpError } from './http.js';
+
+export const NETWORK_MODE = createConfig({
+    overrides: process.env.NETWORK_MODE ? { NETWORK_MODE: process.env.NETWORK_MODE } : {}
+}).NETWORK_MODE;
+
+/**
+ * Resolve an asset code ("USDT" plus a network) or a SimpleSwap ticker ("usdttrc20"); null when unknown
+ */
+function resolveAsset(asset, network) {
+    try {
+        return getAsset(String(asset || '').toUpperCase(), network || null);
+    } catch (error) {
+        if (!(error instanceof AssetError)) throw error;
+        return assetForTicker(asset);
+    }
+}
+
+/**
+ * Throw a 400 when a payout address is invalid for its asset or belongs to the other network mode,
+ * or its extra ID (memo / destination tag) is missing where required or malformed.
+ * Unknown assets are left to the upstream provider to reject unless `allowUnknown` is false.
+ */
+export function assertPayoutAddress({ asset, network = null, address, extraId = '', allowUnknown = true }, mode = NETWORK_MODE) {
+    const resolved = resolveAsset(asset, network);
+    if (!resolved && !allowUnknown) {
+        throw new HttpError(400, `Unsupported currency ${asset}${network ? ` on ${network}` : ''}`);
+    }
+    if (!resolved || !address) return;
+
+    const extra = checkExtraId(resolved.code, extraId, resolved.network);
+    if (extra.reason === 'required') {
+        throw new HttpError(400, `${resolved.extraId.name} is required for ${resolved.code} on ${resolved.networkName}`);
+    }
+    if (!extra.isValid) {
+        throw new HttpError(400, extra.reason === 'unsupported'
+            ? `${resolved.code} on ${resolved.networkName} takes no extra ID`
+            : `Invalid ${resolved.extraId.name.toLowerCase()} for ${resolved.code} on ${resolved.networkName}`);
+    }
+
+    const result = checkAddress(resolved.code, address, resolved.network, mode);
+    if (result.reason === 'network') {
+        throw new HttpError(400, `${result.type} address is on ${result.network} but this service runs on ${mode}`, {
+            networkMode: mode
+        });
+    }
+    if (!result.isValid) {
+        throw new HttpError(400, `Invalid ${resolved.code} address for ${resolved.networkName}`);
+    }
+}
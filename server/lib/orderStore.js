@@ -0,0 +1,307 @@
+/**
+ * Order Store
+ * Orders keyed by merchant transaction ID, persisted as an append-only event log
+ */
+import { HttpError } from './http.js';
+import { LogStore } from './logStore.js';
+import { isAllowedTransition, normalizeExchangeStatus } from '../../src/js/exchangeStatusTracker.js';
+import { TRANSACTION_ID_PATTERN } from '../../src/js/orderRepository.js';
+import { SKU_PATTERN } from '../../src/js/productCatalog.js';
+
+export const ORDER_STATUSES = ['pending', 'paid', 'completed', 'failed', 'refunded'];
+
+// Allowed forward transitions; anything else is treated as a stale or out-of-order update
+export const ORDER_TRANSITIONS = {
+    pending: ['paid', 'completed', 'failed'],
+    paid: ['completed', 'failed', 'refunded'],
+    completed: ['refunded'],
+    failed: [],
+    refunded: []
+};
+
+// Statuses after which the order's wallet address may have received funds
+const FUNDED_STATUSES = ['paid', 'completed', 'refunded'];
+
+// SimpleSwap-funded orders stay pending; once the deposit is seen the exchange may pay out
+// to the wallet address, so anything past `waiting` counts as funded
+const UNFUNDED_EXCHANGE_STATUSES = [null, 'waiting'];
+
+// Client-supplied order fields and how each is validated and normalized
+const ORDER_FIELD_RULES = {
+    sku: value => SKU_PATTERN.test(value) && value,
+    exchangeId: value => /^[a-zA-Z0-9]{4,64}$/.test(value) && value,
+    walletAddress: value => /^[a-zA-Z0-9:]{20,120}$/.test(value) && value,
+    extraId: value => /^[\x20-\x7e]{1,64}$/.test(value) && value,
+    amount: value => Number.isFinite(Number(value)) && Number(value) > 0 && Number(value) <= 100000 && Number(value),
+    fiatCurrency: value => /^[a-z]{3}$/i.test(value) && value.toUpperCase(),
+    cryptoCurrency: value => /^[a-z0-9]{2,15}$/i.test(value) && value.toLowerCase(),
+    network: value => /^[a-z0-9-]{2,30}$/.test(value) && value,
+    affiliateId: value => /^[a-zA-Z0-9_-]{1,64}$/.test(value) && value,
+    region: value => value && typeof value === 'object' && /^[A-Z]{2}$/i.test(value.country) && {
+        country: value.country.toUpperCase(),
+        subdivision: /^[A-Z0-9]{1,3}$/i.test(value.subdivision || '') ? value.subdivision.toUpperCase() : null
+    }
+};
+
+/**
+ * Validate client-supplied order fields, dropping unknown keys
+ */
+export function sanitizeOrderFields(input = {}) {
+    const fields = {};
+
+    Object.entries(ORDER_FIELD_RULES).forEach(([field, rule]) => {
+        const value = input[field];
+        if (value === undefined || value === null || value === '') return;
+
+        const normalized = rule(typeof value === 'string' ? value.trim() : value);
+        if (normalized === false) {
+            throw new HttpError(400, `Invalid ${field}`);
+        }
+        fields[field] = normalized;
+    });
+
+    return fields;
+}
+
+export class OrderStore {
+    constructor(options = {}) {
+        this.store = new LogStore('orders', options);
+        this.orders = null;
+        this.loadedBytes = 0;
+        this.loading = Promise.resolve();
+    }
+
+    /**
+     * Bring the in-memory order index up to date with the log.
+     * Webhooks, the order API and the address API are separate functions, each with its own
+     * instances; they share the log only through the LogStore backend (Netlify Blobs when
+     * deployed), so each load applies whatever was appended since the previous one.
+     */
+    loadOrders() {
+        const result = this.loading.then(() => this.refresh());
+        this.loading = result.catch(() => {});
+        return result;
+    }
+
+    async refresh() {
+        const size = await this.store.size();
+
+        if (!this.orders || size < this.loadedBytes) {
+            this.orders = new Map();
+            this.loadedBytes = 0;
+        }
+
+        if (size > this.loadedBytes) {
+            for await (const entry of this.store.scan({ start: this.loadedBytes, end: size })) {
+                this.apply(entry);
+            }
+            this.loadedBytes = size;
+        }
+
+        return this.orders;
+    }
+
+    apply(entry) {
+        if (entry.kind === 'created') {
+            // Two instances may race to create the same order; the first entry wins
+            if (this.orders.has(entry.order.transactionId)) return;
+
+            this.orders.set(entry.order.transactionId, {
+                ...entry.order,
+                exchange: null,
+                statusHistory: [{ status: entry.order.status, at: entry.at, source: entry.source }],
+                exchangeStatusHistory: []
+            });
+            return;
+        }
+
+        const order = this.orders.get(entry.transactionId);
+        if (!order) return;
+
+        if (entry.kind === 'status') {
+            order.status = entry.status;
+            order.statusHistory.push({
+                status: entry.status,
+                at: entry.at,
+                source: entry.source,
+                details: entry.details
+            });
+            Object.assign(order, entry.fields || {});
+        } else if (entry.kind === 'wallet') {
+            // Receive addresses are attached once; a later entry for the order is ignored
+            order.walletAddress = order.walletAddress || entry.walletAddress;
+        } else if (entry.kind === 'exchange') {
+            order.exchange = entry.exchange;
+            order.exchangeId = entry.exchange.id;
+            order.exchangeStatusHistory.push({
+                status: entry.exchange.status,
+                rawStatus: entry.exchange.rawStatus,
+                at: entry.at,
+                source: entry.source
+            });
+        }
+
+        order.updatedAt = entry.at;
+    }
+
+    async append(entry) {
+        await this.store.append(entry);
+        await this.loadOrders();
+    }
+
+    validateTransactionId(transactionId) {
+        if (typeof transactionId !== 'string' || !TRANSACTION_ID_PATTERN.test(transactionId)) {
+            throw new HttpError(400, 'Invalid merchant transaction ID');
+        }
+    }
+
+    async getOrder(transactionId) {
+        const orders = await this.loadOrders();
+        return orders.get(transactionId) || null;
+    }
+
+    async findByExchangeId(exchangeId) {
+        const orders = await this.loadOrders();
+        return Array.from(orders.values()).find(order => order.exchangeId === exchangeId) || null;
+    }
+
+    /**
+     * Wallet addresses of orders that may have received funds, so they are never handed out again.
+     * That is either a Mercuryo payment or a SimpleSwap exchange that got past waiting for its deposit.
+     */
+    async listFundedAddresses() {
+        const orders = await this.loadOrders();
+
+        return new Set(Array.from(orders.values())
+            .filter(order => order.walletAddress && (FUNDED_STATUSES.includes(order.status)
+                || !UNFUNDED_EXCHANGE_STATUSES.includes(order.exchange?.status ?? null)))
+            .map(order => order.walletAddress));
+    }
+
+    /**
+     * List orders, most recently updated first
+     */
+    async listOrders({ status = null, since = null, limit = 100 } = {}) {
+        const orders = await this.loadOrders();
+
+        return Array.from(orders.values())
+            .filter(order => !status || order.status === status)
+            .filter(order => since === null || order.updatedAt >= since)
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .slice(0, limit);
+    }
+
+    /**
+     * Create a pending order unless one already exists for the transaction ID
+     */
+    async createOrder(transactionId, fields = {}, source = 'api') {
+        this.validateTransactionId(transactionId);
+
+        const existing = await this.getOrder(transactionId);
+        if (existing) {
+            return existing;
+        }
+
+        const at = Date.now();
+        await this.append({
+            kind: 'created',
+            at,
+            source,
+            order: {
+                ...fields,
+                transactionId,
+                status: 'pending',
+                createdAt: at,
+                updatedAt: at
+            }
+        });
+
+        return this.getOrder(transactionId);
+    }
+
+    /**
+     * Attach a receive address issued by the address pool to an order created without a wallet.
+     * Throws a 409 when the order already holds a different address.
+     */
+    async assignWalletAddress(transactionId, walletAddress, source = 'addresses') {
+        const order = await this.getOrder(transactionId);
+        if (!order) {
+            throw new HttpError(404, 'Order not found');
+        }
+
+        if (!order.walletAddress) {
+            await this.append({ kind: 'wallet', transactionId, walletAddress, at: Date.now(), source });
+        }
+
+        const updated = await this.getOrder(transactionId);
+        if (updated.walletAddress !== walletAddress) {
+            throw new HttpError(409, 'Order already has a different wallet address');
+        }
+        return updated;
+    }
+
+    /**
+     * Move an order to a new status if the transition is allowed.
+     * Returns `{ order, applied }`; disallowed transitions are ignored, not errors,
+     * so that retried or out-of-order provider callbacks are harmless.
+     */
+    async transition(transactionId, status, { source = 'api', details = {}, fields = {} } = {}) {
+        if (!ORDER_STATUSES.includes(status)) {
+            throw new HttpError(400, `Unknown order status: ${status}`);
+        }
+
+        const order = await this.getOrder(transactionId);
+        if (!order) {
+            throw new HttpError(404, 'Order not found');
+        }
+
+        if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+            console.warn(`Ignoring order transition ${order.status} -> ${status} for ${transactionId}`);
+            return { order, applied: false };
+        }
+
+        await this.append({ kind: 'status', transactionId, status, at: Date.now(), source, details, fields });
+        return { order: await this.getOrder(transactionId), applied: true };
+    }
+
+    /**
+     * Record a SimpleSwap get_exchange snapshot if its normalized status moved forward.
+     * Returns `{ order, applied }` like `transition`.
+     */
+    async recordExchange(transactionId, exchange, source = 'simpleswap_poll') {
+        const order = await this.getOrder(transactionId);
+        if (!order) {
+            throw new HttpError(404, 'Order not found');
+        }
+
+        if (order.exchangeId && exchange?.id !== order.exchangeId) {
+            throw new HttpError(409, 'Exchange does not belong to this order');
+        }
+
+        const status = normalizeExchangeStatus(exchange?.status);
+        if (!isAllowedTransition(order.exchange?.status || null, status)) {
+            return { order, applied: false };
+        }
+
+        await this.append({
+            kind: 'exchange',
+            transactionId,
+            at: Date.now(),
+            source,
+            exchange: {
+                id: exchange.id,
+                status,
+                rawStatus: exchange.status,
+                amountFrom: exchange.amount_from ?? null,
+                amountTo: exchange.amount_to ?? exchange.expected_amount ?? null,
+                currencyFrom: exchange.currency_from ?? null,
+                currencyTo: exchange.currency_to ?? null,
+                txFrom: exchange.tx_from || null,
+                txTo: exchange.tx_to || null,
+                updatedAt: exchange.updated_at || null
+            }
+        });
+
+        return { order: await this.getOrder(transactionId), applied: true };
+    }
+}
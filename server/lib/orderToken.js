@@ -0,0 +1,52 @@
+/**
+ * Order Tokens
+ * The buyer's credential for one order: an HMAC of its transaction ID, handed out when the order
+ * is created and sent back as a bearer token by every later call that acts on the order
+ */
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { HttpError } from './http.js';
+
+export class OrderTokens {
+    constructor(options = {}) {
+        this.secret = options.secret ?? process.env.ORDER_TOKEN_SECRET;
+    }
+
+    /**
+     * base64url HMAC-SHA256 keyed with ORDER_TOKEN_SECRET, separated by purpose
+     */
+    digest(purpose, value) {
+        if (!this.secret) {
+            throw new HttpError(503, 'Order token secret is not configured');
+        }
+
+        return createHmac('sha256', this.secret).update(`${purpose}:${value}`).digest('base64url');
+    }
+
+    /**
+     * Token for a transaction ID
+     */
+    issue(transactionId) {
+        return this.digest('order', transactionId);
+    }
+
+    /**
+     * Stable pseudonym for a client IP, so per-client limits can be kept without storing the IP
+     */
+    clientKey(ip) {
+        return this.digest('client', ip || 'unknown').slice(0, 22);
+    }
+
+    /**
+     * Require an `Authorization: Bearer <token>` header holding the order's token
+     */
+    assertValid(request, transactionId) {
+        const expected = Buffer.from(this.issue(transactionId));
+
+        const header = request.headers.get('authorization') || '';
+        const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+
+        if (token.length !== expected.length || !timingSafeEqual(token, expected)) {
+            throw new HttpError(401, 'Invalid order token');
+        }
+    }
+}
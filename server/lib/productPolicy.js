@@ -0,0 +1,32 @@
+/**
+ * Product Pricing Policy
+ * Server-side check of client-submitted purchases against the CATALOG in src/config/appConfig.js,
+ * so a tampered page cannot buy one product at another product's price.
+ */
+import { createConfig } from '../../src/config/appConfig.js';
+import { assetForTicker } from '../../src/js/assetRegistry.js';
+import { ProductError, assertProductPrice } from '../../src/js/productCatalog.js';
+import { HttpError } from './http.js';
+
+const config = createConfig();
+
+/**
+ * Throw a 400 unless the amount is the catalog price of the SKU in that currency and asset.
+ * A missing SKU is rejected too; callers must not skip the check when the client omits it.
+ * The asset may be given as a SimpleSwap ticker (e.g. usdttrc20).
+ */
+export function assertCatalogPrice({ sku, currency, asset, amount }) {
+    try {
+        return assertProductPrice(config, {
+            sku,
+            currency,
+            asset: assetForTicker(asset)?.code || asset,
+            amount
+        });
+    } catch (error) {
+        if (error instanceof ProductError) {
+            throw new HttpError(400, error.message);
+        }
+        throw error;
+    }
+}
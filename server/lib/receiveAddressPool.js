@@ -0,0 +1,234 @@
+/**
+ * Receive Address Pool
+ * Hands every order its own receive address derived from the merchant's extended public key.
+ * The derivation index is persisted as an append-only log of allocations, and a gap-limit policy
+ * keeps every issued address within the range wallet software scans when restoring the account.
+ */
+import { HttpError } from './http.js';
+import { LogStore } from './logStore.js';
+import { HdAccount, HdKeyError } from './hdWallet.js';
+import { NETWORK_MODE } from './networkPolicy.js';
+
+// BIP44 default: wallets stop scanning after 20 consecutive unused addresses
+const DEFAULT_GAP_LIMIT = 20;
+const DEFAULT_REUSE_AFTER_HOURS = 24;
+const DEFAULT_CLIENT_LIMIT = 3;
+const HOUR_MS = 60 * 60 * 1000;
+
+export class ReceiveAddressPool {
+    constructor(options = {}) {
+        const extendedKey = options.extendedKey ?? process.env.RECEIVE_XPUB;
+        this.account = null;
+        this.configError = 'Receive address derivation is not configured';
+
+        if (extendedKey) {
+            try {
+                const account = new HdAccount(extendedKey, {
+                    scriptType: options.scriptType ?? process.env.RECEIVE_SCRIPT_TYPE ?? null
+                });
+
+                const mode = options.networkMode ?? NETWORK_MODE;
+                if (account.network !== mode) {
+                    throw new HdKeyError(`${account.key.prefix} is a ${account.network} key but NETWORK_MODE is ${mode}`);
+                }
+                this.account = account;
+            } catch (error) {
+                if (!(error instanceof HdKeyError)) throw error;
+                console.error('Invalid receive extended key:', error.message);
+                this.configError = 'Receive address derivation is misconfigured';
+            }
+        }
+
+        this.gapLimit = Number(options.gapLimit ?? process.env.RECEIVE_GAP_LIMIT) || DEFAULT_GAP_LIMIT;
+        this.reuseAfterMs = (Number(options.reuseAfterHours ?? process.env.RECEIVE_REUSE_AFTER_HOURS)
+            || DEFAULT_REUSE_AFTER_HOURS) * HOUR_MS;
+        // Fresh allocations one client may make per hour, so a few calls cannot use up the gap limit
+        this.clientLimit = Number(options.clientLimit ?? process.env.RECEIVE_CLIENT_LIMIT) || DEFAULT_CLIENT_LIMIT;
+
+        this.store = new LogStore('receive_addresses', options);
+        this.state = null;
+        this.loadedBytes = 0;
+        this.loading = Promise.resolve();
+    }
+
+    assertConfigured() {
+        if (!this.account) {
+            throw new HttpError(503, this.configError);
+        }
+    }
+
+    /**
+     * Bring the allocation index up to date with the log (shared by every function instance)
+     */
+    loadState() {
+        const result = this.loading.then(() => this.refresh());
+        this.loading = result.catch(() => {});
+        return result;
+    }
+
+    async refresh() {
+        const size = await this.store.size();
+
+        if (!this.state || size < this.loadedBytes) {
+            this.state = { byTransaction: new Map(), byIndex: new Map(), byClient: new Map(), nextIndex: 0 };
+            this.loadedBytes = 0;
+        }
+
+        if (size > this.loadedBytes) {
+            for await (const entry of this.store.scan({ start: this.loadedBytes, end: size })) {
+                this.apply(entry);
+            }
+            this.loadedBytes = size;
+        }
+
+        return this.state;
+    }
+
+    /**
+     * Replay one allocation. Instances may race for the same index: a fresh index goes to the
+     * first entry, and a reused one only to the entry that names its current holder.
+     */
+    apply(entry) {
+        if (entry.kind !== 'allocated' || entry.key !== this.account?.fingerprint) return;
+
+        const { byTransaction, byIndex } = this.state;
+        if (byTransaction.has(entry.transactionId)) return;
+
+        const holder = byIndex.get(entry.index);
+        if ((holder?.transactionId ?? null) !== (entry.replaces ?? null)) return;
+
+        const allocation = {
+            transactionId: entry.transactionId,
+            index: entry.index,
+            path: entry.path,
+            address: entry.address,
+            scriptType: entry.scriptType,
+            allocatedAt: entry.at
+        };
+
+        if (holder) byTransaction.delete(holder.transactionId);
+        byTransaction.set(entry.transactionId, allocation);
+        byIndex.set(entry.index, allocation);
+        if (entry.client) {
+            this.state.byClient.set(entry.client, [...(this.state.byClient.get(entry.client) || []), entry.at]);
+        }
+        this.state.nextIndex = Math.max(this.state.nextIndex, entry.index + 1);
+    }
+
+    /**
+     * Highest index whose address has received a payment, or -1
+     */
+    lastUsedIndex(usedAddresses) {
+        let lastUsed = -1;
+        this.state.byIndex.forEach(allocation => {
+            if (usedAddresses.has(allocation.address)) {
+                lastUsed = Math.max(lastUsed, allocation.index);
+            }
+        });
+        return lastUsed;
+    }
+
+    /**
+     * Pick the index for a new allocation: the next fresh index while it is within the gap limit,
+     * then the longest-unpaid address past the last used one once its order has been abandoned
+     */
+    chooseIndex(usedAddresses, now) {
+        const lastUsed = this.lastUsedIndex(usedAddresses);
+
+        if (this.state.nextIndex <= lastUsed + this.gapLimit) {
+            return { index: this.state.nextIndex, replaces: null };
+        }
+
+        const abandoned = Array.from(this.state.byIndex.values())
+            .filter(allocation => allocation.index > lastUsed && !usedAddresses.has(allocation.address))
+            .filter(allocation => now - allocation.allocatedAt >= this.reuseAfterMs)
+            .sort((a, b) => a.allocatedAt - b.allocatedAt)[0];
+
+        if (!abandoned) {
+            throw new HttpError(503, 'Receive address gap limit reached; try again later', {
+                gapLimit: this.gapLimit
+            });
+        }
+
+        return { index: abandoned.index, replaces: abandoned.transactionId };
+    }
+
+    /**
+     * The allocation held by a transaction, or null
+     */
+    async findAllocation(transactionId) {
+        this.assertConfigured();
+        const state = await this.loadState();
+        return state.byTransaction.get(transactionId) || null;
+    }
+
+    /**
+     * Throw a 429 once a client has made `clientLimit` fresh allocations in the past hour
+     */
+    assertClientQuota(client, now) {
+        if (!client) return;
+
+        const recent = (this.state.byClient.get(client) || []).filter(at => now - at < HOUR_MS);
+        this.state.byClient.set(client, recent);
+
+        if (recent.length >= this.clientLimit) {
+            throw new HttpError(429, 'Too many receive addresses requested; try again later', {
+                retryAfterSeconds: Math.ceil((Math.min(...recent) + HOUR_MS - now) / 1000)
+            });
+        }
+    }
+
+    /**
+     * Allocate (or return the already allocated) receive address for a transaction.
+     * `usedAddresses` holds the addresses that have received a payment; `client` is a
+     * pseudonymous caller key whose fresh allocations are rate limited.
+     */
+    async allocate(transactionId, usedAddresses = new Set(), { client = null } = {}) {
+        this.assertConfigured();
+
+        for (let attempt = 0; ; attempt++) {
+            const state = await this.loadState();
+            const existing = state.byTransaction.get(transactionId);
+            if (existing) {
+                return { allocation: existing, duplicate: attempt === 0 };
+            }
+
+            // Another instance won the chosen index every time
+            if (attempt === 3) {
+                throw new HttpError(503, 'Receive address allocation is busy; try again');
+            }
+
+            const at = Date.now();
+            this.assertClientQuota(client, at);
+            const { index, replaces } = this.chooseIndex(usedAddresses, at);
+
+            await this.store.append({
+                kind: 'allocated',
+                key: this.account.fingerprint,
+                transactionId,
+                replaces,
+                client,
+                at,
+                ...this.account.deriveAddress(index)
+            });
+        }
+    }
+
+    /**
+     * Allocation counters for monitoring
+     */
+    async describe(usedAddresses = new Set()) {
+        this.assertConfigured();
+        await this.loadState();
+
+        return {
+            key: this.account.fingerprint,
+            network: this.account.network,
+            scriptType: this.account.scriptType,
+            gapLimit: this.gapLimit,
+            nextIndex: this.state.nextIndex,
+            lastUsedIndex: this.lastUsedIndex(usedAddresses),
+            allocations: this.state.byIndex.size
+        };
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Regional Access Policy
+ * Server-side evaluation of the REGIONS rules in src/config/appConfig.js,
+ * the same rules GeoRedirector applies in the browser.
+ * Runtime-agnostic so it can be bundled into Deno edge functions as well as Node.
+ */
+import { buildCountryRestrictions, createConfig } from '../../src/config/appConfig.js';
+
+const { REGIONS } = createConfig();
+
+export const SUPPORTED_COUNTRIES = REGIONS.SUPPORTED_COUNTRIES;
+
+export const COUNTRY_RESTRICTIONS = buildCountryRestrictions(REGIONS);
+
+export const COUNTRY_CURRENCIES = REGIONS.COUNTRY_CURRENCIES;
+
+const COUNTRY_NAMES = {
+    'US': 'United States',
+    'CA': 'Canada',
+    'AU': 'Australia'
+};
+
+/**
+ * Evaluate a country / subdivision pair against the policy.
+ * Mirrors the result shape of GeoRedirector.validateRegion.
+ */
+export function evaluateRegion(countryCode, regionCode = null) {
+    if (!countryCode) {
+        return {
+            isValid: false,
+            reason: 'Country code not provided',
+            restrictions: []
+        };
+    }
+
+    const country = countryCode.toUpperCase();
+
+    if (!SUPPORTED_COUNTRIES.includes(country)) {
+        return {
+            isValid: false,
+            reason: `Service not available in ${COUNTRY_NAMES[country] || country}`,
+            supportedCountries: SUPPORTED_COUNTRIES,
+            restrictions: []
+        };
+    }
+
+    const restrictions = COUNTRY_RESTRICTIONS[country];
+    if (restrictions && regionCode) {
+        const index = restrictions.excludedStates.indexOf(regionCode.toUpperCase());
+
+        if (index !== -1) {
+            return {
+                isValid: false,
+                reason: `Service restricted in ${restrictions.excludedStateNames[index]}`,
+                restrictions: restrictions.excludedStateNames,
+                country
+            };
+        }
+    }
+
+    return {
+        isValid: true,
+        reason: 'Service available in your region',
+        country,
+        currency: COUNTRY_CURRENCIES[country] || null,
+        restrictions: restrictions?.excludedStateNames || []
+    };
+}
+
+export function getCountryName(countryCode) {
+    return COUNTRY_NAMES[countryCode] || countryCode;
+}
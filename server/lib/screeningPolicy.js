@@ -0,0 +1,64 @@
+/**
+ * Address Screening Policy
+ * Server-side use of src/js/addressScreening.js. The screening list is read from disk and re-read
+ * when the file changes; payouts to blocked addresses are refused and every match is recorded.
+ */
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { AddressScreener } from '../../src/js/addressScreening.js';
+import { HttpError } from './http.js';
+import { LogStore } from './logStore.js';
+
+export const DEFAULT_SCREENING_LIST_PATH = 'src/data/screening-list.json';
+
+export class ScreeningPolicy {
+    constructor(options = {}) {
+        this.listPath = path.resolve(options.listPath ?? process.env.SCREENING_LIST_PATH ?? DEFAULT_SCREENING_LIST_PATH);
+        this.store = new LogStore('screening_matches', options);
+        this.screener = null;
+        this.loadedMtime = null;
+    }
+
+    /**
+     * The screener for the current list file. Fails closed: without a readable list nothing is paid out.
+     */
+    async getScreener() {
+        try {
+            const { mtimeMs } = await stat(this.listPath);
+            if (!this.screener || mtimeMs !== this.loadedMtime) {
+                this.screener = new AddressScreener(JSON.parse(await readFile(this.listPath, 'utf8')));
+                this.loadedMtime = mtimeMs;
+                console.log(`Screening list v${this.screener.version} loaded: ${this.screener.size} addresses`);
+            }
+            return this.screener;
+        } catch (error) {
+            console.error('Screening list unavailable:', this.listPath, error.message);
+            throw new HttpError(503, 'Address screening is unavailable');
+        }
+    }
+
+    /**
+     * Throw a 403 when any of the addresses is on the screening list, after recording the match.
+     * `context` (route, asset, transaction) is stored with the match.
+     */
+    async assertAllowed(addresses, context = {}) {
+        const screener = await this.getScreener();
+
+        for (const address of [].concat(addresses).filter(Boolean)) {
+            const result = screener.screen(address, context);
+            if (result.allowed) continue;
+
+            await this.store.append({
+                at: new Date().toISOString(),
+                address,
+                reasons: result.reasons,
+                listVersion: result.listVersion,
+                context
+            });
+            throw new HttpError(403, 'This destination address cannot be used', {
+                reasons: result.reasons,
+                listVersion: result.listVersion
+            });
+        }
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * Server-side SimpleSwap API Client
+ * Injects the API key from the environment so it never reaches the browser
+ */
+import { HttpError } from './http.js';
+import { NETWORK_MODE } from './networkPolicy.js';
+
+const TICKER_PATTERN = /^[a-z0-9]{2,15}$/i;
+const EXCHANGE_ID_PATTERN = /^[a-zA-Z0-9]{4,64}$/;
+
+export class SimpleSwapClient {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey ?? process.env.SIMPLESWAP_API_KEY;
+        this.networkMode = options.networkMode ?? NETWORK_MODE;
+
+        // SimpleSwap has no sandbox: testnet exchanges go to a configured mock, never to production
+        this.baseURL = this.networkMode === 'testnet'
+            ? options.baseURL || process.env.SIMPLESWAP_TESTNET_API_URL || null
+            : options.baseURL || process.env.SIMPLESWAP_API_URL || 'https://api.simpleswap.io';
+        this.timeout = options.timeout || 10000;
+    }
+
+    /**
+     * Build an upstream URL with the API key attached
+     */
+    buildURL(action, params = {}) {
+        if (!this.apiKey) {
+            throw new HttpError(503, 'SimpleSwap API key is not configured');
+        }
+        if (!this.baseURL) {
+            throw new HttpError(503, 'SimpleSwap has no testnet; set SIMPLESWAP_TESTNET_API_URL to a mock server');
+        }
+
+        const url = new URL(`${this.baseURL.replace(/\/$/, '')}/${action}`);
+        url.searchParams.set('api_key', this.apiKey);
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(key, String(value));
+            }
+        });
+
+        return url;
+    }
+
+    /**
+     * Call the SimpleSwap API and surface upstream failures as 502s
+     */
+    async request(action, { params = {}, method = 'GET', body } = {}) {
+        const url = this.buildURL(action, params);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: {
+                    'Accept': 'application/json',
+                    ...(body ? { 'Content-Type': 'application/json' } : {})
+                },
+                body: body ? JSON.stringify(body) : undefined,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            console.error(`SimpleSwap ${action} request failed:`, error);
+            throw new HttpError(502, 'SimpleSwap API unreachable');
+        }
+
+        const text = await response.text();
+        let data;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            throw new HttpError(502, 'SimpleSwap API returned malformed JSON');
+        }
+
+        if (!response.ok) {
+            throw new HttpError(502, 'SimpleSwap API request failed', {
+                upstreamStatus: response.status,
+                upstreamError: data?.description || data?.message || data?.error || null
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * Get estimated amount for a currency pair
+     */
+    async getEstimated({ currencyFrom, currencyTo, amount, fixed = false }) {
+        this.validateTicker(currencyFrom, 'currency_from');
+        this.validateTicker(currencyTo, 'currency_to');
+        this.validateAmount(amount);
+
+        return this.request('get_estimated', {
+            params: {
+                fixed: String(fixed) === 'true',
+                currency_from: currencyFrom.toLowerCase(),
+                currency_to: currencyTo.toLowerCase(),
+                amount
+            }
+        });
+    }
+
+    /**
+     * Check the client fields of an exchange before any of them is used
+     */
+    validateExchange(exchange) {
+        this.validateTicker(exchange.currency_from, 'currency_from');
+        this.validateTicker(exchange.currency_to, 'currency_to');
+        this.validateAmount(exchange.amount);
+
+        if (!exchange.address_to || typeof exchange.address_to !== 'string') {
+            throw new HttpError(400, 'address_to is required');
+        }
+
+        // Optional fields are forwarded upstream as text, so anything else is rejected
+        for (const field of ['extra_id_to', 'user_refund_address', 'user_refund_extra_id']) {
+            const value = exchange[field];
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+                throw new HttpError(400, `${field} must be a string`);
+            }
+        }
+    }
+
+    /**
+     * Create an exchange from a whitelisted subset of client fields
+     */
+    async createExchange(exchange) {
+        this.validateExchange(exchange);
+
+        const payload = {
+            fixed: exchange.fixed === true,
+            currency_from: exchange.currency_from.toLowerCase(),
+            currency_to: exchange.currency_to.toLowerCase(),
+            amount: Number(exchange.amount),
+            address_to: exchange.address_to.trim(),
+            extra_id_to: (exchange.extra_id_to || '').trim(),
+            user_refund_address: (exchange.user_refund_address || '').trim(),
+            user_refund_extra_id: (exchange.user_refund_extra_id || '').trim()
+        };
+
+        return this.request('create_exchange', { method: 'POST', body: payload });
+    }
+
+    /**
+     * Get an exchange by ID, including its current status
+     */
+    async getExchange(id) {
+        if (typeof id !== 'string' || !EXCHANGE_ID_PATTERN.test(id)) {
+            throw new HttpError(400, 'Invalid exchange id');
+        }
+
+        return this.request('get_exchange', { params: { id } });
+    }
+
+    /**
+     * List all currencies supported by SimpleSwap
+     */
+    async getAllCurrencies() {
+        return this.request('get_all_currencies');
+    }
+
+    validateTicker(value, field) {
+        if (typeof value !== 'string' || !TICKER_PATTERN.test(value)) {
+            throw new HttpError(400, `Invalid ${field}`);
+        }
+    }
+
+    validateAmount(value) {
+        const amount = Number(value);
+        if (!Number.isFinite(amount) || amount <= 0 || amount > 100000) {
+            throw new HttpError(400, 'Invalid amount');
+        }
+    }
+}
@@ -0,0 +1,559 @@
+/**
+ * Local Mock Upstream Server
+ * Stand-ins for the SimpleSwap API, Mercuryo (public rates and widget) and the geolocation lookup,
+ * with scriptable latency, 429, 5xx and malformed JSON failures.
+ *
+ * Usage:
+ *   node server/mockServer.js
+ *   node server/mockServer.js --fail simpleswap:429:3 --latency ipapi:2000 --geo US:NY
+ *
+ * Routes (mounted per service so each can fail independently):
+ *   /simpleswap/get_estimated | create_exchange | get_exchange | get_all_currencies
+ *   /mercuryo/v1.6/public/rates   /mercuryo/ (fake widget)
+ *   /ipapi/json/   /ipapi/edge
+ *   /__mock/state | failures | latency | geo | exchanges/:id   (control API)
+ */
+import { randomBytes } from 'node:crypto';
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { MercuryoSigner } from './lib/mercuryoSigner.js';
+import { buildMercuryoCallback } from './lib/mercuryoWebhook.js';
+
+export const MOCK_SERVICES = ['simpleswap', 'mercuryo', 'ipapi'];
+export const FAILURE_MODES = ['429', '5xx', 'malformed'];
+
+const EXCHANGE_TIMELINE = ['waiting', 'confirming', 'exchanging', 'sending', 'finished'];
+
+// Mock market prices in EUR
+const PRICES_EUR = {
+    eur: 1,
+    usd: 0.92,
+    cad: 0.68,
+    aud: 0.61,
+    btc: 60000,
+    eth: 3000,
+    ltc: 80,
+    pol: 0.5,
+    usdt: 0.92,
+    usdterc20: 0.92,
+    usdtpoly: 0.92,
+    usdttrc20: 0.92,
+    xrp: 0.5,
+    xlm: 0.1
+};
+
+const CURRENCIES = [
+    { symbol: 'btc', name: 'Bitcoin', network: 'btc', has_extra_id: false, extra_id: '' },
+    { symbol: 'eth', name: 'Ethereum', network: 'eth', has_extra_id: false, extra_id: '' },
+    { symbol: 'ltc', name: 'Litecoin', network: 'ltc', has_extra_id: false, extra_id: '' },
+    { symbol: 'pol', name: 'Polygon', network: 'matic', has_extra_id: false, extra_id: '' },
+    { symbol: 'usdt', name: 'Tether (ERC20)', network: 'eth', has_extra_id: false, extra_id: '' },
+    { symbol: 'usdterc20', name: 'Tether (ERC20)', network: 'eth', has_extra_id: false, extra_id: '' },
+    { symbol: 'usdtpoly', name: 'Tether (Polygon)', network: 'matic', has_extra_id: false, extra_id: '' },
+    { symbol: 'usdttrc20', name: 'Tether (TRC20)', network: 'trx', has_extra_id: false, extra_id: '' },
+    { symbol: 'xrp', name: 'Ripple', network: 'xrp', has_extra_id: true, extra_id: 'Destination tag' },
+    { symbol: 'xlm', name: 'Stellar', network: 'xlm', has_extra_id: true, extra_id: 'Memo' },
+    { symbol: 'eur', name: 'Euro', network: '', has_extra_id: false, extra_id: '', is_fiat: true },
+    { symbol: 'usd', name: 'US Dollar', network: '', has_extra_id: false, extra_id: '', is_fiat: true },
+    { symbol: 'cad', name: 'Canadian Dollar', network: '', has_extra_id: false, extra_id: '', is_fiat: true },
+    { symbol: 'aud', name: 'Australian Dollar', network: '', has_extra_id: false, extra_id: '', is_fiat: true }
+];
+
+const DEFAULT_GEO = {
+    ip: '203.0.113.10',
+    city: 'San Francisco',
+    region: 'California',
+    region_code: 'CA',
+    country: 'US',
+    country_code: 'US',
+    country_name: 'United States',
+    postal: '94103',
+    latitude: 37.7749,
+    longitude: -122.4194,
+    timezone: 'America/Los_Angeles',
+    currency: 'USD'
+};
+
+const GEO_PRESETS = {
+    US: { country_name: 'United States', timezone: 'America/New_York', currency: 'USD' },
+    CA: { country_name: 'Canada', timezone: 'America/Toronto', currency: 'CAD' },
+    AU: { country_name: 'Australia', timezone: 'Australia/Sydney', currency: 'AUD' },
+    DE: { country_name: 'Germany', timezone: 'Europe/Berlin', currency: 'EUR' },
+    GB: { country_name: 'United Kingdom', timezone: 'Europe/London', currency: 'GBP' }
+};
+
+/**
+ * Parse `service:mode[:count]` into a failure rule
+ */
+export function parseFailureRule(spec) {
+    const [service, mode, count] = String(spec).split(':');
+    return createFailureRule({ service, mode, count: count === undefined ? undefined : Number(count) });
+}
+
+function createFailureRule({ service, mode, count, status }) {
+    if (service !== '*' && !MOCK_SERVICES.includes(service)) {
+        throw new Error(`Unknown mock service: ${service}`);
+    }
+
+    if (!FAILURE_MODES.includes(String(mode))) {
+        throw new Error(`Unknown failure mode: ${mode} (expected ${FAILURE_MODES.join(', ')})`);
+    }
+
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+        throw new Error('Failure count must be a positive integer');
+    }
+
+    return {
+        service,
+        mode: String(mode),
+        status: mode === '5xx' ? Number(status) || 503 : undefined,
+        remaining: count ?? Infinity
+    };
+}
+
+/**
+ * Build a geo response from `COUNTRY[:REGION]`
+ */
+function geoFor(country, regionCode) {
+    const code = country.toUpperCase();
+    return {
+        ...DEFAULT_GEO,
+        ...(GEO_PRESETS[code] || { country_name: code }),
+        country: code,
+        country_code: code,
+        region_code: regionCode ? regionCode.toUpperCase() : null,
+        region: regionCode ? regionCode.toUpperCase() : null,
+        city: null,
+        postal: null
+    };
+}
+
+export class MockUpstreams {
+    constructor(options = {}) {
+        this.port = options.port || 8787;
+        this.exchangeStepMs = options.exchangeStepMs || 15000;
+        this.webhookUrl = options.webhookUrl || null;
+        this.signer = new MercuryoSigner({ signKey: options.signKey });
+        this.failures = [...(options.failures || [])];
+        this.latency = { ...(options.latency || {}) };
+        this.geo = options.geo || { ...DEFAULT_GEO };
+        this.exchanges = new Map();
+    }
+
+    /**
+     * Send a JSON (or deliberately broken) response with permissive CORS
+     */
+    send(res, status, body, headers = {}) {
+        const isText = typeof body === 'string';
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Cache-Control': 'no-store',
+            ...headers
+        });
+        res.end(isText ? body : JSON.stringify(body));
+    }
+
+    async readBody(req) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    async readJson(req) {
+        const text = await this.readBody(req);
+        try {
+            return text ? JSON.parse(text) : {};
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Consume the first matching failure rule for a service, if any
+     */
+    takeFailure(service) {
+        const rule = this.failures.find(item => item.service === service || item.service === '*');
+        if (!rule) return null;
+
+        rule.remaining--;
+        if (rule.remaining <= 0) {
+            this.failures.splice(this.failures.indexOf(rule), 1);
+        }
+        return rule;
+    }
+
+    /**
+     * Apply configured latency and failures before a service handler runs.
+     * Returns true if a failure response was sent.
+     */
+    async injectFailure(service, res) {
+        const delay = this.latency[service] ?? this.latency['*'] ?? 0;
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const rule = this.takeFailure(service);
+        if (!rule) return false;
+
+        console.log(`  injecting ${rule.mode} for ${service}`);
+
+        if (rule.mode === '429') {
+            this.send(res, 429, { error: 'Too Many Requests', description: 'Mock rate limit' }, { 'Retry-After': '1' });
+        } else if (rule.mode === '5xx') {
+            this.send(res, rule.status, { error: 'Service Unavailable', description: 'Mock upstream failure' });
+        } else {
+            this.send(res, 200, '{"result": {"status": "ok", "data": [1, 2');
+        }
+        return true;
+    }
+
+    /**
+     * SimpleSwap: exchanges advance one status per step unless a status was forced
+     */
+    exchangeStatus(exchange) {
+        if (exchange.forcedStatus) return exchange.forcedStatus;
+
+        const step = Math.floor((Date.now() - exchange.createdAt) / this.exchangeStepMs);
+        return EXCHANGE_TIMELINE[Math.min(step, EXCHANGE_TIMELINE.length - 1)];
+    }
+
+    serializeExchange(exchange) {
+        const status = this.exchangeStatus(exchange);
+        const { createdAt, forcedStatus, ...fields } = exchange;
+
+        return {
+            ...fields,
+            status,
+            updated_at: new Date().toISOString(),
+            amount_to: status === 'finished' ? fields.expected_amount : null,
+            tx_from: ['confirming', 'exchanging', 'sending', 'finished'].includes(status) ? `mock_tx_in_${fields.id}` : null,
+            tx_to: status === 'finished' ? `mock_tx_out_${fields.id}` : null
+        };
+    }
+
+    estimate(from, to, amount) {
+        const fromPrice = PRICES_EUR[String(from).toLowerCase()];
+        const toPrice = PRICES_EUR[String(to).toLowerCase()];
+        const value = Number(amount);
+
+        if (!fromPrice || !toPrice || !Number.isFinite(value) || value <= 0) {
+            return null;
+        }
+
+        // 0.5% mock fee
+        return (value * fromPrice / toPrice * 0.995).toFixed(8);
+    }
+
+    async handleSimpleSwap(req, res, action, query) {
+        if (!query.get('api_key')) {
+            return this.send(res, 401, { error: 'Unauthorized', description: 'api_key is required' });
+        }
+
+        if (action === 'get_estimated' && req.method === 'GET') {
+            const estimate = this.estimate(query.get('currency_from'), query.get('currency_to'), query.get('amount'));
+            return estimate
+                ? this.send(res, 200, JSON.stringify(estimate))
+                : this.send(res, 422, { error: 'Unprocessable Entity', description: 'Pair or amount is not available' });
+        }
+
+        if (action === 'create_exchange' && req.method === 'POST') {
+            const body = await this.readJson(req);
+            const expected = body && this.estimate(body.currency_from, body.currency_to, body.amount);
+
+            if (!expected || !body.address_to) {
+                return this.send(res, 422, { error: 'Unprocessable Entity', description: 'Invalid exchange parameters' });
+            }
+
+            const id = randomBytes(8).toString('hex');
+            const exchange = {
+                id,
+                type: body.fixed ? 'fixed' : 'float',
+                timestamp: new Date().toISOString(),
+                currency_from: body.currency_from,
+                currency_to: body.currency_to,
+                amount_from: String(body.amount),
+                expected_amount: expected,
+                address_from: `mock_deposit_${id}`,
+                address_to: body.address_to,
+                extra_id_from: '',
+                extra_id_to: body.extra_id_to || '',
+                user_refund_address: body.user_refund_address || '',
+                user_refund_extra_id: body.user_refund_extra_id || '',
+                createdAt: Date.now(),
+                forcedStatus: null
+            };
+
+            this.exchanges.set(id, exchange);
+            return this.send(res, 200, this.serializeExchange(exchange));
+        }
+
+        if (action === 'get_exchange' && req.method === 'GET') {
+            const exchange = this.exchanges.get(query.get('id'));
+            return exchange
+                ? this.send(res, 200, this.serializeExchange(exchange))
+                : this.send(res, 404, { error: 'Not Found', description: 'Exchange not found' });
+        }
+
+        if (action === 'get_all_currencies' && req.method === 'GET') {
+            return this.send(res, 200, CURRENCIES);
+        }
+
+        return this.send(res, 404, { error: 'Not Found', description: `Unknown SimpleSwap action: ${action}` });
+    }
+
+    async handleMercuryo(req, res, subPath, query) {
+        if (subPath === 'v1.6/public/rates' && req.method === 'GET') {
+            const fiat = (query.get('currency') || 'EUR').toUpperCase();
+            const fiatPrice = PRICES_EUR[fiat.toLowerCase()];
+
+            if (!fiatPrice) {
+                return this.send(res, 400, { status: 400, message: `Unsupported currency: ${fiat}` });
+            }
+
+            const buy = {};
+            ['btc', 'eth', 'ltc', 'usdt', 'xrp'].forEach(symbol => {
+                buy[symbol.toUpperCase()] = { [fiat]: (PRICES_EUR[symbol] / fiatPrice * 1.02).toFixed(2) };
+            });
+
+            return this.send(res, 200, { status: 200, data: { buy } });
+        }
+
+        if (subPath === '' && req.method === 'GET') {
+            return this.send(res, 200, this.renderWidget(query), { 'Content-Type': 'text/html; charset=utf-8' });
+        }
+
+        if (subPath === 'complete' && req.method === 'POST') {
+            return this.completeWidget(req, res);
+        }
+
+        return this.send(res, 404, { status: 404, message: 'Not found' });
+    }
+
+    /**
+     * Fake Mercuryo widget: shows the received parameters and lets the tester pick an outcome
+     */
+    renderWidget(query) {
+        const escape = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+        const rows = Array.from(query.entries())
+            .map(([key, value]) => `<tr><th>${escape(key)}</th><td>${escape(value)}</td></tr>`)
+            .join('');
+        const hidden = Array.from(query.entries())
+            .map(([key, value]) => `<input type="hidden" name="${escape(key)}" value="${escape(value)}">`)
+            .join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Mock Mercuryo Widget</title>
+<style>body{font-family:sans-serif;max-width:640px;margin:40px auto}th{text-align:left;padding-right:12px}button{margin:8px 8px 0 0;padding:8px 16px}</style>
+</head>
+<body>
+<h1>Mock Mercuryo Widget</h1>
+<p>No payment is taken. Pick the outcome to simulate.</p>
+<table>${rows}</table>
+<form method="post" action="/mercuryo/complete">${hidden}
+<button name="outcome" value="completed">Pay (completed)</button>
+<button name="outcome" value="failed">Fail payment</button>
+<button name="outcome" value="cancelled">Cancel</button>
+</form>
+</body>
+</html>`;
+    }
+
+    /**
+     * Send the signed callbacks Mercuryo would send, then redirect back to the checkout
+     */
+    async completeWidget(req, res) {
+        const form = new URLSearchParams(await this.readBody(req));
+        const outcome = form.get('outcome') || 'completed';
+        const merchantTransactionId = form.get('merchant_transaction_id');
+        const statuses = { completed: ['paid', 'completed'], failed: ['failed'], cancelled: [] }[outcome] || [];
+
+        if (!this.signer.signKey) {
+            console.warn('  MERCURYO_SIGN_KEY not set; skipping webhook callbacks');
+        } else if (this.webhookUrl && merchantTransactionId) {
+            const providerId = randomBytes(8).toString('hex');
+
+            for (const status of statuses) {
+                const body = JSON.stringify(buildMercuryoCallback({
+                    providerId,
+                    status,
+                    merchantTransactionId,
+                    type: form.get('type') || 'buy',
+                    address: form.get('address'),
+                    currency: form.get('currency') || 'BTC',
+                    amount: form.get('amount'),
+                    fiatCurrency: form.get('fiat_currency') || 'EUR',
+                    fiatAmount: form.get('fiat_amount') || form.get('amount')
+                }));
+
+                try {
+                    const response = await fetch(this.webhookUrl, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', 'X-Signature': this.signer.signCallback(body) },
+                        body
+                    });
+                    console.log(`  webhook ${status} -> HTTP ${response.status}`);
+                } catch (error) {
+                    console.warn(`  webhook ${status} failed:`, error.message);
+                }
+            }
+        }
+
+        const returnURL = new URL(form.get('return_url') || form.get('redirect_url') || 'http://localhost:8888/');
+        returnURL.searchParams.set('mercuryo_status', outcome);
+        if (merchantTransactionId) {
+            returnURL.searchParams.set('merchant_transaction_id', merchantTransactionId);
+        }
+
+        res.writeHead(302, { Location: returnURL.href });
+        res.end();
+    }
+
+    handleIpapi(req, res, subPath) {
+        if (req.method === 'GET' && (subPath === 'json' || subPath === '')) {
+            return this.send(res, 200, this.geo);
+        }
+        // Stands in for /api/geolocation/edge, which has only the country and subdivision
+        if (req.method === 'GET' && subPath === 'edge') {
+            const { country_code: countryCode, country_name: countryName, region_code: regionCode } = this.geo;
+            return this.send(res, 200, { country_code: countryCode, country_name: countryName, region_code: regionCode, source: 'edge' });
+        }
+        return this.send(res, 404, { error: true, reason: 'Not found' });
+    }
+
+    /**
+     * Control API used by tests and developers to script failures at runtime
+     */
+    async handleControl(req, res, segments) {
+        const [resource, id] = segments;
+
+        if (resource === 'state' && req.method === 'GET') {
+            return this.send(res, 200, {
+                failures: this.failures.map(rule => ({ ...rule, remaining: rule.remaining === Infinity ? null : rule.remaining })),
+                latency: this.latency,
+                geo: this.geo,
+                exchanges: Array.from(this.exchanges.values()).map(exchange => this.serializeExchange(exchange))
+            });
+        }
+
+        if (resource === 'failures' && req.method === 'DELETE') {
+            this.failures = [];
+            return this.send(res, 200, { failures: [] });
+        }
+
+        const body = await this.readJson(req);
+        if (!body || req.method !== 'POST') {
+            return this.send(res, 400, { error: 'Expected a POST with a JSON body' });
+        }
+
+        try {
+            if (resource === 'failures') {
+                this.failures.push(createFailureRule(body));
+                return this.send(res, 201, { failures: this.failures.length });
+            }
+
+            if (resource === 'latency') {
+                if (body.service !== '*' && !MOCK_SERVICES.includes(body.service)) {
+                    throw new Error(`Unknown mock service: ${body.service}`);
+                }
+                this.latency[body.service] = Math.max(Number(body.ms) || 0, 0);
+                return this.send(res, 200, { latency: this.latency });
+            }
+
+            if (resource === 'geo') {
+                this.geo = body.country_code ? { ...DEFAULT_GEO, ...body } : geoFor(body.country, body.region);
+                return this.send(res, 200, this.geo);
+            }
+
+            if (resource === 'exchanges' && id) {
+                const exchange = this.exchanges.get(id);
+                if (!exchange) {
+                    return this.send(res, 404, { error: 'Exchange not found' });
+                }
+                exchange.forcedStatus = body.status || null;
+                return this.send(res, 200, this.serializeExchange(exchange));
+            }
+        } catch (error) {
+            return this.send(res, 400, { error: error.message });
+        }
+
+        return this.send(res, 404, { error: 'Unknown control route' });
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, `http://localhost:${this.port}`);
+        const [service, ...segments] = url.pathname.split('/').filter(Boolean);
+        const subPath = segments.join('/');
+
+        if (req.method === 'OPTIONS') {
+            return this.send(res, 204, '');
+        }
+
+        if (service === '__mock') {
+            return this.handleControl(req, res, segments);
+        }
+
+        if (!MOCK_SERVICES.includes(service)) {
+            return this.send(res, 404, { error: `Unknown mock service: ${service || '/'}` });
+        }
+
+        if (await this.injectFailure(service, res)) return;
+
+        if (service === 'simpleswap') return this.handleSimpleSwap(req, res, subPath, url.searchParams);
+        if (service === 'mercuryo') return this.handleMercuryo(req, res, subPath, url.searchParams);
+        return this.handleIpapi(req, res, subPath);
+    }
+
+    listen() {
+        const server = http.createServer((req, res) => {
+            this.handle(req, res)
+                .then(() => console.log(`${req.method} ${req.url} -> ${res.statusCode}`))
+                .catch(error => {
+                    console.error('Mock request failed:', error);
+                    if (!res.headersSent) this.send(res, 500, { error: 'Mock server error' });
+                });
+        });
+
+        server.listen(this.port, () => {
+            console.log(`Mock upstreams running at http://localhost:${this.port}`);
+            console.log(`  SIMPLESWAP_API_URL=http://localhost:${this.port}/simpleswap`);
+            console.log(`  SIMPLESWAP_TESTNET_API_URL=http://localhost:${this.port}/simpleswap (NETWORK_MODE=testnet)`);
+            console.log(`  Checkout: http://localhost:8888/?mock=http://localhost:${this.port}`);
+        });
+
+        return server;
+    }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { values: options } = parseArgs({
+        options: {
+            'port': { type: 'string', default: process.env.MOCK_PORT || '8787' },
+            'fail': { type: 'string', multiple: true, default: [] },
+            'latency': { type: 'string', multiple: true, default: [] },
+            'geo': { type: 'string' },
+            'step-ms': { type: 'string', default: '15000' },
+            'webhook-url': { type: 'string', default: 'http://localhost:8888/api/mercuryo/webhook' }
+        }
+    });
+
+    const [country, region] = (options.geo || '').split(':');
+
+    new MockUpstreams({
+        port: Number(options.port),
+        exchangeStepMs: Number(options['step-ms']),
+        webhookUrl: options['webhook-url'],
+        failures: options.fail.map(parseFailureRule),
+        latency: Object.fromEntries(options.latency.map(spec => {
+            const [service, ms] = spec.split(':');
+            return [service, Number(ms)];
+        })),
+        geo: country ? geoFor(country, region) : undefined
+    }).listen();
+}
@@ -0,0 +1,553 @@
+/**
+ * Application Configuration
+ * The single source of checkout configuration: schema, defaults, per-environment
+ * overlays and a runtime override loaded from `config/runtime.json`.
+ * Runtime-agnostic: the browser loads it as a module, Node and edge functions import it.
+ */
+import { ASSET_REGISTRY, applyAsset } from '../js/assetRegistry.js';
+import { SKU_PATTERN, applyProduct } from '../js/productCatalog.js';
+
+export const ENVIRONMENTS = ['production', 'development', 'test'];
+
+// Which chain networks and provider sandboxes the checkout runs against
+export const NETWORK_MODES = ['mainnet', 'testnet'];
+
+export const DEFAULT_RUNTIME_CONFIG_URL = '/config/runtime.json';
+
+// Settings the server functions read from DEFAULT_CONFIG (prices, region rules and currencies).
+// runtime.json only reaches the browser, so changing them there would split page and server.
+export const SERVER_OWNED_KEYS = ['CATALOG', 'REGIONS'];
+
+// sessionStorage key for the local mock server base URL
+const MOCK_STORAGE_KEY = 'checkout_mock_base';
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const url = { type: 'url' };
+const stringList = { type: 'array', items: string };
+
+const FIAT_CODE = /^[A-Z]{3}$/;
+const fiatCode = { type: 'string', pattern: FIAT_CODE };
+
+const urls = {
+    type: 'object',
+    properties: {
+        SIMPLESWAP_API: url,
+        SIMPLESWAP_PROXY: url,
+        SIMPLESWAP_WIDGET: url,
+        MERCURYO_API: url,
+        MERCURYO_WIDGET: url,
+        MERCURYO_SIGNATURE: url,
+        ORDERS_API: url,
+        ADDRESSES_API: url,
+        ANALYTICS_API: url,
+        SCREENING_LIST: url,
+        GEOLOCATION_API: url,
+        EDGE_GEOLOCATION_API: url,
+        BOUNDARIES: url
+    }
+};
+
+/**
+ * Shape of the configuration. Every key is validated, unknown keys are rejected
+ * so a typo in runtime.json fails loudly instead of being silently ignored.
+ */
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        ENVIRONMENT: { type: 'string', enum: ENVIRONMENTS },
+
+        // Public identifiers; secrets (API and sign keys) live server-side only
+        SIMPLESWAP_PARTNER_ID: string,
+        MERCURYO_WIDGET_ID: string,
+
+        // testnet: addresses must be testnet addresses and TESTNET_URLS replace their URLS entries
+        NETWORK_MODE: { type: 'string', enum: NETWORK_MODES },
+
+        URLS: urls,
+        TESTNET_URLS: urls,
+
+        FEATURES: {
+            type: 'object',
+            properties: {
+                ENABLE_ANALYTICS: boolean,
+                ENABLE_PERFORMANCE_MONITORING: boolean,
+                ENABLE_SECURITY_LOGGING: boolean,
+                ENABLE_CACHING: boolean,
+                ENABLE_PWA: boolean,
+                USE_API_PROXY: boolean,
+                DEBUG_MODE: boolean
+            }
+        },
+
+        SECURITY: {
+            type: 'object',
+            properties: {
+                MAX_REQUEST_RETRIES: number,
+                RATE_LIMIT_WINDOW: number,
+                MAX_REQUESTS_PER_WINDOW: number,
+                ALLOWED_DOMAINS: stringList
+            }
+        },
+
+        PERFORMANCE: {
+            type: 'object',
+            properties: {
+                MAX_LOAD_TIME: number,
+                MAX_INTERACTION_TIME: number,
+                MAX_MEMORY_USAGE: number,
+                CACHE_DURATION: number
+            }
+        },
+
+        TRANSACTION: {
+            type: 'object',
+            properties: {
+                SKU: { type: 'string', pattern: SKU_PATTERN },
+                // Derived from the selected product's price, see applyProduct
+                FIXED_AMOUNT: number,
+                // Fallback fiat; pages switch to the buyer's regional currency, see resolveCurrency
+                CURRENCY: fiatCode,
+                // Asset code and network from src/js/assetRegistry.js; NETWORK defaults to the asset's first
+                CRYPTO_CURRENCY: { type: 'string', pattern: /^[A-Z0-9]{2,15}$/ },
+                NETWORK: { type: 'string', pattern: /^[a-z0-9-]+$/ },
+                PAYMENT_METHOD: string
+            }
+        },
+
+        // Assets buyers can choose between on pages where they enter their own wallet
+        ASSETS: {
+            type: 'object',
+            properties: {
+                OFFERED: stringList
+            }
+        },
+
+        // SKU -> product; PRICES maps fiat currency code -> price
+        CATALOG: {
+            type: 'object',
+            properties: {
+                DEFAULT_SKU: { type: 'string', pattern: SKU_PATTERN },
+                PRODUCTS: {
+                    type: 'map',
+                    keys: SKU_PATTERN,
+                    values: {
+                        type: 'object',
+                        properties: {
+                            NAME: string,
+                            DESCRIPTION: string,
+                            // Omit to sell the product for whatever asset the page targets
+                            ASSET: { type: 'string', pattern: /^[A-Z0-9]{2,15}$/ },
+                            PRICES: { type: 'map', keys: FIAT_CODE, values: number }
+                        }
+                    }
+                }
+            }
+        },
+
+        REGIONS: {
+            type: 'object',
+            properties: {
+                SUPPORTED_COUNTRIES: stringList,
+                // Country code -> { subdivision code: display name }
+                EXCLUDED_SUBDIVISIONS: { type: 'map', values: { type: 'map', values: string } },
+                // Country code -> fiat currency buyers there pay in
+                COUNTRY_CURRENCIES: { type: 'map', values: fiatCode }
+            }
+        }
+    }
+};
+
+export const DEFAULT_CONFIG = {
+    ENVIRONMENT: 'production',
+
+    SIMPLESWAP_PARTNER_ID: '678f89b3-e398-45a6-a9f6-091863527d0a',
+    MERCURYO_WIDGET_ID: 'demo_widget_id',
+
+    NETWORK_MODE: 'mainnet',
+
+    URLS: {
+        SIMPLESWAP_API: 'https://api.simpleswap.io',
+        SIMPLESWAP_PROXY: '/api/simpleswap',
+        SIMPLESWAP_WIDGET: 'https://simpleswap.io',
+        MERCURYO_API: 'https://api.mercuryo.io',
+        MERCURYO_WIDGET: 'https://exchange.mercuryo.io',
+        MERCURYO_SIGNATURE: '/api/mercuryo/signature',
+        ORDERS_API: '/api/orders',
+        ADDRESSES_API: '/api/addresses',
+        ANALYTICS_API: '/api/analytics',
+        SCREENING_LIST: '/data/screening-list.json',
+        // Server-side GeoIP lookup (netlify/functions/geolocation.js); ipapi.co-compatible responses
+        GEOLOCATION_API: '/api/geolocation',
+        // Netlify's geo data for the same connection, as seen by the edge function; a second IP provider
+        EDGE_GEOLOCATION_API: '/api/geolocation/edge',
+        // Country and state / province outlines for reverse geocoding GPS fixes (src/js/reverseGeocoder.js)
+        BOUNDARIES: '/data/boundaries.json'
+    },
+
+    // Mercuryo's sandbox; SimpleSwap has none, so testnet exchanges need the mock server
+    TESTNET_URLS: {
+        MERCURYO_API: 'https://sandbox-api.mrcr.io',
+        MERCURYO_WIDGET: 'https://sandbox-exchange.mrcr.io'
+    },
+
+    FEATURES: {
+        ENABLE_ANALYTICS: true,
+        ENABLE_PERFORMANCE_MONITORING: true,
+        ENABLE_SECURITY_LOGGING: true,
+        ENABLE_CACHING: true,
+        ENABLE_PWA: true,
+        USE_API_PROXY: true,
+        DEBUG_MODE: false
+    },
+
+    SECURITY: {
+        MAX_REQUEST_RETRIES: 3,
+        RATE_LIMIT_WINDOW: 60000,
+        MAX_REQUESTS_PER_WINDOW: 50,
+        ALLOWED_DOMAINS: [
+            'simpleswap.io',
+            'api.simpleswap.io',
+            'mercuryo.io',
+            'mrcr.io',
+            'ipapi.co'
+        ]
+    },
+
+    PERFORMANCE: {
+        MAX_LOAD_TIME: 3000,
+        MAX_INTERACTION_TIME: 1000,
+        MAX_MEMORY_USAGE: 50 * 1024 * 1024,
+        CACHE_DURATION: 300000
+    },
+
+    TRANSACTION: {
+        CURRENCY: 'USD',
+        CRYPTO_CURRENCY: 'BTC',
+        PAYMENT_METHOD: 'mercuryo'
+    },
+
+    ASSETS: {
+        OFFERED: ['BTC', 'ETH', 'POL', 'LTC', 'USDT']
+    },
+
+    CATALOG: {
+        DEFAULT_SKU: 'starter',
+        PRODUCTS: {
+            starter: {
+                NAME: 'Starter',
+                DESCRIPTION: 'A first crypto purchase',
+                PRICES: { USD: 21.00, CAD: 29.00, AUD: 32.00, EUR: 19.50 }
+            },
+            standard: {
+                NAME: 'Standard',
+                DESCRIPTION: 'Our most popular bundle',
+                PRICES: { USD: 53.00, CAD: 73.00, AUD: 80.00, EUR: 49.00 }
+            },
+            premium: {
+                NAME: 'Premium',
+                DESCRIPTION: 'The best value for larger purchases',
+                PRICES: { USD: 107.00, CAD: 147.00, AUD: 162.00, EUR: 99.00 }
+            }
+        }
+    },
+
+    REGIONS: {
+        SUPPORTED_COUNTRIES: ['US', 'CA', 'AU'],
+        EXCLUDED_SUBDIVISIONS: {
+            US: { HI: 'Hawaii', LA: 'Louisiana', NY: 'New York' }
+        },
+        COUNTRY_CURRENCIES: { US: 'USD', CA: 'CAD', AU: 'AUD' }
+    }
+};
+
+export const ENVIRONMENT_OVERLAYS = {
+    production: {},
+    development: {
+        FEATURES: {
+            ENABLE_ANALYTICS: false,
+            DEBUG_MODE: true
+        }
+    },
+    test: {
+        FEATURES: {
+            ENABLE_ANALYTICS: false,
+            ENABLE_PERFORMANCE_MONITORING: false,
+            ENABLE_CACHING: false,
+            DEBUG_MODE: true
+        }
+    }
+};
+
+/**
+ * Error listing every schema violation found in a configuration
+ */
+export class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}:\n  ${problems.join('\n  ')}` : message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge overlays onto a base; objects merge, arrays and scalars replace
+ */
+export function mergeConfig(base, ...overlays) {
+    return overlays.reduce((result, overlay) => {
+        if (!isPlainObject(overlay)) return result;
+
+        const merged = { ...result };
+        Object.entries(overlay).forEach(([key, value]) => {
+            merged[key] = isPlainObject(value) && isPlainObject(result[key])
+                ? mergeConfig(result[key], value)
+                : Array.isArray(value) ? [...value] : value;
+        });
+        return merged;
+    }, isPlainObject(base) ? { ...base } : {});
+}
+
+function validateValue(value, schema, path, problems) {
+    switch (schema.type) {
+        case 'object':
+        case 'map':
+            if (!isPlainObject(value)) {
+                problems.push(`${path} must be an object`);
+                return;
+            }
+            Object.entries(value).forEach(([key, item]) => {
+                if (schema.keys && !schema.keys.test(key)) {
+                    problems.push(`${path}.${key} is not a valid key`);
+                    return;
+                }
+                const itemSchema = schema.type === 'map' ? schema.values : schema.properties[key];
+                if (!itemSchema) {
+                    problems.push(`${path}.${key} is not a known setting`);
+                    return;
+                }
+                validateValue(item, itemSchema, `${path}.${key}`, problems);
+            });
+            return;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                problems.push(`${path} must be an array`);
+                return;
+            }
+            value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, problems));
+            return;
+
+        case 'url':
+            if (typeof value !== 'string' || !/^(https?:\/\/[^\s/]+|\/)[^\s]*$/.test(value) || value.endsWith('/')) {
+                problems.push(`${path} must be an absolute http(s) URL or a root-relative path without a trailing slash`);
+            }
+            return;
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                problems.push(`${path} must be a finite number`);
+            }
+            return;
+
+        default:
+            if (typeof value !== schema.type) {
+                problems.push(`${path} must be a ${schema.type}`);
+            } else if (schema.enum && !schema.enum.includes(value)) {
+                problems.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+            } else if (schema.pattern && !schema.pattern.test(value)) {
+                problems.push(`${path} has an invalid format`);
+            }
+    }
+}
+
+/**
+ * Validate a full or partial configuration; returns a list of problems
+ */
+export function validateConfig(config, schema = CONFIG_SCHEMA) {
+    const problems = [];
+    validateValue(config, schema, 'config', problems);
+    return problems;
+}
+
+/**
+ * Build a validated configuration: defaults, then the environment overlay, then overrides.
+ * The asset's network and the transaction amount are then resolved from the asset
+ * registry and the selected catalog product.
+ */
+export function createConfig({ environment = 'production', overrides = {} } = {}) {
+    if (!ENVIRONMENTS.includes(environment)) {
+        throw new ConfigError(`Unknown environment: ${environment}`);
+    }
+
+    const config = mergeConfig(DEFAULT_CONFIG, ENVIRONMENT_OVERLAYS[environment], overrides, {
+        ENVIRONMENT: environment
+    });
+
+    const problems = validateConfig(config);
+    if (config.FEATURES?.USE_MERCURYO_SANDBOX !== undefined) {
+        problems.push('config.FEATURES.USE_MERCURYO_SANDBOX was replaced by NETWORK_MODE ("mainnet" or "testnet")');
+    }
+    if (config.TRANSACTION?.FIXED_AMOUNT !== undefined) {
+        problems.push('config.TRANSACTION.FIXED_AMOUNT comes from the catalog; set TRANSACTION.SKU or a product price instead');
+    }
+    (config.ASSETS?.OFFERED || [])
+        .filter(code => !ASSET_REGISTRY[code])
+        .forEach(code => problems.push(`config.ASSETS.OFFERED: ${code} is not in the asset registry`));
+    if (problems.length) {
+        throw new ConfigError('Invalid configuration', problems);
+    }
+
+    try {
+        return applyProduct(applyAsset(applyNetworkMode(config)));
+    } catch (error) {
+        throw new ConfigError('Invalid configuration', [error.message]);
+    }
+}
+
+/**
+ * Switch every endpoint with a testnet counterpart at once, so the chain network and
+ * the provider sandboxes can never disagree
+ */
+function applyNetworkMode(config) {
+    if (config.NETWORK_MODE !== 'testnet') return config;
+
+    return { ...config, URLS: { ...config.URLS, ...config.TESTNET_URLS } };
+}
+
+/**
+ * Guess the environment from the page host when none is configured
+ */
+export function detectEnvironment(location = globalThis.location) {
+    return location && LOCAL_HOSTS.includes(location.hostname) ? 'development' : 'production';
+}
+
+/**
+ * Point upstream URLs at the local mock server (server/mockServer.js).
+ * Enabled with `?mock=http://localhost:8787` (or `?mock=` to turn it off) and
+ * only honored when both the page and the mock run on localhost.
+ */
+export function applyMockUpstreams(config, location = globalThis.location, storage = globalThis.sessionStorage) {
+    if (!location || !storage || !LOCAL_HOSTS.includes(location.hostname)) {
+        return config;
+    }
+
+    const param = new URLSearchParams(location.search).get('mock');
+    if (param !== null) {
+        param ? storage.setItem(MOCK_STORAGE_KEY, param) : storage.removeItem(MOCK_STORAGE_KEY);
+    }
+
+    let mockURL;
+    try {
+        mockURL = new URL(storage.getItem(MOCK_STORAGE_KEY));
+    } catch (error) {
+        return config;
+    }
+
+    if (!LOCAL_HOSTS.includes(mockURL.hostname)) {
+        return config;
+    }
+
+    console.warn('Using mock upstreams at', mockURL.origin);
+
+    return mergeConfig(config, {
+        URLS: {
+            SIMPLESWAP_API: `${mockURL.origin}/simpleswap`,
+            MERCURYO_API: `${mockURL.origin}/mercuryo`,
+            MERCURYO_WIDGET: `${mockURL.origin}/mercuryo`,
+            GEOLOCATION_API: `${mockURL.origin}/ipapi`,
+            EDGE_GEOLOCATION_API: `${mockURL.origin}/ipapi/edge`
+        },
+        SECURITY: {
+            ALLOWED_DOMAINS: [...config.SECURITY.ALLOWED_DOMAINS, mockURL.hostname]
+        }
+    });
+}
+
+/**
+ * Validate runtime.json: the schema, plus no server-owned settings
+ */
+export function validateRuntimeOverrides(overrides) {
+    const problems = validateConfig(overrides);
+    SERVER_OWNED_KEYS
+        .filter(key => overrides?.[key] !== undefined)
+        .forEach(key => problems.push(`config.${key} is read by the server from DEFAULT_CONFIG; change it there, not in runtime.json`));
+    return problems;
+}
+
+/**
+ * Fetch the runtime override file. A missing file means no overrides;
+ * an invalid one is rejected as a whole so defaults stay consistent.
+ */
+export async function fetchRuntimeOverrides(runtimeConfigUrl = DEFAULT_RUNTIME_CONFIG_URL) {
+    try {
+        const response = await fetch(runtimeConfigUrl, { cache: 'no-store' });
+        if (response.status === 404) {
+            return {};
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const overrides = await response.json();
+        const problems = validateRuntimeOverrides(overrides);
+        if (problems.length) {
+            throw new ConfigError('Invalid runtime configuration', problems);
+        }
+        return overrides;
+
+    } catch (error) {
+        console.error(`Ignoring runtime config ${runtimeConfigUrl}:`, error);
+        return {};
+    }
+}
+
+/**
+ * Browser entry point: resolve the environment, apply runtime.json and page overrides,
+ * then the local mock switch. Pages pass `overrides` for settings specific to them.
+ */
+export async function loadConfig({
+    environment = null,
+    overrides = {},
+    runtimeConfigUrl = DEFAULT_RUNTIME_CONFIG_URL
+} = {}) {
+    const runtimeOverrides = runtimeConfigUrl ? await fetchRuntimeOverrides(runtimeConfigUrl) : {};
+    const resolvedEnvironment = environment || runtimeOverrides.ENVIRONMENT || detectEnvironment();
+
+    const config = createConfig({
+        environment: resolvedEnvironment,
+        overrides: mergeConfig(runtimeOverrides, overrides)
+    });
+
+    return applyMockUpstreams(config);
+}
+
+/**
+ * GeoRedirector-style restriction table ({ excludedStates, excludedStateNames }) per country
+ */
+export function buildCountryRestrictions(regions) {
+    return Object.fromEntries(regions.SUPPORTED_COUNTRIES.map(country => {
+        const excluded = regions.EXCLUDED_SUBDIVISIONS[country] || {};
+        return [country, {
+            excludedStates: Object.keys(excluded),
+            excludedStateNames: Object.values(excluded)
+        }];
+    }));
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.AppConfig = {
+        loadConfig,
+        createConfig,
+        mergeConfig,
+        validateConfig,
+        validateRuntimeOverrides,
+        buildCountryRestrictions
+    };
+}
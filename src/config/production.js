@@ -1,482 +0,0 @@
-/**
- * Production Configuration and Main Application Class
- * Orchestrates all production components with enhanced features
- */
-
-// Production Environment Configuration
-const PRODUCTION_CONFIG = {
-    // API Configuration (Real API keys)
-    SIMPLESWAP_API_KEY: '678f89b3-e398-45a6-a9f6-091863527d0a',
-    SIMPLESWAP_PARTNER_ID: '678f89b3-e398-45a6-a9f6-091863527d0a',
-    MERCURYO_WIDGET_ID: 'demo_widget_id', // Not needed for SimpleSwap integration
-    MERCURYO_SIGN_KEY: 'demo_sign_key', // Not needed for SimpleSwap integration
-    
-    // API Endpoints
-    URLS: {
-        SIMPLESWAP_API: 'https://api.simpleswap.io',
-        MERCURYO_API: 'https://exchange.mrcr.io',
-        MERCURYO_SANDBOX: 'https://sandbox-exchange.mrcr.io',
-        GEOLOCATION_API: 'https://ipapi.co'
-    },
-    
-    // Feature Flags
-    FEATURES: {
-        ENABLE_ANALYTICS: true,
-        ENABLE_PERFORMANCE_MONITORING: true,
-        ENABLE_SECURITY_LOGGING: true,
-        ENABLE_CACHING: true,
-        ENABLE_PWA: true,
-        DEBUG_MODE: false,
-        DEMO_MODE: false // Now using real API keys!
-    },
-    
-    // Security Configuration
-    SECURITY: {
-        CSP_NONCE: '',
-        MAX_REQUEST_RETRIES: 3,
-        RATE_LIMIT_WINDOW: 60000,
-        MAX_REQUESTS_PER_WINDOW: 50,
-        ALLOWED_DOMAINS: [
-            'simpleswap.io',
-            'exchange.mrcr.io',
-            'sandbox-exchange.mrcr.io',
-            'api.simpleswap.io',
-            'ipapi.co'
-        ]
-    },
-    
-    // Performance Thresholds
-    PERFORMANCE: {
-        MAX_LOAD_TIME: 3000,
-        MAX_INTERACTION_TIME: 1000,
-        MAX_MEMORY_USAGE: 50 * 1024 * 1024,
-        CACHE_DURATION: 300000
-    },
-    
-    // Transaction Configuration
-    TRANSACTION: {
-        FIXED_AMOUNT: 19.50,
-        CURRENCY: 'EUR',
-        PAYMENT_METHOD: 'mercuryo',
-        SUPPORTED_REGIONS: ['AU', 'CA', 'US'],
-        EXCLUDED_US_STATES: ['HI', 'LA', 'NY']
-    }
-};
-
-/**
- * Enhanced Production Application Class
- * Integrates all production components with real API functionality
- */
-class SimpleSwapCheckoutPro {
-    constructor() {
-        this.config = PRODUCTION_CONFIG;
-        this.isInitialized = false;
-        this.components = {};
-        this.state = {
-            isLoading: false,
-            userLocation: null,
-            transactionId: null,
-            walletAddress: null,
-            exchangeData: null
-        };
-        
-        // Initialize components
-        this.initializeComponents();
-    }
-    
-    /**
-     * Initialize all production components
-     */
-    initializeComponents() {
-        this.components.security = new SecurityManager();
-        this.components.performance = new PerformanceManager();
-        this.components.api = new APIManager(this.config);
-        this.components.geo = new GeoRedirector();
-        this.components.wallet = new WalletHandler();
-        this.components.deepLink = new DeepLinkBuilder();
-    }
-    
-    /**
-     * Initialize the application
-     */
-    async initialize() {
-        try {
-            console.log('Initializing SimpleSwap Mercuryo Checkout Pro...');
-            
-            // Security initialization
-            await this.initializeSecurity();
-            
-            // Performance monitoring
-            this.initializePerformanceMonitoring();
-            
-            // Geographic validation
-            await this.initializeGeolocation();
-            
-            // UI initialization
-            this.initializeUI();
-            
-            // API validation
-            await this.validateAPIs();
-            
-            this.isInitialized = true;
-            this.hideLoadingScreen();
-            
-            console.log('Application initialized successfully');
-            
-        } catch (error) {
-            console.error('Failed to initialize application:', error);
-            this.showError('Initialization failed. Please refresh the page.');
-            throw error;
-        }
-    }
-    
-    /**
-     * Initialize security features
-     */
-    async initializeSecurity() {
-        // Initialize security monitoring
-        this.components.security.initializeSecurityMonitoring();
-        
-        // Set CSP nonce
-        this.config.SECURITY.CSP_NONCE = this.components.security.csrfToken;
-        
-        // Validate current page URL
-        if (!this.components.security.validateURL(window.location.href)) {
-            this.components.security.logSecurityEvent('INVALID_PAGE_URL', {
-                url: window.location.href
-            });
-        }
-        
-        console.log('Security initialized');
-    }
-    
-    /**
-     * Initialize performance monitoring
-     */
-    initializePerformanceMonitoring() {
-        if (this.config.FEATURES.ENABLE_PERFORMANCE_MONITORING) {
-            this.components.performance.monitorCoreWebVitals();
-            this.components.performance.optimizeImages();
-            
-            if (this.config.FEATURES.ENABLE_CACHING) {
-                this.components.performance.implementCaching();
-            }
-            
-            console.log('Performance monitoring initialized');
-        }
-    }
-    
-    /**
-     * Initialize geolocation and regional validation
-     */
-    async initializeGeolocation() {
-        try {
-            const locationData = await this.components.api.getLocationByIP();
-            this.state.userLocation = locationData;
-            
-            const isValidRegion = this.components.geo.validateRegion(
-                locationData.country_code,
-                locationData.region_code
-            );
-            
-            if (!isValidRegion) {
-                this.showWarning('Service not available in your region');
-                this.disablePurchase();
-                return;
-            }
-            
-            this.updateRegionDisplay(locationData);
-            console.log('Geolocation initialized:', locationData);
-            
-        } catch (error) {
-            console.error('Geolocation failed:', error);
-            this.showWarning('Could not verify your location. Some features may be limited.');
-        }
-    }
-    
-    /**
-     * Initialize UI components and event listeners
-     */
-    initializeUI() {
-        // Update amount display
-        const amountDisplay = document.getElementById('amountDisplay');
-        if (amountDisplay) {
-            amountDisplay.textContent = `€${this.config.TRANSACTION.FIXED_AMOUNT}`;
-        }
-        
-        // Setup buy button
-        const buyButton = document.getElementById('buyButton');
-        if (buyButton) {
-            buyButton.addEventListener('click', (e) => this.handlePurchaseClick(e));
-            buyButton.disabled = false;
-        }
-        
-        // Setup error handling
-        window.addEventListener('unhandledrejection', (event) => {
-            this.components.security.logSecurityEvent('UNHANDLED_PROMISE_REJECTION', {
-                reason: event.reason
-            });
-        });
-        
-        console.log('UI initialized');
-    }
-    
-    /**
-     * Validate API connectivity
-     */
-    async validateAPIs() {
-        try {
-            // Test SimpleSwap API
-            await this.components.api.getEstimatedAmount('eur', 'btc', this.config.TRANSACTION.FIXED_AMOUNT);
-            
-            // Test Mercuryo API
-            await this.components.api.getMercuryoRates('EUR');
-            
-            console.log('API validation successful');
-            
-        } catch (error) {
-            console.warn('API validation warning:', error);
-            // Continue execution but log the issue
-        }
-    }
-    
-    /**
-     * Handle purchase button click
-     */
-    async handlePurchaseClick(event) {
-        event.preventDefault();
-        
-        if (this.state.isLoading) return;
-        
-        // Rate limiting check
-        if (this.components.security.isRateLimited('purchase_attempt', 5, 60000)) {
-            this.showError('Too many attempts. Please wait a minute before trying again.');
-            return;
-        }
-        
-        try {
-            this.setLoading(true);
-            
-            // Generate wallet address
-            const walletAddress = this.components.wallet.generateWalletAddress();
-            this.state.walletAddress = walletAddress;
-            
-            // Copy to clipboard
-            await this.components.wallet.copyToClipboard(walletAddress);
-            this.showSuccess('Wallet address copied to clipboard!');
-            
-            // Create exchange transaction
-            const exchangeData = await this.createExchange(walletAddress);
-            this.state.exchangeData = exchangeData;
-            
-            // Generate transaction ID
-            const transactionId = this.components.deepLink.generateTransactionId();
-            this.state.transactionId = transactionId;
-            
-            // Build Mercuryo deep link
-            const deepLink = this.buildMercuryoDeepLink(transactionId, walletAddress);
-            
-            // Redirect to Mercuryo
-            this.redirectToMercuryo(deepLink);
-            
-        } catch (error) {
-            console.error('Purchase flow failed:', error);
-            this.showError('Purchase failed. Please try again.');
-            
-            this.components.security.logSecurityEvent('PURCHASE_FLOW_ERROR', {
-                error: error.message,
-                walletAddress: this.state.walletAddress
-            });
-            
-        } finally {
-            this.setLoading(false);
-        }
-    }
-    
-    /**
-     * Create exchange transaction with SimpleSwap
-     */
-    async createExchange(walletAddress) {
-        const exchangeData = {
-            fromCurrency: 'eur',
-            toCurrency: 'btc',
-            amount: this.config.TRANSACTION.FIXED_AMOUNT,
-            walletAddress: walletAddress,
-            refundAddress: walletAddress
-        };
-        
-        return await this.components.api.createExchange(exchangeData);
-    }
-    
-    /**
-     * Build Mercuryo deep link with all parameters
-     */
-    buildMercuryoDeepLink(transactionId, walletAddress) {
-        const params = {
-            widget_id: this.config.MERCURYO_WIDGET_ID,
-            type: 'buy',
-            currency: 'BTC',
-            amount: this.config.TRANSACTION.FIXED_AMOUNT,
-            fiat_currency: 'EUR',
-            address: walletAddress,
-            fix_amount: 'true',
-            fix_currency: 'true',
-            payment_method: 'credit_debit_card',
-            signature: this.generateSignature(transactionId),
-            return_url: window.location.origin,
-            merchant_transaction_id: transactionId
-        };
-        
-        return this.components.deepLink.buildMercuryoURL(params);
-    }
-    
-    /**
-     * Generate signature for Mercuryo widget
-     */
-    generateSignature(transactionId) {
-        // In production, implement proper HMAC signature
-        return btoa(`${transactionId}_${this.config.MERCURYO_WIDGET_ID}_${Date.now()}`);
-    }
-    
-    /**
-     * Redirect to Mercuryo payment widget
-     */
-    redirectToMercuryo(deepLink) {
-        // Validate URL before redirect
-        if (this.components.security.validateURL(deepLink)) {
-            console.log('Redirecting to Mercuryo:', deepLink);
-            window.location.href = deepLink;
-        } else {
-            throw new Error('Invalid payment URL generated');
-        }
-    }
-    
-    /**
-     * UI Helper Methods
-     */
-    setLoading(isLoading) {
-        this.state.isLoading = isLoading;
-        const buyButton = document.getElementById('buyButton');
-        const buttonText = buyButton.querySelector('.button-text');
-        const buttonLoader = buyButton.querySelector('.button-loader');
-        
-        if (isLoading) {
-            buyButton.classList.add('loading');
-            buyButton.disabled = true;
-            buttonText.style.display = 'none';
-            buttonLoader.style.display = 'flex';
-        } else {
-            buyButton.classList.remove('loading');
-            buyButton.disabled = false;
-            buttonText.style.display = 'inline';
-            buttonLoader.style.display = 'none';
-        }
-    }
-    
-    hideLoadingScreen() {
-        const loadingScreen = document.getElementById('loadingScreen');
-        const app = document.getElementById('app');
-        
-        if (loadingScreen && app) {
-            loadingScreen.style.opacity = '0';
-            setTimeout(() => {
-                loadingScreen.style.display = 'none';
-                app.style.display = 'flex';
-                app.style.opacity = '1';
-            }, 500);
-        }
-    }
-    
-    updateRegionDisplay(locationData) {
-        const regionInfo = document.getElementById('regionInfo');
-        const regionText = regionInfo.querySelector('.region-text');
-        
-        if (regionText) {
-            regionText.textContent = `Available in ${locationData.country_name}`;
-            regionInfo.style.background = '#f0fdf4';
-            regionInfo.style.color = '#166534';
-        }
-    }
-    
-    showSuccess(message) {
-        this.showMessage('successMessage', message);
-    }
-    
-    showError(message) {
-        this.showMessage('errorMessage', message);
-    }
-    
-    showWarning(message) {
-        this.showMessage('warningMessage', message);
-    }
-    
-    showMessage(elementId, message) {
-        const element = document.getElementById(elementId);
-        if (element) {
-            element.textContent = message;
-            element.style.display = 'block';
-            
-            // Auto-hide after 5 seconds
-            setTimeout(() => {
-                element.style.display = 'none';
-            }, 5000);
-        }
-    }
-    
-    disablePurchase() {
-        const buyButton = document.getElementById('buyButton');
-        if (buyButton) {
-            buyButton.disabled = true;
-            buyButton.textContent = 'Not Available in Your Region';
-        }
-    }
-    
-    /**
-     * Analytics and monitoring
-     */
-    trackEvent(eventName, properties = {}) {
-        if (this.config.FEATURES.ENABLE_ANALYTICS) {
-            console.log('Analytics Event:', eventName, properties);
-            
-            // In production, send to analytics service
-            // analytics.track(eventName, properties);
-        }
-    }
-    
-    /**
-     * Get application state for debugging
-     */
-    getState() {
-        return {
-            config: this.config,
-            state: this.state,
-            isInitialized: this.isInitialized,
-            performance: this.components.performance.getPerformanceSummary(),
-            cache: this.components.api.getCacheStats()
-        };
-    }
-    
-    /**
-     * Cleanup resources on page unload
-     */
-    cleanup() {
-        if (this.components.performance) {
-            this.components.performance.cleanup();
-        }
-        
-        if (this.components.api) {
-            this.components.api.clearCache();
-        }
-    }
-}
-
-// Initialize cleanup on page unload
-window.addEventListener('beforeunload', () => {
-    if (window.app && typeof window.app.cleanup === 'function') {
-        window.app.cleanup();
-    }
-});
-
-// Export for global access
-window.SimpleSwapCheckoutPro = SimpleSwapCheckoutPro;
-window.PRODUCTION_CONFIG = PRODUCTION_CONFIG;
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * Address Book
+ * Saved payout addresses in IndexedDB, so returning buyers pick an address instead of pasting it.
+ * Every entry is encrypted with AES-GCM under a non-extractable WebCrypto key that lives in the
+ * same database: the key can be used by this origin but never read out, and the stored records
+ * are ciphertext to anything that copies the database files.
+ */
+
+const DB_NAME = 'simpleswap-address-book';
+const DB_VERSION = 1;
+const KEY_STORE = 'keys';
+const ENTRY_STORE = 'addresses';
+const KEY_ID = 'address-book';
+
+export const MAX_LABEL_LENGTH = 40;
+export const EXPORT_VERSION = 1;
+
+/**
+ * Whether this browser can keep an encrypted address book (WebCrypto needs a secure context)
+ */
+export function isAddressBookSupported() {
+    return typeof indexedDB !== 'undefined' && Boolean(globalThis.crypto?.subtle);
+}
+
+export class AddressBook {
+    constructor() {
+        this.dbPromise = null;
+        this.keyPromise = null;
+    }
+
+    /**
+     * Open (and on first use create) the IndexedDB database
+     */
+    openDB() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(KEY_STORE, { keyPath: 'id' });
+                    request.result.createObjectStore(ENTRY_STORE, { keyPath: 'id' });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against an object store
+     */
+    async withStore(storeName, mode, operation) {
+        const db = await this.openDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * The encryption key, generated on first use. IndexedDB stores the CryptoKey object itself,
+     * which keeps it non-extractable across reloads.
+     */
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.loadOrCreateKey();
+            this.keyPromise.catch(() => {
+                this.keyPromise = null;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    async loadOrCreateKey() {
+        const stored = await this.withStore(KEY_STORE, 'readonly', store => store.get(KEY_ID));
+        if (stored) return stored.key;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        try {
+            await this.withStore(KEY_STORE, 'readwrite', store => store.add({ id: KEY_ID, key }));
+            return key;
+        } catch (error) {
+            // Another tab created the key first; use that one
+            if (error?.name !== 'ConstraintError') throw error;
+            return (await this.withStore(KEY_STORE, 'readonly', store => store.get(KEY_ID))).key;
+        }
+    }
+
+    /**
+     * Encrypt an entry; the record id is bound as additional data so records cannot be swapped
+     */
+    async seal(entry) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(entry.id) },
+            await this.getKey(),
+            new TextEncoder().encode(JSON.stringify(entry))
+        );
+        return { id: entry.id, iv, data };
+    }
+
+    async open(record) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: record.iv, additionalData: new TextEncoder().encode(record.id) },
+            await this.getKey(),
+            record.data
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * Saved entries, most recently used first, optionally only those of one asset and network.
+     * Records that no longer decrypt (e.g. the key store was cleared) are skipped.
+     */
+    async list({ asset = null, network = null } = {}) {
+        const records = await this.withStore(ENTRY_STORE, 'readonly', store => store.getAll());
+        const entries = [];
+
+        for (const record of records) {
+            try {
+                entries.push(await this.open(record));
+            } catch (error) {
+                console.warn('Skipping unreadable saved address:', record.id, error);
+            }
+        }
+
+        return entries
+            .filter(entry => (!asset || entry.asset === asset) && (!network || entry.network === network))
+            .sort((a, b) => (b.lastUsedAt || b.createdAt) - (a.lastUsedAt || a.createdAt));
+    }
+
+    async get(id) {
+        const record = await this.withStore(ENTRY_STORE, 'readonly', store => store.get(id));
+        return record ? this.open(record) : null;
+    }
+
+    /**
+     * Save an address, or update the label and verified flag of the same address and extra ID
+     * (memo / destination tag) on the same network
+     */
+    async save({ address, extraId = '', label, asset, network, verified = false }) {
+        const cleanLabel = String(label || '').trim().slice(0, MAX_LABEL_LENGTH);
+        if (!address || !asset || !network) {
+            throw new Error('Saved addresses need an address, asset and network');
+        }
+
+        const existing = (await this.list({ asset, network }))
+            .find(entry => entry.address === address && (entry.extraId || '') === extraId);
+        const entry = existing
+            ? { ...existing, label: cleanLabel || existing.label, verified: existing.verified || verified }
+            : {
+                id: crypto.randomUUID(),
+                address,
+                extraId,
+                label: cleanLabel || `${asset} address`,
+                asset,
+                network,
+                verified,
+                createdAt: Date.now(),
+                lastUsedAt: null
+            };
+
+        return this.write(entry);
+    }
+
+    async write(entry) {
+        const record = await this.seal(entry);
+        await this.withStore(ENTRY_STORE, 'readwrite', store => store.put(record));
+        return entry;
+    }
+
+    /**
+     * Record that a purchase was paid out to the entry
+     */
+    async markUsed(id, at = Date.now()) {
+        const entry = await this.get(id);
+        return entry ? this.write({ ...entry, lastUsedAt: at }) : null;
+    }
+
+    async remove(id) {
+        await this.withStore(ENTRY_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    async clear() {
+        await this.withStore(ENTRY_STORE, 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Decrypted copy of every entry as JSON, for the buyer to keep or move to another browser
+     */
+    async exportJSON() {
+        const entries = (await this.list()).map(({ label, address, extraId, asset, network, verified, createdAt, lastUsedAt }) => ({
+            label,
+            address,
+            extraId: extraId || '',
+            asset,
+            network,
+            verified,
+            createdAt: new Date(createdAt).toISOString(),
+            lastUsedAt: lastUsedAt ? new Date(lastUsedAt).toISOString() : null
+        }));
+
+        return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), entries }, null, 2);
+    }
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.AddressBook = AddressBook;
+}
@@ -0,0 +1,340 @@
+/**
+ * Address Codec
+ * Decodes payout addresses and verifies their checksums: Base58Check (P2PKH, P2SH, Tron, XRP),
+ * Bech32 / Bech32m (SegWit v0, Taproot), EIP-55 mixed-case (EVM) and Stellar StrKey (CRC16).
+ * A typo in a well-formed address fails the checksum instead of passing a regex.
+ */
+import { sha256, keccak256, toHex } from './hashes.js';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+// The XRP Ledger encodes Base58Check with its own alphabet ("r" is the zero digit)
+const RIPPLE_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// StrKey version byte of an ed25519 public key ("G..."), 6 << 3
+const STELLAR_ACCOUNT_VERSION = 0x30;
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_CONSTANTS = { bech32: 1, bech32m: 0x2bc830a3 };
+
+/**
+ * Per chain: Base58Check version byte -> [type, network], Bech32 prefix -> network.
+ * Litecoin testnet shares version bytes with Bitcoin testnet; the chain being paid decides.
+ */
+const CHAIN_PARAMS = {
+    bitcoin: {
+        versions: {
+            0x00: ['Legacy P2PKH', 'mainnet'],
+            0x05: ['P2SH', 'mainnet'],
+            0x6f: ['Legacy P2PKH', 'testnet'],
+            0xc4: ['P2SH', 'testnet']
+        },
+        prefixes: { bc: 'mainnet', tb: 'testnet', bcrt: 'regtest' }
+    },
+    litecoin: {
+        versions: {
+            0x30: ['Legacy P2PKH', 'mainnet'],
+            0x32: ['P2SH', 'mainnet'],
+            // Pre-2017 P2SH addresses used Bitcoin's version byte ("3...")
+            0x05: ['P2SH', 'mainnet'],
+            0x6f: ['Legacy P2PKH', 'testnet'],
+            0x3a: ['P2SH', 'testnet'],
+            0xc4: ['P2SH', 'testnet']
+        },
+        prefixes: { ltc: 'mainnet', tltc: 'testnet', rltc: 'regtest' }
+    },
+    // Tron testnets (Nile, Shasta) use the same version byte, so the address does not tell
+    tron: {
+        versions: { 0x41: ['Base58Check', null] },
+        prefixes: {}
+    },
+    // Classic addresses ("r..."); the same on the XRP Ledger testnet
+    ripple: {
+        versions: { 0x00: ['Classic', null] },
+        prefixes: {},
+        alphabet: RIPPLE_ALPHABET
+    }
+};
+
+export function base58Encode(bytes, alphabet = BASE58_ALPHABET) {
+    const digits = [];
+    for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = Math.floor(carry / 58);
+        }
+        while (carry) {
+            digits.push(carry % 58);
+            carry = Math.floor(carry / 58);
+        }
+    }
+
+    const zeros = bytes.findIndex(byte => byte !== 0);
+    const leading = alphabet[0].repeat(zeros === -1 ? bytes.length : zeros);
+    return leading + digits.reverse().map(digit => alphabet[digit]).join('');
+}
+
+/**
+ * Decode Base58 text into bytes; null for characters outside the alphabet
+ */
+export function base58Decode(text, alphabet = BASE58_ALPHABET) {
+    const bytes = [];
+    for (const char of text) {
+        let carry = alphabet.indexOf(char);
+        if (carry === -1) return null;
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+
+    for (const char of text) {
+        if (char !== alphabet[0]) break;
+        bytes.push(0);
+    }
+    return Uint8Array.from(bytes.reverse());
+}
+
+const checksum4 = payload => sha256(sha256(payload)).subarray(0, 4);
+
+/**
+ * Base58Check-encode a version byte and payload, e.g. (0x00, hash160) -> "1..."
+ */
+export function encodeBase58Check(version, payload, alphabet = BASE58_ALPHABET) {
+    const body = Uint8Array.from([version, ...payload]);
+    return base58Encode(Uint8Array.from([...body, ...checksum4(body)]), alphabet);
+}
+
+/**
+ * Decode Base58Check text into { version, payload }; null when malformed or the checksum fails
+ */
+export function decodeBase58Check(text, alphabet = BASE58_ALPHABET) {
+    const bytes = base58Decode(text, alphabet);
+    if (!bytes || bytes.length < 5) return null;
+
+    const body = bytes.subarray(0, -4);
+    const expected = checksum4(body);
+    if (!bytes.subarray(-4).every((byte, i) => byte === expected[i])) return null;
+
+    return { version: body[0], payload: body.subarray(1) };
+}
+
+function bech32Polymod(values) {
+    let checksum = 1;
+    for (const value of values) {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        BECH32_GENERATOR.forEach((generator, i) => {
+            if ((top >>> i) & 1) checksum ^= generator;
+        });
+    }
+    return checksum;
+}
+
+function expandPrefix(prefix) {
+    const codes = [...prefix].map(char => char.charCodeAt(0));
+    return [...codes.map(code => code >> 5), 0, ...codes.map(code => code & 31)];
+}
+
+function convertBits(data, fromBits, toBits, pad) {
+    let accumulator = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+
+    for (const value of data) {
+        accumulator = (accumulator << fromBits) | value;
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            result.push((accumulator >> bits) & maxValue);
+        }
+    }
+
+    if (pad) {
+        if (bits) result.push((accumulator << (toBits - bits)) & maxValue);
+    } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+        return null;
+    }
+    return result;
+}
+
+/**
+ * Decode Bech32 / Bech32m text into { prefix, words, encoding }; null when malformed or the checksum fails
+ */
+export function bech32Decode(text) {
+    if (text.length > 90 || (text !== text.toLowerCase() && text !== text.toUpperCase())) return null;
+
+    const lower = text.toLowerCase();
+    const separator = lower.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > lower.length) return null;
+
+    const prefix = lower.slice(0, separator);
+    const words = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+    if (words.includes(-1)) return null;
+
+    const polymod = bech32Polymod([...expandPrefix(prefix), ...words]);
+    const encoding = Object.keys(BECH32_CONSTANTS).find(name => BECH32_CONSTANTS[name] === polymod);
+    if (!encoding) return null;
+
+    return { prefix, words: words.slice(0, -6), encoding };
+}
+
+/**
+ * Encode a SegWit output as an address: Bech32 for version 0, Bech32m from version 1 (BIP-350)
+ */
+export function encodeSegwitAddress(prefix, version, program) {
+    const words = [version, ...convertBits(program, 8, 5, true)];
+    const constant = BECH32_CONSTANTS[version === 0 ? 'bech32' : 'bech32m'];
+    const polymod = bech32Polymod([...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ constant;
+    const checksum = [0, 1, 2, 3, 4, 5].map(i => (polymod >>> (5 * (5 - i))) & 31);
+
+    return `${prefix}1${[...words, ...checksum].map(word => BECH32_CHARSET[word]).join('')}`;
+}
+
+/**
+ * Decode a SegWit address into { prefix, version, program } following BIP-173 and BIP-350; null when invalid
+ */
+export function decodeSegwitAddress(text) {
+    const decoded = bech32Decode(text);
+    if (!decoded || !decoded.words.length) return null;
+
+    const [version, ...rest] = decoded.words;
+    const program = convertBits(rest, 5, 8, false);
+
+    if (version > 16 || !program || program.length < 2 || program.length > 40) return null;
+    if (version === 0 && program.length !== 20 && program.length !== 32) return null;
+    if (decoded.encoding !== (version === 0 ? 'bech32' : 'bech32m')) return null;
+
+    return { prefix: decoded.prefix, version, program: Uint8Array.from(program) };
+}
+
+function segwitType(version, length) {
+    if (version === 0) return length === 20 ? 'Native SegWit P2WPKH' : 'Native SegWit P2WSH';
+    if (version === 1 && length === 32) return 'Taproot P2TR';
+    return `SegWit v${version}`;
+}
+
+/**
+ * EIP-55 checksum casing of an EVM address
+ */
+export function toChecksumAddress(address) {
+    const hex = address.slice(2).toLowerCase();
+    const hash = toHex(keccak256(new TextEncoder().encode(hex)));
+
+    return '0x' + [...hex].map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char).join('');
+}
+
+function decodeEvmAddress(address) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        return { isValid: false, reason: 'format' };
+    }
+
+    // Single-case addresses carry no checksum (EIP-55); mixed case must match it exactly
+    const hex = address.slice(2);
+    if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+        return { isValid: true, type: 'EVM', network: null, checksum: false };
+    }
+    if (toChecksumAddress(address) !== address) {
+        return { isValid: false, reason: 'checksum' };
+    }
+    return { isValid: true, type: 'EVM (EIP-55)', network: null, checksum: true };
+}
+
+// CRC-16/XMODEM, the StrKey checksum
+function crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let i = 0; i < 8; i++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+function base32Decode(text) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of text) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) return null;
+        buffer = (buffer << 5) | value;
+        bits += 5;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((buffer >> bits) & 0xff);
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Stellar account ID ("G...", 56 characters): version byte, ed25519 key and a little-endian CRC16.
+ * The same account ID is used on the public network and the testnet.
+ */
+function decodeStellarAddress(address) {
+    const bytes = /^G[A-Z2-7]{55}$/.test(address) ? base32Decode(address) : null;
+    if (!bytes || bytes.length !== 35 || bytes[0] !== STELLAR_ACCOUNT_VERSION) {
+        return { isValid: false, reason: 'format' };
+    }
+
+    const crc = crc16(bytes.subarray(0, 33));
+    if (bytes[33] !== (crc & 0xff) || bytes[34] !== crc >> 8) {
+        return { isValid: false, reason: 'checksum' };
+    }
+    return { isValid: true, type: 'Account ID', network: null, checksum: true };
+}
+
+/**
+ * Decode an address for a chain ('bitcoin', 'litecoin', 'tron', 'ripple', 'stellar' or 'evm') and verify its checksum.
+ * Returns { isValid: true, type, network, checksum } - network is 'mainnet', 'testnet', 'regtest',
+ * or null where the address format is shared by every network (EVM, Tron, XRP, Stellar) -
+ * or { isValid: false, reason } where reason is 'format' or 'checksum'.
+ */
+export function decodeAddress(chain, address) {
+    const text = String(address || '').trim();
+    if (chain === 'evm') return decodeEvmAddress(text);
+    if (chain === 'stellar') return decodeStellarAddress(text);
+
+    const params = CHAIN_PARAMS[chain];
+    if (!params) return { isValid: false, reason: 'format' };
+
+    const prefix = text.toLowerCase().slice(0, text.lastIndexOf('1'));
+    if (params.prefixes[prefix]) {
+        const segwit = decodeSegwitAddress(text);
+        if (!segwit) return { isValid: false, reason: 'checksum' };
+
+        return {
+            isValid: true,
+            type: segwitType(segwit.version, segwit.program.length),
+            network: params.prefixes[prefix],
+            checksum: true
+        };
+    }
+
+    const bytes = base58Decode(text, params.alphabet);
+    const version = bytes?.length === 25 ? params.versions[bytes[0]] : null;
+    if (!version) return { isValid: false, reason: 'format' };
+    if (!decodeBase58Check(text, params.alphabet)) return { isValid: false, reason: 'checksum' };
+
+    const [type, network] = version;
+    return { isValid: true, type, network, checksum: true };
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.AddressCodec = {
+        decodeAddress,
+        encodeBase58Check,
+        encodeSegwitAddress,
+        toChecksumAddress
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Address Fingerprint
+ * A visual summary of an address for comparing it by eye in another window: first and last
+ * characters, the address in groups, and an identicon (a symmetric 5x5 pattern from its SHA-256).
+ * A swapped address looks alike at a glance but changes all three.
+ */
+import { sha256, toHex } from './hashes.js';
+
+const FINGERPRINT_CHARS = 6;
+const GROUP_SIZE = 4;
+const IDENTICON_CELLS = 5;
+
+const escapeXML = text => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * First and last characters of an address, e.g. "bc1qar…wf5mdq", and the address in groups of four
+ */
+export function fingerprintAddress(address) {
+    const text = String(address);
+    const elided = text.length > FINGERPRINT_CHARS * 2;
+    const head = text.slice(0, FINGERPRINT_CHARS);
+    const tail = elided ? text.slice(-FINGERPRINT_CHARS) : text.slice(FINGERPRINT_CHARS);
+
+    return {
+        head,
+        tail,
+        short: elided ? `${head}…${tail}` : text,
+        groups: text.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g')) || [],
+        hash: toHex(sha256(new TextEncoder().encode(text)))
+    };
+}
+
+/**
+ * Identicon cells and color of an address. The left three columns come from the hash bits and
+ * are mirrored to the right; the hue comes from the first two hash bytes.
+ */
+export function identicon(address) {
+    const hash = sha256(new TextEncoder().encode(String(address)));
+    const cells = [];
+
+    for (let row = 0; row < IDENTICON_CELLS; row++) {
+        for (let col = 0; col < Math.ceil(IDENTICON_CELLS / 2); col++) {
+            const bit = row * Math.ceil(IDENTICON_CELLS / 2) + col;
+            if ((hash[2 + (bit >> 3)] >> (bit & 7)) & 1) {
+                cells.push([row, col]);
+                if (col !== IDENTICON_CELLS - 1 - col) cells.push([row, IDENTICON_CELLS - 1 - col]);
+            }
+        }
+    }
+
+    return { cells, color: `hsl(${((hash[0] << 8) | hash[1]) % 360}, 65%, 45%)` };
+}
+
+/**
+ * Identicon as an SVG string
+ */
+export function identiconSvg(address, { size = 40, background = '#f3f4f6', title = null } = {}) {
+    const { cells, color } = identicon(address);
+    const unit = IDENTICON_CELLS + 1;
+    const rects = cells.map(([row, col]) => `<rect x="${col + 0.5}" y="${row + 0.5}" width="1" height="1"/>`).join('');
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${unit} ${unit}" width="${size}" height="${size}" shape-rendering="crispEdges" role="img"${title ? ` aria-label="${escapeXML(title)}"` : ''}>`,
+        title ? `<title>${escapeXML(title)}</title>` : '',
+        `<rect width="100%" height="100%" fill="${escapeXML(background)}"/>`,
+        `<g fill="${color}">${rects}</g>`,
+        '</svg>'
+    ].join('');
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.AddressFingerprint = {
+        fingerprintAddress,
+        identicon,
+        identiconSvg
+    };
+}
@@ -0,0 +1,259 @@
+/**
+ * Address Screening
+ * Checks destination addresses against a locally stored, versioned blocklist: crypto addresses from
+ * the OFAC SDN list plus our own internal entries. Runtime-agnostic: the checkout and the server
+ * functions share it; scripts/updateScreeningList.js maintains the list.
+ */
+
+export const SCREENING_SOURCES = {
+    OFAC_SDN: 'ofac-sdn',
+    INTERNAL: 'internal'
+};
+
+export const CSV_COLUMNS = ['address', 'chain', 'source', 'reason', 'reference'];
+
+const BECH32_ADDRESS_PATTERN = /^(bc|tb|bcrt|ltc|tltc|rltc)1[02-9ac-hj-np-z]{6,}$/i;
+// OFAC SDN.CSV remarks, e.g. "Digital Currency Address - XBT 12QtD5BF...; alt. Digital Currency Address - ETH 0x..."
+const OFAC_ADDRESS_PATTERN = /Digital Currency Address - ([A-Z0-9]+) ([A-Za-z0-9]+)/g;
+
+/**
+ * Error for a blocked destination; `matches` holds the list entries it matched
+ */
+export class ScreeningError extends Error {
+    constructor(message, matches = []) {
+        super(message);
+        this.name = 'ScreeningError';
+        this.matches = matches;
+    }
+}
+
+/**
+ * Comparison key of an address. Hex (EVM) and Bech32 addresses are case-insensitive;
+ * Base58 and base32 addresses are compared exactly.
+ */
+export function normalizeAddress(address) {
+    const text = String(address ?? '').trim();
+    if (/^0x[0-9a-f]{40}$/i.test(text) || BECH32_ADDRESS_PATTERN.test(text)) {
+        return text.toLowerCase();
+    }
+    return text;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+const listName = source => source === SCREENING_SOURCES.OFAC_SDN ? 'OFAC SDN list' : `${source} blocklist`;
+
+function toEntry(fields, defaults = {}) {
+    const address = String(fields.address ?? '').trim();
+    if (!address) return null;
+
+    return {
+        address,
+        chain: String(fields.chain || defaults.chain || '').trim().toUpperCase() || null,
+        source: String(fields.source || defaults.source || SCREENING_SOURCES.INTERNAL).trim(),
+        reason: String(fields.reason || defaults.reason || '').trim() || null,
+        reference: String(fields.reference || '').trim() || null
+    };
+}
+
+/**
+ * Parse entries from a file's text. Formats:
+ * - 'json': a screening list ({ entries }) or a plain array of entries
+ * - 'csv': a header row naming CSV_COLUMNS (only `address` is required)
+ * - 'ofac-sdn': OFAC's SDN.CSV (no header), digital currency addresses taken from the remarks
+ * `defaults` fill in source, chain or reason where a row has none.
+ */
+export function parseScreeningEntries(text, format, defaults = {}) {
+    if (format === 'json') {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : data?.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error('JSON screening data must be an array of entries or an object with "entries"');
+        }
+        return entries.map(entry => toEntry(entry, defaults)).filter(Boolean);
+    }
+
+    if (format === 'csv') {
+        const [header = [], ...rows] = parseCsv(text);
+        const columns = header.map(name => name.trim().toLowerCase());
+        if (!columns.includes('address')) {
+            throw new Error(`CSV screening data needs a header row with an "address" column (${CSV_COLUMNS.join(',')})`);
+        }
+        return rows
+            .map(row => toEntry(Object.fromEntries(columns.map((name, i) => [name, row[i]])), defaults))
+            .filter(Boolean);
+    }
+
+    if (format === 'ofac-sdn') {
+        // ent_num, SDN_Name, SDN_Type, Program, ..., Remarks (last column)
+        return parseCsv(text).flatMap(([entNum, name, , program, ...rest]) => {
+            const remarks = rest[rest.length - 1] || '';
+            return [...remarks.matchAll(OFAC_ADDRESS_PATTERN)].map(([, chain, address]) => toEntry({
+                address,
+                chain,
+                source: SCREENING_SOURCES.OFAC_SDN,
+                reason: [name, program && program !== '-0-' ? `(${program})` : ''].filter(Boolean).join(' '),
+                reference: `SDN ${entNum}`
+            }));
+        });
+    }
+
+    throw new Error(`Unknown screening data format: ${format}`);
+}
+
+/**
+ * Screening list document: { version, updatedAt, sources: { <source>: { updatedAt, count, file } }, entries }
+ */
+export function createScreeningList(entries = [], { version = 0, updatedAt = null, sources = {} } = {}) {
+    return { version, updatedAt, sources, entries };
+}
+
+/**
+ * Replace every entry of one source with new ones and bump the version. Entries of other sources
+ * are kept, so an OFAC update never touches the internal blocklist. Duplicates are dropped.
+ */
+export function replaceSourceEntries(list, source, entries, { file = null, now = new Date() } = {}) {
+    const seen = new Set();
+    const merged = [
+        ...list.entries.filter(entry => entry.source !== source),
+        ...entries.map(entry => ({ ...entry, source }))
+    ].filter(entry => {
+        const key = `${entry.source}:${normalizeAddress(entry.address)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    merged.sort((a, b) => a.source.localeCompare(b.source) || a.address.localeCompare(b.address));
+
+    return createScreeningList(merged, {
+        version: (Number(list.version) || 0) + 1,
+        updatedAt: now.toISOString(),
+        sources: {
+            ...list.sources,
+            [source]: { updatedAt: now.toISOString(), count: merged.filter(entry => entry.source === source).length, file }
+        }
+    });
+}
+
+export class AddressScreener {
+    /**
+     * `onMatch(address, result, context)` is called for every blocked address, for logging
+     */
+    constructor(list = createScreeningList(), { onMatch = null } = {}) {
+        this.version = list.version ?? 0;
+        this.updatedAt = list.updatedAt ?? null;
+        this.onMatch = onMatch;
+        this.index = new Map();
+
+        for (const entry of list.entries || []) {
+            const key = normalizeAddress(entry.address);
+            if (!key) continue;
+            if (!this.index.has(key)) this.index.set(key, []);
+            this.index.get(key).push(entry);
+        }
+    }
+
+    get size() {
+        return this.index.size;
+    }
+
+    /**
+     * Screen an address. Returns { allowed, matches, lists, reasons, listVersion }; matches are the
+     * list entries for the address, lists the names of the lists they come from and reasons one
+     * readable line per match.
+     */
+    screen(address, context = {}) {
+        const matches = this.index.get(normalizeAddress(address)) || [];
+        const result = {
+            allowed: matches.length === 0,
+            matches,
+            lists: [...new Set(matches.map(({ source }) => listName(source)))],
+            reasons: matches.map(({ source, reason, reference }) =>
+                [listName(source), reason, reference].filter(Boolean).join(': ')),
+            listVersion: this.version
+        };
+
+        if (!result.allowed) {
+            if (this.onMatch) {
+                this.onMatch(address, result, context);
+            } else {
+                console.warn('Screening match:', address, result.reasons);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Screen an address and throw ScreeningError if it is blocked
+     */
+    assertAllowed(address, context = {}) {
+        const result = this.screen(address, context);
+        if (!result.allowed) {
+            throw new ScreeningError(`Destination address is blocked (${result.reasons.join('; ')})`, result.matches);
+        }
+        return result;
+    }
+}
+
+/**
+ * Fetch the screening list (browser) and build a screener for it
+ */
+export async function loadScreener(url, options = {}) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Screening list unavailable: HTTP ${response.status}`);
+    }
+    return new AddressScreener(await response.json(), options);
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.AddressScreening = {
+        AddressScreener,
+        ScreeningError,
+        loadScreener,
+        normalizeAddress
+    };
+}
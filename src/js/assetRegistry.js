@@ -0,0 +1,293 @@
+/**
+ * Asset Registry
+ * Everything the checkout needs to know per purchasable asset and network: display name,
+ * address family, and the identifiers SimpleSwap and Mercuryo use for it.
+ * Runtime-agnostic: pages, the generator and server functions share it.
+ */
+import { decodeAddress } from './addressCodec.js';
+
+// Network id -> address family (also the address codec chain), the test network used in testnet mode
+// and, for EVM chains, the EIP-155 chain IDs of both
+const CHAINS = {
+    bitcoin: { family: 'bitcoin', testnet: 'Testnet' },
+    litecoin: { family: 'litecoin', testnet: 'Testnet' },
+    ethereum: { family: 'evm', testnet: 'Sepolia', chainIds: { mainnet: 1, testnet: 11155111 } },
+    polygon: { family: 'evm', testnet: 'Amoy', chainIds: { mainnet: 137, testnet: 80002 } },
+    tron: { family: 'tron', testnet: 'Nile' },
+    ripple: { family: 'ripple', testnet: 'Testnet' },
+    stellar: { family: 'stellar', testnet: 'Testnet' }
+};
+
+// Mercuryo widget parameter carrying the extra ID (memo / destination tag) of the payout address
+export const MERCURYO_EXTRA_ID_PARAM = 'memo';
+
+/**
+ * Asset code -> asset. The first network is the default.
+ * decimals: display precision; unitDecimals: on-chain precision (satoshi, wei, token units).
+ * simpleswap: SimpleSwap ticker (currency_to); mercuryo: Mercuryo `network` parameter;
+ * contract: mainnet token contract, for tokens.
+ * extraId: networks where a payment can carry a memo / destination tag next to the address.
+ * Shared deposit addresses (exchanges, custodians) credit the account by that ID, so a missing
+ * one loses the funds. name: label shown to the buyer; required: refuse to pay out without it;
+ * pattern: accepted format; maxValue: upper bound for numeric IDs.
+ */
+export const ASSET_REGISTRY = {
+    BTC: {
+        name: 'Bitcoin',
+        decimals: 8,
+        unitDecimals: 8,
+        networks: {
+            bitcoin: { name: 'Bitcoin', simpleswap: 'btc', mercuryo: 'BITCOIN' }
+        }
+    },
+    ETH: {
+        name: 'Ethereum',
+        decimals: 6,
+        unitDecimals: 18,
+        networks: {
+            ethereum: { name: 'Ethereum', simpleswap: 'eth', mercuryo: 'ETHEREUM' }
+        }
+    },
+    POL: {
+        name: 'Polygon',
+        decimals: 4,
+        unitDecimals: 18,
+        networks: {
+            polygon: { name: 'Polygon', simpleswap: 'pol', mercuryo: 'POLYGON' }
+        }
+    },
+    LTC: {
+        name: 'Litecoin',
+        decimals: 6,
+        unitDecimals: 8,
+        networks: {
+            litecoin: { name: 'Litecoin', simpleswap: 'ltc', mercuryo: 'LITECOIN' }
+        }
+    },
+    USDT: {
+        name: 'Tether USD',
+        decimals: 2,
+        unitDecimals: 6,
+        networks: {
+            ethereum: {
+                name: 'Ethereum (ERC-20)',
+                simpleswap: 'usdterc20',
+                mercuryo: 'ETHEREUM',
+                contract: '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+            },
+            polygon: {
+                name: 'Polygon',
+                simpleswap: 'usdtpoly',
+                mercuryo: 'POLYGON',
+                contract: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F'
+            },
+            tron: {
+                name: 'Tron (TRC-20)',
+                simpleswap: 'usdttrc20',
+                mercuryo: 'TRON',
+                contract: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+            }
+        }
+    },
+    XRP: {
+        name: 'XRP',
+        decimals: 4,
+        unitDecimals: 6,
+        networks: {
+            ripple: {
+                name: 'XRP Ledger',
+                simpleswap: 'xrp',
+                mercuryo: 'RIPPLE',
+                // Destination tags are unsigned 32-bit integers
+                extraId: { name: 'Destination tag', required: false, pattern: '^\\d{1,10}$', maxValue: 4294967295 }
+            }
+        }
+    },
+    XLM: {
+        name: 'Stellar',
+        decimals: 4,
+        unitDecimals: 7,
+        networks: {
+            stellar: {
+                name: 'Stellar',
+                simpleswap: 'xlm',
+                mercuryo: 'STELLAR',
+                // MEMO_TEXT holds up to 28 bytes; printable ASCII keeps characters and bytes equal
+                extraId: { name: 'Memo', required: false, pattern: '^[\\x20-\\x7e]{1,28}$' }
+            }
+        }
+    }
+};
+
+/**
+ * Error for an asset or network that is not in the registry
+ */
+export class AssetError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'AssetError';
+        this.code = code;
+    }
+}
+
+/**
+ * Resolve an asset on one network (default: its first network) in a network mode (config.NETWORK_MODE).
+ * Throws AssetError for an unknown asset or a network the asset is not issued on.
+ */
+export function getAsset(code, network = null, mode = 'mainnet') {
+    const asset = ASSET_REGISTRY[code];
+    if (!asset) {
+        throw new AssetError(`Unknown asset: ${code}`, code);
+    }
+
+    const networkId = network || Object.keys(asset.networks)[0];
+    const details = asset.networks[networkId];
+    if (!details) {
+        throw new AssetError(`${code} is not available on ${networkId}`, code);
+    }
+
+    return {
+        code,
+        name: asset.name,
+        decimals: asset.decimals,
+        unitDecimals: asset.unitDecimals,
+        network: networkId,
+        networkName: mode === 'testnet' ? `${details.name} - ${CHAINS[networkId].testnet}` : details.name,
+        mode,
+        family: CHAINS[networkId].family,
+        chainId: CHAINS[networkId].chainIds?.[mode] ?? null,
+        // Tokens have no well-known contract on the test networks
+        token: Boolean(details.contract),
+        contract: mode === 'mainnet' ? details.contract ?? null : null,
+        simpleswap: details.simpleswap,
+        mercuryo: details.mercuryo,
+        extraId: details.extraId ?? null
+    };
+}
+
+/**
+ * Assets (with their networks) for pickers, in the order given
+ */
+export function listAssets(codes = Object.keys(ASSET_REGISTRY)) {
+    return codes.filter(code => ASSET_REGISTRY[code]).map(code => ({
+        code,
+        name: ASSET_REGISTRY[code].name,
+        networks: Object.entries(ASSET_REGISTRY[code].networks).map(([id, { name }]) => ({ id, name }))
+    }));
+}
+
+/**
+ * Find the asset behind a SimpleSwap ticker, e.g. "usdttrc20" -> USDT on tron
+ */
+export function assetForTicker(ticker) {
+    const wanted = String(ticker || '').toLowerCase();
+
+    for (const [code, asset] of Object.entries(ASSET_REGISTRY)) {
+        const network = Object.keys(asset.networks).find(id => asset.networks[id].simpleswap === wanted);
+        if (network) return getAsset(code, network);
+    }
+
+    return null;
+}
+
+/**
+ * Decode an address for an asset's network and verify its checksum.
+ * Returns { isValid, type, network } for an address of the given mode; otherwise { isValid: false, reason, testnet },
+ * where reason is 'format', 'checksum' or 'network' (a valid address for the other network mode).
+ * EVM, Tron, XRP and Stellar addresses look the same on every network, so only the mode names their network.
+ */
+export function checkAddress(code, address, network = null, mode = 'mainnet') {
+    let chain;
+    try {
+        chain = CHAINS[getAsset(code, network).network];
+    } catch (error) {
+        return { isValid: false, reason: 'format', testnet: false };
+    }
+
+    const decoded = decodeAddress(chain.family, address);
+    if (!decoded.isValid) {
+        return { isValid: false, reason: decoded.reason, testnet: false };
+    }
+
+    const detected = decoded.network ?? mode;
+    const addressMode = detected === 'mainnet' ? 'mainnet' : 'testnet';
+    if (addressMode !== mode) {
+        return {
+            isValid: false,
+            reason: 'network',
+            testnet: addressMode === 'testnet',
+            type: decoded.type,
+            network: detected,
+            expected: mode
+        };
+    }
+
+    return { isValid: true, type: decoded.type, network: detected };
+}
+
+/**
+ * Validate the extra ID (memo / destination tag) sent with a payout to an asset's network.
+ * Returns { isValid, value } with the trimmed value, or { isValid: false, reason } where reason is
+ * 'required' (the network needs one), 'format' or 'unsupported' (the network has no extra ID).
+ * An empty value is valid unless the network requires one.
+ */
+export function checkExtraId(code, value, network = null) {
+    let rule;
+    try {
+        rule = getAsset(code, network).extraId;
+    } catch (error) {
+        return { isValid: false, reason: 'format' };
+    }
+
+    const text = String(value ?? '').trim();
+    if (!text) {
+        return rule?.required ? { isValid: false, reason: 'required' } : { isValid: true, value: '' };
+    }
+    if (!rule) {
+        return { isValid: false, reason: 'unsupported' };
+    }
+    if (!new RegExp(rule.pattern).test(text) || (rule.maxValue !== undefined && Number(text) > rule.maxValue)) {
+        return { isValid: false, reason: 'format' };
+    }
+
+    return { isValid: true, value: text };
+}
+
+/**
+ * Return a config whose TRANSACTION buys the given asset on the given network.
+ * Switching asset without naming a network selects the new asset's default network.
+ */
+export function applyAsset(config, code = config.TRANSACTION.CRYPTO_CURRENCY, network = null) {
+    const current = config.TRANSACTION;
+    const asset = getAsset(code, network || (code === current.CRYPTO_CURRENCY ? current.NETWORK : null));
+
+    return {
+        ...config,
+        TRANSACTION: {
+            ...current,
+            CRYPTO_CURRENCY: asset.code,
+            NETWORK: asset.network
+        }
+    };
+}
+
+/**
+ * Format a crypto amount with the asset's display precision, e.g. "0.00035123 BTC"
+ */
+export function formatCryptoAmount(amount, code) {
+    const decimals = ASSET_REGISTRY[code]?.decimals ?? 8;
+    return `${Number(amount).toFixed(decimals)} ${code}`;
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.AssetRegistry = {
+        MERCURYO_EXTRA_ID_PARAM,
+        getAsset,
+        listAssets,
+        checkAddress,
+        checkExtraId,
+        applyAsset,
+        formatCryptoAmount
+    };
+}
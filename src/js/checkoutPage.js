@@ -0,0 +1,1394 @@
+/**
+ * Checkout Page
+ * The one checkout implementation behind every generated page variant.
+ * A variant (pages/variants/*.json) selects the wallet, flow and copy; everything else,
+ * including the coin, comes from the shared configuration and the buyer's choices.
+ */
+import { loadConfig } from '../config/appConfig.js';
+import { AddressBook, isAddressBookSupported } from './addressBook.js';
+import { fingerprintAddress, identiconSvg } from './addressFingerprint.js';
+import { loadScreener } from './addressScreening.js';
+import {
+    MERCURYO_EXTRA_ID_PARAM,
+    applyAsset,
+    checkAddress,
+    checkExtraId,
+    formatCryptoAmount,
+    getAsset,
+    listAssets
+} from './assetRegistry.js';
+import { ExchangeStatusTracker } from './exchangeStatusTracker.js';
+import { GeoRedirector } from './geoRedirector.js';
+import { OrderRepository, generateTransactionId } from './orderRepository.js';
+import { buildPaymentUri } from './paymentUri.js';
+import { encodeQr, qrToSvg } from './qrCode.js';
+import { SecurityManager } from './securityManager.js';
+import {
+    CURRENCY_PARAM,
+    SKU_PARAM,
+    applyCurrency,
+    applyProduct,
+    applyProductFromURL,
+    listCurrencies,
+    listProducts,
+    readPreferredCurrency,
+    resolveCurrency,
+    savePreferredCurrency
+} from './productCatalog.js';
+
+// How the buy button reaches the payment provider
+export const CHECKOUT_FLOWS = ['simpleswap-api', 'simpleswap-widget', 'mercuryo-direct'];
+
+// Where the provider page opens
+export const OPEN_MODES = ['same-tab', 'new-tab', 'popup'];
+
+// Where the payout goes: the variant's address, one the buyer enters, or a fresh merchant
+// receive address issued per order by /api/addresses (BTC on bitcoin only)
+export const WALLET_MODES = ['fixed', 'input', 'derived'];
+
+// URL parameters that preselect the asset on pages where buyers enter their own wallet
+const ASSET_PARAM = 'asset';
+const NETWORK_PARAM = 'network';
+
+// sessionStorage key for the exchange being tracked, so tracking resumes when the buyer comes back
+const EXCHANGE_STORAGE_KEY = 'simpleswap_active_exchange';
+
+// How long the address fingerprint stays on screen before the provider opens
+const FINGERPRINT_DISPLAY_MS = 3000;
+
+// Shared with AnalyticsManager, so checkout events join the visitor's other events
+const ANALYTICS_USER_KEY = 'analytics_user_id';
+
+const POPUP_FEATURES = 'width=450,height=700,scrollbars=yes,resizable=yes,location=yes';
+
+/**
+ * Format the fixed amount the way the page shows it, e.g. "€19.50"
+ */
+export function formatAmount(transaction) {
+    return new Intl.NumberFormat('en', {
+        style: 'currency',
+        currency: transaction.CURRENCY
+    }).format(transaction.FIXED_AMOUNT);
+}
+
+/**
+ * Values copy strings may reference as {amount}, {currency}, {assetName}, {assetCode} and {networkName}
+ */
+export function copyTokens(transaction, mode = 'mainnet') {
+    const asset = getAsset(transaction.CRYPTO_CURRENCY, transaction.NETWORK, mode);
+
+    return {
+        amount: formatAmount(transaction),
+        currency: transaction.CURRENCY,
+        assetName: asset.name,
+        assetCode: asset.code,
+        networkName: asset.networkName
+    };
+}
+
+export function interpolateCopy(text, tokens) {
+    return String(text).replace(/\{(\w+)\}/g, (match, key) => tokens[key] ?? match);
+}
+
+export class CheckoutPage {
+    constructor(config, variant) {
+        this.config = config;
+        this.variant = variant;
+        this.copy = variant.copy;
+        this.products = listProducts(config);
+        this.preferredCurrency = readPreferredCurrency();
+
+        // A pre-configured wallet only works on its own chain
+        this.assetChoice = variant.wallet.mode === 'input' && config.ASSETS.OFFERED.length > 1;
+
+        this.geo = new GeoRedirector(config);
+        this.security = new SecurityManager(config);
+        this.userLocation = null;
+        this.regionRefusal = null;
+        this.walletAddress = variant.wallet.mode === 'fixed' ? variant.wallet.address : '';
+        this.extraId = variant.wallet.mode === 'fixed' ? variant.wallet.extraId || '' : '';
+        this.walletAddressValid = false;
+        this.exchangeData = null;
+        this.analyticsSessionId = analyticsId('sess');
+
+        // Clipper malware swaps a copied address within moments, so the copy is read back after this delay
+        this.clipboardRecheckDelay = 500;
+        this.fingerprintShown = false;
+        this.screener = null;
+        this.screenerLoading = null;
+
+        // Every purchase attempt is recorded as an order before the buyer leaves the page
+        this.orders = new OrderRepository(config);
+        this.transactionId = null;
+        this.order = null;
+
+        // Exchanges created through the API are followed through the order, so the server records them
+        this.exchangeTracker = new ExchangeStatusTracker(exchangeId => this.fetchExchangeStatus(exchangeId));
+        this.exchangeTracker.on('status', ({ exchangeId, status }) => this.showExchangeStatus(exchangeId, status));
+        this.exchangeTracker.on('stopped', ({ reason }) => {
+            // Keep an unfinished exchange for the next visit; a settled one is done
+            if (['finished', 'refunded'].includes(reason)) {
+                sessionStorage.removeItem(EXCHANGE_STORAGE_KEY);
+            }
+        });
+
+        // Saved addresses only make sense where the buyer enters one
+        this.addressBook = variant.wallet.mode === 'input' && isAddressBookSupported() ? new AddressBook() : null;
+        this.savedAddresses = [];
+    }
+
+    // Currency and asset change with the buyer's region and choices, so always read them from config
+    get fromCurrency() {
+        return this.config.TRANSACTION.CURRENCY.toLowerCase();
+    }
+
+    get asset() {
+        return getAsset(this.config.TRANSACTION.CRYPTO_CURRENCY, this.config.TRANSACTION.NETWORK, this.config.NETWORK_MODE);
+    }
+
+    // SimpleSwap ticker, which also encodes the network (e.g. usdttrc20)
+    get toCurrency() {
+        return this.asset.simpleswap;
+    }
+
+    // Memo / destination tag sent with the payout; empty for networks without one
+    get payoutExtraId() {
+        return this.asset.extraId ? this.extraId.trim() : '';
+    }
+
+    /**
+     * Copy string for the current transaction
+     */
+    text(key) {
+        return interpolateCopy(this.copy[key] ?? '', copyTokens(this.config.TRANSACTION, this.config.NETWORK_MODE));
+    }
+
+    async initialize() {
+        try {
+            console.log(`🚀 Initializing checkout variant "${this.variant.id}" (${this.variant.flow})...`);
+
+            // Detect user location, then price in the buyer's currency
+            await this.detectLocation();
+            this.applyRegionalCurrency();
+
+            this.renderAssets();
+            this.renderProducts();
+            this.renderCurrencies();
+            this.renderAmount();
+            this.renderWalletCopy();
+            await this.renderAddressBook();
+            this.loadScreener();
+            this.resumeExchangeTracking();
+
+            // Setup UI interactions
+            this.setupEventListeners();
+
+            // Also checks the proxy up front, so an API flow failure falls back to the widget early
+            await this.updateEstimate();
+
+            // Show the app
+            this.showApp();
+
+            console.log('✅ Checkout initialized successfully');
+
+        } catch (error) {
+            console.error('❌ Initialization failed:', error);
+            this.showError('Failed to initialize checkout. Please refresh the page.');
+        }
+    }
+
+    /**
+     * Offer the catalog products sold on this page; a single product needs no picker
+     */
+    renderProducts() {
+        this.products = listProducts(this.config);
+
+        const select = document.getElementById('productSelect');
+        select.replaceChildren(...this.products.map(product => new Option(
+            `${product.name} - ${formatAmount({ CURRENCY: product.currency, FIXED_AMOUNT: product.amount })}`,
+            product.sku
+        )));
+        select.value = this.config.TRANSACTION.SKU;
+
+        document.getElementById('productSection').style.display = this.products.length > 1 ? 'block' : 'none';
+    }
+
+    /**
+     * Offer the configured assets, and the networks of the selected one, where the buyer brings a wallet
+     */
+    renderAssets() {
+        if (!this.assetChoice) return;
+
+        const { code, network } = this.asset;
+        const assetSelect = document.getElementById('assetSelect');
+        assetSelect.replaceChildren(...listAssets(this.config.ASSETS.OFFERED).map(asset =>
+            new Option(`${asset.name} (${asset.code})`, asset.code)
+        ));
+        assetSelect.value = code;
+
+        const { networks } = listAssets([code])[0];
+        const networkSelect = document.getElementById('networkSelect');
+        networkSelect.replaceChildren(...networks.map(({ id, name }) => new Option(name, id)));
+        networkSelect.value = network;
+
+        document.getElementById('assetSection').style.display = 'block';
+        document.getElementById('networkField').style.display = networks.length > 1 ? 'block' : 'none';
+    }
+
+    /**
+     * Let the buyer override the regional currency with any currency the product is priced in
+     */
+    renderCurrencies() {
+        const currencies = listCurrencies(this.config);
+
+        const select = document.getElementById('currencySelect');
+        select.replaceChildren(...currencies.map(currency => new Option(currency, currency)));
+        select.value = this.config.TRANSACTION.CURRENCY;
+
+        document.getElementById('currencySection').style.display = currencies.length > 1 ? 'block' : 'none';
+    }
+
+    /**
+     * Charge in the buyer's chosen currency, else the one for the country they are in
+     */
+    applyRegionalCurrency() {
+        const currency = resolveCurrency(this.config, {
+            preferred: this.preferredCurrency,
+            country: this.userLocation?.country
+        });
+
+        if (currency !== this.config.TRANSACTION.CURRENCY) {
+            this.config = applyCurrency(this.config, currency);
+            console.log(`💱 Pricing in ${currency}`);
+        }
+    }
+
+    currentProduct() {
+        return this.products.find(({ sku }) => sku === this.config.TRANSACTION.SKU);
+    }
+
+    renderAmount() {
+        document.getElementById('amountDisplay').textContent = formatAmount(this.config.TRANSACTION);
+        document.getElementById('productDescription').textContent = this.currentProduct()?.description || '';
+    }
+
+    /**
+     * Switch the product being bought and keep the URL shareable
+     */
+    selectProduct(sku) {
+        this.config = applyProduct(this.config, sku);
+        this.exchangeData = null;
+        this.renderAmount();
+        this.renderWalletCopy();
+        this.updateURL(SKU_PARAM, sku);
+        this.updateEstimate();
+
+        console.log(`🛍️ Product selected: ${sku} (${formatAmount(this.config.TRANSACTION)})`);
+    }
+
+    /**
+     * Switch the fiat currency on the buyer's request and remember the choice
+     */
+    selectCurrency(currency) {
+        this.config = applyCurrency(this.config, currency);
+        this.preferredCurrency = currency;
+        this.exchangeData = null;
+        savePreferredCurrency(currency);
+
+        this.renderProducts();
+        this.renderAmount();
+        this.renderWalletCopy();
+        this.updateURL(CURRENCY_PARAM, currency);
+        this.updateEstimate();
+
+        console.log(`💱 Currency selected: ${currency} (${formatAmount(this.config.TRANSACTION)})`);
+    }
+
+    /**
+     * Switch the asset (and network) being bought; the wallet must then be checked again
+     */
+    selectAsset(code, network = null) {
+        try {
+            this.config = keepSellableProduct(applyAsset(this.config, code, network));
+        } catch (error) {
+            console.error('❌ Asset selection failed:', error);
+            this.showError(`${code} cannot be bought here right now.`);
+            this.renderAssets();
+            return;
+        }
+        this.exchangeData = null;
+
+        this.renderAssets();
+        this.renderProducts();
+        this.renderAmount();
+        this.renderWalletCopy();
+        if (this.walletAddress) {
+            this.validateWalletAddress();
+        }
+        this.renderAddressBook();
+
+        this.updateURL(ASSET_PARAM, this.asset.code);
+        this.updateURL(NETWORK_PARAM, this.asset.network);
+        this.updateEstimate();
+
+        console.log(`🪙 Asset selected: ${this.asset.code} on ${this.asset.networkName}`);
+    }
+
+    updateURL(param, value) {
+        const url = new URL(window.location.href);
+        url.searchParams.set(param, value);
+        history.replaceState(history.state, '', url);
+    }
+
+    /**
+     * Labels and placeholder that name the asset
+     */
+    renderWalletCopy() {
+        const label = document.getElementById('walletLabel');
+        label.textContent = this.text(this.variant.wallet.mode === 'input' ? 'walletInputLabel' : 'walletLabel');
+
+        if (this.variant.wallet.mode === 'input') {
+            document.getElementById('walletInput').placeholder = this.text('walletPlaceholder');
+            this.renderExtraIdField();
+        }
+    }
+
+    /**
+     * Show the memo / destination tag input for networks that have one, named as the network names it
+     */
+    renderExtraIdField() {
+        const rule = this.asset.extraId;
+        document.getElementById('extraIdField').hidden = !rule;
+        if (!rule) return;
+
+        document.getElementById('extraIdLabel').textContent = rule.required ? `${rule.name}:` : `${rule.name} (optional):`;
+        document.getElementById('extraIdInput').placeholder = rule.required
+            ? `Required - the ${rule.name.toLowerCase()} of your account`
+            : 'Only if your exchange or wallet gave you one';
+    }
+
+    /**
+     * Show roughly how much crypto the amount buys, from the SimpleSwap estimate
+     */
+    async updateEstimate() {
+        const request = (this.estimateRequest || 0) + 1;
+        this.estimateRequest = request;
+
+        const display = document.getElementById('estimateDisplay');
+        const { code } = this.asset;
+
+        try {
+            console.log(`🔍 Estimating ${this.fromCurrency} → ${this.toCurrency}...`);
+
+            const params = new URLSearchParams({
+                currency_from: this.fromCurrency,
+                currency_to: this.toCurrency,
+                amount: this.config.TRANSACTION.FIXED_AMOUNT,
+                fixed: 'false'
+            });
+
+            const response = await fetch(`${this.config.URLS.SIMPLESWAP_PROXY}/estimate?${params}`);
+            if (request !== this.estimateRequest) return; // superseded by a newer selection
+
+            if (response.ok) {
+                const data = await response.json();
+                console.log('✅ Estimate received:', data);
+                this.exchangeData = data;
+                display.textContent = `≈ ${formatCryptoAmount(data, code)}`;
+            } else {
+                console.warn('⚠️ Estimate returned non-200:', response.status, response.statusText);
+                display.textContent = '';
+            }
+
+        } catch (error) {
+            console.warn('⚠️ Estimate failed:', error);
+            if (request === this.estimateRequest) {
+                display.textContent = '';
+            }
+        }
+    }
+
+    /**
+     * Locate the buyer with GeoRedirector (IP providers, timezone and language in consensus) and
+     * decide regional access. A location too uncertain to rule out an excluded region is refused.
+     */
+    async detectLocation() {
+        const access = await this.geo.validateRegionalAccess();
+        const { country, region_code: region, city } = access.location;
+        this.userLocation = country ? { country, region, city } : { country: 'UNKNOWN' };
+
+        console.log('📍 Location detected:', this.userLocation, `(confidence ${access.confidence ?? 0})`);
+
+        const { allowed, message } = this.geo.handleRegionalRestriction(access);
+        if (allowed) {
+            this.regionRefusal = null;
+            this.updateRegionDisplay(message, '✅');
+        } else {
+            this.regionRefusal = `${this.text('serviceName')}: ${message}`;
+            this.updateRegionDisplay(access.validation.reason, '❌');
+            this.showError(this.regionRefusal);
+        }
+    }
+
+    /**
+     * Region line under the payment method; the text carries location names, so it is never parsed as HTML
+     */
+    updateRegionDisplay(text, icon) {
+        const iconElement = document.createElement('span');
+        iconElement.className = 'region-icon';
+        iconElement.textContent = icon;
+
+        const textElement = document.createElement('span');
+        textElement.className = 'region-text';
+        textElement.textContent = text;
+
+        document.getElementById('regionInfo').replaceChildren(iconElement, textElement);
+    }
+
+    setupEventListeners() {
+        const buyButton = document.getElementById('buyButton');
+        const productSelect = document.getElementById('productSelect');
+        const currencySelect = document.getElementById('currencySelect');
+        const assetSelect = document.getElementById('assetSelect');
+        const networkSelect = document.getElementById('networkSelect');
+
+        productSelect.addEventListener('change', () => this.selectProduct(productSelect.value));
+        currencySelect.addEventListener('change', () => this.selectCurrency(currencySelect.value));
+        assetSelect.addEventListener('change', () => this.selectAsset(assetSelect.value));
+        networkSelect.addEventListener('change', () => this.selectAsset(assetSelect.value, networkSelect.value));
+
+        if (this.variant.wallet.mode === 'fixed') {
+            // Pre-configured wallet: nothing to enter, but it must match the network mode
+            buyButton.disabled = !this.validateWalletAddress();
+            console.log('✅ Wallet pre-configured:', this.walletAddress);
+        } else if (this.variant.wallet.mode === 'derived') {
+            // Nothing to enter: the address is issued with the order
+            buyButton.disabled = false;
+        } else {
+            const walletInput = document.getElementById('walletInput');
+            const onChange = () => {
+                this.walletAddress = walletInput.value.trim();
+                this.validateWalletAddress();
+            };
+
+            walletInput.addEventListener('input', onChange);
+            walletInput.addEventListener('paste', () => setTimeout(onChange, 100));
+
+            const extraIdInput = document.getElementById('extraIdInput');
+            extraIdInput.addEventListener('input', () => {
+                this.extraId = extraIdInput.value;
+                this.validateWalletAddress();
+            });
+        }
+
+        if (this.addressBook) {
+            const savedSelect = document.getElementById('savedAddressSelect');
+            savedSelect.addEventListener('change', () => this.pickSavedAddress(savedSelect.value));
+            document.getElementById('deleteSavedAddress').addEventListener('click', () => this.deleteSavedAddress(savedSelect.value));
+            document.getElementById('exportSavedAddresses').addEventListener('click', () => this.exportAddressBook());
+            document.getElementById('saveAddress').addEventListener('click', () => this.saveWalletAddress());
+        }
+
+        buyButton.addEventListener('click', () => {
+            this.initiatePurchase();
+        });
+    }
+
+    /**
+     * Load the address screening list, then check the entered address again. The widget and
+     * Mercuryo flows hand the address straight to the provider, so purchases wait for the list
+     * (see initiatePurchase); a failed load is retried on the next attempt.
+     */
+    loadScreener() {
+        if (!this.screenerLoading) {
+            this.screenerLoading = loadScreener(this.config.URLS.SCREENING_LIST)
+                .then(screener => {
+                    this.screener = screener;
+                    if (this.walletAddress) {
+                        this.validateWalletAddress();
+                    }
+                })
+                .catch(error => {
+                    console.warn('⚠️ Address screening unavailable:', error);
+                    this.screenerLoading = null;
+                });
+        }
+        return this.screenerLoading;
+    }
+
+    /**
+     * Validate the entered address (and extra ID) and update the inline hints and buy button.
+     * Addresses must belong to the configured NETWORK_MODE, so mainnet funds never meet a sandbox,
+     * and must not be on the screening list (src/data/screening-list.json).
+     */
+    validateWalletAddress() {
+        const { code, name, network, networkName } = this.asset;
+        const mode = this.config.NETWORK_MODE;
+
+        // Issued by the server from the merchant's own key (allocateWalletAddress)
+        if (this.variant.wallet.mode === 'derived') {
+            return true;
+        }
+
+        if (this.variant.wallet.mode === 'fixed') {
+            const { isValid } = checkAddress(code, this.walletAddress, network, mode);
+            const extraIdValid = checkExtraId(code, this.payoutExtraId, network).isValid;
+            const allowed = this.screener?.screen(this.walletAddress, { variant: this.variant.id }).allowed ?? true;
+            if (!isValid) {
+                this.showError(`The configured ${name} wallet is not a valid ${mode} address on ${networkName}. Purchases are disabled.`);
+            } else if (!extraIdValid) {
+                this.showError(`The configured ${name} wallet has no valid ${this.asset.extraId.name.toLowerCase()}. Purchases are disabled.`);
+            } else if (!allowed) {
+                this.showError('The configured wallet is on the address blocklist. Purchases are disabled.');
+            }
+            this.renderWalletQr(isValid && allowed);
+            return isValid && extraIdValid && allowed;
+        }
+
+        const validation = document.getElementById('walletValidation');
+        const buyButton = document.getElementById('buyButton');
+
+        if (!this.walletAddress) {
+            validation.textContent = '';
+            buyButton.disabled = true;
+            this.walletAddressValid = false;
+            this.renderWalletQr(false);
+            this.renderSaveAddress();
+            return false;
+        }
+
+        const result = checkAddress(code, this.walletAddress, network, mode);
+        const screening = result.isValid && this.screener
+            ? this.screener.screen(this.walletAddress, { variant: this.variant.id })
+            : null;
+        if (screening && !screening.allowed) {
+            result.isValid = false;
+            result.reason = 'blocked';
+        }
+
+        if (result.isValid) {
+            validation.innerHTML = `<span style="color: #10b981;">✓ Valid ${result.type} ${name} address (${networkName}, ${result.network})</span>`;
+        } else if (result.reason === 'network') {
+            validation.innerHTML = `<span style="color: #f59e0b;">⚠️ ${result.type} address on ${result.network} detected - this checkout runs on ${mode}, use a ${mode} address</span>`;
+        } else if (result.reason === 'blocked') {
+            validation.innerHTML = `<span style="color: #dc2626;">❌ This address cannot be used - it is on the ${screening.lists.join(' and ')}</span>`;
+        } else if (result.reason === 'checksum') {
+            validation.innerHTML = `<span style="color: #dc2626;">❌ Checksum mismatch - this ${name} address contains a typo</span>`;
+        } else {
+            validation.innerHTML = `<span style="color: #dc2626;">❌ Invalid ${name} address format for ${networkName}</span>`;
+        }
+
+        const extraIdValid = this.validateExtraId();
+        buyButton.disabled = !result.isValid || !extraIdValid;
+        this.walletAddressValid = result.isValid && extraIdValid;
+        this.renderWalletQr(result.isValid);
+        this.renderSaveAddress();
+        return this.walletAddressValid;
+    }
+
+    /**
+     * Check the entered memo / destination tag against the network's rule and update its hint
+     */
+    validateExtraId() {
+        const rule = this.asset.extraId;
+        const validation = document.getElementById('extraIdValidation');
+        if (!rule) {
+            validation.textContent = '';
+            return true;
+        }
+
+        const result = checkExtraId(this.asset.code, this.payoutExtraId, this.asset.network);
+        if (result.isValid) {
+            validation.textContent = '';
+        } else if (result.reason === 'required') {
+            validation.innerHTML = `<span style="color: #dc2626;">❌ ${rule.name} is required - without it the payout cannot be credited</span>`;
+        } else {
+            validation.innerHTML = `<span style="color: #dc2626;">❌ Invalid ${rule.name.toLowerCase()} format</span>`;
+        }
+        return result.isValid;
+    }
+
+    /**
+     * Show a valid address as the QR code of its payment URI (BIP21 / EIP-681), so the buyer can
+     * scan it into a mobile wallet and compare it there; hidden while the address is not valid
+     */
+    renderWalletQr(isValid) {
+        const uri = isValid ? buildPaymentUri(this.asset, this.walletAddress) : null;
+        if (uri === this.walletQrUri) return;
+        this.walletQrUri = uri;
+
+        const container = document.getElementById('walletQr');
+        container.replaceChildren();
+        container.hidden = !uri;
+        if (!uri) return;
+
+        const code = document.createElement('div');
+        code.className = 'wallet-qr-code';
+        code.innerHTML = qrToSvg(encodeQr(uri), { title: uri });
+        container.append(code);
+
+        // Tron has no URI scheme; the code then holds the bare address
+        if (uri !== this.walletAddress) {
+            const link = document.createElement('a');
+            link.className = 'wallet-qr-link';
+            link.href = uri;
+            link.textContent = 'Open in wallet app';
+            container.append(link);
+        }
+    }
+
+    /**
+     * Offer the saved addresses of the selected asset and network. The controls stay hidden until
+     * something is saved, and for good if the browser refuses the encrypted store.
+     */
+    async renderAddressBook() {
+        if (!this.addressBook) return;
+
+        const { code, network, networkName } = this.asset;
+        let entries;
+        try {
+            entries = await this.addressBook.list();
+        } catch (error) {
+            console.warn('⚠️ Address book unavailable:', error);
+            this.addressBook = null;
+            document.getElementById('addressBook').hidden = true;
+            document.getElementById('addressBookSave').hidden = true;
+            return;
+        }
+
+        this.savedAddresses = entries.filter(entry => entry.asset === code && entry.network === network);
+
+        document.getElementById('savedAddressSelect').replaceChildren(
+            new Option(this.savedAddresses.length
+                ? `Saved ${code} addresses (${this.savedAddresses.length})`
+                : `No saved ${code} addresses on ${networkName}`, ''),
+            ...this.savedAddresses.map(entry => new Option(
+                `${entry.verified ? '✓ ' : ''}${entry.label} - ${entry.address.slice(0, 8)}…${entry.address.slice(-6)}${entry.extraId ? ` (${entry.extraId})` : ''}`,
+                entry.id
+            ))
+        );
+        document.getElementById('addressBook').hidden = entries.length === 0;
+        this.renderSaveAddress();
+    }
+
+    /**
+     * Offer to save a valid address that is not saved yet, and keep the picker on the saved one
+     */
+    renderSaveAddress() {
+        if (!this.addressBook) return;
+
+        const saved = this.findSavedAddress();
+        document.getElementById('savedAddressSelect').value = saved?.id || '';
+        document.getElementById('deleteSavedAddress').disabled = !saved;
+        document.getElementById('addressBookSave').hidden = !this.walletAddressValid || Boolean(saved);
+    }
+
+    /**
+     * The saved entry for the current address and extra ID, if any
+     */
+    findSavedAddress() {
+        return this.savedAddresses.find(entry => entry.address === this.walletAddress && (entry.extraId || '') === this.payoutExtraId);
+    }
+
+    pickSavedAddress(id) {
+        const entry = this.savedAddresses.find(saved => saved.id === id);
+        if (!entry) return;
+
+        document.getElementById('walletInput').value = entry.address;
+        document.getElementById('extraIdInput').value = entry.extraId || '';
+        this.walletAddress = entry.address;
+        this.extraId = entry.extraId || '';
+        this.validateWalletAddress();
+    }
+
+    async saveWalletAddress() {
+        const labelInput = document.getElementById('savedAddressLabel');
+        const verifiedInput = document.getElementById('savedAddressVerified');
+        const { code, network } = this.asset;
+
+        try {
+            await this.addressBook.save({
+                address: this.walletAddress,
+                extraId: this.payoutExtraId,
+                label: labelInput.value,
+                asset: code,
+                network,
+                verified: verifiedInput.checked
+            });
+            labelInput.value = '';
+            verifiedInput.checked = false;
+            await this.renderAddressBook();
+            this.showSuccess('Address saved on this device.');
+        } catch (error) {
+            console.error('❌ Saving address failed:', error);
+            this.showError('Could not save the address on this device.');
+        }
+    }
+
+    async deleteSavedAddress(id) {
+        const entry = this.savedAddresses.find(saved => saved.id === id);
+        if (!entry || !confirm(`Delete the saved address "${entry.label}"?`)) return;
+
+        try {
+            await this.addressBook.remove(id);
+            await this.renderAddressBook();
+        } catch (error) {
+            console.error('❌ Deleting address failed:', error);
+            this.showError('Could not delete the saved address.');
+        }
+    }
+
+    /**
+     * Download every saved address as JSON (decrypted, so the buyer can keep or move them)
+     */
+    async exportAddressBook() {
+        try {
+            const blob = new Blob([await this.addressBook.exportJSON()], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'saved-addresses.json';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            console.error('❌ Exporting addresses failed:', error);
+            this.showError('Could not export the saved addresses.');
+        }
+    }
+
+    async initiatePurchase() {
+        if (this.regionRefusal) {
+            this.showError(this.regionRefusal);
+            return;
+        }
+
+        // Fail closed: nothing is bought for an address that has not been screened
+        await this.loadScreener();
+        if (!this.screener) {
+            this.showError('Address screening is unavailable right now. Please try again in a moment.');
+            return;
+        }
+
+        if (!this.validateWalletAddress()) {
+            this.showError(`Please enter a valid ${this.asset.name} address before proceeding.`);
+            return;
+        }
+
+        const saved = this.findSavedAddress();
+        if (saved) {
+            this.addressBook.markUsed(saved.id).catch(error => console.warn('⚠️ Could not update saved address:', error));
+        }
+
+        try {
+            console.log(`🛒 Initiating ${this.config.TRANSACTION.CURRENCY} → ${this.asset.code} purchase via ${this.variant.flow}...`);
+
+            this.setButtonLoading(true);
+            await this.recordOrder();
+            if (this.variant.wallet.mode === 'derived') {
+                await this.allocateWalletAddress();
+            }
+
+            if (!await this.copyWalletAddress()) {
+                this.setButtonLoading(false);
+                return;
+            }
+
+            switch (this.variant.flow) {
+                case 'simpleswap-api':
+                    try {
+                        await this.createExchangeViaAPI();
+                    } catch (apiError) {
+                        // Only an unreachable or failing API falls back; a refusal (blocked address
+                        // or region, rejected network or extra ID) would be just as wrong on the widget
+                        if (apiError.status < 500) throw apiError;
+                        console.warn('⚠️ API method failed, falling back to widget URL:', apiError);
+                        this.openWidget();
+                    }
+                    break;
+
+                case 'simpleswap-widget':
+                    this.openWidget();
+                    break;
+
+                case 'mercuryo-direct':
+                    await this.openMercuryo();
+                    break;
+            }
+
+        } catch (error) {
+            console.error('❌ Purchase failed:', error);
+            // Refusals carry the server's reason; anything else is worth a retry
+            this.showError(error.status < 500 ? error.message : 'Failed to initiate purchase. Please try again.');
+            this.setButtonLoading(false);
+        }
+    }
+
+    /**
+     * Create the order for this attempt. Mercuryo webhooks and exchange syncs update it by its
+     * transaction ID; a server refusal (blocked address, wrong price) stops the purchase.
+     */
+    async recordOrder() {
+        const { country, region } = this.userLocation || {};
+
+        // Every order gets its own receive address; a retry must not reuse the last one
+        if (this.variant.wallet.mode === 'derived') {
+            this.walletAddress = '';
+        }
+
+        this.transactionId = generateTransactionId();
+        this.order = await this.orders.createOrder({
+            transactionId: this.transactionId,
+            sku: this.config.TRANSACTION.SKU,
+            walletAddress: this.walletAddress,
+            extraId: this.payoutExtraId,
+            amount: this.config.TRANSACTION.FIXED_AMOUNT,
+            fiatCurrency: this.config.TRANSACTION.CURRENCY,
+            cryptoCurrency: this.config.TRANSACTION.CRYPTO_CURRENCY,
+            network: this.asset.network,
+            region: country && country !== 'UNKNOWN' ? { country, subdivision: region } : null,
+            affiliateId: this.config.SIMPLESWAP_PARTNER_ID
+        });
+        console.log('🧾 Order recorded:', this.transactionId);
+    }
+
+    /**
+     * Bind the new exchange to the order, so its progress is recorded server-side
+     */
+    async bindExchange(exchangeData) {
+        try {
+            const { order } = await this.orders.syncExchange(this.transactionId, exchangeData.id);
+            this.order = order;
+        } catch (error) {
+            // The order stays findable by its transaction ID
+            console.warn('⚠️ Could not bind the exchange to the order:', error);
+        }
+    }
+
+    /**
+     * Have /api/addresses issue this order's receive address. The server attaches it to the order,
+     * so an exchange or Mercuryo payment to it is recognised as this order's.
+     */
+    async allocateWalletAddress() {
+        if (!this.order?.synced) {
+            throw new Error('Receive addresses are only issued for orders recorded on the server');
+        }
+
+        const { code, network, networkName } = this.asset;
+        const response = await fetch(this.config.URLS.ADDRESSES_API, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.order.orderToken}`
+            },
+            body: JSON.stringify({ transactionId: this.transactionId, asset: code, network })
+        });
+
+        if (!response.ok) {
+            throw await responseError(response, 'Address API');
+        }
+
+        const { address } = await response.json();
+        if (!checkAddress(code, address, network, this.config.NETWORK_MODE).isValid) {
+            throw new Error(`Address API returned an invalid ${networkName} address`);
+        }
+
+        this.walletAddress = address;
+        document.getElementById('walletDisplay').textContent = address;
+        this.renderWalletQr(true);
+        console.log('📬 Receive address issued:', address);
+    }
+
+    /**
+     * Follow the exchange through the order API, and remember it in case the buyer leaves the page
+     */
+    startExchangeTracking(exchangeData) {
+        sessionStorage.setItem(EXCHANGE_STORAGE_KEY, JSON.stringify({
+            exchangeId: exchangeData.id,
+            transactionId: this.transactionId,
+            createdAt: Date.now()
+        }));
+
+        this.exchangeTracker.track(exchangeData.id, exchangeData);
+    }
+
+    /**
+     * Pick up tracking of an exchange started on an earlier visit
+     */
+    resumeExchangeTracking() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(EXCHANGE_STORAGE_KEY) || 'null');
+            if (stored?.exchangeId) {
+                this.transactionId = stored.transactionId;
+                this.exchangeTracker.track(stored.exchangeId);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not resume exchange tracking:', error);
+            sessionStorage.removeItem(EXCHANGE_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Poll the exchange through the order: the order token is what lets the buyer read it, and
+     * every status the buyer sees is recorded server-side. A failed poll is retried by the tracker.
+     */
+    async fetchExchangeStatus() {
+        const { order, exchange } = await this.orders.syncExchange(this.transactionId);
+        this.order = order;
+        return exchange;
+    }
+
+    showExchangeStatus(exchangeId, status) {
+        const element = document.getElementById('exchangeStatus');
+        element.textContent = `Exchange ${exchangeId}: ${status}`;
+        element.hidden = false;
+    }
+
+    async createExchangeViaAPI() {
+        console.log('🔄 Attempting API exchange creation...');
+
+        const payload = {
+            fixed: false,
+            currency_from: this.fromCurrency,
+            currency_to: this.toCurrency,
+            amount: this.config.TRANSACTION.FIXED_AMOUNT,
+            sku: this.config.TRANSACTION.SKU,
+            address_to: this.walletAddress,
+            user_refund_address: this.walletAddress,
+            extra_id_to: this.payoutExtraId,
+            user_refund_extra_id: this.payoutExtraId
+        };
+
+        const response = await fetch(`${this.config.URLS.SIMPLESWAP_PROXY}/exchange`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+            throw await responseError(response, 'API');
+        }
+
+        const exchangeData = await response.json();
+        console.log('✅ Exchange created via API:', exchangeData);
+        await this.bindExchange(exchangeData);
+        this.startExchangeTracking(exchangeData);
+
+        this.showSuccess('Exchange created! Redirecting to payment...');
+        this.trackTransaction('initiated');
+        this.navigate(`${this.config.URLS.SIMPLESWAP_WIDGET}/exchange/${exchangeData.id}`, 1500);
+    }
+
+    openWidget() {
+        console.log('🎨 Creating exchange via widget URL...');
+
+        // The widget URL cannot carry the extra ID, so the buyer has to enter it on SimpleSwap
+        if (this.payoutExtraId) {
+            const { name } = this.asset.extraId;
+            const proceed = confirm(
+                `SimpleSwap will ask for the ${name.toLowerCase()} of your address.\n\n` +
+                `Enter ${this.payoutExtraId} there - without it the payout cannot be credited.\n\nClick OK to continue!`
+            );
+            if (!proceed) {
+                this.setButtonLoading(false);
+                return;
+            }
+        }
+
+        const widgetUrl = this.buildSimpleSwapWidgetURL();
+        this.showSuccess(this.text('redirectMessage'));
+        this.trackTransaction('initiated');
+
+        // Mobile browsers sometimes reset the widget values, so spell them out first
+        if (this.variant.confirmRedirect) {
+            const proceed = confirm(
+                'Ready to proceed to SimpleSwap!\n\n' +
+                `✨ Pre-configured transaction:\n• ${this.currentProduct()?.name || this.config.TRANSACTION.SKU}: ${formatAmount(this.config.TRANSACTION)} ${this.config.TRANSACTION.CURRENCY} → ${this.asset.name} (${this.asset.code})\n` +
+                '• Mercuryo payment method\n• Your wallet address included\n\n' +
+                '⚠️ Important: If values change automatically,\n' +
+                `please manually reset to ${formatAmount(this.config.TRANSACTION)} and select Mercuryo\n\nClick OK to continue!`
+            );
+
+            // Cancel opens a new tab instead of leaving the page
+            this.navigate(widgetUrl, 500, proceed ? 'same-tab' : 'new-tab');
+            return;
+        }
+
+        this.navigate(widgetUrl, 1000);
+    }
+
+    buildSimpleSwapWidgetURL() {
+        const params = new URLSearchParams({
+            // Partner ID for tracking
+            partner: this.config.SIMPLESWAP_PARTNER_ID,
+            ref: this.config.SIMPLESWAP_PARTNER_ID,
+
+            // Transaction details
+            from: this.fromCurrency,
+            to: this.toCurrency,
+            amount: this.config.TRANSACTION.FIXED_AMOUNT,
+
+            // Force specific values to prevent mobile overrides
+            fixed_amount: 'true',
+            fixed_from: 'true',
+            fixed_to: 'true',
+            lock_amount: '1',
+            lock_currency: '1',
+
+            // Force fiat payment through Mercuryo
+            payment: 'fiat',
+            provider: 'mercuryo',
+            payment_method: 'mercuryo',
+
+            // User's wallet
+            address: this.walletAddress,
+
+            // UI preferences
+            mobile: 'true',
+            theme: 'light'
+        });
+
+        const url = `${this.config.URLS.SIMPLESWAP_WIDGET}/?${params.toString()}`;
+        console.log('🔗 Built SimpleSwap widget URL:', url);
+        return url;
+    }
+
+    async openMercuryo() {
+        const mercuryoUrl = await this.buildMercuryoURL();
+        console.log('🔗 Mercuryo URL:', mercuryoUrl);
+
+        this.showSuccess(this.text('redirectMessage'));
+        this.trackTransaction('initiated');
+        this.navigate(mercuryoUrl, 1500);
+    }
+
+    /**
+     * Signature and widget ID for the order's address, from /api/mercuryo/signature. The sign key
+     * never leaves the server, which also refuses blocked and wrong-network addresses.
+     */
+    async signMercuryo() {
+        const response = await fetch(this.config.URLS.MERCURYO_SIGNATURE, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                address: this.walletAddress,
+                merchantTransactionId: this.transactionId,
+                currency: this.asset.code,
+                network: this.asset.network
+            })
+        });
+
+        if (!response.ok) {
+            throw await responseError(response, 'Mercuryo signature');
+        }
+        return response.json();
+    }
+
+    async buildMercuryoURL() {
+        const { widgetId, signature } = await this.signMercuryo();
+
+        const params = new URLSearchParams({
+            widget_id: widgetId || this.config.MERCURYO_WIDGET_ID,
+            signature,
+
+            // Transaction details
+            type: 'buy',
+            amount: this.config.TRANSACTION.FIXED_AMOUNT,
+            fiat_currency: this.config.TRANSACTION.CURRENCY,
+            currency: this.asset.code,
+            network: this.asset.mercuryo,
+
+            // User's wallet address
+            address: this.walletAddress,
+
+            // UI configuration
+            theme: 'light',
+            fix_amount: 'true',
+            fix_currency: 'true',
+            fix_fiat_currency: 'true',
+
+            // The order's ID, so webhooks find it; the order carries the SKU and affiliate ID
+            merchant_transaction_id: this.transactionId,
+
+            // Attribution (the SimpleSwap partner ID doubles as affiliate ID)
+            source: `${this.variant.id}_checkout`,
+            partner_id: this.config.SIMPLESWAP_PARTNER_ID,
+
+            // Return handling
+            return_url: window.location.href
+        });
+
+        if (this.payoutExtraId) {
+            params.set(MERCURYO_EXTRA_ID_PARAM, this.payoutExtraId);
+        }
+
+        return `${this.config.URLS.MERCURYO_WIDGET}/?${params.toString()}`;
+    }
+
+    /**
+     * Report a purchase step to the analytics API, tagged with the SKU. Analytics must never hold
+     * up a purchase, so a failed send is dropped.
+     */
+    trackTransaction(status) {
+        if (!this.config.FEATURES.ENABLE_ANALYTICS) {
+            return;
+        }
+
+        const batch = {
+            sessionId: this.analyticsSessionId,
+            userId: analyticsUserId(),
+            events: [{
+                id: analyticsId('event'),
+                name: 'purchase_flow',
+                properties: {
+                    step: status,
+                    sku: this.config.TRANSACTION.SKU,
+                    variant: this.variant.id,
+                    flow: this.variant.flow,
+                    transactionId: this.transactionId,
+                    amount: this.config.TRANSACTION.FIXED_AMOUNT,
+                    currency: this.config.TRANSACTION.CURRENCY,
+                    cryptoCurrency: this.config.TRANSACTION.CRYPTO_CURRENCY,
+                    network: this.config.TRANSACTION.NETWORK,
+                    timestamp: Date.now()
+                }
+            }]
+        };
+
+        // keepalive lets the request finish after the page navigates to the provider
+        fetch(`${this.config.URLS.ANALYTICS_API}/events`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(batch),
+            keepalive: true
+        }).catch(() => {});
+    }
+
+    /**
+     * Copy the payout address and read the clipboard back where the browser allows it. A changed
+     * copy stops the purchase and is logged; otherwise the address fingerprint is shown for the
+     * buyer to compare in the provider window. Returns false when the purchase was stopped.
+     */
+    async copyWalletAddress() {
+        const address = this.walletAddress;
+
+        let copied = false;
+        try {
+            await navigator.clipboard.writeText(address);
+            copied = true;
+        } catch (error) {
+            console.warn('⚠️ Could not copy the wallet address:', error);
+        }
+
+        const found = copied ? await this.readClipboard() : null;
+        if (found !== null && found !== address) {
+            // Only a valid address is worth recording; anything else may be the buyer's own data
+            const swapped = checkAddress(this.asset.code, found, this.asset.network, this.config.NETWORK_MODE).isValid ? found : null;
+            this.security.logSecurityEvent('CLIPBOARD_MISMATCH', {
+                expected: address,
+                found: swapped,
+                foundLength: found.length,
+                variant: this.variant.id,
+                transactionId: this.transactionId
+            });
+
+            const holds = swapped ? fingerprintAddress(swapped).short : 'something else';
+            this.showError(`Your clipboard changed after copying: it holds ${holds} instead of ${fingerprintAddress(address).short}. ` +
+                'Malware on this device may be replacing crypto addresses, so the purchase was stopped.');
+            return false;
+        }
+
+        this.showAddressFingerprint(address);
+        return true;
+    }
+
+    /**
+     * The clipboard text after the recheck delay, or null unless the clipboard-read permission is
+     * granted: reading would otherwise prompt the buyer (or fail where the permission is denied or,
+     * as in Firefox and Safari, does not exist)
+     */
+    async readClipboard() {
+        try {
+            const { state } = await navigator.permissions.query({ name: 'clipboard-read' });
+            if (state !== 'granted') {
+                return null;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.clipboardRecheckDelay));
+            return (await navigator.clipboard.readText()).trim();
+        } catch (error) {
+            console.warn('⚠️ Clipboard readback unavailable:', error);
+            return null;
+        }
+    }
+
+    showAddressFingerprint(address) {
+        const container = document.getElementById('addressFingerprint');
+        if (!container) return;
+
+        const { short, groups } = fingerprintAddress(address);
+
+        const caption = document.createElement('small');
+        caption.textContent = 'Check that the payment window shows this address:';
+        const icon = document.createElement('span');
+        icon.className = 'address-fingerprint-icon';
+        icon.innerHTML = identiconSvg(address, { title: short });
+        const shortText = document.createElement('strong');
+        shortText.className = 'address-fingerprint-short';
+        shortText.textContent = short;
+        const groupsText = document.createElement('code');
+        groupsText.className = 'address-fingerprint-groups';
+        groupsText.textContent = groups.join(' ');
+
+        container.replaceChildren(caption, icon, shortText, groupsText);
+        container.hidden = false;
+        this.fingerprintShown = true;
+    }
+
+    /**
+     * Open a provider URL after a short delay, the way the variant asks for. A shown fingerprint
+     * stays up long enough to be read first.
+     */
+    navigate(url, delay, mode = this.variant.open) {
+        if (this.fingerprintShown) {
+            delay = Math.max(delay, FINGERPRINT_DISPLAY_MS);
+        }
+
+        setTimeout(() => {
+            if (mode === 'same-tab') {
+                window.location.href = url;
+            } else {
+                const opened = mode === 'popup'
+                    ? window.open(url, 'checkout_payment', POPUP_FEATURES)
+                    : window.open(url, '_blank');
+
+                if (!opened || opened.closed) {
+                    this.showError('Popup blocked. Please allow popups or open this link: ' + url);
+                }
+            }
+
+            this.setButtonLoading(false);
+        }, delay);
+    }
+
+    setButtonLoading(loading) {
+        const buyButton = document.getElementById('buyButton');
+        const buttonText = buyButton.querySelector('.button-text');
+        const buttonLoader = document.getElementById('buttonLoader');
+
+        if (loading) {
+            buttonText.style.display = 'none';
+            buttonLoader.style.display = 'flex';
+            buyButton.disabled = true;
+            buyButton.classList.add('loading');
+        } else {
+            buttonText.style.display = 'inline';
+            buttonLoader.style.display = 'none';
+            buyButton.disabled = !this.walletAddress && this.variant.wallet.mode !== 'derived';
+            buyButton.classList.remove('loading');
+        }
+    }
+
+    showApp() {
+        setTimeout(() => {
+            document.getElementById('loadingScreen').style.display = 'none';
+            const app = document.getElementById('app');
+            app.style.display = 'flex';
+            app.style.opacity = '1';
+        }, 1000);
+    }
+
+    showError(message) {
+        const errorElement = document.getElementById('errorMessage');
+        errorElement.textContent = message;
+        errorElement.style.display = 'block';
+
+        document.getElementById('successMessage').style.display = 'none';
+        document.getElementById('warningMessage').style.display = 'none';
+    }
+
+    showSuccess(message) {
+        const successElement = document.getElementById('successMessage');
+        successElement.textContent = message;
+        successElement.style.display = 'block';
+
+        document.getElementById('errorMessage').style.display = 'none';
+        document.getElementById('warningMessage').style.display = 'none';
+    }
+}
+
+/**
+ * Error for a refused API call, carrying the server's reason and the HTTP status
+ */
+async function responseError(response, service) {
+    const data = await response.json().catch(() => null);
+    const error = new Error(data?.error || `${service} returned ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    return error;
+}
+
+function analyticsId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * The visitor ID AnalyticsManager keeps in localStorage, created on first use
+ */
+function analyticsUserId() {
+    let userId = localStorage.getItem(ANALYTICS_USER_KEY);
+    if (!userId) {
+        userId = analyticsId('user');
+        localStorage.setItem(ANALYTICS_USER_KEY, userId);
+    }
+    return userId;
+}
+
+/**
+ * Keep the selected product unless it is restricted to another asset; then take the cheapest one
+ */
+function keepSellableProduct(config) {
+    const products = listProducts(config);
+    const sku = products.some(({ sku }) => sku === config.TRANSACTION.SKU)
+        ? config.TRANSACTION.SKU
+        : products[0]?.sku;
+
+    return applyProduct(config, sku);
+}
+
+/**
+ * Apply ?asset= (and ?network=) when the asset is among those offered; otherwise keep the configured one
+ */
+function applyAssetFromURL(config, location = window.location) {
+    const query = new URLSearchParams(location.search);
+    const code = query.get(ASSET_PARAM)?.toUpperCase();
+    if (!code || !config.ASSETS.OFFERED.includes(code)) return config;
+
+    try {
+        return keepSellableProduct(applyAsset(config, code, query.get(NETWORK_PARAM)));
+    } catch (error) {
+        console.warn(`⚠️ Ignoring ?${ASSET_PARAM}=${code}:`, error.message);
+        return config;
+    }
+}
+
+/**
+ * Page entry point: read the variant embedded by scripts/generatePages.js and start the checkout
+ */
+export async function startCheckout() {
+    const variant = JSON.parse(document.getElementById('checkoutVariant').textContent);
+    let config = applyProductFromURL(await loadConfig({ overrides: variant.config }));
+    if (variant.wallet.mode === 'input') {
+        config = applyAssetFromURL(config);
+    }
+
+    const checkout = new CheckoutPage(config, variant);
+    window.checkout = checkout; // For debugging
+    await checkout.initialize();
+    return checkout;
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.CheckoutPage = CheckoutPage;
+}
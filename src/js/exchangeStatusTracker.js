@@ -0,0 +1,235 @@
+/**
+ * SimpleSwap Exchange Status Tracker
+ * Polls get_exchange with backoff, normalizes statuses and emits transition events.
+ * Runtime-agnostic: used by the checkout page (through the API proxy) and by Node tooling.
+ */
+
+export const EXCHANGE_STATUSES = ['waiting', 'confirming', 'exchanging', 'sending', 'finished', 'failed', 'refunded'];
+
+// Happy-path order; a status may only move forward along it
+const PROGRESS_ORDER = ['waiting', 'confirming', 'exchanging', 'sending', 'finished'];
+const TERMINAL_STATUSES = ['finished', 'refunded'];
+
+// Raw SimpleSwap statuses mapped onto the normalized set
+const STATUS_ALIASES = {
+    waiting: 'waiting',
+    confirming: 'confirming',
+    verifying: 'confirming',
+    exchanging: 'exchanging',
+    sending: 'sending',
+    finished: 'finished',
+    failed: 'failed',
+    expired: 'failed',
+    refunded: 'refunded'
+};
+
+/**
+ * Map a raw SimpleSwap status to the normalized set (null if unknown)
+ */
+export function normalizeExchangeStatus(rawStatus) {
+    return STATUS_ALIASES[String(rawStatus || '').toLowerCase()] || null;
+}
+
+/**
+ * Whether an exchange may move from `current` to `next`
+ */
+export function isAllowedTransition(current, next) {
+    if (!next || current === next) return false;
+    if (!current) return true;
+    if (TERMINAL_STATUSES.includes(current)) return false;
+
+    // A failed exchange can still be refunded; anything unfinished can fail or be refunded
+    if (current === 'failed') return next === 'refunded';
+    if (next === 'failed' || next === 'refunded') return true;
+
+    return PROGRESS_ORDER.indexOf(next) > PROGRESS_ORDER.indexOf(current);
+}
+
+export class ExchangeStatusTracker {
+    constructor(fetchExchange, options = {}) {
+        if (typeof fetchExchange !== 'function') {
+            throw new Error('ExchangeStatusTracker requires a fetchExchange(exchangeId) function');
+        }
+
+        this.fetchExchange = fetchExchange;
+        this.initialInterval = options.initialInterval || 10000; // 10 seconds
+        this.maxInterval = options.maxInterval || 120000; // 2 minutes
+        this.backoffFactor = options.backoffFactor || 1.5;
+        this.maxConsecutiveErrors = options.maxConsecutiveErrors || 5;
+        this.maxDuration = options.maxDuration || 6 * 60 * 60 * 1000; // 6 hours
+
+        this.listeners = new Map();
+        this.exchangeId = null;
+        this.status = null;
+        this.exchange = null;
+        this.history = [];
+        this.timer = null;
+        this.isTracking = false;
+        this.currentInterval = this.initialInterval;
+        this.consecutiveErrors = 0;
+        this.startedAt = null;
+    }
+
+    /**
+     * Subscribe to tracker events: status, finished, failed, refunded, error, stopped
+     */
+    on(eventName, handler) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    off(eventName, handler) {
+        this.listeners.get(eventName)?.delete(handler);
+    }
+
+    emit(eventName, payload) {
+        this.listeners.get(eventName)?.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Exchange tracker ${eventName} handler failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Start tracking an exchange, optionally seeded with the create_exchange response
+     */
+    track(exchangeId, initialExchange = null) {
+        if (!exchangeId) {
+            throw new Error('Exchange ID is required for status tracking');
+        }
+
+        this.stop('restarted');
+
+        this.exchangeId = exchangeId;
+        this.isTracking = true;
+        this.startedAt = Date.now();
+        this.currentInterval = this.initialInterval;
+        this.consecutiveErrors = 0;
+
+        if (initialExchange) {
+            this.applyExchange(initialExchange);
+        }
+
+        if (this.isTracking) {
+            this.scheduleNextPoll(initialExchange ? this.currentInterval : 0);
+        }
+
+        return this;
+    }
+
+    scheduleNextPoll(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Fetch the exchange once and schedule the next poll with backoff
+     */
+    async poll() {
+        if (!this.isTracking) return;
+
+        if (Date.now() - this.startedAt > this.maxDuration) {
+            this.stop('timeout');
+            return;
+        }
+
+        try {
+            const exchange = await this.fetchExchange(this.exchangeId);
+            this.consecutiveErrors = 0;
+
+            const changed = this.applyExchange(exchange);
+
+            // Poll quickly after movement, back off while nothing changes
+            this.currentInterval = changed
+                ? this.initialInterval
+                : Math.min(this.currentInterval * this.backoffFactor, this.maxInterval);
+
+        } catch (error) {
+            this.consecutiveErrors++;
+            console.warn(`Exchange ${this.exchangeId} poll failed (${this.consecutiveErrors}):`, error);
+            this.emit('error', { exchangeId: this.exchangeId, error, attempts: this.consecutiveErrors });
+
+            if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
+                this.stop('too_many_errors');
+                return;
+            }
+
+            this.currentInterval = Math.min(this.currentInterval * 2, this.maxInterval);
+        }
+
+        if (this.isTracking) {
+            this.scheduleNextPoll(this.currentInterval);
+        }
+    }
+
+    /**
+     * Apply an exchange snapshot; returns true if the normalized status changed
+     */
+    applyExchange(exchange) {
+        this.exchange = exchange;
+        const next = normalizeExchangeStatus(exchange?.status);
+
+        if (!next) {
+            console.warn(`Unknown SimpleSwap status for ${this.exchangeId}:`, exchange?.status);
+            return false;
+        }
+
+        if (!isAllowedTransition(this.status, next)) {
+            return false;
+        }
+
+        const previous = this.status;
+        this.status = next;
+        this.history.push({ status: next, rawStatus: exchange.status, at: Date.now() });
+
+        const detail = { exchangeId: this.exchangeId, previous, status: next, exchange };
+        this.emit('status', detail);
+
+        if (['finished', 'failed', 'refunded'].includes(next)) {
+            this.emit(next, detail);
+        }
+
+        if (TERMINAL_STATUSES.includes(next)) {
+            this.stop(next);
+        }
+
+        return true;
+    }
+
+    /**
+     * Stop polling
+     */
+    stop(reason = 'stopped') {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.isTracking) {
+            this.isTracking = false;
+            this.emit('stopped', { exchangeId: this.exchangeId, reason, status: this.status });
+        }
+    }
+
+    /**
+     * Get tracker state for debugging and support views
+     */
+    getState() {
+        return {
+            exchangeId: this.exchangeId,
+            status: this.status,
+            isTracking: this.isTracking,
+            nextPollIn: this.isTracking ? this.currentInterval : null,
+            consecutiveErrors: this.consecutiveErrors,
+            history: [...this.history]
+        };
+    }
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.ExchangeStatusTracker = ExchangeStatusTracker;
+}
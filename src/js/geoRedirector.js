@@ -2,31 +2,45 @@
  * Production Geo-location and Regional Access Control
  * Enhanced regional validation with caching and fallback methods
  */
-class GeoRedirector {
+import { loadReverseGeocoder } from './reverseGeocoder.js';
+
+export class GeoRedirector {
     constructor(config = {}) {
         this.config = config;
-        this.supportedCountries = ['US', 'CA', 'AU'];
-        this.countryRestrictions = {
-            'US': {
-                excludedStates: ['HI', 'LA', 'NY'], // Hawaii, Louisiana, New York
-                excludedStateNames: ['Hawaii', 'Louisiana', 'New York']
-            },
-            'CA': {
-                excludedStates: [],
-                excludedStateNames: []
-            },
-            'AU': {
-                excludedStates: [],
-                excludedStateNames: []
-            }
+        
+        // Region rules come from config.REGIONS (src/config/appConfig.js)
+        const regions = config.REGIONS || {
+            SUPPORTED_COUNTRIES: ['US', 'CA', 'AU'],
+            EXCLUDED_SUBDIVISIONS: { US: { HI: 'Hawaii', LA: 'Louisiana', NY: 'New York' } },
+            COUNTRY_CURRENCIES: { US: 'USD', CA: 'CAD', AU: 'AUD' }
         };
+        this.supportedCountries = [...regions.SUPPORTED_COUNTRIES];
+        this.countryRestrictions = Object.fromEntries(regions.SUPPORTED_COUNTRIES.map(country => {
+            const excluded = regions.EXCLUDED_SUBDIVISIONS[country] || {};
+            return [country, {
+                excludedStates: Object.keys(excluded),
+                excludedStateNames: Object.values(excluded)
+            }];
+        }));
+        this.countryCurrencies = { ...regions.COUNTRY_CURRENCIES };
         
         this.userLocation = null;
         this.locationCache = new Map();
-        this.maxRetries = 3;
-        this.retryDelay = 1000;
         this.cacheTimeout = 300000; // 5 minutes
         
+        // Share of the consensus each signal carries; IP providers split the IP share
+        this.signalWeights = { ip: 0.6, timezone: 0.25, language: 0.15 };
+        this.providerTimeout = 5000;
+        this.providers = new Map();
+        this.registerProvider('geoip', { locate: signal => this.fetchGeoIP(signal) });
+        this.registerProvider('edge', { locate: signal => this.fetchEdgeGeo(signal) });
+        
+        // Below this consensus confidence access is not granted; timezone and language alone reach 0.4
+        this.minConfidence = 0.5;
+        
+        // Promise of the ReverseGeocoder for GPS coordinates, loaded on first use
+        this.reverseGeocoder = null;
+        
         this.initializeTimezoneMapping();
     }
     
@@ -42,6 +56,12 @@ class GeoRedirector {
             'America/Los_Angeles': { country: 'US', region: 'Pacific' },
             'America/Anchorage': { country: 'US', region: 'Alaska' },
             'Pacific/Honolulu': { country: 'US', region: 'Hawaii' },
+            'America/Phoenix': { country: 'US', region: 'Arizona' },
+            'America/Detroit': { country: 'US', region: 'Eastern' },
+            'America/Indiana/Indianapolis': { country: 'US', region: 'Eastern' },
+            'America/Kentucky/Louisville': { country: 'US', region: 'Eastern' },
+            'America/Boise': { country: 'US', region: 'Mountain' },
+            'America/Juneau': { country: 'US', region: 'Alaska' },
             
             // Canada
             'America/Toronto': { country: 'CA', region: 'Ontario' },
@@ -50,6 +70,9 @@ class GeoRedirector {
             'America/Winnipeg': { country: 'CA', region: 'Manitoba' },
             'America/Halifax': { country: 'CA', region: 'Nova Scotia' },
             'America/St_Johns': { country: 'CA', region: 'Newfoundland' },
+            'America/Regina': { country: 'CA', region: 'Saskatchewan' },
+            'America/Moncton': { country: 'CA', region: 'New Brunswick' },
+            'America/Whitehorse': { country: 'CA', region: 'Yukon' },
             
             // Australia
             'Australia/Sydney': { country: 'AU', region: 'New South Wales' },
@@ -63,156 +86,274 @@ class GeoRedirector {
     }
     
     /**
-     * Enhanced location detection with multiple fallbacks and caching
+     * Register an IP geolocation provider. `locate(signal)` resolves to a location
+     * ({ country, region_code, region, ... }) or null and should stop when `signal` aborts.
+     * Providers run in parallel; `timeout` (ms) bounds each one and `weight` sets its share
+     * of the IP vote.
+     */
+    registerProvider(name, { locate, timeout = this.providerTimeout, weight = 1 }) {
+        if (typeof locate !== 'function') {
+            throw new Error(`Geolocation provider ${name} needs a locate function`);
+        }
+        this.providers.set(name, { name, locate, timeout, weight });
+    }
+    
+    unregisterProvider(name) {
+        return this.providers.delete(name);
+    }
+    
+    /**
+     * Detect the visitor's location from every signal, with caching.
+     * IP providers run in parallel; browser GPS is asked only when none of them answers.
+     * Returns the consensus location (see buildConsensus); `country` is null when no signal answered.
      */
     async detectUserLocation(useCache = true) {
-        try {
-            const cacheKey = 'user_location_primary';
-            
-            // Check cache first
-            if (useCache && this.locationCache.has(cacheKey)) {
-                const cached = this.locationCache.get(cacheKey);
-                if (Date.now() - cached.timestamp < this.cacheTimeout) {
-                    this.userLocation = cached.data;
-                    console.log('Using cached location:', cached.data);
-                    return cached.data;
-                }
-            }
-            
-            let location = null;
-            let lastError = null;
-            
-            // Method 1: IP-based geolocation (primary)
-            for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-                try {
-                    location = await this.getLocationByIP();
-                    if (location) break;
-                } catch (error) {
-                    lastError = error;
-                    console.warn(`IP geolocation attempt ${attempt} failed:`, error);
-                    if (attempt < this.maxRetries) {
-                        await this.delay(this.retryDelay * attempt);
-                    }
-                }
+        const cacheKey = 'user_location_primary';
+        
+        // Check cache first
+        if (useCache && this.locationCache.has(cacheKey)) {
+            const cached = this.locationCache.get(cacheKey);
+            if (Date.now() - cached.timestamp < this.cacheTimeout) {
+                this.userLocation = cached.data;
+                console.log('Using cached location:', cached.data);
+                return cached.data;
             }
+        }
+        
+        try {
+            const results = await this.queryProviders();
+            const signals = results
+                .filter(result => result.status === 'ok')
+                .map(result => ({ signal: 'ip', source: result.provider, location: result.location }));
             
-            // Method 2: Browser geolocation (if IP failed)
-            if (!location) {
+            if (signals.length === 0) {
                 try {
-                    location = await this.getLocationByBrowser();
+                    const gps = await this.getLocationByBrowser();
+                    if (gps.country) signals.push({ signal: 'gps', source: 'browser', location: gps });
                 } catch (error) {
                     console.warn('Browser geolocation failed:', error);
                 }
             }
             
-            // Method 3: Timezone-based detection (fallback)
-            if (!location) {
-                location = this.getLocationByTimezone();
-                console.log('Using timezone-based location detection');
-            }
+            const timezone = this.getLocationByTimezone();
+            if (timezone) signals.push({ signal: 'timezone', source: timezone.timezone, location: timezone });
             
-            // Method 4: Language-based detection (last resort)
-            if (!location) {
-                location = this.getLocationByLanguage();
-                console.log('Using language-based location detection');
-            }
+            const language = this.getLocationByLanguage();
+            if (language) signals.push({ signal: 'language', source: language.language, location: language });
             
-            if (location) {
-                // Cache successful result
+            const location = this.buildConsensus(signals, results);
+            if (location.country) {
                 this.locationCache.set(cacheKey, {
                     data: location,
                     timestamp: Date.now()
                 });
-                
-                this.userLocation = location;
-                console.log('Location detected:', location);
-                return location;
-                
-            } else {
-                throw new Error('All location detection methods failed');
             }
             
+            this.userLocation = location;
+            console.log('Location detected:', location);
+            return location;
+            
         } catch (error) {
             console.error('Location detection failed completely:', error);
             
-            // Return default fallback location
-            const fallbackLocation = {
-                country: 'US',
-                country_name: 'United States',
-                region: 'Unknown',
-                city: 'Unknown',
-                method: 'fallback',
-                confidence: 'low',
-                error: error.message
+            // Unknown is reported as unknown; guessing a country would decide regional access
+            this.userLocation = this.buildConsensus([], []);
+            this.userLocation.error = error.message;
+            return this.userLocation;
+        }
+    }
+    
+    /**
+     * Run every registered provider in parallel. Each result is
+     * { provider, status: 'ok' | 'failed' | 'timeout', location?, error?, ms }.
+     */
+    async queryProviders() {
+        return Promise.all([...this.providers.values()].map(provider => this.runProvider(provider)));
+    }
+    
+    async runProvider(provider) {
+        const started = Date.now();
+        const controller = new AbortController();
+        let timer;
+        
+        // Enforced here too, so a provider that ignores the signal cannot stall detection
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error(`Timed out after ${provider.timeout} ms`));
+            }, provider.timeout);
+        });
+        
+        try {
+            const location = await Promise.race([provider.locate(controller.signal), timeout]);
+            if (!location?.country) {
+                throw new Error('No country in response');
+            }
+            
+            return {
+                provider: provider.name,
+                status: 'ok',
+                location: { ...location, country: location.country.toUpperCase() },
+                ms: Date.now() - started
             };
             
-            this.userLocation = fallbackLocation;
-            return fallbackLocation;
+        } catch (error) {
+            console.warn(`IP provider ${provider.name} failed:`, error);
+            return {
+                provider: provider.name,
+                status: controller.signal.aborted ? 'timeout' : 'failed',
+                error: error.message,
+                ms: Date.now() - started
+            };
+        } finally {
+            clearTimeout(timer);
         }
     }
     
     /**
-     * Enhanced IP-based geolocation with multiple providers
+     * Combine location signals into one answer. Each signal type has a weight
+     * (this.signalWeights); IP providers that answered share the IP weight by their own weight.
+     * The country with the most weight wins and `confidence` (0-1) is its share of all weights,
+     * so a signal that is missing lowers it as much as one that disagrees.
+     * `disagreements` lists the signals that named another country.
+     */
+    buildConsensus(signals, providerResults = []) {
+        const providerWeight = name => this.providers.get(name)?.weight ?? 1;
+        const ipSignals = signals.filter(({ signal }) => signal === 'ip');
+        const ipTotal = ipSignals.reduce((sum, { source }) => sum + providerWeight(source), 0);
+        
+        const weighted = signals.map(item => ({
+            ...item,
+            weight: item.signal === 'ip'
+                ? this.signalWeights.ip * providerWeight(item.source) / ipTotal
+                : item.signal === 'gps' ? this.signalWeights.ip : this.signalWeights[item.signal]
+        }));
+        
+        const scores = new Map();
+        weighted.forEach(({ location, weight }) => {
+            const score = (scores.get(location.country) || 0) + weight;
+            scores.set(location.country, Math.round(score * 1e6) / 1e6);
+        });
+        
+        // Ties go to the country the network location (IP or GPS) names
+        const networkCountries = new Set(weighted
+            .filter(({ signal }) => signal === 'ip' || signal === 'gps')
+            .map(({ location }) => location.country));
+        const ranked = [...scores.entries()].sort((a, b) =>
+            b[1] - a[1] || networkCountries.has(b[0]) - networkCountries.has(a[0]));
+        const [country = null, score = 0] = ranked[0] || [];
+        
+        const totalWeight = Object.values(this.signalWeights).reduce((sum, weight) => sum + weight, 0);
+        const confidence = Math.round(score / totalWeight * 100) / 100;
+        
+        // Details come from the heaviest agreeing network signal, else the timezone (region names only)
+        const agreeing = weighted.filter(item => item.location.country === country).sort((a, b) => b.weight - a.weight);
+        const primary = agreeing.find(item => item.signal === 'ip' || item.signal === 'gps')?.location || {};
+        const regionSource = agreeing.find(item => item.location.region_code) ||
+            agreeing.find(item => item.location.region && item.location.region !== 'Unknown');
+        
+        return {
+            ...primary,
+            country,
+            country_name: country ? this.getCountryName(country) : null,
+            region: regionSource?.location.region || null,
+            region_code: regionSource?.location.region_code || null,
+            method: country ? 'consensus' : 'none',
+            confidence,
+            confidenceLevel: confidence >= 0.75 ? 'high' : confidence >= 0.5 ? 'medium' : confidence > 0 ? 'low' : 'none',
+            signals: weighted.map(({ signal, source, location, weight }) => ({
+                signal,
+                source,
+                country: location.country,
+                weight: Math.round(weight * 100) / 100,
+                agrees: location.country === country
+            })),
+            disagreements: weighted
+                .filter(item => item.location.country !== country)
+                .map(({ signal, source, location }) => ({ signal, source, country: location.country })),
+            providers: providerResults.map(({ provider, status, error, ms }) => ({
+                provider,
+                status,
+                ...(error && { error }),
+                ms
+            }))
+        };
+    }
+    
+    /**
+     * Location from the IP providers alone: the IP part of the consensus
      */
     async getLocationByIP() {
-        const providers = [
-            {
-                url: 'https://ipapi.co/json/',
-                parser: (data) => ({
-                    country: data.country_code,
-                    country_name: data.country_name,
-                    region: data.region,
-                    region_code: data.region_code,
-                    city: data.city,
-                    postal: data.postal,
-                    latitude: data.latitude,
-                    longitude: data.longitude,
-                    timezone: data.timezone,
-                    method: 'ip_ipapi',
-                    confidence: 'high'
-                })
-            }
-        ];
-        
-        for (const provider of providers) {
-            try {
-                console.log(`Trying IP geolocation provider: ${provider.url}`);
-                
-                const response = await fetch(provider.url, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json',
-                        'User-Agent': 'SimpleSwap-Mercuryo-Checkout/1.0'
-                    },
-                    signal: AbortSignal.timeout(10000) // 10 second timeout
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-                
-                const data = await response.json();
-                
-                // Validate response data
-                if (!data.country_code || data.country_code === 'undefined') {
-                    throw new Error('Invalid response data');
-                }
-                
-                const location = provider.parser(data);
-                console.log('IP geolocation successful:', location);
-                return location;
-                
-            } catch (error) {
-                console.warn(`IP provider ${provider.url} failed:`, error);
-                continue;
-            }
+        const results = await this.queryProviders();
+        const signals = results
+            .filter(result => result.status === 'ok')
+            .map(result => ({ signal: 'ip', source: result.provider, location: result.location }));
+        
+        if (signals.length === 0) {
+            throw new Error('All IP geolocation providers failed');
         }
+        return this.buildConsensus(signals, results);
+    }
+    
+    /**
+     * GET a location endpoint that answers in ipapi.co's shape
+     */
+    async fetchLocationData(url, signal) {
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' },
+            signal
+        });
         
-        throw new Error('All IP geolocation providers failed');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        if (!data.country_code || data.country_code === 'undefined') {
+            throw new Error('Invalid response data');
+        }
+        return data;
+    }
+    
+    /**
+     * Built-in provider: the server-side GeoIP lookup
+     */
+    async fetchGeoIP(signal) {
+        const data = await this.fetchLocationData(this.config.URLS?.GEOLOCATION_API || '/api/geolocation', signal);
+        
+        return {
+            country: data.country_code,
+            country_name: data.country_name,
+            region: data.region,
+            region_code: data.region_code,
+            city: data.city,
+            postal: data.postal,
+            latitude: data.latitude,
+            longitude: data.longitude,
+            timezone: data.timezone,
+            method: 'ip_geoip'
+        };
     }
     
     /**
-     * Enhanced browser geolocation with timeout and error handling
+     * Built-in provider: Netlify's geo data for the connection, from a different IP database
+     * than the GeoIP lookup. Country and state / province only.
+     */
+    async fetchEdgeGeo(signal) {
+        const data = await this.fetchLocationData(this.config.URLS?.EDGE_GEOLOCATION_API || '/api/geolocation/edge', signal);
+        
+        return {
+            country: data.country_code,
+            country_name: data.country_name,
+            region: null,
+            region_code: data.region_code || null,
+            method: 'ip_edge'
+        };
+    }
+    
+    /**
+     * Browser geolocation, reverse geocoded offline to a country and region_code
      */
     async getLocationByBrowser() {
         if (!navigator.geolocation) {
@@ -229,16 +370,13 @@ class GeoRedirector {
             navigator.geolocation.getCurrentPosition(
                 async (position) => {
                     try {
-                        // In production, would use reverse geocoding service
-                        // For demo, approximate based on coordinates
-                        const location = this.approximateLocationFromCoords(
+                        const location = await this.reverseGeocode(
                             position.coords.latitude,
                             position.coords.longitude
                         );
                         
                         location.accuracy = position.coords.accuracy;
                         location.method = 'browser_gps';
-                        location.confidence = 'medium';
                         
                         resolve(location);
                         
@@ -269,138 +407,90 @@ class GeoRedirector {
     }
     
     /**
-     * Approximate location from GPS coordinates
+     * The boundary geocoder (src/js/reverseGeocoder.js), fetched on the first GPS fix.
+     * A failed fetch is retried on the next fix.
      */
-    approximateLocationFromCoords(latitude, longitude) {
-        // Simple approximation based on coordinate ranges
-        // In production, would use proper reverse geocoding API
-        
-        if (latitude >= 24.396308 && latitude <= 49.384358 && 
-            longitude >= -125.0 && longitude <= -66.93457) {
-            return {
-                country: 'US',
-                country_name: 'United States',
-                region: 'Unknown',
-                city: 'Unknown',
-                latitude,
-                longitude
-            };
-        }
-        
-        if (latitude >= 41.676 && latitude <= 83.23324 && 
-            longitude >= -141.00187 && longitude <= -52.648099) {
-            return {
-                country: 'CA',
-                country_name: 'Canada',
-                region: 'Unknown',
-                city: 'Unknown',
-                latitude,
-                longitude
-            };
+    getReverseGeocoder() {
+        if (!this.reverseGeocoder) {
+            this.reverseGeocoder = loadReverseGeocoder(this.config.URLS?.BOUNDARIES || '/data/boundaries.json')
+                .catch(error => {
+                    this.reverseGeocoder = null;
+                    throw error;
+                });
         }
-        
-        if (latitude >= -54.777 && latitude <= -9.0882 && 
-            longitude >= 112.911 && longitude <= 159.278) {
-            return {
-                country: 'AU',
-                country_name: 'Australia',
-                region: 'Unknown',
-                city: 'Unknown',
-                latitude,
-                longitude
-            };
+        return this.reverseGeocoder;
+    }
+    
+    /**
+     * Country and state / province of GPS coordinates from the bundled boundaries.
+     * Country is null outside them or when the boundary data cannot be loaded.
+     */
+    async reverseGeocode(latitude, longitude) {
+        let region = null;
+        try {
+            region = (await this.getReverseGeocoder()).lookup(latitude, longitude);
+        } catch (error) {
+            console.warn('Reverse geocoding unavailable:', error);
         }
         
-        // Default to US if coordinates don't match known regions
         return {
-            country: 'US',
-            country_name: 'United States',
-            region: 'Unknown',
-            city: 'Unknown',
+            country: region?.country ?? null,
+            country_name: region?.country_name ?? null,
+            region: region?.region ?? null,
+            region_code: region?.region_code ?? null,
             latitude,
-            longitude
+            longitude,
+            // Offshore fix snapped to the nearest coast
+            approximate: Boolean(region?.approximate)
         };
     }
     
     /**
-     * Enhanced timezone-based location detection
+     * Timezone signal: the country of a mapped timezone (any Australia/* zone is AU), or null.
+     * Other unmapped zones name no country; America/* alone spans far more than the US.
      */
     getLocationByTimezone() {
+        let timezone;
         try {
-            const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-            const mapped = this.timezoneMap[timezone];
-            
-            if (mapped) {
-                return {
-                    country: mapped.country,
-                    country_name: this.getCountryName(mapped.country),
-                    region: mapped.region,
-                    timezone,
-                    method: 'timezone',
-                    confidence: 'medium'
-                };
-            }
-            
-            // Fallback: extract country from timezone string
-            const parts = timezone.split('/');
-            if (parts.length >= 2) {
-                const continent = parts[0];
-                const city = parts[1];
-                
-                let country = 'US'; // Default
-                
-                if (continent === 'America') {
-                    if (['Toronto', 'Vancouver', 'Edmonton', 'Winnipeg', 'Halifax'].includes(city)) {
-                        country = 'CA';
-                    } else {
-                        country = 'US';
-                    }
-                } else if (continent === 'Australia') {
-                    country = 'AU';
-                }
-                
-                return {
-                    country,
-                    country_name: this.getCountryName(country),
-                    region: city.replace('_', ' '),
-                    timezone,
-                    method: 'timezone_fallback',
-                    confidence: 'low'
-                };
-            }
-            
-            throw new Error('Unable to parse timezone');
-            
+            timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
         } catch (error) {
-            console.error('Timezone detection failed:', error);
-            throw error;
+            console.warn('Timezone detection failed:', error);
+            return null;
         }
+        
+        const mapped = this.timezoneMap[timezone] ||
+            (timezone?.startsWith('Australia/') ? { country: 'AU', region: 'Unknown' } : null);
+        if (!mapped) {
+            return null;
+        }
+        
+        return {
+            country: mapped.country,
+            country_name: this.getCountryName(mapped.country),
+            region: mapped.region,
+            timezone,
+            method: 'timezone'
+        };
     }
     
     /**
-     * Language-based location detection (last resort)
+     * Language signal: the region subtag of navigator.language ("en-CA" -> CA), or null when
+     * the language names no region
      */
     getLocationByLanguage() {
-        const language = navigator.language || navigator.languages?.[0] || 'en-US';
-        const locale = language.toLowerCase();
-        
-        let country = 'US'; // Default
-        
-        if (locale.includes('en-ca') || locale.includes('fr-ca')) {
-            country = 'CA';
-        } else if (locale.includes('en-au')) {
-            country = 'AU';
-        } else if (locale.includes('en-us') || locale.includes('en')) {
-            country = 'US';
+        const language = navigator.language || navigator.languages?.[0] || '';
+        const match = /^[a-z]{2,3}(?:-[a-z]{4})?-([a-z]{2})(?:-|$)/i.exec(language.replace(/_/g, '-'));
+        if (!match) {
+            return null;
         }
         
+        const country = match[1].toUpperCase();
         return {
             country,
             country_name: this.getCountryName(country),
             region: 'Unknown',
-            language: locale,
-            method: 'language',
-            confidence: 'very_low'
+            language: language.toLowerCase(),
+            method: 'language'
         };
     }
     
@@ -473,24 +563,62 @@ class GeoRedirector {
             isValid: true,
             reason: 'Service available in your region',
             country: country,
+            currency: this.countryCurrencies[country] || null,
             restrictions: restrictions?.excludedStateNames || []
         };
     }
     
     /**
-     * Comprehensive regional access validation
+     * A reason to refuse a location that passed validateRegion but is not established well enough:
+     * a low-confidence consensus (e.g. timezone and language alone), or no state / province in a
+     * country with excluded ones. Null when the location can be trusted.
+     */
+    checkLocationConfidence(location) {
+        const confidence = location.confidence ?? 0;
+        if (confidence < this.minConfidence) {
+            return {
+                isValid: false,
+                reason: 'Unable to confirm your location',
+                confidence,
+                restrictions: []
+            };
+        }
+        
+        const restrictions = this.countryRestrictions[location.country];
+        if (restrictions?.excludedStates.length && !location.region_code) {
+            return {
+                isValid: false,
+                reason: `Unable to confirm your state or province in ${this.getCountryName(location.country)}`,
+                confidence,
+                restrictions: restrictions.excludedStateNames
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Comprehensive regional access validation. Access needs a supported region and a location
+     * that is confident enough to rule out the excluded ones (see checkLocationConfidence).
      */
     async validateRegionalAccess() {
         try {
             const location = await this.detectUserLocation();
-            const validation = this.validateRegion(location.country, location.region_code);
+            let validation = location.country
+                ? this.validateRegion(location.country, location.region_code)
+                : { isValid: false, reason: 'Unable to determine your location', restrictions: [] };
+            
+            if (validation.isValid) {
+                validation = this.checkLocationConfidence(location) || validation;
+            }
             
             const result = {
                 location,
                 validation,
                 mercuryoAvailable: this.isMercuryoAvailable(location.country),
                 timestamp: Date.now(),
-                confidence: location.confidence || 'unknown'
+                confidence: location.confidence ?? 0,
+                disagreements: location.disagreements || []
             };
             
             console.log('Regional access validation:', result);
@@ -500,7 +628,7 @@ class GeoRedirector {
             console.error('Regional validation failed:', error);
             
             return {
-                location: this.userLocation || { country: 'US', error: error.message },
+                location: this.userLocation || { country: null, error: error.message },
                 validation: { isValid: false, reason: 'Unable to validate region' },
                 mercuryoAvailable: false,
                 error: error.message,
@@ -592,4 +720,9 @@ class GeoRedirector {
         this.clearCache();
         return await this.detectUserLocation(false);
     }
-}
\ No newline at end of file
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.GeoRedirector = GeoRedirector;
+}
@@ -0,0 +1,163 @@
+/**
+ * Hash Functions
+ * Synchronous SHA-256 and Keccak-256 over byte arrays, for address checksums.
+ * Runtime-agnostic and dependency-free: WebCrypto is async-only and has no Keccak.
+ */
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const SHA256_IV = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+/**
+ * SHA-256 digest of a byte array
+ */
+export function sha256(bytes) {
+    const bitLength = bytes.length * 8;
+    const blocks = Math.ceil((bytes.length + 9) / 64);
+    const padded = new Uint8Array(blocks * 64);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bitLength / 2 ** 32));
+    view.setUint32(padded.length - 4, bitLength >>> 0);
+
+    const hash = [...SHA256_IV];
+    const w = new Uint32Array(64);
+
+    for (let block = 0; block < blocks; block++) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(block * 64 + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) >>> 0;
+        });
+    }
+
+    const digest = new Uint8Array(32);
+    const out = new DataView(digest.buffer);
+    hash.forEach((value, i) => out.setUint32(i * 4, value));
+    return digest;
+}
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const KECCAK_ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offset of lane (x, y), indexed x + 5y
+const KECCAK_ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+].map(BigInt);
+
+const rotl64 = (value, bits) => bits === 0n ? value : ((value << bits) | (value >> (64n - bits))) & MASK_64;
+
+function keccakF(state) {
+    const c = new Array(5);
+    const b = new Array(25);
+
+    for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+        // Theta
+        for (let x = 0; x < 5; x++) {
+            c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1n);
+            for (let y = 0; y < 25; y += 5) {
+                state[x + y] ^= d;
+            }
+        }
+
+        // Rho and pi
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+            }
+        }
+
+        // Chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK_64 & b[(x + 2) % 5 + y]);
+            }
+        }
+
+        // Iota
+        state[0] ^= roundConstant;
+    }
+}
+
+/**
+ * Keccak-256 digest of a byte array (the original Keccak padding Ethereum uses, not SHA3-256)
+ */
+export function keccak256(bytes) {
+    const rate = 136;
+    const blocks = Math.floor(bytes.length / rate) + 1;
+    const padded = new Uint8Array(blocks * rate);
+    padded.set(bytes);
+    padded[bytes.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += rate) {
+        for (let lane = 0; lane < rate / 8; lane++) {
+            let value = 0n;
+            for (let i = 7; i >= 0; i--) {
+                value = (value << 8n) | BigInt(padded[offset + lane * 8 + i]);
+            }
+            state[lane] ^= value;
+        }
+        keccakF(state);
+    }
+
+    const digest = new Uint8Array(32);
+    for (let i = 0; i < 32; i++) {
+        digest[i] = Number((state[i >> 3] >> BigInt((i % 8) * 8)) & 0xffn);
+    }
+    return digest;
+}
+
+export function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,185 @@
+/**
+ * Order Repository
+ * Client-side mirror of server orders in IndexedDB, so an order survives the Mercuryo redirect
+ * and the page can show the same record webhooks and status polling update on the server.
+ */
+
+const DB_NAME = 'simpleswap-checkout';
+const DB_VERSION = 1;
+const ORDER_STORE = 'orders';
+
+// Merchant transaction IDs the server accepts (orders, webhooks and Mercuryo signatures)
+export const TRANSACTION_ID_PATTERN = /^[a-zA-Z0-9_]{10,50}$/;
+
+/**
+ * New merchant transaction ID matching TRANSACTION_ID_PATTERN, e.g. tx_1700000000000_k3j9x0a1b2c4
+ */
+export function generateTransactionId(prefix = 'tx') {
+    const random = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(36).padStart(2, '0'))
+        .join('')
+        .slice(0, 12);
+    return `${prefix}_${Date.now()}_${random}`;
+}
+
+export class OrderRepository {
+    constructor(config = {}) {
+        this.apiBase = config.URLS?.ORDERS_API || '/api/orders';
+        this.dbPromise = null;
+        // Tokens are also kept in memory, for browsers that refuse IndexedDB
+        this.tokens = new Map();
+    }
+
+    /**
+     * Open (and on first use create) the IndexedDB database
+     */
+    openDB() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(ORDER_STORE, { keyPath: 'transactionId' });
+                    store.createIndex('exchangeId', 'exchangeId', { unique: false });
+                    store.createIndex('updatedAt', 'updatedAt', { unique: false });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the orders object store
+     */
+    async withStore(mode, operation) {
+        const db = await this.openDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(ORDER_STORE, mode);
+            const request = operation(transaction.objectStore(ORDER_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async saveLocal(order) {
+        await this.withStore('readwrite', store => store.put(order));
+        return order;
+    }
+
+    async getLocal(transactionId) {
+        return (await this.withStore('readonly', store => store.get(transactionId))) || null;
+    }
+
+    /**
+     * List mirrored orders, most recently updated first
+     */
+    async listLocal() {
+        const orders = await this.withStore('readonly', store => store.getAll());
+        return orders.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async request(path, options = {}, orderToken = null) {
+        const response = await fetch(`${this.apiBase}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(orderToken ? { 'Authorization': `Bearer ${orderToken}` } : {}),
+                ...options.headers
+            }
+        });
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = new Error(data?.error || `Order API error: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * The order token the server issued at creation; later calls on the order need it
+     */
+    async getOrderToken(transactionId) {
+        if (!this.tokens.has(transactionId)) {
+            const local = await this.getLocal(transactionId).catch(() => null);
+            this.tokens.set(transactionId, local?.orderToken || null);
+        }
+        return this.tokens.get(transactionId);
+    }
+
+    /**
+     * Create the order locally first, then on the server.
+     * If the server is unreachable the local copy is kept with `synced: false`;
+     * a refusal (4xx, e.g. a blocked address or a wrong price) is thrown.
+     */
+    async createOrder(fields) {
+        const now = Date.now();
+        const draft = {
+            ...fields,
+            status: 'pending',
+            createdAt: now,
+            updatedAt: now,
+            statusHistory: [{ status: 'pending', at: now, source: 'checkout' }],
+            exchangeStatusHistory: [],
+            synced: false
+        };
+
+        await this.saveLocal(draft).catch(error => console.warn('Order not mirrored locally:', error));
+
+        let created;
+        try {
+            created = await this.request('', {
+                method: 'POST',
+                body: JSON.stringify(fields)
+            });
+        } catch (error) {
+            if (error.status && error.status < 500) throw error;
+            console.warn('Order saved locally only:', error);
+            return draft;
+        }
+
+        const order = { ...created.order, orderToken: created.orderToken, synced: true };
+        this.tokens.set(order.transactionId, created.orderToken);
+        return this.saveLocal(order).catch(() => order);
+    }
+
+    /**
+     * Read an order from the server, falling back to the local mirror when offline
+     */
+    async getOrder(transactionId) {
+        try {
+            const orderToken = await this.getOrderToken(transactionId);
+            const { order } = await this.request(`/${encodeURIComponent(transactionId)}`, {}, orderToken);
+            return this.saveLocal({ ...order, orderToken, synced: true });
+        } catch (error) {
+            console.warn('Using local order copy:', error);
+            return this.getLocal(transactionId);
+        }
+    }
+
+    /**
+     * Ask the server to refresh the order's SimpleSwap exchange status.
+     * The first call names the exchange created for the order, which binds it.
+     */
+    async syncExchange(transactionId, exchangeId = null) {
+        const orderToken = await this.getOrderToken(transactionId);
+        const result = await this.request(`/${encodeURIComponent(transactionId)}/sync`, {
+            method: 'POST',
+            body: JSON.stringify(exchangeId ? { exchangeId } : {})
+        }, orderToken);
+        await this.saveLocal({ ...result.order, orderToken, synced: true })
+            .catch(error => console.warn('Order not mirrored locally:', error));
+        return result;
+    }
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.OrderRepository = OrderRepository;
+}
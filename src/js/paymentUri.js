@@ -0,0 +1,97 @@
+/**
+ * Payment URIs
+ * BIP21 (bitcoin:, litecoin:) and EIP-681 (ethereum:) links to a destination address, so a
+ * wallet that scans or opens one gets the address, the chain and optionally the amount.
+ */
+
+// BIP21-style URI scheme per address family; Tron has no standard scheme
+const BIP21_SCHEMES = {
+    bitcoin: 'bitcoin',
+    litecoin: 'litecoin'
+};
+
+/**
+ * Convert a decimal amount to an integer count of base units, e.g. ('0.5', 18) -> '500000000000000000'.
+ * Numbers are rounded to the unit precision; strings must not be more precise than it.
+ */
+export function toBaseUnits(amount, unitDecimals) {
+    const text = typeof amount === 'number' ? amount.toFixed(unitDecimals) : String(amount).trim();
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+    if (!match || (match[2] || '').replace(/0+$/, '').length > unitDecimals) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+
+    const fraction = (match[2] || '').padEnd(unitDecimals, '0').slice(0, unitDecimals);
+    return BigInt(match[1] + fraction).toString();
+}
+
+/**
+ * Decimal amount without exponent or trailing zeros, as BIP21 requires
+ */
+function formatDecimal(amount, unitDecimals) {
+    const units = toBaseUnits(amount, unitDecimals).padStart(unitDecimals + 1, '0');
+    const whole = units.slice(0, -unitDecimals);
+    const fraction = units.slice(-unitDecimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * BIP21 URI, e.g. bitcoin:bc1q...?amount=0.0003&label=Shop. Parameters are percent-encoded
+ * (not form-encoded: wallets read "+" literally).
+ */
+export function buildBip21Uri(scheme, address, { amount = null, label = null, message = null } = {}) {
+    const params = [];
+    if (amount !== null && amount !== undefined) params.push(`amount=${formatDecimal(amount, 8)}`);
+    if (label) params.push(`label=${encodeURIComponent(label)}`);
+    if (message) params.push(`message=${encodeURIComponent(message)}`);
+
+    return `${scheme}:${address}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * EIP-681 URI. A native transfer is ethereum:<address>@<chainId>?value=<wei>; a token transfer
+ * calls transfer on the contract: ethereum:<contract>@<chainId>/transfer?address=<to>&uint256=<units>.
+ */
+export function buildEip681Uri(address, { chainId = null, amount = null, unitDecimals = 18, contract = null } = {}) {
+    const chain = chainId ? `@${chainId}` : '';
+    const hasAmount = amount !== null && amount !== undefined;
+
+    if (contract) {
+        const params = [`address=${address}`];
+        if (hasAmount) params.push(`uint256=${toBaseUnits(amount, unitDecimals)}`);
+        return `ethereum:${contract}${chain}/transfer?${params.join('&')}`;
+    }
+
+    return `ethereum:${address}${chain}${hasAmount ? `?value=${toBaseUnits(amount, unitDecimals)}` : ''}`;
+}
+
+/**
+ * Payment URI for an address of a registry asset (src/js/assetRegistry.js getAsset).
+ * Falls back to the bare address where no URI standard applies: Tron, and tokens without
+ * a known contract (the test networks).
+ */
+export function buildPaymentUri(asset, address, { amount = null, label = null } = {}) {
+    if (BIP21_SCHEMES[asset.family]) {
+        return buildBip21Uri(BIP21_SCHEMES[asset.family], address, { amount, label });
+    }
+
+    if (asset.family === 'evm' && (!asset.token || asset.contract)) {
+        return buildEip681Uri(address, {
+            chainId: asset.chainId,
+            amount,
+            unitDecimals: asset.unitDecimals,
+            contract: asset.contract
+        });
+    }
+
+    return address;
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.PaymentUri = {
+        buildPaymentUri,
+        buildBip21Uri,
+        buildEip681Uri
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Product Catalog
+ * Resolves the SKU being sold into the transaction settings (price, fiat and target asset).
+ * Products live in config.CATALOG (DEFAULT_CONFIG only, since the server prices orders from it);
+ * pages, the order API and the exchange proxy all resolve prices through this module.
+ */
+
+export const SKU_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+// URL parameter that preselects a product, e.g. ?sku=standard
+export const SKU_PARAM = 'sku';
+
+// URL parameter and localStorage key for the buyer's own fiat choice, e.g. ?currency=CAD
+export const CURRENCY_PARAM = 'currency';
+const CURRENCY_STORAGE_KEY = 'checkout_currency';
+const FIAT_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Error for a SKU that is unknown or cannot be sold in the requested currency / asset
+ */
+export class ProductError extends Error {
+    constructor(message, sku = null) {
+        super(message);
+        this.name = 'ProductError';
+        this.sku = sku;
+    }
+}
+
+/**
+ * Public view of a catalog product priced in one fiat currency
+ */
+function describeProduct(sku, product, currency, asset) {
+    return {
+        sku,
+        name: product.NAME,
+        description: product.DESCRIPTION,
+        asset: product.ASSET || asset,
+        currency,
+        amount: product.PRICES[currency]
+    };
+}
+
+/**
+ * Products that can be sold for the configured fiat currency and target asset.
+ * A product without ASSET can be sold for any asset.
+ */
+export function listProducts(config, {
+    currency = config.TRANSACTION.CURRENCY,
+    asset = config.TRANSACTION.CRYPTO_CURRENCY
+} = {}) {
+    return Object.entries(config.CATALOG.PRODUCTS)
+        .filter(([, product]) => (!product.ASSET || product.ASSET === asset) && product.PRICES[currency] !== undefined)
+        .map(([sku, product]) => describeProduct(sku, product, currency, asset))
+        .sort((a, b) => a.amount - b.amount);
+}
+
+/**
+ * Look up one product; throws ProductError when it cannot be sold as configured
+ */
+export function findProduct(config, sku, {
+    currency = config.TRANSACTION.CURRENCY,
+    asset = config.TRANSACTION.CRYPTO_CURRENCY
+} = {}) {
+    const product = config.CATALOG.PRODUCTS[sku];
+
+    if (!product) {
+        throw new ProductError(`Unknown product: ${sku}`, sku);
+    }
+    if (product.ASSET && product.ASSET !== asset) {
+        throw new ProductError(`Product ${sku} is only sold for ${product.ASSET}, not ${asset}`, sku);
+    }
+    if (product.PRICES[currency] === undefined) {
+        throw new ProductError(`Product ${sku} has no ${currency} price`, sku);
+    }
+
+    return describeProduct(sku, product, currency, asset);
+}
+
+/**
+ * Return a config whose TRANSACTION sells the given SKU (default: TRANSACTION.SKU, then CATALOG.DEFAULT_SKU).
+ * FIXED_AMOUNT is derived here and never configured directly.
+ */
+export function applyProduct(config, sku = config.TRANSACTION.SKU || config.CATALOG.DEFAULT_SKU) {
+    const product = findProduct(config, sku);
+
+    return {
+        ...config,
+        TRANSACTION: {
+            ...config.TRANSACTION,
+            SKU: product.sku,
+            FIXED_AMOUNT: product.amount
+        }
+    };
+}
+
+/**
+ * Fiat currencies the product is priced in
+ */
+export function listCurrencies(config, sku = config.TRANSACTION.SKU) {
+    return Object.keys(config.CATALOG.PRODUCTS[sku]?.PRICES || {}).sort();
+}
+
+/**
+ * Return a config that charges in the given fiat currency, repricing the selected product
+ */
+export function applyCurrency(config, currency) {
+    return applyProduct({
+        ...config,
+        TRANSACTION: { ...config.TRANSACTION, CURRENCY: currency }
+    });
+}
+
+/**
+ * Pick the fiat currency to charge in: the buyer's own choice, then the currency of the
+ * country they are in (REGIONS.COUNTRY_CURRENCIES), then TRANSACTION.CURRENCY.
+ * Only currencies the selected product is priced in are considered.
+ */
+export function resolveCurrency(config, { preferred = null, country = null } = {}) {
+    const priced = listCurrencies(config);
+    const regional = country ? config.REGIONS.COUNTRY_CURRENCIES?.[country.toUpperCase()] : null;
+
+    return [preferred, regional].find(currency => currency && priced.includes(currency))
+        || config.TRANSACTION.CURRENCY;
+}
+
+/**
+ * The buyer's fiat override: ?currency= first, then the choice saved by savePreferredCurrency
+ */
+export function readPreferredCurrency(location = globalThis.location, storage = globalThis.localStorage) {
+    const fromURL = location ? new URLSearchParams(location.search).get(CURRENCY_PARAM) : null;
+    if (fromURL && FIAT_CODE.test(fromURL.toUpperCase())) {
+        return fromURL.toUpperCase();
+    }
+
+    try {
+        const saved = storage?.getItem(CURRENCY_STORAGE_KEY);
+        return saved && FIAT_CODE.test(saved) ? saved : null;
+    } catch (error) {
+        // Storage can be unavailable (private browsing); the override is then per page load
+        return null;
+    }
+}
+
+export function savePreferredCurrency(currency, storage = globalThis.localStorage) {
+    try {
+        storage?.setItem(CURRENCY_STORAGE_KEY, currency);
+    } catch (error) {
+        console.warn('⚠️ Could not save currency preference:', error);
+    }
+}
+
+/**
+ * Check that a client-submitted purchase matches the catalog price of its SKU.
+ * Currencies are compared case-insensitively; returns the product on success.
+ */
+export function assertProductPrice(config, { sku, currency, asset, amount }) {
+    if (!SKU_PATTERN.test(sku || '')) {
+        throw new ProductError('Invalid sku', sku);
+    }
+
+    const product = findProduct(config, sku, {
+        currency: String(currency || '').toUpperCase(),
+        asset: String(asset || '').toUpperCase()
+    });
+
+    if (Math.abs(Number(amount) - product.amount) > 0.005) {
+        throw new ProductError(`Amount does not match the ${product.currency} price of ${sku}`, sku);
+    }
+
+    return product;
+}
+
+/**
+ * SKU requested through the page URL, if it is well-formed
+ */
+export function readSkuFromURL(location = globalThis.location) {
+    if (!location) return null;
+
+    const sku = new URLSearchParams(location.search).get(SKU_PARAM);
+    return sku && SKU_PATTERN.test(sku) ? sku : null;
+}
+
+/**
+ * Apply the SKU requested through the page URL.
+ * A SKU that cannot be sold on this page keeps the configured product instead of failing the page.
+ */
+export function applyProductFromURL(config, location = globalThis.location) {
+    const sku = readSkuFromURL(location);
+    if (!sku) return config;
+
+    try {
+        return applyProduct(config, sku);
+    } catch (error) {
+        if (!(error instanceof ProductError)) throw error;
+        console.warn(`⚠️ Ignoring ?${SKU_PARAM}=${sku}:`, error.message);
+        return config;
+    }
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.ProductCatalog = {
+        listProducts,
+        findProduct,
+        applyProduct,
+        applyProductFromURL,
+        readSkuFromURL,
+        listCurrencies,
+        applyCurrency,
+        resolveCurrency,
+        readPreferredCurrency,
+        savePreferredCurrency
+    };
+}
@@ -0,0 +1,476 @@
+/**
+ * QR Code Encoder
+ * Encodes text as a QR code (ISO/IEC 18004 byte mode, versions 1-40) and renders it as SVG
+ * markup or onto a canvas. Dependency-free, so no CDN ever sees the address being encoded.
+ */
+
+// formatBits: the two EC level bits of the format information; index: row of the tables below
+const EC_LEVELS = {
+    L: { formatBits: 1, index: 0 },
+    M: { formatBits: 0, index: 1 },
+    Q: { formatBits: 3, index: 2 },
+    H: { formatBits: 2, index: 3 }
+};
+
+// Error correction codewords per block, per EC level (L, M, Q, H) and version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, per EC level (L, M, Q, H) and version (index 0 unused)
+const EC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const BYTE_MODE = 0b0100;
+
+// Mask conditions: a data module is inverted where its mask returns true
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    x => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// A finder-like 1:1:3:1:1 run beside four light modules, which scanners could mistake for a finder
+const FINDER_LIKE = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true]
+];
+
+/**
+ * Error for text that cannot be encoded, e.g. too long for a version 40 symbol
+ */
+export class QrError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QrError';
+    }
+}
+
+const getBit = (value, bit) => ((value >>> bit) & 1) !== 0;
+
+/**
+ * Modules available for codewords once every function pattern of a version is placed
+ */
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function dataCodewords(version, level) {
+    return Math.floor(rawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[level.index][version] * EC_BLOCKS[level.index][version];
+}
+
+// GF(2^8) multiplication modulo the QR field polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+/**
+ * Reed-Solomon generator polynomial of a degree, highest coefficient (always 1) omitted
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Byte-mode bit stream of the text, padded to the data capacity of the version
+ */
+function encodeData(bytes, version, level) {
+    const capacity = dataCodewords(version, level) * 8;
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+
+    append(BYTE_MODE, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    // Terminator, then pad to a byte boundary and fill with the alternating pad codewords
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Split the data into blocks, append each block's error correction and interleave them
+ */
+function addErrorCorrection(data, version, level) {
+    const blockCount = EC_BLOCKS[level.index][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+
+        const ecc = reedSolomonRemainder(block, divisor);
+        // Placeholder so every block has the same length while interleaving
+        if (i < shortBlocks) block.push(0);
+        blocks.push([...block, ...ecc]);
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+function alignmentPositions(version, size) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const result = [6];
+    for (let position = size - 7; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+/**
+ * Module grid of one symbol; function patterns are tracked so data and masks skip them
+ */
+class QrGrid {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = alignmentPositions(this.version, size);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Reserve the format areas now; drawFormat fills them once the mask is chosen
+        this.drawFormat(EC_LEVELS.M, 0);
+        this.drawVersion();
+    }
+
+    /**
+     * EC level and mask, BCH(15,5)-protected, in both copies around the finders
+     */
+    drawFormat(level, mask) {
+        const { size } = this;
+        const data = (level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+        this.setFunction(8, 7, getBit(bits, 6));
+        this.setFunction(8, 8, getBit(bits, 7));
+        this.setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+        // The dark module, always set
+        this.setFunction(8, size - 8, true);
+    }
+
+    /**
+     * Version number, BCH(18,6)-protected, next to the top-right and bottom-left finders (version 7+)
+     */
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, getBit(bits, i));
+            this.setFunction(b, a, getBit(bits, i));
+        }
+    }
+
+    /**
+     * Place the codewords in the two-module-wide zigzag from the bottom-right corner
+     */
+    drawCodewords(codewords) {
+        const { size } = this;
+        let bit = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            // Skip the vertical timing pattern
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x] || bit >= codewords.length * 8) continue;
+
+                    this.modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+                    bit++;
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const condition = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Mask penalty score (ISO/IEC 18004 section 7.8.3); the lowest-scoring mask is used
+     */
+    penalty() {
+        const { size, modules } = this;
+        const columns = modules.map((row, x) => modules.map(line => line[x]));
+        let score = 0;
+
+        for (const line of [...modules, ...columns]) {
+            // Runs of five or more modules of one color
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) score += 3 + (run - 5);
+                run = 1;
+            }
+
+            // Finder-like patterns; the quiet zone around the symbol counts as light
+            const padded = [false, false, false, false, ...line, false, false, false, false];
+            for (let i = 0; i + 11 <= padded.length; i++) {
+                if (FINDER_LIKE.some(pattern => pattern.every((dark, k) => padded[i + k] === dark))) {
+                    score += 40;
+                }
+            }
+        }
+
+        // 2x2 blocks of one color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+
+        // Imbalance of dark and light modules, in steps of 5% away from half
+        const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return score;
+    }
+}
+
+/**
+ * Encode text (UTF-8, byte mode) in the smallest version that fits at the EC level.
+ * Returns { version, size, ecLevel, mask, modules } where modules[y][x] is true for dark.
+ */
+export function encodeQr(text, { ecLevel = 'M', mask = null } = {}) {
+    const level = EC_LEVELS[ecLevel];
+    if (!level) {
+        throw new QrError(`EC level must be one of: ${Object.keys(EC_LEVELS).join(', ')}`);
+    }
+    if (mask !== null && !MASKS[mask]) {
+        throw new QrError('Mask must be 0 to 7');
+    }
+
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    let version = MIN_VERSION;
+    while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, level) * 8) {
+        if (++version > MAX_VERSION) {
+            throw new QrError(`Text of ${bytes.length} bytes is too long for a QR code at EC level ${ecLevel}`);
+        }
+    }
+
+    const grid = new QrGrid(version);
+    grid.drawFunctionPatterns();
+    grid.drawCodewords(addErrorCorrection(encodeData(bytes, version, level), version, level));
+
+    let chosen = mask;
+    if (chosen === null) {
+        let lowest = Infinity;
+        MASKS.forEach((condition, candidate) => {
+            grid.applyMask(candidate);
+            grid.drawFormat(level, candidate);
+            const score = grid.penalty();
+            if (score < lowest) {
+                lowest = score;
+                chosen = candidate;
+            }
+            // Masks are XOR, so applying one again removes it
+            grid.applyMask(candidate);
+        });
+    }
+
+    grid.applyMask(chosen);
+    grid.drawFormat(level, chosen);
+
+    return { version, size: grid.size, ecLevel, mask: chosen, modules: grid.modules };
+}
+
+const escapeXML = text => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * SVG markup for an encoded symbol. `margin` is the quiet zone in modules (the standard asks for 4);
+ * the SVG scales to its container, so size it with CSS.
+ */
+export function qrToSvg(qr, { margin = 4, dark = '#000000', light = '#ffffff', title = null } = {}) {
+    const extent = qr.size + margin * 2;
+    const path = [];
+    qr.modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (isDark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    }));
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges" role="img"${title ? ` aria-label="${escapeXML(title)}"` : ''}>`,
+        title ? `<title>${escapeXML(title)}</title>` : '',
+        `<rect width="100%" height="100%" fill="${escapeXML(light)}"/>`,
+        `<path d="${path.join('')}" fill="${escapeXML(dark)}"/>`,
+        '</svg>'
+    ].join('');
+}
+
+/**
+ * Draw an encoded symbol onto a canvas, resizing it to whole pixels per module
+ */
+export function drawQrCanvas(qr, canvas, { scale = 4, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+    const extent = (qr.size + margin * 2) * scale;
+    canvas.width = extent;
+    canvas.height = extent;
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = light;
+    context.fillRect(0, 0, extent, extent);
+    context.fillStyle = dark;
+    qr.modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (isDark) context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+    }));
+
+    return canvas;
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.QrCode = {
+        encodeQr,
+        qrToSvg,
+        drawQrCanvas
+    };
+}
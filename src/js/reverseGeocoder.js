@@ -0,0 +1,149 @@
+/**
+ * Reverse Geocoder
+ * Offline point-in-polygon lookup of browser coordinates against simplified country and
+ * state / province boundaries (src/data/boundaries.json), so GPS locations resolve to a
+ * country and region code without sending coordinates to a third party.
+ */
+
+// Points just off a coastline (beaches, piers, GPS drift over water) snap to the nearest region
+export const COAST_SNAP_KM = 25;
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Ray casting: is [x, y] inside the ring?
+ */
+export function pointInRing(x, y, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * GeoJSON polygon coordinates: the outer ring, then holes
+ */
+export function pointInPolygon(x, y, [outer, ...holes]) {
+    return pointInRing(x, y, outer) && !holes.some(hole => pointInRing(x, y, hole));
+}
+
+/**
+ * Distance in km from a point to the segment a-b (equirectangular, fine at these distances)
+ */
+function distanceToSegmentKm(longitude, latitude, [ax, ay], [bx, by]) {
+    // Degrees relative to the point, longitude scaled to its latitude
+    const scale = Math.cos(toRadians(latitude));
+    const x1 = (ax - longitude) * scale;
+    const y1 = ay - latitude;
+    const dx = (bx - ax) * scale;
+    const dy = by - ay;
+
+    const t = dx || dy ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / (dx * dx + dy * dy))) : 0;
+    return toRadians(Math.hypot(x1 + t * dx, y1 + t * dy)) * EARTH_RADIUS_KM;
+}
+
+function toRegion({ properties }, approximate = false) {
+    return {
+        country: properties.country,
+        country_name: properties.country_name,
+        region_code: properties.region_code ?? null,
+        region: properties.region ?? null,
+        ...(approximate && { approximate: true })
+    };
+}
+
+export class ReverseGeocoder {
+    /**
+     * `boundaries` is a GeoJSON FeatureCollection of Polygon / MultiPolygon features with
+     * { country, country_name, region_code, region } properties
+     */
+    constructor(boundaries, { coastSnapKm = COAST_SNAP_KM } = {}) {
+        this.coastSnapKm = coastSnapKm;
+        this.features = (boundaries?.features || []).map(feature => {
+            const { type, coordinates } = feature.geometry;
+            const polygons = type === 'MultiPolygon' ? coordinates : [coordinates];
+            const points = polygons.flatMap(([outer]) => outer);
+
+            return {
+                feature,
+                polygons,
+                bbox: [
+                    Math.min(...points.map(([x]) => x)),
+                    Math.min(...points.map(([, y]) => y)),
+                    Math.max(...points.map(([x]) => x)),
+                    Math.max(...points.map(([, y]) => y))
+                ]
+            };
+        });
+    }
+
+    /**
+     * Region containing the coordinates: { country, country_name, region_code, region }, with
+     * `approximate: true` when the point is offshore and was snapped to the nearest coast.
+     * Null when the point is in none of the bundled regions.
+     */
+    lookup(latitude, longitude) {
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            return null;
+        }
+
+        const match = this.features.find(({ polygons, bbox: [west, south, east, north] }) =>
+            longitude >= west && longitude <= east && latitude >= south && latitude <= north &&
+            polygons.some(polygon => pointInPolygon(longitude, latitude, polygon)));
+        if (match) {
+            return toRegion(match.feature);
+        }
+
+        const nearest = this.nearest(latitude, longitude);
+        return nearest && nearest.distanceKm <= this.coastSnapKm ? toRegion(nearest.feature, true) : null;
+    }
+
+    /**
+     * The region with the closest boundary edge and its distance in km
+     */
+    nearest(latitude, longitude) {
+        const margin = this.coastSnapKm / 100 + 0.5; // degrees, generous at high latitudes
+        let best = null;
+
+        for (const { feature, polygons, bbox: [west, south, east, north] } of this.features) {
+            if (longitude < west - margin * 4 || longitude > east + margin * 4 ||
+                latitude < south - margin || latitude > north + margin) {
+                continue;
+            }
+            for (const [outer] of polygons) {
+                for (let i = 1; i < outer.length; i++) {
+                    const distanceKm = distanceToSegmentKm(longitude, latitude, outer[i - 1], outer[i]);
+                    if (!best || distanceKm < best.distanceKm) {
+                        best = { feature, distanceKm };
+                    }
+                }
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * Fetch the boundary data (browser) and build a geocoder for it
+ */
+export async function loadReverseGeocoder(url, options = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Boundary data unavailable: HTTP ${response.status}`);
+    }
+    return new ReverseGeocoder(await response.json(), options);
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.ReverseGeocoding = {
+        ReverseGeocoder,
+        loadReverseGeocoder
+    };
+}
@@ -2,8 +2,9 @@
  * Production Security Manager
  * Handles input validation, CSRF protection, and security hardening
  */
-class SecurityManager {
-    constructor() {
+export class SecurityManager {
+    constructor(config = {}) {
+        this.config = config;
         this.csrfToken = this.generateCSRFToken();
         this.inputValidators = new Map();
         this.securityHeaders = new Map();
@@ -103,7 +104,7 @@ class SecurityManager {
             }
             
             // Check for allowed domains
-            const allowedDomains = [
+            const allowedDomains = this.config.SECURITY?.ALLOWED_DOMAINS || [
                 'simpleswap.io',
                 'exchange.mrcr.io',
                 'sandbox-exchange.mrcr.io',
@@ -241,4 +242,9 @@ class SecurityManager {
             originalLog.apply(console, args);
         };
     }
-}
\ No newline at end of file
+}
+
+// Export for global access from non-module scripts
+if (typeof window !== 'undefined') {
+    window.SecurityManager = SecurityManager;
+}
@@ -125,7 +125,7 @@ class AnalyticsManager {
             metadata: {
                 source: 'web_app',
                 version: '1.0.0',
-                environment: this.config.FEATURES?.DEBUG_MODE ? 'development' : 'production'
+                environment: this.config.ENVIRONMENT || (this.config.FEATURES?.DEBUG_MODE ? 'development' : 'production')
             }
         };
         
@@ -151,6 +151,7 @@ class AnalyticsManager {
     trackPurchaseFlow(step, data = {}) {
         this.trackEvent('purchase_flow', {
             step,
+            sku: this.config.TRANSACTION?.SKU,
             ...data,
             flowId: this.sessionId
         }, { immediate: true });
@@ -1,470 +0,0 @@
-/**
- * Production Wallet Handler
- * Enhanced wallet address management with security validation
- */
-class WalletHandler {
-    constructor(config = {}) {
-        this.config = config;
-        this.currentAddress = null;
-        this.addressHistory = [];
-        this.maxHistorySize = 10;
-        
-        // Address validation patterns for different cryptocurrencies
-        this.addressPatterns = {
-            bitcoin: {
-                legacy: /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$/,
-                segwit: /^bc1[a-z0-9]{39,59}$/,
-                segwitCompat: /^3[a-km-zA-HJ-NP-Z1-9]{25,34}$/
-            },
-            ethereum: /^0x[a-fA-F0-9]{40}$/,
-            litecoin: /^[LM3][a-km-zA-HJ-NP-Z1-9]{26,33}$/
-        };
-        
-        this.initializeClipboardSupport();
-    }
-    
-    /**
-     * Initialize clipboard support detection
-     */
-    initializeClipboardSupport() {
-        this.clipboardSupport = {
-            modern: !!(navigator.clipboard && navigator.clipboard.writeText),
-            legacy: !!(document.execCommand),
-            permissions: false
-        };
-        
-        // Check clipboard permissions
-        if (navigator.permissions) {
-            navigator.permissions.query({ name: 'clipboard-write' }).then(permission => {
-                this.clipboardSupport.permissions = permission.state === 'granted';
-            }).catch(() => {
-                this.clipboardSupport.permissions = false;
-            });
-        }
-    }
-    
-    /**
-     * Generate cryptographically secure wallet address
-     */
-    generateWalletAddress(type = 'bitcoin', format = 'legacy') {
-        try {
-            let address;
-            
-            switch (type.toLowerCase()) {
-                case 'bitcoin':
-                    address = this.generateBitcoinAddress(format);
-                    break;
-                case 'ethereum':
-                    address = this.generateEthereumAddress();
-                    break;
-                case 'litecoin':
-                    address = this.generateLitecoinAddress();
-                    break;
-                default:
-                    address = this.generateBitcoinAddress(format);
-            }
-            
-            if (!this.validateAddress(address, type)) {
-                throw new Error('Generated address failed validation');
-            }
-            
-            this.currentAddress = address;
-            this.addToHistory(address, type, format);
-            
-            console.log(`Generated ${type} ${format} address:`, address);
-            return address;
-            
-        } catch (error) {
-            console.error('Failed to generate wallet address:', error);
-            
-            // Fallback to demo address
-            const fallbackAddress = this.generateFallbackAddress(type);
-            this.currentAddress = fallbackAddress;
-            return fallbackAddress;
-        }
-    }
-    
-    /**
-     * Generate Bitcoin address (multiple formats)
-     */
-    generateBitcoinAddress(format = 'legacy') {
-        switch (format.toLowerCase()) {
-            case 'legacy':
-                return this.generateLegacyBitcoinAddress();
-            case 'segwit':
-                return this.generateSegwitAddress();
-            case 'segwit-compat':
-                return this.generateSegwitCompatAddress();
-            default:
-                return this.generateLegacyBitcoinAddress();
-        }
-    }
-    
-    /**
-     * Generate Legacy Bitcoin address (P2PKH)
-     */
-    generateLegacyBitcoinAddress() {
-        const chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-        let address = '1'; // Legacy addresses start with '1'
-        
-        // Generate 25-34 character address
-        const length = 25 + Math.floor(Math.random() * 10);
-        
-        for (let i = 1; i < length; i++) {
-            address += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        
-        return address;
-    }
-    
-    /**
-     * Generate Segwit Bitcoin address (Bech32)
-     */
-    generateSegwitAddress() {
-        const chars = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
-        let address = 'bc1'; // Segwit addresses start with 'bc1'
-        
-        // Generate 39-59 character address
-        const length = 39 + Math.floor(Math.random() * 21);
-        
-        for (let i = 3; i < length; i++) {
-            address += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        
-        return address;
-    }
-    
-    /**
-     * Generate Segwit-compatible address (P2SH)
-     */
-    generateSegwitCompatAddress() {
-        const chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-        let address = '3'; // Segwit-compatible addresses start with '3'
-        
-        // Generate 25-34 character address
-        const length = 25 + Math.floor(Math.random() * 10);
-        
-        for (let i = 1; i < length; i++) {
-            address += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        
-        return address;
-    }
-    
-    /**
-     * Generate Ethereum address
-     */
-    generateEthereumAddress() {
-        const chars = '0123456789abcdef';
-        let address = '0x';
-        
-        for (let i = 0; i < 40; i++) {
-            address += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        
-        return address;
-    }
-    
-    /**
-     * Generate Litecoin address
-     */
-    generateLitecoinAddress() {
-        const chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-        const prefixes = ['L', 'M', '3'];
-        let address = prefixes[Math.floor(Math.random() * prefixes.length)];
-        
-        // Generate 26-33 character address
-        const length = 26 + Math.floor(Math.random() * 8);
-        
-        for (let i = 1; i < length; i++) {
-            address += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        
-        return address;
-    }
-    
-    /**
-     * Generate fallback demo address
-     */
-    generateFallbackAddress(type = 'bitcoin') {
-        const demoAddresses = {
-            bitcoin: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
-            ethereum: '0x742E4C7F4E37bC5b2C8d4D1A65C60F4a1Bb7d7e1',
-            litecoin: 'LQTpS1kcq4uL8s6Q8QrGvF7LNZzV9wR8AQ'
-        };
-        
-        return demoAddresses[type] || demoAddresses.bitcoin;
-    }
-    
-    /**
-     * Comprehensive address validation
-     */
-    validateAddress(address, type = 'bitcoin') {
-        if (!address || typeof address !== 'string') {
-            return false;
-        }
-        
-        const patterns = this.addressPatterns[type.toLowerCase()];
-        if (!patterns) {
-            console.warn(`No validation pattern for currency: ${type}`);
-            return false;
-        }
-        
-        // Bitcoin has multiple formats
-        if (type.toLowerCase() === 'bitcoin') {
-            return patterns.legacy.test(address) || 
-                   patterns.segwit.test(address) || 
-                   patterns.segwitCompat.test(address);
-        }
-        
-        return patterns.test(address);
-    }
-    
-    /**
-     * Enhanced clipboard copying with multiple fallbacks
-     */
-    async copyToClipboard(address = this.currentAddress) {
-        if (!address) {
-            throw new Error('No wallet address available to copy');
-        }
-        
-        try {
-            // Method 1: Modern Clipboard API
-            if (this.clipboardSupport.modern) {
-                await navigator.clipboard.writeText(address);
-                console.log('Address copied using modern Clipboard API');
-                return true;
-            }
-            
-            // Method 2: Legacy execCommand
-            if (this.clipboardSupport.legacy) {
-                const success = await this.copyUsingExecCommand(address);
-                if (success) {
-                    console.log('Address copied using legacy execCommand');
-                    return true;
-                }
-            }
-            
-            // Method 3: Create temporary input for manual selection
-            this.createTemporaryInput(address);
-            console.log('Address displayed in temporary input for manual copy');
-            return true;
-            
-        } catch (error) {
-            console.error('All clipboard methods failed:', error);
-            throw new Error('Failed to copy address to clipboard');
-        }
-    }
-    
-    /**
-     * Copy using legacy execCommand
-     */
-    async copyUsingExecCommand(address) {
-        return new Promise((resolve) => {
-            const textArea = document.createElement('textarea');
-            textArea.value = address;
-            textArea.style.cssText = `
-                position: fixed;
-                left: -9999px;
-                top: -9999px;
-                opacity: 0;
-                pointer-events: none;
-            `;
-            
-            document.body.appendChild(textArea);
-            textArea.focus();
-            textArea.select();
-            
-            try {
-                const successful = document.execCommand('copy');
-                document.body.removeChild(textArea);
-                resolve(successful);
-            } catch (error) {
-                document.body.removeChild(textArea);
-                resolve(false);
-            }
-        });
-    }
-    
-    /**
-     * Create temporary input for manual copy
-     */
-    createTemporaryInput(address) {
-        // Remove any existing temporary input
-        const existing = document.getElementById('temp-address-input');
-        if (existing) {
-            existing.remove();
-        }
-        
-        const input = document.createElement('input');
-        input.id = 'temp-address-input';
-        input.type = 'text';
-        input.value = address;
-        input.readOnly = true;
-        input.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            z-index: 10000;
-            padding: 10px;
-            border: 2px solid #10b981;
-            border-radius: 8px;
-            background: white;
-            font-family: monospace;
-            font-size: 12px;
-            width: 300px;
-            text-align: center;
-        `;
-        
-        document.body.appendChild(input);
-        input.focus();
-        input.select();
-        
-        // Auto-remove after 10 seconds
-        setTimeout(() => {
-            if (input.parentNode) {
-                input.remove();
-            }
-        }, 10000);
-        
-        // Remove on click outside
-        const removeInput = (event) => {
-            if (!input.contains(event.target)) {
-                input.remove();
-                document.removeEventListener('click', removeInput);
-            }
-        };
-        
-        setTimeout(() => {
-            document.addEventListener('click', removeInput);
-        }, 100);
-    }
-    
-    /**
-     * Enhanced visual feedback for copy operation
-     */
-    showCopyFeedback(element, options = {}) {
-        const defaultOptions = {
-            duration: 2000,
-            successText: '✓ Address Copied!',
-            successColor: '#10b981',
-            originalColor: ''
-        };
-        
-        const opts = { ...defaultOptions, ...options };
-        
-        if (!element) return;
-        
-        const originalText = element.textContent;
-        const originalColor = element.style.backgroundColor;
-        
-        // Show success state
-        element.textContent = opts.successText;
-        element.style.backgroundColor = opts.successColor;
-        element.style.color = 'white';
-        
-        // Revert after duration
-        setTimeout(() => {
-            element.textContent = originalText;
-            element.style.backgroundColor = originalColor;
-            element.style.color = '';
-        }, opts.duration);
-    }
-    
-    /**
-     * Add address to history
-     */
-    addToHistory(address, type, format) {
-        const entry = {
-            address,
-            type,
-            format,
-            timestamp: Date.now(),
-            used: false
-        };
-        
-        this.addressHistory.unshift(entry);
-        
-        // Limit history size
-        if (this.addressHistory.length > this.maxHistorySize) {
-            this.addressHistory = this.addressHistory.slice(0, this.maxHistorySize);
-        }
-    }
-    
-    /**
-     * Get address history
-     */
-    getAddressHistory() {
-        return [...this.addressHistory];
-    }
-    
-    /**
-     * Mark address as used
-     */
-    markAddressAsUsed(address) {
-        const entry = this.addressHistory.find(item => item.address === address);
-        if (entry) {
-            entry.used = true;
-            entry.usedTimestamp = Date.now();
-        }
-    }
-    
-    /**
-     * Get current wallet address
-     */
-    getCurrentAddress() {
-        return this.currentAddress;
-    }
-    
-    /**
-     * Set wallet address (with validation)
-     */
-    setWalletAddress(address, type = 'bitcoin') {
-        if (!this.validateAddress(address, type)) {
-            throw new Error('Invalid wallet address format');
-        }
-        
-        this.currentAddress = address;
-        this.addToHistory(address, type, 'custom');
-        return address;
-    }
-    
-    /**
-     * Clear current address and history
-     */
-    clearWallet() {
-        this.currentAddress = null;
-        this.addressHistory = [];
-    }
-    
-    /**
-     * Get wallet statistics
-     */
-    getWalletStats() {
-        return {
-            currentAddress: this.currentAddress,
-            totalGenerated: this.addressHistory.length,
-            usedAddresses: this.addressHistory.filter(item => item.used).length,
-            clipboardSupport: this.clipboardSupport,
-            supportedTypes: Object.keys(this.addressPatterns)
-        };
-    }
-    
-    /**
-     * Validate clipboard permissions
-     */
-    async checkClipboardPermissions() {
-        if (!navigator.permissions) {
-            return false;
-        }
-        
-        try {
-            const permission = await navigator.permissions.query({ name: 'clipboard-write' });
-            return permission.state === 'granted';
-        } catch (error) {
-            console.error('Failed to check clipboard permissions:', error);
-            return false;
-        }
-    }
-}
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Fake Netlify Blobs
+ * An in-memory store shared by the tests that run log stores on the blobs backend
+ */
+
+/**
+ * The subset of the @netlify/blobs store API BlobLogStore uses
+ */
+export function fakeBlobs() {
+    const blobs = new Map();
+    return {
+        async setJSON(key, value, { onlyIfNew = false } = {}) {
+            if (onlyIfNew && blobs.has(key)) return { modified: false };
+            blobs.set(key, JSON.stringify(value));
+            return { modified: true, etag: String(blobs.size) };
+        },
+        async get(key) {
+            return blobs.has(key) ? JSON.parse(blobs.get(key)) : null;
+        },
+        async getMetadata(key) {
+            return blobs.has(key) ? { etag: '', metadata: {} } : null;
+        },
+        list({ prefix }) {
+            const keys = Array.from(blobs.keys()).filter(key => key.startsWith(prefix));
+            return (async function* () {
+                yield { blobs: keys.map(key => ({ key, etag: '' })) };
+            })();
+        }
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * MaxMind DB Fixture Writer
+ * Builds small .mmdb files for tests: a search tree over the given networks and a data section
+ * with each record, in any record size. Repeated map keys are written once and then pointed to,
+ * as MaxMind's own writer does, so readers are tested against pointers too.
+ */
+import { parseIP } from '../../server/lib/mmdbReader.js';
+
+const METADATA_MARKER = Buffer.from([0xab, 0xcd, 0xef, ...Buffer.from('MaxMind.com')]);
+const DATA_SECTION_SEPARATOR = 16;
+
+function control(type, size) {
+    const head = size < 29 ? [size] : size < 285 ? [29, size - 29] : [30, (size - 285) >> 8, (size - 285) & 0xff];
+    const [first, ...rest] = head;
+    return type <= 7
+        ? [(type << 5) | first, ...rest]
+        : [first, type - 7, ...rest];
+}
+
+function uint(value, byteLength) {
+    const bytes = [];
+    for (let rest = BigInt(value); rest > 0n; rest >>= 8n) bytes.unshift(Number(rest & 0xffn));
+    if (bytes.length > byteLength) throw new Error(`${value} does not fit in ${byteLength} bytes`);
+    return bytes;
+}
+
+class DataEncoder {
+    constructor({ pointers = true } = {}) {
+        this.bytes = [];
+        this.keyOffsets = pointers ? new Map() : null;
+    }
+
+    pointer(offset) {
+        if (offset < 2048) return [0x20 | (offset >> 8), offset & 0xff];
+        const value = offset - 2048;
+        return [0x28 | (value >> 16), (value >> 8) & 0xff, value & 0xff];
+    }
+
+    key(text) {
+        const offset = this.keyOffsets?.get(text);
+        if (offset !== undefined) return this.pointer(offset);
+
+        this.keyOffsets?.set(text, this.bytes.length);
+        return this.value(text);
+    }
+
+    value(value) {
+        if (typeof value === 'string') {
+            const utf8 = Buffer.from(value, 'utf8');
+            return [...control(2, utf8.length), ...utf8];
+        }
+        if (typeof value === 'boolean') {
+            return control(14, value ? 1 : 0);
+        }
+        if (typeof value === 'bigint') {
+            const bytes = uint(value, 8);
+            return [...control(9, bytes.length), ...bytes];
+        }
+        if (typeof value === 'number' && !Number.isInteger(value)) {
+            const double = Buffer.alloc(8);
+            double.writeDoubleBE(value);
+            return [...control(3, 8), ...double];
+        }
+        if (typeof value === 'number' && value < 0) {
+            const int32 = Buffer.alloc(4);
+            int32.writeInt32BE(value);
+            return [...control(8, 4), ...int32];
+        }
+        if (typeof value === 'number') {
+            const bytes = uint(value, 4);
+            return [...control(value <= 0xffff ? 5 : 6, bytes.length), ...bytes];
+        }
+        // Containers are written item by item, so key pointers can refer to bytes already emitted
+        const start = this.bytes.length;
+        if (Array.isArray(value)) {
+            this.bytes.push(...control(11, value.length));
+            value.forEach(item => this.bytes.push(...this.value(item)));
+        } else {
+            const entries = Object.entries(value);
+            this.bytes.push(...control(7, entries.length));
+            for (const [key, item] of entries) {
+                this.bytes.push(...this.key(key));
+                this.bytes.push(...this.value(item));
+            }
+        }
+        return this.bytes.splice(start);
+    }
+
+    /**
+     * Append a value; returns its offset in the section
+     */
+    write(value) {
+        const offset = this.bytes.length;
+        this.bytes.push(...this.value(value));
+        return offset;
+    }
+}
+
+function writeRecord(buffer, offset, recordSize, left, right) {
+    if (recordSize === 24) {
+        buffer.writeUIntBE(left, offset, 3);
+        buffer.writeUIntBE(right, offset + 3, 3);
+    } else if (recordSize === 28) {
+        buffer.writeUIntBE(left & 0xffffff, offset, 3);
+        buffer[offset + 3] = ((left >> 24) << 4) | (right >> 24);
+        buffer.writeUIntBE(right & 0xffffff, offset + 4, 3);
+    } else {
+        buffer.writeUInt32BE(left, offset);
+        buffer.writeUInt32BE(right, offset + 4);
+    }
+}
+
+/**
+ * Build a database. `networks` is a list of [cidr, record]; IPv4 networks in an IPv6 database
+ * are placed under ::/96, where readers look for them.
+ */
+export function buildMmdb(networks, {
+    ipVersion = 6,
+    recordSize = 28,
+    databaseType = 'Test-City',
+    buildEpoch = 1760400000
+} = {}) {
+    const data = new DataEncoder();
+    const nodes = [[null, null]];
+
+    for (const [cidr, record] of networks) {
+        const [ip, prefix] = cidr.split('/');
+        let bytes = parseIP(ip);
+        let bits = Number(prefix);
+        if (bytes.length === 4 && ipVersion === 6) {
+            bytes = Uint8Array.from([...new Array(12).fill(0), ...bytes]);
+            bits += 96;
+        }
+
+        const offset = data.write(record);
+        let node = 0;
+        for (let i = 0; i < bits; i++) {
+            const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+            if (i === bits - 1) {
+                nodes[node][bit] = { data: offset };
+            } else {
+                if (typeof nodes[node][bit] !== 'number') {
+                    nodes[node][bit] = nodes.push([null, null]) - 1;
+                }
+                node = nodes[node][bit];
+            }
+        }
+    }
+
+    const nodeCount = nodes.length;
+    const resolve = child => child === null ? nodeCount
+        : typeof child === 'number' ? child
+            : nodeCount + DATA_SECTION_SEPARATOR + child.data;
+
+    const nodeBytes = recordSize / 4;
+    const tree = Buffer.alloc(nodeCount * nodeBytes);
+    nodes.forEach(([left, right], i) => writeRecord(tree, i * nodeBytes, recordSize, resolve(left), resolve(right)));
+
+    const metadata = new DataEncoder({ pointers: false });
+    metadata.write({
+        binary_format_major_version: 2,
+        binary_format_minor_version: 0,
+        build_epoch: BigInt(buildEpoch),
+        database_type: databaseType,
+        description: { en: 'Test fixture' },
+        ip_version: ipVersion,
+        languages: ['en'],
+        node_count: nodeCount,
+        record_size: recordSize
+    });
+
+    return Buffer.concat([
+        tree,
+        Buffer.alloc(DATA_SECTION_SEPARATOR),
+        Buffer.from(data.bytes),
+        METADATA_MARKER,
+        Buffer.from(metadata.bytes)
+    ]);
+}
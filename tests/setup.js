@@ -0,0 +1,8 @@
+/**
+ * Jest Setup
+ * Provides the browser globals the modules expect that jsdom leaves out
+ */
+import { TextDecoder, TextEncoder } from 'node:util';
+
+globalThis.TextEncoder ??= TextEncoder;
+globalThis.TextDecoder ??= TextDecoder;
@@ -0,0 +1,157 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Address Codec Tests
+ * BIP-173 / BIP-350 (Bech32, Bech32m, SegWit addresses), Base58Check and EIP-55 vectors
+ */
+import {
+    base58Decode,
+    base58Encode,
+    bech32Decode,
+    decodeAddress,
+    decodeBase58Check,
+    decodeSegwitAddress,
+    encodeBase58Check,
+    encodeSegwitAddress,
+    toChecksumAddress
+} from '../../src/js/addressCodec.js';
+import { toHex } from '../../src/js/hashes.js';
+
+const fromHex = hex => Uint8Array.from(hex.match(/../g) || [], byte => parseInt(byte, 16));
+
+/**
+ * scriptPubKey of a decoded SegWit address: OP_n, push length, program
+ */
+function scriptPubKey({ version, program }) {
+    return toHex(Uint8Array.from([version ? version + 0x50 : 0, program.length, ...program]));
+}
+
+describe('bech32Decode', () => {
+    test.each([
+        ['A12UEL5L', 'bech32'],
+        ['a12uel5l', 'bech32'],
+        ['an83characterlonghumanreadablepartthatcontainsthenumber1andtheexcludedcharactersbio1tt5tgs', 'bech32'],
+        ['abcdef1qpzry9x8gf2tvdw0s3jn54khce6mua7lmqqqxw', 'bech32'],
+        ['11qqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqc8247j', 'bech32'],
+        ['?1ezyfcl', 'bech32'],
+        ['A1LQFN3A', 'bech32m'],
+        ['a1lqfn3a', 'bech32m'],
+        ['abcdef1l7aum6echk45nj3s0wdvt2fg8x9yrzpqzd3ryx', 'bech32m'],
+        ['?1v759aa', 'bech32m']
+    ])('BIP-173 / BIP-350 valid string %s', (text, encoding) => {
+        expect(bech32Decode(text)?.encoding).toBe(encoding);
+    });
+
+    test.each([
+        'an84characterslonghumanreadablepartthatcontainsthenumber1andtheexcludedcharactersbio1569pvx',
+        'pzry9x0s0muk',
+        '1pzry9x0s0muk',
+        'x1b4n0q5v',
+        'li1dgmt3',
+        'A1G7SGD8',
+        '10a06t8',
+        '1qzzfhee',
+        'a12UEL5L',
+        'A12uEL5L'
+    ])('BIP-173 invalid string %s', text => {
+        expect(bech32Decode(text)).toBeNull();
+    });
+});
+
+describe('decodeSegwitAddress', () => {
+    test.each([
+        ['BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', '0014751e76e8199196d454941c45d1b3a323f1433bd6'],
+        ['tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', '00201863143c14c5166804bd19203356da136c985678cd4d27a1b8c6329604903262'],
+        ['bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7kt5nd6y', '5128751e76e8199196d454941c45d1b3a323f1433bd6751e76e8199196d454941c45d1b3a323f1433bd6'],
+        ['BC1SW50QGDZ25J', '6002751e'],
+        ['bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs', '5210751e76e8199196d454941c45d1b3a323'],
+        ['tb1qqqqqp399et2xygdj5xreqhjjvcmzhxw4aywxecjdzew6hylgvsesrxh6hy', '0020000000c4a5cad46221b2a187905e5266362b99d5e91c6ce24d165dab93e86433'],
+        ['tb1pqqqqp399et2xygdj5xreqhjjvcmzhxw4aywxecjdzew6hylgvsesf3hn0c', '5120000000c4a5cad46221b2a187905e5266362b99d5e91c6ce24d165dab93e86433'],
+        ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0', '512079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798']
+    ])('BIP-350 valid address %s', (address, script) => {
+        const decoded = decodeSegwitAddress(address);
+
+        expect(scriptPubKey(decoded)).toBe(script);
+        expect(encodeSegwitAddress(decoded.prefix, decoded.version, decoded.program)).toBe(address.toLowerCase());
+    });
+
+    test.each([
+        ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd', 'Bech32 checksum on v1'],
+        ['tb1z0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqglt7rf', 'Bech32 checksum on v2'],
+        ['BC1S0XLXVLHEMJA6C4DQV22UAPCTQUPFHLXM9H8Z3K2E72Q4K9HCZ7VQ54WELL', 'Bech32 checksum on v16'],
+        ['bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh', 'Bech32m checksum on v0'],
+        ['tb1q0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq24jc47', 'Bech32m checksum on v0'],
+        ['bc1p38j9r5y49hruaue7wxjce0updqjuyyx0kh56v8s25huc6995vvpql3jow4', 'invalid character'],
+        ['BC130XLXVLHEMJA6C4DQV22UAPCTQUPFHLXM9H8Z3K2E72Q4K9HCZ7VQ7ZWS8R', 'invalid witness version'],
+        ['bc1pw5dgrnzv', 'program of 1 byte'],
+        ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7v8n0nx0muaewav253zgeav', 'program of 41 bytes'],
+        ['BC1QR508D6QEJXTDG4Y5R3ZARVARYV98GJ9P', 'v0 program of 16 bytes'],
+        ['tb1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq47Zagq', 'mixed case'],
+        ['bc1gmk9yu', 'empty data']
+    ])('BIP-350 invalid address %s (%s)', address => {
+        expect(decodeSegwitAddress(address)).toBeNull();
+    });
+
+    test('decodeAddress checks the human-readable part against the chain', () => {
+        expect(decodeAddress('bitcoin', 'tc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq5zuyut').isValid).toBe(false);
+        expect(decodeAddress('bitcoin', 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'))
+            .toMatchObject({ isValid: true, type: 'Taproot P2TR', network: 'mainnet' });
+        expect(decodeAddress('bitcoin', 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7'))
+            .toMatchObject({ isValid: true, type: 'Native SegWit P2WSH', network: 'testnet' });
+    });
+});
+
+describe('Base58Check', () => {
+    test.each([
+        ['', ''],
+        ['61', '2g'],
+        ['626262', 'a3gV'],
+        ['636363', 'aPEr'],
+        ['73696d706c792061206c6f6e6720737472696e67', '2cFupjhnEsSn59qHXstmK2ffpLv2'],
+        ['00eb15231dfceb60925886b67d065299925915aeb172c06647', '1NS17iag9jJgTHD1VXjvLCEnZuQ3rJDE9L'],
+        ['00000000000000000000', '1111111111']
+    ])('base58 of %j is %j', (hex, text) => {
+        expect(base58Encode(fromHex(hex))).toBe(text);
+        expect(toHex(base58Decode(text))).toBe(hex);
+    });
+
+    test('round-trips a version byte and payload', () => {
+        const address = encodeBase58Check(0x00, new Uint8Array(20));
+
+        expect(address).toBe('1111111111111111111114oLvT2');
+        expect(decodeBase58Check(address)).toEqual({ version: 0, payload: new Uint8Array(20) });
+    });
+
+    test('rejects a corrupted checksum', () => {
+        expect(decodeBase58Check('1111111111111111111114oLvT3')).toBeNull();
+        expect(decodeAddress('bitcoin', '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3').isValid).toBe(false);
+        expect(decodeAddress('bitcoin', '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2')).toMatchObject({ isValid: true, network: 'mainnet' });
+    });
+});
+
+describe('EIP-55', () => {
+    test.each([
+        '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+        '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+        '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+        '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+    ])('checksums %s', address => {
+        expect(toChecksumAddress(address.toLowerCase())).toBe(address);
+        expect(decodeAddress('evm', address)).toMatchObject({ isValid: true, checksum: true });
+    });
+
+    test.each([
+        '0x52908400098527886E0F7030069857D2E4169EE7',
+        '0x8617E340B3D01FA5F11F306F4090FD50E238070D',
+        '0xde709f2102306220921060314715629080e2fb77',
+        '0x27b1fdb04752bbc536007a920d24acb045561c26'
+    ])('accepts single-case %s without a checksum', address => {
+        expect(decodeAddress('evm', address)).toMatchObject({ isValid: true, checksum: false });
+    });
+
+    test('rejects mixed case that does not match the checksum', () => {
+        expect(decodeAddress('evm', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD'))
+            .toEqual({ isValid: false, reason: 'checksum' });
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * App Config Tests
+ * createConfig layers defaults, the environment overlay and overrides, rejects every schema
+ * violation at once, and resolves the asset network and catalog price
+ */
+import { readFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import {
+    ConfigError,
+    DEFAULT_CONFIG,
+    applyMockUpstreams,
+    createConfig,
+    fetchRuntimeOverrides,
+    mergeConfig,
+    validateConfig,
+    validateRuntimeOverrides
+} from '../../src/config/appConfig.js';
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+});
+
+const problemsOf = overrides => {
+    try {
+        createConfig({ overrides });
+    } catch (error) {
+        expect(error).toBeInstanceOf(ConfigError);
+        return error.problems;
+    }
+    throw new Error('createConfig accepted an invalid configuration');
+};
+
+describe('createConfig', () => {
+    test('the defaults are valid and resolve the default product and network', () => {
+        expect(validateConfig(DEFAULT_CONFIG)).toEqual([]);
+
+        const config = createConfig();
+        expect(config.ENVIRONMENT).toBe('production');
+        expect(config.TRANSACTION).toMatchObject({ SKU: 'starter', FIXED_AMOUNT: 21, CURRENCY: 'USD', CRYPTO_CURRENCY: 'BTC', NETWORK: 'bitcoin' });
+    });
+
+    test('the environment overlay applies before overrides', () => {
+        const config = createConfig({ environment: 'development', overrides: { FEATURES: { DEBUG_MODE: false } } });
+
+        expect(config.FEATURES).toMatchObject({ ENABLE_ANALYTICS: false, DEBUG_MODE: false, ENABLE_CACHING: true });
+    });
+
+    test('an unknown environment is refused', () => {
+        expect(() => createConfig({ environment: 'staging' })).toThrow(ConfigError);
+    });
+
+    test('every problem is reported at once', () => {
+        expect(problemsOf({
+            URLS: { ORDERS_API: '/api/orders/', SIMPLESWAP_API: 'ftp://example.com' },
+            FEATURES: { DEBUG_MODE: 'yes', ENABLE_WIDGETS: true },
+            NETWORK_MODE: 'regtest'
+        })).toEqual([
+            'config.NETWORK_MODE must be one of: mainnet, testnet',
+            'config.URLS.SIMPLESWAP_API must be an absolute http(s) URL or a root-relative path without a trailing slash',
+            'config.URLS.ORDERS_API must be an absolute http(s) URL or a root-relative path without a trailing slash',
+            'config.FEATURES.DEBUG_MODE must be a boolean',
+            'config.FEATURES.ENABLE_WIDGETS is not a known setting'
+        ]);
+    });
+
+    test('derived and retired settings are refused with a pointer to their replacement', () => {
+        expect(problemsOf({ TRANSACTION: { FIXED_AMOUNT: 19.5 } })).toEqual([expect.stringMatching(/comes from the catalog/)]);
+        expect(problemsOf({ FEATURES: { USE_MERCURYO_SANDBOX: true } })).toEqual(expect.arrayContaining([expect.stringMatching(/NETWORK_MODE/)]));
+    });
+
+    test('offered assets and product keys are checked', () => {
+        expect(problemsOf({ ASSETS: { OFFERED: ['BTC', 'DOGE'] } })).toEqual(['config.ASSETS.OFFERED: DOGE is not in the asset registry']);
+        expect(problemsOf({ CATALOG: { PRODUCTS: { Starter_Pack: { PRICES: { USD: 10 } } } } }))
+            .toEqual(['config.CATALOG.PRODUCTS.Starter_Pack is not a valid key']);
+    });
+
+    test('a SKU the catalog cannot sell fails as a config error', () => {
+        expect(problemsOf({ TRANSACTION: { SKU: 'gold' } })).toEqual(['Unknown product: gold']);
+        expect(problemsOf({ TRANSACTION: { CURRENCY: 'GBP' } })).toEqual(['Product starter has no GBP price']);
+    });
+
+    test('testnet swaps every endpoint that has a sandbox', () => {
+        const config = createConfig({ overrides: { NETWORK_MODE: 'testnet' } });
+
+        expect(config.URLS.MERCURYO_WIDGET).toBe(DEFAULT_CONFIG.TESTNET_URLS.MERCURYO_WIDGET);
+        expect(config.URLS.MERCURYO_API).toBe(DEFAULT_CONFIG.TESTNET_URLS.MERCURYO_API);
+        expect(config.URLS.SIMPLESWAP_API).toBe(DEFAULT_CONFIG.URLS.SIMPLESWAP_API);
+    });
+});
+
+describe('mergeConfig', () => {
+    test('objects merge, arrays and scalars replace, the base is untouched', () => {
+        const base = { A: { B: 1, C: [1, 2] }, D: 'x' };
+        const merged = mergeConfig(base, { A: { C: [3] } }, { D: 'y' });
+
+        expect(merged).toEqual({ A: { B: 1, C: [3] }, D: 'y' });
+        expect(base).toEqual({ A: { B: 1, C: [1, 2] }, D: 'x' });
+    });
+});
+
+describe('fetchRuntimeOverrides', () => {
+    const serve = (body, status = 200) => {
+        global.fetch = jest.fn(async () => ({ ok: status < 400, status, json: async () => body }));
+    };
+
+    test('a missing file means no overrides', async () => {
+        serve(null, 404);
+        expect(await fetchRuntimeOverrides()).toEqual({});
+    });
+
+    test('a valid file is returned', async () => {
+        serve({ NETWORK_MODE: 'testnet' });
+        expect(await fetchRuntimeOverrides()).toEqual({ NETWORK_MODE: 'testnet' });
+    });
+
+    test('an invalid file is ignored as a whole', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        serve({ NETWORK_MODE: 'testnet', FEATURES: { DEBUG: true } });
+
+        expect(await fetchRuntimeOverrides()).toEqual({});
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    test('a file that reprices products or changes regions is ignored as a whole', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        serve({ NETWORK_MODE: 'testnet', CATALOG: { PRODUCTS: { starter: { PRICES: { USD: 1 } } } } });
+
+        expect(await fetchRuntimeOverrides()).toEqual({});
+    });
+});
+
+describe('validateRuntimeOverrides', () => {
+    test('server-owned settings are refused', () => {
+        expect(validateRuntimeOverrides({
+            NETWORK_MODE: 'testnet',
+            CATALOG: { DEFAULT_SKU: 'standard' },
+            REGIONS: { COUNTRY_CURRENCIES: { US: 'EUR' } }
+        })).toEqual([
+            'config.CATALOG is read by the server from DEFAULT_CONFIG; change it there, not in runtime.json',
+            'config.REGIONS is read by the server from DEFAULT_CONFIG; change it there, not in runtime.json'
+        ]);
+    });
+
+    test('the shipped runtime.json is valid', () => {
+        const overrides = JSON.parse(readFileSync(new URL('../../src/config/runtime.json', import.meta.url), 'utf8'));
+
+        expect(validateRuntimeOverrides(overrides)).toEqual([]);
+    });
+});
+
+describe('applyMockUpstreams', () => {
+    const storage = () => {
+        const items = new Map();
+        return {
+            getItem: key => items.get(key) ?? null,
+            setItem: (key, value) => items.set(key, value),
+            removeItem: key => items.delete(key)
+        };
+    };
+
+    test('points upstreams at a local mock only from localhost', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const config = createConfig();
+
+        const local = applyMockUpstreams(config, new URL('http://localhost:8888/?mock=http://localhost:8787'), storage());
+        expect(local.URLS.SIMPLESWAP_API).toBe('http://localhost:8787/simpleswap');
+
+        const remote = applyMockUpstreams(config, new URL('https://checkout.example/?mock=http://localhost:8787'), storage());
+        expect(remote).toBe(config);
+
+        const elsewhere = applyMockUpstreams(config, new URL('http://localhost:8888/?mock=https://evil.example'), storage());
+        expect(elsewhere).toBe(config);
+    });
+});
@@ -0,0 +1,360 @@
+/**
+ * Checkout Page Purchase Tests
+ * initiatePurchase fails closed while the screening list is missing or the region is refused, the
+ * simpleswap-api flow falls back to the widget only when the API is unreachable or failing, never
+ * on a refusal, Mercuryo links are signed by the server for the order's address, purchases are
+ * reported to analytics with their SKU, and a copied address that changes on the clipboard stops
+ * the purchase
+ */
+import { jest } from '@jest/globals';
+import { createConfig } from '../../src/config/appConfig.js';
+import { CheckoutPage } from '../../src/js/checkoutPage.js';
+
+const WALLET = 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu';
+const EMPTY_LIST = { version: 1, updatedAt: null, sources: {}, entries: [] };
+
+const VARIANT = {
+    id: 'test',
+    flow: 'simpleswap-api',
+    open: 'same-tab',
+    wallet: { mode: 'fixed', address: WALLET },
+    copy: { serviceName: 'Mercuryo', redirectMessage: 'Redirecting...' }
+};
+
+function jsonResponse(body, status = 200) {
+    return { ok: status < 400, status, statusText: '', json: async () => body };
+}
+
+/**
+ * Answer the page's requests by path; a route may be a response or an Error to throw
+ */
+function mockFetch(routes) {
+    return jest.fn(async url => {
+        const route = Object.keys(routes).find(prefix => String(url).startsWith(prefix));
+        const result = route && routes[route];
+        if (!result || result instanceof Error) throw result || new Error(`Unexpected fetch: ${url}`);
+        return result;
+    });
+}
+
+function createPage(flow = 'simpleswap-api', wallet = VARIANT.wallet) {
+    const page = new CheckoutPage(createConfig({ overrides: { TRANSACTION: { CRYPTO_CURRENCY: 'BTC' } } }), { ...VARIANT, flow, wallet });
+    jest.spyOn(page, 'navigate').mockImplementation(() => {});
+    return page;
+}
+
+const ORDER_CREATED = jsonResponse({ order: { transactionId: 'tx_1', status: 'pending' }, orderToken: 'token' }, 201);
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <button id="buyButton"><span class="button-text">Buy</span></button>
+        <div id="buttonLoader"></div>
+        <div id="regionInfo"></div>
+        <div id="walletDisplay"></div>
+        <div id="walletQr"></div>
+        <div id="addressFingerprint" hidden></div>
+        <div id="errorMessage"></div>
+        <div id="successMessage"></div>
+        <div id="warningMessage"></div>`;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    delete navigator.clipboard;
+    delete navigator.permissions;
+});
+
+describe('screening list', () => {
+    test.each(['simpleswap-api', 'simpleswap-widget', 'mercuryo-direct'])('%s waits for the list and refuses without it', async flow => {
+        global.fetch = mockFetch({ '/data/screening-list.json': jsonResponse(null, 503) });
+        const page = createPage(flow);
+
+        await page.initiatePurchase();
+
+        expect(document.getElementById('errorMessage').textContent).toMatch(/screening is unavailable/);
+        expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['/data/screening-list.json']);
+        expect(page.navigate).not.toHaveBeenCalled();
+    });
+
+    test('a failed load is retried on the next attempt', async () => {
+        global.fetch = mockFetch({ '/data/screening-list.json': new TypeError('Failed to fetch') });
+        const page = createPage('simpleswap-widget');
+        await page.initiatePurchase();
+        expect(page.navigate).not.toHaveBeenCalled();
+
+        global.fetch = mockFetch({ '/data/screening-list.json': jsonResponse(EMPTY_LIST), '/api/orders': ORDER_CREATED });
+        await page.initiatePurchase();
+        expect(page.navigate).toHaveBeenCalledWith(expect.stringContaining(`address=${WALLET}`), 1000);
+    });
+});
+
+describe('simpleswap-api fallback', () => {
+    const purchase = async exchangeResult => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': ORDER_CREATED,
+            '/api/simpleswap/exchange': exchangeResult
+        });
+        const page = createPage();
+        jest.spyOn(page, 'openWidget');
+        await page.initiatePurchase();
+        return page;
+    };
+
+    test.each([
+        [403, 'This destination address cannot be used'],
+        [451, 'This service is not available in your region'],
+        [400, 'Invalid memo for XRP on XRP Ledger']
+    ])('shows a %i refusal and does not open the widget', async (status, message) => {
+        const page = await purchase(jsonResponse({ error: message }, status));
+
+        expect(page.openWidget).not.toHaveBeenCalled();
+        expect(page.navigate).not.toHaveBeenCalled();
+        expect(document.getElementById('errorMessage').textContent).toBe(message);
+    });
+
+    test.each([
+        ['a 502', jsonResponse({ error: 'SimpleSwap API unreachable' }, 502)],
+        ['a 503', jsonResponse({ error: 'SimpleSwap API key is not configured' }, 503)],
+        ['a network error', new TypeError('Failed to fetch')]
+    ])('falls back to the widget on %s', async (label, result) => {
+        const page = await purchase(result);
+
+        expect(page.openWidget).toHaveBeenCalled();
+        expect(page.navigate).toHaveBeenCalledWith(expect.stringContaining('provider=mercuryo'), 1000);
+    });
+
+    test('an order refusal stops every flow before the provider', async () => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': jsonResponse({ error: 'This destination address cannot be used' }, 403)
+        });
+        const page = createPage('mercuryo-direct');
+        await page.initiatePurchase();
+
+        expect(page.navigate).not.toHaveBeenCalled();
+        expect(document.getElementById('errorMessage').textContent).toBe('This destination address cannot be used');
+    });
+});
+
+describe('region', () => {
+    test('a location that cannot be confirmed blocks the purchase', async () => {
+        global.fetch = mockFetch({ '/api/geolocation': jsonResponse({ error: 'Location unknown' }, 404) });
+        const page = createPage('mercuryo-direct');
+
+        // Only the browser language answers, which is too weak to confirm a country
+        await page.detectLocation();
+        expect(document.getElementById('regionInfo').textContent).toMatch(/Unable to/);
+
+        const calls = global.fetch.mock.calls.length;
+        await page.initiatePurchase();
+        expect(global.fetch).toHaveBeenCalledTimes(calls);
+        expect(document.getElementById('errorMessage').textContent).toMatch(/^Mercuryo: Unable to/);
+        expect(page.navigate).not.toHaveBeenCalled();
+    });
+});
+
+describe('mercuryo-direct', () => {
+    const SIGNED = jsonResponse({ widgetId: 'widget-1', signature: 'a'.repeat(128) });
+
+    test('opens a link signed by the server for the order', async () => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': ORDER_CREATED,
+            '/api/mercuryo/signature': SIGNED
+        });
+        const page = createPage('mercuryo-direct');
+        await page.initiatePurchase();
+
+        const [, init] = global.fetch.mock.calls.find(([url]) => url === '/api/mercuryo/signature');
+        expect(JSON.parse(init.body)).toEqual({
+            address: WALLET,
+            merchantTransactionId: page.transactionId,
+            currency: 'BTC',
+            network: 'bitcoin'
+        });
+
+        const link = new URL(page.navigate.mock.calls[0][0]).searchParams;
+        expect(link.get('widget_id')).toBe('widget-1');
+        expect(link.get('signature')).toBe('a'.repeat(128));
+        expect(link.get('merchant_transaction_id')).toBe(page.transactionId);
+    });
+
+    test('never opens an unsigned link', async () => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': ORDER_CREATED,
+            '/api/mercuryo/signature': jsonResponse({ error: 'Mercuryo signing is not configured' }, 503)
+        });
+        const page = createPage('mercuryo-direct');
+        await page.initiatePurchase();
+
+        expect(page.navigate).not.toHaveBeenCalled();
+        expect(document.getElementById('errorMessage').textContent).toBe('Failed to initiate purchase. Please try again.');
+    });
+
+    test('a derived wallet is issued for the order, then signed', async () => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': ORDER_CREATED,
+            '/api/addresses': jsonResponse({ address: WALLET, index: 0, duplicate: false }, 201),
+            '/api/mercuryo/signature': SIGNED
+        });
+        const page = createPage('mercuryo-direct', { mode: 'derived' });
+        expect(page.walletAddress).toBe('');
+        await page.initiatePurchase();
+
+        const urls = global.fetch.mock.calls.map(([url]) => url);
+        expect(urls.indexOf('/api/addresses')).toBeGreaterThan(urls.indexOf('/api/orders'));
+
+        const [, init] = global.fetch.mock.calls.find(([url]) => url === '/api/addresses');
+        expect(init.headers.Authorization).toBe('Bearer token');
+        expect(JSON.parse(init.body)).toEqual({ transactionId: page.transactionId, asset: 'BTC', network: 'bitcoin' });
+
+        expect(document.getElementById('walletDisplay').textContent).toBe(WALLET);
+        expect(new URL(page.navigate.mock.calls[0][0]).searchParams.get('address')).toBe(WALLET);
+    });
+
+    test('reports the purchase to analytics with the SKU', async () => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': ORDER_CREATED,
+            '/api/mercuryo/signature': SIGNED,
+            '/api/analytics/events': jsonResponse({ accepted: 1, duplicates: 0, rejected: [] }, 202)
+        });
+        const page = createPage('mercuryo-direct');
+        await page.initiatePurchase();
+
+        const [, init] = global.fetch.mock.calls.find(([url]) => url === '/api/analytics/events');
+        const { sessionId, userId, events } = JSON.parse(init.body);
+        expect(sessionId).toMatch(/^sess_/);
+        expect(userId).toBe(localStorage.getItem('analytics_user_id'));
+        expect(events).toEqual([expect.objectContaining({
+            name: 'purchase_flow',
+            properties: expect.objectContaining({ step: 'initiated', sku: 'starter', transactionId: page.transactionId })
+        })]);
+    });
+
+    test('a failed analytics send does not stop the purchase', async () => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': ORDER_CREATED,
+            '/api/mercuryo/signature': SIGNED,
+            '/api/analytics/events': new TypeError('Failed to fetch')
+        });
+        const page = createPage('mercuryo-direct');
+        await page.initiatePurchase();
+
+        expect(page.navigate).toHaveBeenCalled();
+    });
+
+    test('a refused allocation stops the purchase', async () => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': ORDER_CREATED,
+            '/api/addresses': jsonResponse({ error: 'Too many receive addresses requested' }, 429)
+        });
+        const page = createPage('mercuryo-direct', { mode: 'derived' });
+        await page.initiatePurchase();
+
+        expect(page.navigate).not.toHaveBeenCalled();
+        expect(document.getElementById('errorMessage').textContent).toBe('Too many receive addresses requested');
+    });
+});
+
+describe('exchange tracking', () => {
+    test('statuses are read only through the order', async () => {
+        global.fetch = mockFetch({ '/api/orders/tx_1/sync': jsonResponse({ error: 'Unauthorized' }, 401) });
+        const page = createPage();
+        page.transactionId = 'tx_1';
+        jest.spyOn(page.orders, 'getOrderToken').mockResolvedValue('token');
+
+        await expect(page.fetchExchangeStatus('exchange1')).rejects.toThrow();
+        expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['/api/orders/tx_1/sync']);
+    });
+});
+
+describe('clipboard', () => {
+    const SWAPPED = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq';
+
+    /**
+     * A clipboard that reads back `readBack`, or what was written when it is undefined
+     */
+    const mockClipboard = (readBack, state = 'granted') => {
+        let text = '';
+        Object.defineProperty(navigator, 'clipboard', {
+            configurable: true,
+            value: {
+                writeText: jest.fn(async value => { text = value; }),
+                readText: jest.fn(async () => readBack ?? text)
+            }
+        });
+        Object.defineProperty(navigator, 'permissions', {
+            configurable: true,
+            value: { query: jest.fn(async () => ({ state })) }
+        });
+    };
+
+    const purchase = async () => {
+        global.fetch = mockFetch({
+            '/data/screening-list.json': jsonResponse(EMPTY_LIST),
+            '/api/orders': ORDER_CREATED,
+            '/api/mercuryo/signature': jsonResponse({ widgetId: 'widget-1', signature: 'a'.repeat(128) })
+        });
+        const page = createPage('mercuryo-direct');
+        page.clipboardRecheckDelay = 0;
+        jest.spyOn(page.security, 'logSecurityEvent').mockImplementation(() => {});
+        await page.initiatePurchase();
+        return page;
+    };
+
+    test('a copy that reads back unchanged shows the fingerprint before the redirect', async () => {
+        mockClipboard();
+        const page = await purchase();
+
+        expect(navigator.clipboard.writeText).toHaveBeenCalledWith(WALLET);
+        expect(page.security.logSecurityEvent).not.toHaveBeenCalled();
+        expect(page.navigate).toHaveBeenCalled();
+
+        const fingerprint = document.getElementById('addressFingerprint');
+        expect(fingerprint.hidden).toBe(false);
+        expect(fingerprint.querySelector('.address-fingerprint-short').textContent).toBe('bc1qcr…306fyu');
+        expect(fingerprint.querySelector('svg')).not.toBeNull();
+    });
+
+    test('a swapped address stops the purchase and is logged', async () => {
+        mockClipboard(SWAPPED);
+        const page = await purchase();
+
+        expect(page.navigate).not.toHaveBeenCalled();
+        expect(global.fetch.mock.calls.map(([url]) => url)).not.toContain('/api/mercuryo/signature');
+        expect(page.security.logSecurityEvent).toHaveBeenCalledWith('CLIPBOARD_MISMATCH', expect.objectContaining({
+            expected: WALLET,
+            found: SWAPPED,
+            transactionId: page.transactionId
+        }));
+        expect(document.getElementById('errorMessage').textContent).toMatch(/^Your clipboard changed after copying: it holds bc1qar…wf5mdq/);
+        expect(document.getElementById('addressFingerprint').hidden).toBe(true);
+    });
+
+    test('other clipboard text is counted but not recorded', async () => {
+        mockClipboard('my password');
+        const page = await purchase();
+
+        expect(page.navigate).not.toHaveBeenCalled();
+        expect(page.security.logSecurityEvent).toHaveBeenCalledWith('CLIPBOARD_MISMATCH', expect.objectContaining({ found: null, foundLength: 11 }));
+        expect(document.getElementById('errorMessage').textContent).toMatch(/it holds something else/);
+    });
+
+    test.each(['denied', 'prompt'])('a %s clipboard-read permission skips the check', async state => {
+        mockClipboard(SWAPPED, state);
+        const page = await purchase();
+
+        expect(navigator.clipboard.readText).not.toHaveBeenCalled();
+        expect(page.navigate).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * Geo Redirector Tests
+ * The location is a weighted consensus of the IP providers (0.6, shared by provider weight), the
+ * timezone (0.25) and the language (0.15). Access needs a confidence of at least 0.5 and, in a
+ * country with excluded states, a region_code; GPS stands in for the IP providers when none answers.
+ */
+import { jest } from '@jest/globals';
+import { createConfig } from '../../src/config/appConfig.js';
+import { GeoRedirector } from '../../src/js/geoRedirector.js';
+
+const CALIFORNIA = { country: 'US', region_code: 'CA' };
+const NEW_YORK = { country: 'US', region_code: 'NY' };
+const ONTARIO = { country: 'CA', region_code: 'ON' };
+
+/**
+ * A GeoRedirector whose built-in providers answer with the given locations (null fails)
+ */
+function createGeo({ geoip = null, edge = null } = {}) {
+    const geo = new GeoRedirector(createConfig());
+    const answer = location => async () => {
+        if (!location) throw new Error('HTTP 503: Service Unavailable');
+        return location;
+    };
+    geo.registerProvider('geoip', { locate: answer(geoip) });
+    geo.registerProvider('edge', { locate: answer(edge) });
+    return geo;
+}
+
+function setBrowser({ timeZone = 'Europe/Paris', language = 'en' } = {}) {
+    jest.spyOn(Intl, 'DateTimeFormat').mockReturnValue({ resolvedOptions: () => ({ timeZone }) });
+    jest.spyOn(navigator, 'language', 'get').mockReturnValue(language);
+}
+
+/**
+ * A browser GPS fix that reverse geocodes to `region`
+ */
+function setGps(geo, region) {
+    const getCurrentPosition = jest.fn(success => success({ coords: { latitude: 34.05, longitude: -118.24, accuracy: 20 } }));
+    Object.defineProperty(navigator, 'geolocation', { configurable: true, value: { getCurrentPosition } });
+    geo.reverseGeocoder = Promise.resolve({ lookup: () => region });
+    return getCurrentPosition;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete navigator.geolocation;
+    delete global.fetch;
+});
+
+describe('consensus', () => {
+    test('every signal agreeing gives full confidence and access', async () => {
+        setBrowser({ timeZone: 'America/Los_Angeles', language: 'en-US' });
+        const geo = createGeo({ geoip: CALIFORNIA, edge: CALIFORNIA });
+
+        const { location, validation } = await geo.validateRegionalAccess();
+
+        expect(location).toMatchObject({ country: 'US', region_code: 'CA', confidence: 1, confidenceLevel: 'high', disagreements: [] });
+        expect(location.signals.map(({ signal, weight }) => [signal, weight])).toEqual([
+            ['ip', 0.3], ['ip', 0.3], ['timezone', 0.25], ['language', 0.15]
+        ]);
+        expect(validation).toMatchObject({ isValid: true, country: 'US', currency: 'USD' });
+    });
+
+    test('disagreeing signals go to the heavier country and are listed', async () => {
+        setBrowser({ timeZone: 'America/Toronto', language: 'en-US' });
+        const geo = createGeo({ geoip: CALIFORNIA, edge: ONTARIO });
+
+        const { location, validation } = await geo.validateRegionalAccess();
+
+        // CA: edge 0.3 + timezone 0.25; US: geoip 0.3 + language 0.15
+        expect(location).toMatchObject({ country: 'CA', region_code: 'ON', confidence: 0.55, confidenceLevel: 'medium' });
+        expect(location.disagreements).toEqual([
+            { signal: 'ip', source: 'geoip', country: 'US' },
+            { signal: 'language', source: 'en-us', country: 'US' }
+        ]);
+        expect(validation).toMatchObject({ isValid: true, currency: 'CAD' });
+    });
+
+    test('provider weights split the IP share', () => {
+        const geo = createGeo();
+        geo.registerProvider('geoip', { locate: async () => CALIFORNIA, weight: 3 });
+
+        const location = geo.buildConsensus([
+            { signal: 'ip', source: 'geoip', location: CALIFORNIA },
+            { signal: 'ip', source: 'edge', location: ONTARIO }
+        ]);
+
+        expect(location.signals.map(({ source, weight }) => [source, weight])).toEqual([['geoip', 0.45], ['edge', 0.15]]);
+        expect(location).toMatchObject({ country: 'US', confidence: 0.45, confidenceLevel: 'low' });
+    });
+
+    test('a tie goes to the country the network location names', () => {
+        const geo = createGeo();
+        geo.registerProvider('geoip', { locate: async () => CALIFORNIA, weight: 2 });
+
+        const location = geo.buildConsensus([
+            { signal: 'ip', source: 'geoip', location: CALIFORNIA },
+            { signal: 'ip', source: 'edge', location: { country: 'GB' } },
+            { signal: 'timezone', source: 'America/Toronto', location: { country: 'CA', region: 'Ontario' } },
+            { signal: 'language', source: 'fr-ca', location: { country: 'CA' } }
+        ]);
+
+        // US: geoip 0.4; CA: timezone 0.25 + language 0.15
+        expect(location).toMatchObject({ country: 'US', region_code: 'CA', confidence: 0.4 });
+    });
+
+    test('timezone and language alone are not enough', async () => {
+        setBrowser({ timeZone: 'Australia/Sydney', language: 'en-AU' });
+        const geo = createGeo();
+
+        const { location, validation } = await geo.validateRegionalAccess();
+
+        expect(location).toMatchObject({ country: 'AU', confidence: 0.4, confidenceLevel: 'low' });
+        expect(location.providers.map(({ provider, status }) => [provider, status])).toEqual([['geoip', 'failed'], ['edge', 'failed']]);
+        expect(validation).toMatchObject({ isValid: false, reason: 'Unable to confirm your location' });
+    });
+
+    test('no signal at all means no country', async () => {
+        setBrowser();
+        const geo = createGeo();
+
+        const { location, validation } = await geo.validateRegionalAccess();
+
+        expect(location).toMatchObject({ country: null, method: 'none', confidence: 0, confidenceLevel: 'none' });
+        expect(validation).toMatchObject({ isValid: false, reason: 'Unable to determine your location' });
+    });
+
+    test('a provider that does not answer in time is reported as timed out', async () => {
+        setBrowser({ timeZone: 'America/Toronto', language: 'en-CA' });
+        const geo = createGeo({ edge: ONTARIO });
+        geo.registerProvider('geoip', { locate: () => new Promise(() => {}), timeout: 10 });
+
+        const location = await geo.detectUserLocation(false);
+
+        expect(location.providers.find(({ provider }) => provider === 'geoip')).toMatchObject({ status: 'timeout' });
+        expect(location).toMatchObject({ country: 'CA', confidence: 1 });
+    });
+});
+
+describe('GPS fallback', () => {
+    test('is asked only when no IP provider answers', async () => {
+        setBrowser({ timeZone: 'America/Los_Angeles', language: 'en' });
+        const geo = createGeo();
+        const getCurrentPosition = setGps(geo, { country: 'US', country_name: 'United States', region: 'California', region_code: 'CA' });
+
+        const { location, validation } = await geo.validateRegionalAccess();
+
+        expect(getCurrentPosition).toHaveBeenCalled();
+        expect(location.signals.map(({ signal, weight }) => [signal, weight])).toEqual([['gps', 0.6], ['timezone', 0.25]]);
+        expect(location).toMatchObject({ country: 'US', region_code: 'CA', confidence: 0.85, method: 'consensus' });
+        expect(validation.isValid).toBe(true);
+    });
+
+    test('is not asked when an IP provider answered', async () => {
+        setBrowser();
+        const geo = createGeo({ edge: ONTARIO });
+        const getCurrentPosition = setGps(geo, { country: 'US', region_code: 'CA' });
+
+        await geo.detectUserLocation(false);
+
+        expect(getCurrentPosition).not.toHaveBeenCalled();
+    });
+
+    test('a fix outside the boundaries adds no signal', async () => {
+        setBrowser({ timeZone: 'America/Los_Angeles', language: 'en' });
+        const geo = createGeo();
+        setGps(geo, null);
+
+        const { location, validation } = await geo.validateRegionalAccess();
+
+        expect(location.signals.map(({ signal }) => signal)).toEqual(['timezone']);
+        expect(validation).toMatchObject({ isValid: false, reason: 'Unable to confirm your location' });
+    });
+});
+
+describe('regions', () => {
+    test('the US needs a region_code', async () => {
+        setBrowser({ timeZone: 'America/New_York', language: 'en-US' });
+        const geo = createGeo({ geoip: { country: 'US' }, edge: { country: 'US', region_code: null } });
+
+        const { location, validation } = await geo.validateRegionalAccess();
+
+        expect(location).toMatchObject({ country: 'US', region_code: null, confidence: 1 });
+        expect(validation).toMatchObject({
+            isValid: false,
+            reason: 'Unable to confirm your state or province in United States',
+            restrictions: ['Hawaii', 'Louisiana', 'New York']
+        });
+    });
+
+    test('the region_code may come from any agreeing provider', async () => {
+        setBrowser({ timeZone: 'America/Los_Angeles', language: 'en-US' });
+        const geo = createGeo({ geoip: { country: 'US' }, edge: CALIFORNIA });
+
+        const { location, validation } = await geo.validateRegionalAccess();
+
+        expect(location.region_code).toBe('CA');
+        expect(validation.isValid).toBe(true);
+    });
+
+    test('a country without excluded states needs none', async () => {
+        setBrowser({ timeZone: 'America/Toronto', language: 'en-CA' });
+        const geo = createGeo({ geoip: { country: 'CA' }, edge: { country: 'CA' } });
+
+        const { validation } = await geo.validateRegionalAccess();
+
+        expect(validation).toMatchObject({ isValid: true, currency: 'CAD' });
+    });
+
+    test.each([
+        [NEW_YORK, 'Service restricted in NY'],
+        [{ country: 'GB' }, 'Service not available in GB']
+    ])('%p is refused', async (ip, reason) => {
+        setBrowser();
+        const geo = createGeo({ geoip: ip, edge: ip });
+
+        const { validation } = await geo.validateRegionalAccess();
+
+        expect(validation).toMatchObject({ isValid: false, reason });
+    });
+});
+
+test('the built-in providers read the geolocation APIs', async () => {
+    setBrowser({ timeZone: 'America/Los_Angeles', language: 'en-US' });
+    global.fetch = jest.fn(async url => ({
+        ok: true,
+        status: 200,
+        json: async () => url === '/api/geolocation'
+            ? { country_code: 'US', country_name: 'United States', region: 'California', region_code: 'CA', city: 'Los Angeles' }
+            : { country_code: 'US', region_code: 'CA', source: 'edge' }
+    }));
+    const geo = new GeoRedirector(createConfig());
+
+    const location = await geo.detectUserLocation(false);
+
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['/api/geolocation', '/api/geolocation/edge']);
+    expect(location).toMatchObject({ country: 'US', region_code: 'CA', city: 'Los Angeles', method: 'consensus', confidence: 1 });
+});
@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Geo Validator Edge Function Tests
+ * A restricted-region visitor cannot take any step of a purchase, while reads stay open
+ */
+import { jest } from '@jest/globals';
+import geoValidator, { isProtectedAPI } from '../../netlify/edge-functions/geo-validator.js';
+
+function call(pathname, { method = 'GET', country = 'US', subdivision = 'NY' } = {}) {
+    const next = jest.fn(async () => new Response('{}', { status: 200 }));
+    const request = new Request(`https://checkout.example${pathname}`, { method });
+    return geoValidator(request, { geo: { country: { code: country }, subdivision: { code: subdivision } }, next })
+        .then(response => ({ response, next }));
+}
+
+test.each([
+    ['POST', '/api/orders'],
+    ['POST', '/api/orders/tx_1700000000000_abc/sync'],
+    ['POST', '/api/addresses'],
+    ['POST', '/api/simpleswap/exchange'],
+    ['GET', '/api/simpleswap/estimate'],
+    ['POST', '/api/mercuryo/signature']
+])('blocks %s %s from a restricted region', async (method, pathname) => {
+    const { response, next } = await call(pathname, { method });
+
+    expect(response.status).toBe(451);
+    expect(next).not.toHaveBeenCalled();
+});
+
+test.each([
+    ['GET', '/api/orders/tx_1700000000000_abc'],
+    ['GET', '/api/addresses'],
+    ['POST', '/api/analytics/events']
+])('annotates and forwards %s %s', async (method, pathname) => {
+    const { response, next } = await call(pathname, { method });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-geo-access')).toBe('blocked');
+    expect(next.mock.calls[0][0].headers.get('x-geo-subdivision')).toBe('NY');
+});
+
+test('an allowed region reaches the purchase APIs', async () => {
+    const { response, next } = await call('/api/orders', { method: 'POST', subdivision: 'CA' });
+
+    expect(response.status).toBe(200);
+    expect(next).toHaveBeenCalled();
+});
+
+test('route matching follows the method', () => {
+    expect(isProtectedAPI('/api/orders', 'POST')).toBe(true);
+    expect(isProtectedAPI('/api/orders', 'GET')).toBe(false);
+    expect(isProtectedAPI('/api/simpleswap/currencies', 'GET')).toBe(true);
+});
@@ -0,0 +1,44 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Hash Function Tests
+ * SHA-256 (FIPS 180-4) and Keccak-256 (pre-NIST padding, as Ethereum uses) known-answer vectors
+ */
+import { createHash } from 'node:crypto';
+import { keccak256, sha256, toHex } from '../../src/js/hashes.js';
+
+const utf8 = text => new TextEncoder().encode(text);
+
+describe('sha256', () => {
+    test.each([
+        ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+        ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+        ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1']
+    ])('FIPS 180-4 vector %j', (text, digest) => {
+        expect(toHex(sha256(utf8(text)))).toBe(digest);
+    });
+
+    test('one million "a"', () => {
+        expect(toHex(sha256(new Uint8Array(1000000).fill(0x61))))
+            .toBe('cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0');
+    });
+
+    test.each([55, 56, 63, 64, 65, 119, 120, 128])('matches node:crypto across the padding boundary at %i bytes', length => {
+        const bytes = Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 0xff);
+        expect(toHex(sha256(bytes))).toBe(createHash('sha256').update(bytes).digest('hex'));
+    });
+});
+
+describe('keccak256', () => {
+    test.each([
+        ['', 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'],
+        ['abc', '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45']
+    ])('Keccak-256 vector %j', (text, digest) => {
+        expect(toHex(keccak256(utf8(text)))).toBe(digest);
+    });
+
+    test('the ERC-20 transfer selector', () => {
+        expect(toHex(keccak256(utf8('transfer(address,uint256)'))).slice(0, 8)).toBe('a9059cbb');
+    });
+});
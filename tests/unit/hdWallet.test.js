@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * HD Wallet Tests
+ * BIP-32 public derivation and the BIP-44/49/84/86 vectors for the "abandon ... about" mnemonic
+ */
+import { HdAccount, HdKeyError, deriveChild, parseExtendedKey } from '../../server/lib/hdWallet.js';
+
+describe('BIP-32 public derivation', () => {
+    test('test vector 1: M/0H -> M/0H/1', () => {
+        const parent = parseExtendedKey('xpub68Gmy5EdvgibQVfPdqkBBCHxA5htiqg55crXYuXoQRKfDBFA1WEjWgP6LHhwBZeNK1VTsfTFUHCdrfp1bgwQ9xv5ski8PX9rL2dZXvgGDnw');
+        const child = parseExtendedKey('xpub6ASuArnXKPbfEwhqN6e3mwBcDTgzisQN1wXN9BJcM47sSikHjJf3UFHKkNAWbWMiGj7Wf5uMash7SyYq527Hqck2AxYysAA7xmALppuCkwQ');
+        const derived = deriveChild(parent, 1);
+
+        expect(derived.publicKey.toString('hex')).toBe(child.publicKey.toString('hex'));
+        expect(derived.chainCode.toString('hex')).toBe(child.chainCode.toString('hex'));
+    });
+
+    test('refuses hardened indexes', () => {
+        const key = parseExtendedKey('xpub68Gmy5EdvgibQVfPdqkBBCHxA5htiqg55crXYuXoQRKfDBFA1WEjWgP6LHhwBZeNK1VTsfTFUHCdrfp1bgwQ9xv5ski8PX9rL2dZXvgGDnw');
+        expect(() => deriveChild(key, 0x80000000)).toThrow(HdKeyError);
+    });
+});
+
+describe('account receive addresses', () => {
+    test.each([
+        [
+            'BIP-44 P2PKH',
+            'xpub6BosfCnifzxcFwrSzQiqu2DBVTshkCXacvNsWGYJVVhhawA7d4R5WSWGFNbi8Aw6ZRc1brxMyWMzG3DSSSSoekkudhUd9yLb6qx39T9nMdj',
+            'p2pkh',
+            ['1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA']
+        ],
+        [
+            'BIP-49 P2SH-P2WPKH',
+            'ypub6Ww3ibxVfGzLrAH1PNcjyAWenMTbbAosGNB6VvmSEgytSER9azLDWCxoJwW7Ke7icmizBMXrzBx9979FfaHxHcrArf3zbeJJJUZPf663zsP',
+            'p2sh-p2wpkh',
+            ['37VucYSaXLCAsxYyAPfbSi9eh4iEcbShgf']
+        ],
+        [
+            'BIP-84 P2WPKH',
+            'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs',
+            'p2wpkh',
+            ['bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu', 'bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g']
+        ],
+        [
+            'BIP-86 P2TR',
+            'xpub6BgBgsespWvERF3LHQu6CnqdvfEvtMcQjYrcRzx53QJjSxarj2afYWcLteoGVky7D3UKDP9QyrLprQ3VCECoY49yfdDEHGCtMMj92pReUsQ',
+            'p2tr',
+            ['bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr', 'bc1p4qhjn9zdvkux4e44uhx8tc55attvtyu358kutcqkudyccelu0was9fqzwh']
+        ]
+    ])('%s', (name, key, scriptType, addresses) => {
+        const account = new HdAccount(key, { scriptType });
+
+        expect(account.network).toBe('mainnet');
+        addresses.forEach((address, index) => {
+            expect(account.deriveAddress(index)).toEqual({ index, path: `0/${index}`, address, scriptType });
+        });
+    });
+
+    test('infers the script type from the key prefix', () => {
+        const account = new HdAccount('zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs');
+        expect(account.scriptType).toBe('p2wpkh');
+        expect(account.purpose).toBe(84);
+    });
+
+    test('refuses a key prefix that cannot derive the script type', () => {
+        expect(() => new HdAccount('zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs', { scriptType: 'p2tr' }))
+            .toThrow(HdKeyError);
+        expect(() => parseExtendedKey('zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYt'))
+            .toThrow(HdKeyError);
+    });
+});
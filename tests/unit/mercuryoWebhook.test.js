@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Mercuryo Webhook Tests
+ * A checkout page records its order and builds the signed Mercuryo link; a signed callback carrying
+ * the link's merchant_transaction_id must then find and move that same order
+ */
+import { jest } from '@jest/globals';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createConfig } from '../../src/config/appConfig.js';
+import { TRANSACTION_ID_PATTERN, generateTransactionId } from '../../src/js/orderRepository.js';
+import { MercuryoSigner } from '../../server/lib/mercuryoSigner.js';
+import { buildMercuryoCallback } from '../../server/lib/mercuryoWebhook.js';
+
+const SIGN_KEY = 'test-sign-key';
+const WALLET = 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu';
+
+const VARIANT = {
+    id: 'mercuryo-direct',
+    flow: 'mercuryo-direct',
+    open: 'same-tab',
+    wallet: { mode: 'fixed', address: WALLET },
+    copy: {}
+};
+
+let dataDir;
+let functions;
+let fetchSpy;
+
+/**
+ * Send the page's API calls to the functions themselves
+ */
+function routeFetch(input, init = {}) {
+    const url = new URL(String(input), 'https://checkout.example');
+    const handler = Object.entries(functions).find(([mount]) => url.pathname.startsWith(mount))?.[1];
+    if (!handler) {
+        throw new Error(`Unexpected fetch: ${url}`);
+    }
+    return handler(new Request(url, init), {});
+}
+
+function sendCallback(callback) {
+    const rawBody = JSON.stringify(callback);
+    return functions['/api/mercuryo/webhook'](new Request('https://checkout.example/api/mercuryo/webhook', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Signature': new MercuryoSigner({ signKey: SIGN_KEY }).signCallback(rawBody) },
+        body: rawBody
+    }), {});
+}
+
+beforeAll(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'mercuryo-webhook-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        LOG_STORE: 'file',
+        ORDER_TOKEN_SECRET: 'test-secret',
+        MERCURYO_SIGN_KEY: SIGN_KEY,
+        MERCURYO_WIDGET_ID: 'test-widget',
+        NETWORK_MODE: 'mainnet'
+    });
+
+    // The page only reads window.location; the rest of this suite runs server-side
+    globalThis.window = { location: new URL('https://checkout.example/index-mercuryo-direct.html') };
+
+    functions = {
+        '/api/orders': (await import('../../netlify/functions/orders.js')).default,
+        '/api/mercuryo/webhook': (await import('../../netlify/functions/mercuryo-webhook.js')).default,
+        '/api/mercuryo/signature': (await import('../../netlify/functions/mercuryo-signature.js')).default
+    };
+});
+
+afterAll(async () => {
+    delete globalThis.window;
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    fetchSpy = jest.spyOn(globalThis, 'fetch').mockImplementation(routeFetch);
+});
+
+afterEach(() => {
+    fetchSpy.mockRestore();
+});
+
+test('generated transaction IDs are accepted by the server', () => {
+    for (let i = 0; i < 50; i++) {
+        expect(generateTransactionId()).toMatch(TRANSACTION_ID_PATTERN);
+    }
+});
+
+test('a callback for the ID in a page-built Mercuryo link updates the page\'s order', async () => {
+    const { CheckoutPage } = await import('../../src/js/checkoutPage.js');
+    const page = new CheckoutPage(createConfig({ overrides: { TRANSACTION: { CRYPTO_CURRENCY: 'BTC' } } }), VARIANT);
+
+    await page.recordOrder();
+    expect(page.order.synced).toBe(true);
+
+    const link = new URL(await page.buildMercuryoURL()).searchParams;
+    expect(link.get('widget_id')).toBe('test-widget');
+    expect(link.get('signature')).toBe(new MercuryoSigner({ signKey: SIGN_KEY }).signAddress(WALLET));
+
+    const merchantTransactionId = link.get('merchant_transaction_id');
+    expect(merchantTransactionId).toBe(page.transactionId);
+    expect(merchantTransactionId).toMatch(TRANSACTION_ID_PATTERN);
+
+    const callback = status => buildMercuryoCallback({
+        providerId: 'mercuryo-1',
+        status,
+        merchantTransactionId,
+        address: WALLET,
+        amount: '0.0003',
+        fiatCurrency: page.config.TRANSACTION.CURRENCY,
+        fiatAmount: String(page.config.TRANSACTION.FIXED_AMOUNT)
+    });
+
+    const paid = await sendCallback(callback('paid'));
+    expect(paid.status).toBe(200);
+    expect(await paid.json()).toMatchObject({ received: true, applied: true, transactionId: merchantTransactionId });
+
+    const completed = await (await sendCallback(callback('completed'))).json();
+    expect(completed).toMatchObject({ applied: true, transactionId: merchantTransactionId });
+
+    const { order } = await page.orders.request(`/${merchantTransactionId}`, {}, page.order.orderToken);
+    expect(order).toMatchObject({ status: 'completed', sku: page.config.TRANSACTION.SKU, walletAddress: WALLET });
+    expect(order.statusHistory.map(entry => entry.status)).toEqual(['pending', 'paid', 'completed']);
+});
+
+test('a callback with an ID the server would never issue is refused', async () => {
+    const response = await sendCallback(buildMercuryoCallback({
+        providerId: 'mercuryo-2',
+        status: 'paid',
+        merchantTransactionId: 'affiliate_123e4567-e89b-12d3-a456-426614174000_starter_1700000000000',
+        address: WALLET
+    }));
+    expect(response.status).toBe(400);
+});
+
+test('the body limit counts bytes, not characters', async () => {
+    // 30,000 three-byte characters: under 64 KB as a string length, about 90 KB on the wire
+    const response = await sendCallback({ padding: '€'.repeat(30000) });
+    expect(response.status).toBe(413);
+});
@@ -0,0 +1,161 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * MaxMind DB Reader Tests
+ * Lookups in small fixture databases (tests/fixtures/mmdbWriter.js) of every record size
+ */
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { MMDBReader, parseIP } from '../../server/lib/mmdbReader.js';
+import { GeoIpDatabase } from '../../server/lib/geoIpDatabase.js';
+import { buildMmdb } from '../fixtures/mmdbWriter.js';
+
+const NEW_YORK = {
+    city: { geoname_id: 5128581, names: { en: 'New York' } },
+    country: { geoname_id: 6252001, iso_code: 'US', names: { en: 'United States', de: 'USA' } },
+    location: { accuracy_radius: 20, latitude: 40.7128, longitude: -74.006, time_zone: 'America/New_York' },
+    postal: { code: '10001' },
+    subdivisions: [{ iso_code: 'NY', names: { en: 'New York' } }]
+};
+
+const TORONTO = {
+    city: { names: { en: 'Toronto' } },
+    country: { iso_code: 'CA', names: { en: 'Canada' }, is_in_european_union: false },
+    location: { latitude: 43.6532, longitude: -79.3832, time_zone: 'America/Toronto', metro_code: -1 },
+    subdivisions: [{ iso_code: 'ON', names: { en: 'Ontario' } }]
+};
+
+const SYDNEY = {
+    country: { iso_code: 'AU', names: { en: 'Australia' } },
+    subdivisions: [{ iso_code: 'NSW', names: { en: 'New South Wales' } }]
+};
+
+const NETWORKS = [
+    ['203.0.113.0/24', NEW_YORK],
+    ['198.51.100.128/25', TORONTO],
+    ['2001:db8::/32', SYDNEY]
+];
+
+describe('parseIP', () => {
+    test.each([
+        ['203.0.113.10', [203, 0, 113, 10]],
+        ['::1', [...new Array(15).fill(0), 1]],
+        ['[2001:db8::1]', [0x20, 0x01, 0x0d, 0xb8, ...new Array(11).fill(0), 1]],
+        ['::ffff:203.0.113.10', [...new Array(10).fill(0), 0xff, 0xff, 203, 0, 113, 10]],
+        ['fe80::1%eth0', [0xfe, 0x80, ...new Array(13).fill(0), 1]]
+    ])('%s', (ip, bytes) => {
+        expect(Array.from(parseIP(ip))).toEqual(bytes);
+    });
+
+    test.each(['', '256.1.1.1', 'example.com', '1.2.3', null])('rejects %j', ip => {
+        expect(parseIP(ip)).toBeNull();
+    });
+});
+
+describe.each([24, 28, 32])('MMDBReader with %i-bit records', recordSize => {
+    const reader = new MMDBReader(buildMmdb(NETWORKS, { recordSize }));
+
+    test('reads the metadata', () => {
+        expect(reader.metadata).toMatchObject({
+            database_type: 'Test-City',
+            ip_version: 6,
+            record_size: recordSize,
+            build_epoch: 1760400000,
+            languages: ['en'],
+            description: { en: 'Test fixture' }
+        });
+    });
+
+    test('finds every address of a network and decodes the whole record', () => {
+        expect(reader.get('203.0.113.0')).toEqual(NEW_YORK);
+        expect(reader.get('203.0.113.255')).toEqual(NEW_YORK);
+        expect(reader.get('198.51.100.200')).toEqual(TORONTO);
+        expect(reader.get('2001:db8:1234::5')).toEqual(SYDNEY);
+    });
+
+    test('finds IPv4-mapped IPv6 addresses under the IPv4 network', () => {
+        expect(reader.get('::ffff:203.0.113.10')).toEqual(NEW_YORK);
+    });
+
+    test('returns null outside the listed networks', () => {
+        expect(reader.get('198.51.100.127')).toBeNull();
+        expect(reader.get('192.0.2.1')).toBeNull();
+        expect(reader.get('2001:db9::1')).toBeNull();
+    });
+
+    test('throws for text that is not an IP address', () => {
+        expect(() => reader.get('not-an-ip')).toThrow('Invalid IP address');
+    });
+});
+
+describe('MMDBReader with an IPv4 tree', () => {
+    const reader = new MMDBReader(buildMmdb(NETWORKS.slice(0, 2), { ipVersion: 4, recordSize: 24 }));
+
+    test('looks up IPv4 and mapped addresses but not IPv6', () => {
+        expect(reader.get('203.0.113.99')).toEqual(NEW_YORK);
+        expect(reader.get('::ffff:198.51.100.129')).toEqual(TORONTO);
+        expect(reader.get('2001:db8::1')).toBeNull();
+    });
+});
+
+test('MMDBReader refuses a file without the metadata marker', () => {
+    expect(() => new MMDBReader(Buffer.alloc(1024))).toThrow('Not a MaxMind DB file');
+});
+
+describe('GeoIpDatabase with a fixture file', () => {
+    let dir;
+    let database;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = await mkdtemp(path.join(tmpdir(), 'geoip-test-'));
+        await writeFile(path.join(dir, 'fixture.mmdb'), buildMmdb(NETWORKS));
+        database = new GeoIpDatabase({ dbPath: path.join(dir, 'fixture.mmdb') });
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('maps records to ipapi.co-style locations', async () => {
+        await expect(database.lookup('203.0.113.10')).resolves.toEqual({
+            country_code: 'US',
+            country_name: 'United States',
+            region: 'New York',
+            region_code: 'NY',
+            city: 'New York',
+            postal: '10001',
+            latitude: 40.7128,
+            longitude: -74.006,
+            timezone: 'America/New_York'
+        });
+        await expect(database.lookup('2001:db8::1')).resolves.toMatchObject({ country_code: 'AU', region_code: 'NSW', city: null });
+        await expect(database.lookup('192.0.2.1')).resolves.toBeNull();
+    });
+
+    test('a Country edition record gives the country only', async () => {
+        await writeFile(path.join(dir, 'country.mmdb'), buildMmdb([
+            ['203.0.113.0/24', { country: NEW_YORK.country, registered_country: NEW_YORK.country }]
+        ]));
+        const country = new GeoIpDatabase({ dbPath: path.join(dir, 'country.mmdb') });
+
+        await expect(country.lookup('203.0.113.10')).resolves.toMatchObject({
+            country_code: 'US',
+            country_name: 'United States',
+            region_code: null,
+            city: null,
+            timezone: null
+        });
+    });
+
+    test('answers 503 when the file is missing', async () => {
+        const missing = new GeoIpDatabase({ dbPath: path.join(dir, 'missing.mmdb') });
+
+        await expect(missing.lookup('203.0.113.10')).rejects.toMatchObject({ status: 503 });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Monitoring Store Tests
+ * Analytics events and error reports on the shared blob log (in-memory fake of a Netlify Blobs
+ * store): instances see each other's writes, so a retried batch is dropped wherever it lands and
+ * every instance reports the same error groups
+ */
+import { fakeBlobs } from '../fakeBlobs.js';
+import { AnalyticsStore } from '../../server/lib/analyticsStore.js';
+import { ErrorStore } from '../../server/lib/errorStore.js';
+
+const batch = (...ids) => ({
+    sessionId: 'session_1',
+    userId: 'user_1',
+    events: ids.map(id => ({ id, name: 'purchase_flow', properties: { timestamp: 1700000000000 } }))
+});
+
+describe('AnalyticsStore', () => {
+    const newStore = blobs => new AnalyticsStore({ backend: 'blobs', blobs });
+
+    test('a batch retried on another instance is counted once', async () => {
+        const blobs = fakeBlobs();
+        const first = newStore(blobs);
+        const second = newStore(blobs);
+
+        expect(await first.ingest(batch('e1', 'e2'))).toEqual({ accepted: 2, duplicates: 0, rejected: [] });
+
+        // The second instance loaded its ids before the first one wrote
+        await second.loadSeenIds();
+        expect(await second.ingest(batch('e1', 'e2', 'e3'))).toMatchObject({ accepted: 1, duplicates: 2 });
+
+        const { total, counts } = await newStore(blobs).countByName();
+        expect(total).toBe(3);
+        expect(counts).toEqual({ purchase_flow: 3 });
+    });
+
+    test('a batch is one log entry', async () => {
+        const blobs = fakeBlobs();
+        const store = newStore(blobs);
+        await store.ingest(batch('e1', 'e2', 'e3'));
+
+        expect(await store.store.size()).toBe(1);
+    });
+
+    test('events repeated inside a batch are stored once', async () => {
+        const store = newStore(fakeBlobs());
+
+        expect(await store.ingest(batch('e1', 'e1'))).toMatchObject({ accepted: 1, duplicates: 1 });
+    });
+
+    test('events that were never stored are not treated as duplicates', async () => {
+        const blobs = fakeBlobs();
+        const store = newStore(blobs);
+        const { setJSON } = blobs;
+        blobs.setJSON = async () => { throw new Error('Blob write failed'); };
+
+        await expect(store.ingest(batch('e1'))).rejects.toThrow('Blob write failed');
+
+        blobs.setJSON = setJSON;
+        expect(await store.ingest(batch('e1'))).toMatchObject({ accepted: 1, duplicates: 0 });
+    });
+});
+
+describe('ErrorStore', () => {
+    const newStore = blobs => new ErrorStore({ backend: 'blobs', blobs });
+    const report = (...errors) => ({
+        errors: errors.map(([id, timestamp]) => ({ id, type: 'javascript_error', message: `Failed at ${id}`, timestamp })),
+        metadata: {}
+    });
+
+    test('instances group and count the same occurrences', async () => {
+        const blobs = fakeBlobs();
+        const first = newStore(blobs);
+        const second = newStore(blobs);
+        await second.listGroups();
+
+        const { fingerprints } = await first.ingestReport(report(['err1', 1000], ['err2', 2000]));
+        await second.ingestReport(report(['err2', 2000], ['err3', 3000]));
+
+        for (const store of [first, second]) {
+            const [group] = await store.listGroups();
+            expect(group).toMatchObject({ fingerprint: fingerprints[0], count: 3, firstSeen: 1000, lastSeen: 3000, lastErrorId: 'err3' });
+        }
+
+        const { occurrences } = await first.getGroup(fingerprints[0]);
+        expect(occurrences.map(occurrence => occurrence.id)).toEqual(['err3', 'err2', 'err1']);
+    });
+
+    test('rejections have the same shape as analytics', async () => {
+        const result = await newStore(fakeBlobs()).ingestReport({ errors: [{ id: 'err1', message: 'Boom' }, { message: 'No id' }, 'text'] });
+
+        expect(result).toMatchObject({
+            accepted: 1,
+            duplicates: 0,
+            rejected: [{ index: 1, reason: 'error id is required' }, { index: 2, reason: 'error must be an object' }]
+        });
+    });
+});
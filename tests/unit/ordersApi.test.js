@@ -0,0 +1,168 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Order API Tests
+ * netlify/functions/orders.js against a temporary file log: order tokens guard reads, retried
+ * creates and syncs, and an exchange is bound only when it pays out to the order's wallet
+ */
+import { jest } from '@jest/globals';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const WALLET = 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu';
+const ORDER = { sku: 'starter', amount: 21, fiatCurrency: 'USD', cryptoCurrency: 'btc', network: 'bitcoin' };
+
+let dataDir;
+let orders;
+let fetchSpy;
+
+function call(url, { method = 'GET', body, token } = {}) {
+    return orders(new Request(`http://localhost${url}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    }), {});
+}
+
+async function create(transactionId, fields = {}) {
+    const response = await call('/api/orders', {
+        method: 'POST',
+        body: { transactionId, ...ORDER, walletAddress: WALLET, ...fields }
+    });
+    return { status: response.status, ...(await response.json()) };
+}
+
+function mockExchange(exchange) {
+    fetchSpy.mockImplementation(async () => new Response(JSON.stringify(exchange), { status: 200 }));
+}
+
+beforeAll(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'orders-api-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        LOG_STORE: 'file',
+        ORDER_TOKEN_SECRET: 'test-secret',
+        SIMPLESWAP_API_KEY: 'test-key',
+        NETWORK_MODE: 'mainnet'
+    });
+    ({ default: orders } = await import('../../netlify/functions/orders.js'));
+});
+
+afterAll(async () => {
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    fetchSpy = jest.spyOn(globalThis, 'fetch');
+});
+
+afterEach(() => {
+    fetchSpy.mockRestore();
+});
+
+describe('order tokens', () => {
+    test('creating an order returns its token, which reading the order requires', async () => {
+        const { status, orderToken } = await create('tx_1700000000000_read');
+        expect(status).toBe(201);
+        expect(orderToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+        expect((await call('/api/orders/tx_1700000000000_read')).status).toBe(401);
+        expect((await call('/api/orders/tx_1700000000000_read', { token: 'wrong' })).status).toBe(401);
+
+        const response = await call('/api/orders/tx_1700000000000_read', { token: orderToken });
+        expect(response.status).toBe(200);
+        expect((await response.json()).order.walletAddress).toBe(WALLET);
+    });
+
+    test('a token only opens its own order', async () => {
+        const { orderToken } = await create('tx_1700000000000_own1');
+        await create('tx_1700000000000_own2');
+
+        expect((await call('/api/orders/tx_1700000000000_own2', { token: orderToken })).status).toBe(401);
+    });
+
+    test('a retried create needs the token', async () => {
+        const { orderToken } = await create('tx_1700000000000_again');
+
+        expect((await create('tx_1700000000000_again')).status).toBe(409);
+
+        const response = await call('/api/orders', {
+            method: 'POST',
+            token: orderToken,
+            body: { transactionId: 'tx_1700000000000_again', ...ORDER }
+        });
+        expect(response.status).toBe(200);
+        expect(await response.json()).toMatchObject({ duplicate: true, orderToken });
+    });
+
+    test('an exchange cannot be named at creation', async () => {
+        const { status, error } = await create('tx_1700000000000_named', { exchangeId: 'abcd1234' });
+        expect(status).toBe(400);
+        expect(error).toMatch(/sync/);
+    });
+});
+
+describe('exchange binding', () => {
+    test('sync needs the token', async () => {
+        await create('tx_1700000000000_sync');
+
+        const response = await call('/api/orders/tx_1700000000000_sync/sync', { method: 'POST', body: { exchangeId: 'abcd1234' } });
+        expect(response.status).toBe(401);
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    test('binds an exchange that pays out to the order wallet', async () => {
+        const { orderToken } = await create('tx_1700000000000_bind');
+        mockExchange({ id: 'exchange1', status: 'waiting', address_to: WALLET });
+
+        const response = await call('/api/orders/tx_1700000000000_bind/sync', {
+            method: 'POST',
+            token: orderToken,
+            body: { exchangeId: 'exchange1' }
+        });
+        expect(response.status).toBe(200);
+        expect((await response.json()).order).toMatchObject({ exchangeId: 'exchange1', exchange: { status: 'waiting' } });
+
+        // Later syncs follow the bound exchange and ignore any other ID
+        mockExchange({ id: 'exchange1', status: 'confirming', address_to: WALLET });
+        const next = await call('/api/orders/tx_1700000000000_bind/sync', {
+            method: 'POST',
+            token: orderToken,
+            body: { exchangeId: 'exchange2' }
+        });
+        expect((await next.json()).order.exchange.status).toBe('confirming');
+        expect(String(fetchSpy.mock.calls.at(-1)[0])).toContain('id=exchange1');
+    });
+
+    test('refuses an exchange paying out elsewhere', async () => {
+        const { orderToken } = await create('tx_1700000000000_else');
+        mockExchange({ id: 'exchange3', status: 'waiting', address_to: 'bc1qsomeoneelse000000000000000000000000' });
+
+        const response = await call('/api/orders/tx_1700000000000_else/sync', {
+            method: 'POST',
+            token: orderToken,
+            body: { exchangeId: 'exchange3' }
+        });
+        expect(response.status).toBe(409);
+    });
+
+    test('refuses an exchange another order holds', async () => {
+        const first = await create('tx_1700000000000_hold1');
+        const second = await create('tx_1700000000000_hold2');
+        mockExchange({ id: 'exchange4', status: 'waiting', address_to: WALLET });
+
+        const bind = (transactionId, token) => call(`/api/orders/${transactionId}/sync`, {
+            method: 'POST',
+            token,
+            body: { exchangeId: 'exchange4' }
+        });
+
+        expect((await bind('tx_1700000000000_hold1', first.orderToken)).status).toBe(200);
+        expect((await bind('tx_1700000000000_hold2', second.orderToken)).status).toBe(409);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Payment URI Tests
+ * Built URIs parse back to the address, chain and amount they were built from
+ */
+import { buildBip21Uri, buildEip681Uri, buildPaymentUri, toBaseUnits } from '../../src/js/paymentUri.js';
+import { getAsset } from '../../src/js/assetRegistry.js';
+
+const fromBaseUnits = (units, decimals) => Number(units) / 10 ** decimals;
+
+describe('toBaseUnits', () => {
+    test.each([
+        ['0.5', 18, '500000000000000000'],
+        ['1', 8, '100000000'],
+        ['0.00000001', 8, '1'],
+        [0.1, 6, '100000'],
+        ['12.340000', 2, '1234']
+    ])('%s with %i decimals is %s', (amount, decimals, units) => {
+        expect(toBaseUnits(amount, decimals)).toBe(units);
+    });
+
+    test('rejects amounts more precise than the unit or not decimal', () => {
+        expect(() => toBaseUnits('0.000000001', 8)).toThrow('Invalid amount');
+        expect(() => toBaseUnits('1e-8', 8)).toThrow('Invalid amount');
+        expect(() => toBaseUnits('-1', 8)).toThrow('Invalid amount');
+    });
+});
+
+describe('buildBip21Uri', () => {
+    test('round-trips address, amount, label and message', () => {
+        const uri = buildBip21Uri('bitcoin', 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq', {
+            amount: '0.00050000',
+            label: 'Luke-Jr',
+            message: 'Donation for project xyz'
+        });
+        const parsed = new URL(uri);
+
+        expect(uri).toBe('bitcoin:bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq?amount=0.0005&label=Luke-Jr&message=Donation%20for%20project%20xyz');
+        expect(parsed.pathname).toBe('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq');
+        expect(parsed.searchParams.get('amount')).toBe('0.0005');
+        expect(parsed.searchParams.get('message')).toBe('Donation for project xyz');
+    });
+
+    test('leaves out the query without parameters', () => {
+        expect(buildBip21Uri('litecoin', 'ltc1qg42tkwuuxefutzxezdkdel39gfstuap288mfea'))
+            .toBe('litecoin:ltc1qg42tkwuuxefutzxezdkdel39gfstuap288mfea');
+    });
+});
+
+describe('buildEip681Uri', () => {
+    test('native transfers carry the value in wei', () => {
+        const uri = buildEip681Uri('0x52908400098527886E0F7030069857D2E4169EE7', { chainId: 137, amount: '1.5' });
+        const [, address, chainId, value] = /^ethereum:(0x[0-9a-fA-F]{40})@(\d+)\?value=(\d+)$/.exec(uri);
+
+        expect(address).toBe('0x52908400098527886E0F7030069857D2E4169EE7');
+        expect(chainId).toBe('137');
+        expect(fromBaseUnits(value, 18)).toBe(1.5);
+    });
+
+    test('token transfers call transfer on the contract', () => {
+        const uri = buildEip681Uri('0x52908400098527886E0F7030069857D2E4169EE7', {
+            chainId: 1,
+            amount: '25',
+            unitDecimals: 6,
+            contract: '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+        });
+        const params = new URLSearchParams(uri.split('?')[1]);
+
+        expect(uri.startsWith('ethereum:0xdAC17F958D2ee523a2206206994597C13D831ec7@1/transfer?')).toBe(true);
+        expect(params.get('address')).toBe('0x52908400098527886E0F7030069857D2E4169EE7');
+        expect(fromBaseUnits(params.get('uint256'), 6)).toBe(25);
+    });
+});
+
+describe('buildPaymentUri', () => {
+    test('falls back to the bare address where no standard applies', () => {
+        expect(buildPaymentUri(getAsset('USDT', 'tron'), 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', { amount: '5' }))
+            .toBe('TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t');
+        expect(buildPaymentUri(getAsset('USDT', 'ethereum', 'testnet'), '0x52908400098527886E0F7030069857D2E4169EE7'))
+            .toBe('0x52908400098527886E0F7030069857D2E4169EE7');
+    });
+
+    test('uses the chain ID of the network mode', () => {
+        expect(buildPaymentUri(getAsset('ETH', 'ethereum', 'testnet'), '0x52908400098527886E0F7030069857D2E4169EE7'))
+            .toBe('ethereum:0x52908400098527886E0F7030069857D2E4169EE7@11155111');
+    });
+});
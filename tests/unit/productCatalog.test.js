@@ -0,0 +1,163 @@
+/**
+ * Product Catalog Tests
+ * SKUs resolve to a price in the selected fiat currency and asset, the buyer's currency choice
+ * wins over the regional one where the product is priced in it, and client amounts are checked
+ * against the catalog
+ */
+import { jest } from '@jest/globals';
+import { createConfig } from '../../src/config/appConfig.js';
+import {
+    ProductError,
+    applyCurrency,
+    applyProduct,
+    applyProductFromURL,
+    assertProductPrice,
+    findProduct,
+    listCurrencies,
+    listProducts,
+    readPreferredCurrency,
+    readSkuFromURL,
+    resolveCurrency,
+    savePreferredCurrency
+} from '../../src/js/productCatalog.js';
+
+// An extra product sold only for ETH and only in USD
+const config = createConfig({
+    overrides: {
+        CATALOG: {
+            PRODUCTS: {
+                'eth-only': { NAME: 'ETH', DESCRIPTION: 'ETH only', PRICES: { USD: 30 }, ASSET: 'ETH' }
+            }
+        }
+    }
+});
+
+const locationOf = search => ({ search });
+
+function memoryStorage(items = {}) {
+    return {
+        getItem: key => items[key] ?? null,
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('listProducts and findProduct', () => {
+    test('lists what the asset and currency can buy, cheapest first', () => {
+        expect(listProducts(config).map(product => product.sku)).toEqual(['starter', 'standard', 'premium']);
+        expect(listProducts(config, { asset: 'ETH' }).map(product => product.sku)).toEqual(['starter', 'eth-only', 'standard', 'premium']);
+        expect(listProducts(config, { currency: 'EUR', asset: 'ETH' }).map(product => product.sku)).toEqual(['starter', 'standard', 'premium']);
+    });
+
+    test('describes a product in one currency', () => {
+        expect(findProduct(config, 'standard', { currency: 'CAD' })).toEqual({
+            sku: 'standard',
+            name: 'Standard',
+            description: 'Our most popular bundle',
+            asset: 'BTC',
+            currency: 'CAD',
+            amount: 73
+        });
+    });
+
+    test.each([
+        ['gold', {}, 'Unknown product: gold'],
+        ['eth-only', {}, 'Product eth-only is only sold for ETH, not BTC'],
+        ['starter', { currency: 'GBP' }, 'Product starter has no GBP price']
+    ])('refuses %s %p', (sku, options, message) => {
+        expect(() => findProduct(config, sku, options)).toThrow(new ProductError(message));
+    });
+});
+
+describe('applyProduct and applyCurrency', () => {
+    test('derive the amount from the SKU and currency', () => {
+        expect(applyProduct(config, 'premium').TRANSACTION).toMatchObject({ SKU: 'premium', FIXED_AMOUNT: 107 });
+
+        const inEuros = applyCurrency(applyProduct(config, 'premium'), 'EUR');
+        expect(inEuros.TRANSACTION).toMatchObject({ SKU: 'premium', CURRENCY: 'EUR', FIXED_AMOUNT: 99 });
+    });
+
+    test('leave the given config untouched', () => {
+        applyProduct(config, 'premium');
+        expect(config.TRANSACTION.SKU).toBe('starter');
+    });
+
+    test('a currency the product has no price in is refused', () => {
+        expect(() => applyCurrency(config, 'GBP')).toThrow(ProductError);
+    });
+
+    test('lists the currencies of the selected product', () => {
+        expect(listCurrencies(config)).toEqual(['AUD', 'CAD', 'EUR', 'USD']);
+        expect(listCurrencies(config, 'eth-only')).toEqual(['USD']);
+    });
+});
+
+describe('resolveCurrency', () => {
+    test.each([
+        [{}, 'USD'],
+        [{ country: 'ca' }, 'CAD'],
+        [{ preferred: 'EUR', country: 'CA' }, 'EUR'],
+        [{ preferred: 'GBP', country: 'AU' }, 'AUD'],
+        [{ preferred: 'GBP', country: 'FR' }, 'USD']
+    ])('%p charges in %s', (choice, currency) => {
+        expect(resolveCurrency(config, choice)).toBe(currency);
+    });
+});
+
+describe('preferred currency', () => {
+    test('the URL parameter wins over the saved choice', () => {
+        const storage = memoryStorage();
+        savePreferredCurrency('AUD', storage);
+
+        expect(readPreferredCurrency(locationOf('?currency=cad'), storage)).toBe('CAD');
+        expect(readPreferredCurrency(locationOf(''), storage)).toBe('AUD');
+        expect(readPreferredCurrency(locationOf('?currency=dollars'), memoryStorage())).toBeNull();
+    });
+
+    test('unavailable storage means no saved choice', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const broken = {
+            getItem: () => { throw new Error('SecurityError'); },
+            setItem: () => { throw new Error('QuotaExceededError'); }
+        };
+
+        expect(readPreferredCurrency(locationOf(''), broken)).toBeNull();
+        expect(() => savePreferredCurrency('CAD', broken)).not.toThrow();
+    });
+});
+
+describe('assertProductPrice', () => {
+    test('accepts the catalog price in any letter case', () => {
+        expect(assertProductPrice(config, { sku: 'standard', currency: 'eur', asset: 'btc', amount: '49.00' }))
+            .toMatchObject({ sku: 'standard', amount: 49 });
+    });
+
+    test.each([
+        [{ sku: 'standard', currency: 'EUR', asset: 'BTC', amount: 19.5 }, 'Amount does not match the EUR price of standard'],
+        [{ currency: 'USD', asset: 'BTC', amount: 21 }, 'Invalid sku'],
+        [{ sku: '../starter', currency: 'USD', asset: 'BTC', amount: 21 }, 'Invalid sku'],
+        [{ sku: 'eth-only', currency: 'USD', asset: 'BTC', amount: 30 }, 'Product eth-only is only sold for ETH, not BTC']
+    ])('refuses %p', (purchase, message) => {
+        expect(() => assertProductPrice(config, purchase)).toThrow(new ProductError(message));
+    });
+});
+
+describe('SKU from the URL', () => {
+    test('only well-formed SKUs are read', () => {
+        expect(readSkuFromURL(locationOf('?sku=premium'))).toBe('premium');
+        expect(readSkuFromURL(locationOf('?sku=Premium!'))).toBeNull();
+        expect(readSkuFromURL(null)).toBeNull();
+    });
+
+    test('a SKU the page cannot sell keeps the configured product', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(applyProductFromURL(config, locationOf('?sku=premium')).TRANSACTION.SKU).toBe('premium');
+        expect(applyProductFromURL(config, locationOf('?sku=eth-only'))).toBe(config);
+        expect(applyProductFromURL(config, locationOf('?sku=gold'))).toBe(config);
+        expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+});
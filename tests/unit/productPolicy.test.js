@@ -0,0 +1,39 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Product Policy Tests
+ * The order API and the exchange proxy refuse any amount that is not the catalog price of the SKU
+ */
+import { assertCatalogPrice } from '../../server/lib/productPolicy.js';
+import { HttpError } from '../../server/lib/http.js';
+
+function refusal(purchase) {
+    try {
+        assertCatalogPrice(purchase);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('assertCatalogPrice accepted the purchase');
+}
+
+test.each([
+    ['an asset code', { sku: 'starter', currency: 'USD', asset: 'BTC', amount: 21 }],
+    ['a SimpleSwap ticker', { sku: 'standard', currency: 'cad', asset: 'usdttrc20', amount: 73 }],
+    ['an amount sent as a string', { sku: 'premium', currency: 'EUR', asset: 'eth', amount: '99.00' }]
+])('accepts the catalog price with %s', (label, purchase) => {
+    expect(assertCatalogPrice(purchase)).toMatchObject({ sku: purchase.sku, amount: Number(purchase.amount) });
+});
+
+test.each([
+    ['another product\'s price', { sku: 'premium', currency: 'USD', asset: 'BTC', amount: 21 }, 'Amount does not match the USD price of premium'],
+    ['no SKU', { currency: 'USD', asset: 'BTC', amount: 21 }, 'Invalid sku'],
+    ['an unknown SKU', { sku: 'gold', currency: 'USD', asset: 'BTC', amount: 21 }, 'Unknown product: gold'],
+    ['an unpriced currency', { sku: 'starter', currency: 'GBP', asset: 'BTC', amount: 21 }, 'Product starter has no GBP price']
+])('refuses %s with a 400', (label, purchase, message) => {
+    const error = refusal(purchase);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(400);
+    expect(error.message).toBe(message);
+});
@@ -0,0 +1,106 @@
+/**
+ * QR Code Encoder Tests
+ * Round-trips encoded symbols through an independent decoder (jsQR)
+ */
+import jsQR from 'jsqr';
+import { QrError, encodeQr, qrToSvg } from '../../src/js/qrCode.js';
+import { buildPaymentUri } from '../../src/js/paymentUri.js';
+import { getAsset } from '../../src/js/assetRegistry.js';
+
+const SCALE = 4;
+const MARGIN = 4;
+
+/**
+ * Rasterize a symbol to RGBA pixels (with a quiet zone) and decode it
+ */
+function decode(qr) {
+    const extent = (qr.size + MARGIN * 2) * SCALE;
+    const pixels = new Uint8ClampedArray(extent * extent * 4).fill(255);
+
+    qr.modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (!isDark) return;
+        for (let dy = 0; dy < SCALE; dy++) {
+            for (let dx = 0; dx < SCALE; dx++) {
+                const offset = (((y + MARGIN) * SCALE + dy) * extent + (x + MARGIN) * SCALE + dx) * 4;
+                pixels.fill(0, offset, offset + 3);
+            }
+        }
+    }));
+
+    return jsQR(pixels, extent, extent, { inversionAttempts: 'dontInvert' });
+}
+
+describe('encodeQr', () => {
+    test.each(['L', 'M', 'Q', 'H'])('round-trips text at EC level %s', ecLevel => {
+        const text = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq';
+        const qr = encodeQr(text, { ecLevel });
+
+        expect(qr.ecLevel).toBe(ecLevel);
+        expect(decode(qr)?.data).toBe(text);
+    });
+
+    test.each([0, 1, 2, 3, 4, 5, 6, 7])('round-trips with mask %i', mask => {
+        const qr = encodeQr('0x52908400098527886E0F7030069857D2E4169EE7', { mask });
+
+        expect(qr.mask).toBe(mask);
+        expect(decode(qr)?.data).toBe('0x52908400098527886E0F7030069857D2E4169EE7');
+    });
+
+    test('picks the smallest version and grows with the text', () => {
+        expect(encodeQr('hello', { ecLevel: 'M' })).toMatchObject({ version: 1, size: 21 });
+
+        const long = 'x'.repeat(300);
+        const qr = encodeQr(long, { ecLevel: 'M' });
+        expect(qr.version).toBeGreaterThanOrEqual(7);
+        expect(qr.size).toBe(qr.version * 4 + 17);
+        expect(decode(qr)?.data).toBe(long);
+    });
+
+    test('encodes UTF-8 in byte mode', () => {
+        const qr = encodeQr('Café ☕');
+        expect(Array.from(decode(qr).binaryData)).toEqual(Array.from(new TextEncoder().encode('Café ☕')));
+    });
+
+    test('rejects text too long for version 40 and unknown options', () => {
+        expect(() => encodeQr('x'.repeat(3000), { ecLevel: 'H' })).toThrow(QrError);
+        expect(() => encodeQr('x', { ecLevel: 'X' })).toThrow(QrError);
+        expect(() => encodeQr('x', { mask: 8 })).toThrow(QrError);
+    });
+});
+
+describe('payment URIs in QR codes', () => {
+    test.each([
+        ['BTC', 'bitcoin', 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq', 'bitcoin:bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq?amount=0.0003&label=Coffee%20%26%20Co'],
+        ['LTC', 'litecoin', 'ltc1qg42tkwuuxefutzxezdkdel39gfstuap288mfea', 'litecoin:ltc1qg42tkwuuxefutzxezdkdel39gfstuap288mfea?amount=0.0003&label=Coffee%20%26%20Co'],
+        ['ETH', 'ethereum', '0x52908400098527886E0F7030069857D2E4169EE7', 'ethereum:0x52908400098527886E0F7030069857D2E4169EE7@1?value=300000000000000'],
+        ['USDT', 'ethereum', '0x52908400098527886E0F7030069857D2E4169EE7', 'ethereum:0xdAC17F958D2ee523a2206206994597C13D831ec7@1/transfer?address=0x52908400098527886E0F7030069857D2E4169EE7&uint256=300']
+    ])('%s on %s decodes to the same URI', (code, network, address, expected) => {
+        const uri = buildPaymentUri(getAsset(code, network), address, { amount: '0.0003', label: 'Coffee & Co' });
+
+        expect(uri).toBe(expected);
+        expect(decode(encodeQr(uri))?.data).toBe(uri);
+    });
+
+    test('a decoded BIP21 URI gives back the address, amount and label', () => {
+        const address = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq';
+        const uri = buildPaymentUri(getAsset('BTC'), address, { amount: 0.00012345, label: 'Order 42' });
+        const decoded = new URL(decode(encodeQr(uri)).data);
+
+        expect(decoded.protocol).toBe('bitcoin:');
+        expect(decoded.pathname).toBe(address);
+        expect(decoded.searchParams.get('amount')).toBe('0.00012345');
+        expect(decoded.searchParams.get('label')).toBe('Order 42');
+    });
+});
+
+describe('qrToSvg', () => {
+    test('draws one unit square per dark module and escapes the title', () => {
+        const qr = encodeQr('hello');
+        const svg = qrToSvg(qr, { title: 'Pay <me>' });
+        const dark = qr.modules.flat().filter(Boolean).length;
+
+        expect(svg).toContain(`viewBox="0 0 ${qr.size + 8} ${qr.size + 8}"`);
+        expect(svg).toContain('aria-label="Pay &#60;me&#62;"');
+        expect(svg.match(/h1v1h-1z/g)).toHaveLength(dark);
+    });
+});
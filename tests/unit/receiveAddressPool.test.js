@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Receive Address Pool Tests
+ * Allocation over a shared blob log (in-memory fake of a Netlify Blobs store), client quotas,
+ * and which orders count as funded so their addresses are never reissued
+ */
+import { jest } from '@jest/globals';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fakeBlobs } from '../fakeBlobs.js';
+import { BlobLogStore } from '../../server/lib/blobLogStore.js';
+import { OrderStore } from '../../server/lib/orderStore.js';
+import { ReceiveAddressPool } from '../../server/lib/receiveAddressPool.js';
+
+const ZPUB = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+
+describe('BlobLogStore', () => {
+    test('appends from two instances land on consecutive entries in order', async () => {
+        const blobs = fakeBlobs();
+        const first = new BlobLogStore('orders', { blobs });
+        const second = new BlobLogStore('orders', { blobs });
+
+        await first.append([{ n: 1 }, { n: 2 }]);
+        await second.append({ n: 3 });
+        await first.append({ n: 4 });
+
+        const reader = new BlobLogStore('orders', { blobs });
+        expect(await reader.size()).toBe(4);
+        expect((await reader.readAll()).map(record => record.n)).toEqual([1, 2, 3, 4]);
+
+        const tail = [];
+        for await (const record of reader.scan({ start: 2, end: 4 })) tail.push(record.n);
+        expect(tail).toEqual([3, 4]);
+    });
+
+    test('collections do not share entries', async () => {
+        const blobs = fakeBlobs();
+        await new BlobLogStore('orders', { blobs }).append({ n: 1 });
+        expect(await new BlobLogStore('alerts', { blobs }).size()).toBe(0);
+    });
+});
+
+describe('ReceiveAddressPool', () => {
+    const newPool = (blobs, options = {}) => {
+        const pool = new ReceiveAddressPool({ extendedKey: ZPUB, networkMode: 'mainnet', ...options });
+        pool.store = new BlobLogStore('receive_addresses', { blobs });
+        return pool;
+    };
+
+    test('instances sharing the log never hand out the same index', async () => {
+        const blobs = fakeBlobs();
+        const a = newPool(blobs);
+        const b = newPool(blobs);
+
+        const results = await Promise.all([
+            a.allocate('tx_1700000000000_a'),
+            b.allocate('tx_1700000000000_b'),
+            a.allocate('tx_1700000000000_c')
+        ]);
+
+        const indexes = results.map(({ allocation }) => allocation.index).sort();
+        expect(indexes).toEqual([0, 1, 2]);
+        expect((await newPool(blobs).allocate('tx_1700000000000_b')).duplicate).toBe(true);
+    });
+
+    test('limits fresh allocations per client, not repeats', async () => {
+        const pool = newPool(fakeBlobs(), { clientLimit: 2 });
+
+        await pool.allocate('tx_1700000000000_a', new Set(), { client: 'c1' });
+        await pool.allocate('tx_1700000000000_b', new Set(), { client: 'c1' });
+        await pool.allocate('tx_1700000000000_a', new Set(), { client: 'c1' });
+
+        await expect(pool.allocate('tx_1700000000000_c', new Set(), { client: 'c1' }))
+            .rejects.toMatchObject({ status: 429 });
+        await expect(pool.allocate('tx_1700000000000_c', new Set(), { client: 'c2' }))
+            .resolves.toMatchObject({ duplicate: false });
+    });
+
+    test('reuses an abandoned address only once the gap limit is reached', async () => {
+        const pool = newPool(fakeBlobs(), { gapLimit: 2, reuseAfterHours: 1 });
+
+        const { allocation: first } = await pool.allocate('tx_1700000000000_a');
+        await pool.allocate('tx_1700000000000_b');
+        await expect(pool.allocate('tx_1700000000000_c')).rejects.toMatchObject({ status: 503 });
+
+        const later = Date.now() + 2 * 60 * 60 * 1000;
+        const now = jest.spyOn(Date, 'now').mockReturnValue(later);
+        try {
+            const { allocation } = await pool.allocate('tx_1700000000000_c');
+            expect(allocation.index).toBe(first.index);
+
+            // A funded address is never reissued, and moves the gap window past it
+            const { allocation: next } = await pool.allocate('tx_1700000000000_d', new Set([allocation.address]));
+            expect(next.index).toBe(2);
+        } finally {
+            now.mockRestore();
+        }
+    });
+});
+
+describe('OrderStore.listFundedAddresses', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+        dataDir = await mkdtemp(path.join(tmpdir(), 'orders-'));
+    });
+
+    afterEach(async () => {
+        await rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('counts Mercuryo payments and SimpleSwap exchanges past waiting', async () => {
+        const store = new OrderStore({ dataDir, backend: 'file' });
+        const wallets = ['bc1qwallet0000000000000000000000', 'bc1qwallet1111111111111111111111',
+            'bc1qwallet2222222222222222222222', 'bc1qwallet3333333333333333333333'];
+
+        for (const [i, walletAddress] of wallets.entries()) {
+            await store.createOrder(`tx_1700000000000_${i}`, { walletAddress });
+        }
+
+        await store.transition('tx_1700000000000_0', 'paid');
+        await store.recordExchange('tx_1700000000000_1', { id: 'exchange1', status: 'waiting' });
+        await store.recordExchange('tx_1700000000000_2', { id: 'exchange2', status: 'waiting' });
+        await store.recordExchange('tx_1700000000000_2', { id: 'exchange2', status: 'confirming' });
+
+        expect(await store.listFundedAddresses()).toEqual(new Set([wallets[0], wallets[2]]));
+    });
+});
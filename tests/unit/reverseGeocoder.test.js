@@ -0,0 +1,166 @@
+/**
+ * Reverse Geocoder Tests
+ * Point-in-polygon with holes and shared borders, snapping offshore fixes within COAST_SNAP_KM to
+ * the nearest coast, and lookups near the borders that decide regional access in the bundled
+ * boundaries
+ */
+import { readFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import {
+    COAST_SNAP_KM,
+    ReverseGeocoder,
+    loadReverseGeocoder,
+    pointInPolygon,
+    pointInRing
+} from '../../src/js/reverseGeocoder.js';
+
+const square = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+const region = (region_code, geometry) => ({
+    type: 'Feature',
+    properties: { country: 'XX', country_name: 'Testland', region_code, region: `Region ${region_code}` },
+    geometry
+});
+
+// WEST and EAST share the meridian 1°E; NORTH sits on top of WEST; RING has a hole the ENCLAVE fills.
+// At the equator 0.1° is about 11 km.
+const FIXTURE = {
+    type: 'FeatureCollection',
+    features: [
+        region('WEST', { type: 'Polygon', coordinates: [square(0, 0, 1, 1)] }),
+        region('EAST', { type: 'Polygon', coordinates: [square(1, 0, 2, 1)] }),
+        region('NORTH', { type: 'Polygon', coordinates: [square(0, 1, 1, 2)] }),
+        region('ENCLAVE', { type: 'Polygon', coordinates: [square(10.4, 0.4, 10.6, 0.6)] }),
+        region('RING', { type: 'Polygon', coordinates: [square(10, 0, 11, 1), square(10.4, 0.4, 10.6, 0.6)] }),
+        region('ISLANDS', { type: 'MultiPolygon', coordinates: [[square(20, 0, 20.5, 0.5)], [square(21, 0, 21.5, 0.5)]] })
+    ]
+};
+
+describe('pointInPolygon', () => {
+    const polygon = [square(0, 0, 4, 4), square(1, 1, 3, 3)];
+
+    test.each([
+        [0.5, 0.5, true],
+        [3.5, 2, true],
+        [2, 2, false],
+        [1.5, 2.5, false],
+        [5, 2, false],
+        [-0.1, 2, false]
+    ])('[%p, %p] is inside: %p', (x, y, inside) => {
+        expect(pointInPolygon(x, y, polygon)).toBe(inside);
+    });
+
+    test('a ring without holes is the outer ring alone', () => {
+        expect(pointInPolygon(2, 2, [square(0, 0, 4, 4)])).toBe(true);
+        expect(pointInRing(2, 2, square(1, 1, 3, 3))).toBe(true);
+    });
+});
+
+describe('ReverseGeocoder.lookup', () => {
+    const geocoder = new ReverseGeocoder(FIXTURE);
+
+    test('returns the region containing the point', () => {
+        expect(geocoder.lookup(0.5, 0.5)).toEqual({ country: 'XX', country_name: 'Testland', region_code: 'WEST', region: 'Region WEST' });
+        expect(geocoder.lookup(0.5, 1.5).region_code).toBe('EAST');
+        expect(geocoder.lookup(1.5, 0.5).region_code).toBe('NORTH');
+    });
+
+    test('a point on a shared border belongs to exactly one region', () => {
+        expect(geocoder.lookup(0.5, 1).region_code).toBe('EAST');
+        expect(geocoder.lookup(1, 0.5).region_code).toBe('NORTH');
+    });
+
+    test('a hole belongs to the region that fills it, not the one around it', () => {
+        expect(geocoder.lookup(0.5, 10.5).region_code).toBe('ENCLAVE');
+        expect(geocoder.lookup(0.2, 10.2).region_code).toBe('RING');
+    });
+
+    test('every part of a MultiPolygon counts', () => {
+        expect(geocoder.lookup(0.25, 20.25).region_code).toBe('ISLANDS');
+        expect(geocoder.lookup(0.25, 21.25).region_code).toBe('ISLANDS');
+    });
+
+    test(`an offshore point within ${COAST_SNAP_KM} km snaps to the nearest coast`, () => {
+        // About 22 km and 11 km off the ISLANDS coasts
+        expect(geocoder.lookup(0.25, 21.7)).toMatchObject({ region_code: 'ISLANDS', approximate: true });
+        expect(geocoder.lookup(-0.1, 1.7)).toMatchObject({ region_code: 'EAST', approximate: true });
+    });
+
+    test('an offshore point further out resolves to nothing', () => {
+        // About 33 km off the coast
+        expect(geocoder.lookup(0.25, 21.8)).toBeNull();
+        expect(geocoder.lookup(45, -30)).toBeNull();
+    });
+
+    test('the snap distance is configurable', () => {
+        const strict = new ReverseGeocoder(FIXTURE, { coastSnapKm: 0 });
+
+        expect(strict.lookup(-0.1, 1.7)).toBeNull();
+        expect(strict.lookup(0.5, 1.5).region_code).toBe('EAST');
+    });
+
+    test('coordinates that are not numbers resolve to nothing', () => {
+        expect(geocoder.lookup(NaN, 0.5)).toBeNull();
+        expect(geocoder.lookup(0.5, undefined)).toBeNull();
+        expect(new ReverseGeocoder(null).lookup(0.5, 0.5)).toBeNull();
+    });
+});
+
+describe('bundled boundaries', () => {
+    const boundaries = JSON.parse(readFileSync(new URL('../../src/data/boundaries.json', import.meta.url), 'utf8'));
+    const geocoder = new ReverseGeocoder(boundaries);
+    const resolve = (latitude, longitude) => {
+        const result = geocoder.lookup(latitude, longitude);
+        return result && `${result.country}-${result.region_code}${result.approximate ? ' (approximate)' : ''}`;
+    };
+
+    test.each([
+        ['Manhattan', 'US-NY', 40.7831, -73.9712],
+        ['Jersey City', 'US-NJ', 40.7178, -74.0431],
+        ['Hoboken', 'US-NJ', 40.7440, -74.0324],
+        ['Fort Lee', 'US-NJ', 40.8509, -73.9701],
+        ['Detroit', 'US-MI', 42.3314, -83.0458],
+        ['Windsor', 'CA-ON', 42.3149, -83.0364],
+        ['Sault Ste. Marie, MI', 'US-MI', 46.4953, -84.3453],
+        ['Sault Ste. Marie, ON', 'CA-ON', 46.5219, -84.3461],
+        ['Slidell', 'US-LA', 30.2752, -89.7812],
+        ['Bay St. Louis', 'US-MS', 30.3088, -89.3301],
+        ['Gulfport', 'US-MS', 30.3674, -89.0928],
+        ['San Ysidro', 'US-CA', 32.5556, -117.0470],
+        ['Tijuana', 'MX-null', 32.5149, -117.0382],
+        ['Canberra', 'AU-ACT', -35.2809, 149.1300],
+        ['Queanbeyan', 'AU-NSW', -35.3533, 149.2342]
+    ])('%s resolves to %s', (place, expected, latitude, longitude) => {
+        expect(resolve(latitude, longitude)).toBe(expected);
+    });
+
+    test.each([
+        ['off the Louisiana coast', 'US-LA (approximate)', 29.0, -90.3],
+        ['off San Diego', 'US-CA (approximate)', 32.70, -117.35],
+        ['further into the Gulf of Mexico', null, 28.75, -90.3],
+        ['far off San Diego', null, 32.70, -117.62]
+    ])('a fix %s resolves to %p', (place, expected, latitude, longitude) => {
+        expect(resolve(latitude, longitude)).toBe(expected);
+    });
+});
+
+describe('loadReverseGeocoder', () => {
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('builds a geocoder from the fetched boundaries', async () => {
+        global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => FIXTURE }));
+
+        const geocoder = await loadReverseGeocoder('/data/boundaries.json');
+
+        expect(global.fetch).toHaveBeenCalledWith('/data/boundaries.json');
+        expect(geocoder.lookup(0.5, 0.5).region_code).toBe('WEST');
+    });
+
+    test('fails when the boundaries cannot be fetched', async () => {
+        global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+
+        await expect(loadReverseGeocoder('/data/boundaries.json')).rejects.toThrow('Boundary data unavailable: HTTP 404');
+    });
+});
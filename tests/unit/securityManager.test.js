@@ -0,0 +1,97 @@
+/**
+ * Security Manager Tests
+ * Input validation, sanitization, URL allow-listing, CSRF tokens and security event logging.
+ * Ported from the in-browser src/tests/securityValidation.js suite.
+ */
+import { jest } from '@jest/globals';
+import { createConfig } from '../../src/config/appConfig.js';
+import { SecurityManager } from '../../src/js/securityManager.js';
+
+let security;
+
+beforeEach(() => {
+    security = new SecurityManager(createConfig());
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+    delete global.fetch;
+});
+
+test.each([
+    ['amount', '19.50', true],
+    ['amount', '0', false],
+    ['amount', '-10', false],
+    ['amount', '10001', false],
+    ['amount', 'abc', false],
+    ['amount', '', false],
+    ['currency', 'USD', true],
+    ['currency', 'usd', false],
+    ['currency', 'USDT', false],
+    ['currency', '123', false],
+    ['walletAddress', '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', true],
+    ['walletAddress', '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy', true],
+    ['walletAddress', 'invalid_address', false],
+    ['unknownType', 'anything', false]
+])('validateInput(%s, %p) is %p', (type, input, expected) => {
+    expect(security.validateInput(type, input)).toBe(expected);
+});
+
+test.each([
+    '<script>alert("xss")</script>',
+    'javascript:alert(1)',
+    'onclick="alert(1)"',
+    '<img src="x" onerror="alert(1)">',
+    '"><script>alert(1)</script>'
+])('sanitizeInput strips markup and handlers from %p', input => {
+    const sanitized = security.sanitizeInput(input);
+
+    expect(sanitized).not.toMatch(/<script>|javascript:|onerror=|onclick=/);
+    expect(sanitized).not.toBe(input);
+});
+
+test('sanitizeInput leaves plain text alone', () => {
+    expect(security.sanitizeInput('  Normal text input 123 ')).toBe('Normal text input 123');
+});
+
+test.each([
+    ['https://simpleswap.io', true],
+    ['https://exchange.mrcr.io', true],
+    ['https://evil.com', false],
+    ['https://simpleswap.io.evil.com', false],
+    ['javascript:alert(1)', false],
+    ['ftp://simpleswap.io', false],
+    ['not_a_url', false]
+])('validateURL(%p) is %p', (url, expected) => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(security.validateURL(url)).toBe(expected);
+});
+
+test('CSRF tokens are long, unique and checked against the instance token', () => {
+    expect(security.csrfToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(security.generateCSRFToken()).not.toBe(security.csrfToken);
+    expect(security.validateCSRFToken(security.csrfToken)).toBe(true);
+    expect(security.validateCSRFToken('invalid_token')).toBe(false);
+});
+
+test('isRateLimited allows the limit, then refuses', () => {
+    const results = Array.from({ length: 6 }, () => security.isRateLimited('purchase', 5, 60000));
+
+    expect(results).toEqual([false, false, false, false, false, true]);
+    expect(security.isRateLimited('other', 5, 60000)).toBe(false);
+});
+
+test('logSecurityEvent logs the event and sends it to the monitoring endpoint when set', () => {
+    global.fetch = jest.fn(async () => ({ ok: true }));
+    security.logSecurityEvent('CLIPBOARD_MISMATCH', { foundLength: 11 });
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    security.securityMonitoringEndpoint = '/api/security';
+    security.logSecurityEvent('CLIPBOARD_MISMATCH', { foundLength: 11 });
+
+    const [, entry] = console.warn.mock.calls[0];
+    expect(entry).toMatchObject({ event: 'CLIPBOARD_MISMATCH', details: { foundLength: 11 }, url: window.location.href });
+    expect(global.fetch).toHaveBeenCalledWith('/api/security', expect.objectContaining({ method: 'POST' }));
+});
@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * SimpleSwap Proxy Tests
+ * An exchange shows its deposit and payout addresses, so reading one by ID needs the support token
+ */
+import { jest } from '@jest/globals';
+
+let simpleswap;
+let fetchSpy;
+
+function getExchange(token) {
+    return simpleswap(new Request('http://localhost/api/simpleswap/exchange/exchange1', {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    }), {});
+}
+
+beforeAll(async () => {
+    Object.assign(process.env, {
+        SIMPLESWAP_API_KEY: 'test-key',
+        MONITORING_API_TOKEN: 'support-token',
+        NETWORK_MODE: 'mainnet'
+    });
+    ({ default: simpleswap } = await import('../../netlify/functions/simpleswap.js'));
+});
+
+beforeEach(() => {
+    fetchSpy = jest.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(JSON.stringify({
+        id: 'exchange1',
+        status: 'confirming',
+        address_from: 'deposit',
+        address_to: 'payout'
+    }), { status: 200 }));
+});
+
+afterEach(() => {
+    fetchSpy.mockRestore();
+});
+
+test.each([
+    ['no token', undefined],
+    ['a wrong token', 'order-token']
+])('refuses a lookup with %s', async (label, token) => {
+    const response = await getExchange(token);
+
+    expect(response.status).toBe(401);
+    expect(fetchSpy).not.toHaveBeenCalled();
+});
+
+test('answers support with the normalized status', async () => {
+    const response = await getExchange('support-token');
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ id: 'exchange1', normalized_status: 'confirming' });
+});